@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import { buildSpreadLadder, buildTotalLadder, DEFAULT_LADDER_OPTIONS, formatAmericanOdds } from "./engine";
+
+const inputClass = "w-20 bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm";
+
+const fmtOdds = (odds) => (odds === null || !isFinite(odds) ? '-' : formatAmericanOdds(odds));
+const fmtLine = (line) => (line > 0 ? `+${line}` : `${line}`);
+
+/**
+ * Alt-spread and alt-total ladder (game and team totals) read off the single-game samples
+ */
+const AltLineLadder = ({ results }) => {
+  const [market, setMarket] = useState('spread');
+  const [options, setOptions] = useState(DEFAULT_LADDER_OPTIONS);
+  const samples = results.samples;
+  if (!samples) return null;
+
+  const setOption = (key, value) => setOptions({ ...options, [key]: value > 0 ? value : options[key] });
+  const isSpread = market === 'spread';
+  const marketKey = isSpread ? 'spreadRange' : 'totalRange';
+
+  let rows;
+  let sides;
+  if (isSpread) {
+    rows = buildSpreadLadder(samples, results.spread.line, options).map(r => ({
+      line: r.line,
+      marketLine: r.line === results.spread.line,
+      a: r.homeCoverPct, aOdds: r.homeFairOdds,
+      push: r.pushPct,
+      b: r.awayCoverPct, bOdds: r.awayFairOdds
+    }));
+    sides = [`${results.homeTeam} (line)`, `${results.awayTeam} (opposite)`];
+  } else {
+    const source = {
+      total: [samples.totals, samples.totalWeights, results.overUnder.line],
+      home: [samples.homeScores, samples.marginWeights, results.homeTeamOverUnder.line],
+      away: [samples.awayScores, samples.marginWeights, results.awayTeamOverUnder.line]
+    }[market];
+    rows = buildTotalLadder(source[0], source[1], source[2], options).map(r => ({
+      line: r.line,
+      marketLine: r.line === source[2],
+      a: r.overPct, aOdds: r.overFairOdds,
+      push: r.pushPct,
+      b: r.underPct, bOdds: r.underFairOdds
+    }));
+    sides = ['Over', 'Under'];
+  }
+
+  return (
+    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700 md:col-span-2">
+      <h3 className="text-xl font-bold mb-1">🪜 Alt-Line Ladder</h3>
+      <p className="text-xs text-slate-400 mb-4">
+        Fair odds exclude pushes (a push returns the stake). Spread lines are the {results.homeTeam} line; the market line is highlighted.
+      </p>
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium mb-2">Market</label>
+          <select value={market} onChange={(e) => setMarket(e.target.value)} className="bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm">
+            <option value="spread">Spread</option>
+            <option value="total">Game Total</option>
+            <option value="home">{results.homeTeam} Team Total</option>
+            <option value="away">{results.awayTeam} Team Total</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">± Range</label>
+          <input
+            type="number"
+            step="0.5"
+            value={options[marketKey]}
+            onChange={(e) => setOption(marketKey, parseFloat(e.target.value))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Step</label>
+          <input
+            type="number"
+            step="0.5"
+            value={options.step}
+            onChange={(e) => setOption('step', parseFloat(e.target.value))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="overflow-x-auto max-h-96">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-2">Line</th>
+              <th className="text-center p-2">{sides[0]} %</th>
+              <th className="text-center p-2">Fair</th>
+              <th className="text-center p-2">Push %</th>
+              <th className="text-center p-2">{sides[1]} %</th>
+              <th className="text-center p-2">Fair</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.line} className={`border-b border-slate-700 ${r.marketLine ? 'bg-yellow-900/30' : ''}`}>
+                <td className="p-2 font-semibold">{isSpread ? fmtLine(r.line) : r.line}</td>
+                <td className="text-center p-2">{r.a.toFixed(1)}%</td>
+                <td className="text-center p-2">{fmtOdds(r.aOdds)}</td>
+                <td className="text-center p-2">{r.push > 0 ? `${r.push.toFixed(1)}%` : '-'}</td>
+                <td className="text-center p-2">{r.b.toFixed(1)}%</td>
+                <td className="text-center p-2">{fmtOdds(r.bOdds)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AltLineLadder;
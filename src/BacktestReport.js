@@ -0,0 +1,99 @@
+import React from "react";
+import { Target } from "lucide-react";
+
+const fmt = (value, digits = 1, suffix = '') => (value === null || value === undefined ? '-' : `${value.toFixed(digits)}${suffix}`);
+
+const SummaryRow = ({ label, s }) => (
+  <tr className="border-b border-slate-700">
+    <td className="p-2">{label}</td>
+    <td className="text-center p-2">{s.wins}-{s.losses}-{s.pushes}</td>
+    <td className="text-center p-2">{fmt(s.winPct, 1, '%')}</td>
+    <td className={`text-center p-2 ${s.units >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+      {s.units >= 0 ? '+' : ''}{s.units.toFixed(2)}u
+    </td>
+    <td className="text-center p-2">{fmt(s.roi, 1, '%')}</td>
+    <td className="text-center p-2">{fmt(s.brier, 4)}</td>
+    <td className="text-center p-2">{fmt(s.logLoss, 4)}</td>
+  </tr>
+);
+
+const SummaryTable = ({ rows }) => (
+  <table className="w-full text-sm">
+    <thead>
+      <tr className="border-b border-slate-600">
+        <th className="text-left p-2">Group</th>
+        <th className="text-center p-2">W-L-P</th>
+        <th className="text-center p-2">Win %</th>
+        <th className="text-center p-2">Units</th>
+        <th className="text-center p-2">ROI</th>
+        <th className="text-center p-2">Brier</th>
+        <th className="text-center p-2">Log Loss</th>
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map(([label, s]) => <SummaryRow key={label} label={label} s={s} />)}
+    </tbody>
+  </table>
+);
+
+const ReliabilityTable = ({ rows }) => (
+  <table className="w-full text-sm">
+    <thead>
+      <tr className="border-b border-slate-600">
+        <th className="text-left p-2">Prob Bin</th>
+        <th className="text-center p-2">N</th>
+        <th className="text-center p-2">Predicted</th>
+        <th className="text-center p-2">Actual</th>
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map(row => (
+        <tr key={row.bin} className="border-b border-slate-700">
+          <td className="p-2">{row.bin}</td>
+          <td className="text-center p-2">{row.n}</td>
+          <td className="text-center p-2">{fmt(row.predicted, 1, '%')}</td>
+          <td className="text-center p-2">{fmt(row.actual, 1, '%')}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const MarketSection = ({ title, market }) => (
+  <div className="mb-6">
+    <h4 className="text-lg font-bold mb-2">{title}</h4>
+    <SummaryTable rows={[['All signals', market.all], ['Approved only', market.approved]]} />
+    {Object.entries(market.breakdowns).map(([field, groups]) => (
+      <div key={field} className="mt-3">
+        <div className="text-xs text-slate-400 mb-1">By {field}</div>
+        <SummaryTable
+          rows={Object.entries(groups).map(([key, s]) => [field === 'tier' ? (key === '0' ? 'No tier' : `Tier ${key}`) : key, s])}
+        />
+      </div>
+    ))}
+    <div className="mt-3">
+      <div className="text-xs text-slate-400 mb-1">Reliability</div>
+      <ReliabilityTable rows={market.reliability} />
+    </div>
+  </div>
+);
+
+/**
+ * Backtest report for a batch run whose games CSV carried final scores
+ */
+const BacktestReport = ({ report }) => (
+  <div className="mt-6 bg-slate-900/60 p-6 rounded-lg border border-slate-700">
+    <h3 className="text-xl font-bold mb-4 flex items-center gap-2">
+      <Target className="w-6 h-6 text-green-400" />
+      Backtest ({report.games} games with final scores)
+    </h3>
+    <div className="mb-6">
+      <h4 className="text-lg font-bold mb-2">Combined</h4>
+      <SummaryTable rows={[['All signals', report.combined.all], ['Approved only', report.combined.approved]]} />
+    </div>
+    <MarketSection title="Spreads" market={report.spread} />
+    <MarketSection title="Totals" market={report.totals} />
+  </div>
+);
+
+export default BacktestReport;
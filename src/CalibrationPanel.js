@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { fitCalibration, parseCalibrationArtifact } from "./engine";
+
+const describeCurve = (curve) => {
+  if (!curve) return 'none';
+  return curve.method === 'platt'
+    ? `Platt (a=${curve.a.toFixed(2)}, b=${curve.b.toFixed(2)}, n=${curve.n})`
+    : `Isotonic (${curve.knots.length} knots, n=${curve.n})`;
+};
+
+/**
+ * Fit, save, load and clear the probability calibration used by the evaluators
+ */
+const CalibrationPanel = ({ calibration, onChange, backtestReport }) => {
+  const [methods, setMethods] = useState({ spread: 'isotonic', totals: 'platt' });
+  const [error, setError] = useState(null);
+
+  const handleFit = () => {
+    setError(null);
+    onChange(fitCalibration(backtestReport, methods));
+  };
+
+  const handleLoad = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setError(null);
+        onChange(parseCalibrationArtifact(e.target.result));
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleSave = () => {
+    const blob = new Blob([JSON.stringify(calibration, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `gamble-tron-calibration-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mt-6 bg-slate-900/60 p-4 rounded-lg border border-slate-700">
+      <h3 className="text-lg font-bold mb-2">Probability Calibration</h3>
+      <p className="text-sm text-slate-300 mb-3">
+        {calibration
+          ? <>Spread: {describeCurve(calibration.markets.spread)} | Totals: {describeCurve(calibration.markets.totals)}</>
+          : 'No calibration loaded - approvals use raw simulated probabilities'}
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4">
+        {['spread', 'totals'].map(market => (
+          <div key={market}>
+            <label className="block text-xs font-medium mb-1 capitalize">{market} method</label>
+            <select
+              value={methods[market]}
+              onChange={(e) => setMethods({ ...methods, [market]: e.target.value })}
+              className="bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm"
+            >
+              <option value="isotonic">Isotonic</option>
+              <option value="platt">Platt (logistic)</option>
+            </select>
+          </div>
+        ))}
+        <button
+          onClick={handleFit}
+          disabled={!backtestReport}
+          title={backtestReport ? '' : 'Run a backtest first'}
+          className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 rounded-lg font-semibold text-sm"
+        >
+          Fit From Backtest
+        </button>
+        {calibration && (
+          <>
+            <button onClick={handleSave} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-semibold text-sm">
+              Save JSON
+            </button>
+            <button onClick={() => onChange(null)} className="px-4 py-2 bg-slate-600 hover:bg-slate-500 rounded-lg font-semibold text-sm">
+              Clear
+            </button>
+          </>
+        )}
+        <label className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg font-semibold text-sm cursor-pointer">
+          Load JSON
+          <input type="file" accept=".json" className="hidden" onChange={handleLoad} />
+        </label>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default CalibrationPanel;
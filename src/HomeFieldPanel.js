@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import { fitHomeFieldTable, parseHomeFieldArtifact } from "./engine";
+
+/**
+ * Fit, save, load and clear the per-team home field advantage table
+ */
+const HomeFieldPanel = ({ table, onChange, results }) => {
+  const [error, setError] = useState(null);
+  const scored = results.filter(r => r.final).length;
+
+  const handleFit = () => {
+    try {
+      setError(null);
+      onChange(fitHomeFieldTable(results));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleLoad = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setError(null);
+        onChange(parseHomeFieldArtifact(e.target.result));
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleSave = () => {
+    const blob = new Blob([JSON.stringify(table, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `gamble-tron-hfa-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const rows = table ? Object.entries(table.teams).sort((a, b) => b[1].hfa - a[1].hfa) : [];
+
+  return (
+    <div className="mt-6 bg-slate-900/60 p-4 rounded-lg border border-slate-700">
+      <h3 className="text-lg font-bold mb-2">Home Field Advantage Table</h3>
+      <p className="text-sm text-slate-300 mb-3">
+        {table
+          ? <>{rows.length} teams with fitted HFA. Teams with an HFA column in the team CSV keep that value. Re-run simulations to apply.</>
+          : 'No HFA table loaded - teams without an HFA column use the league HOME_FIELD_ADV'}
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4">
+        <button
+          onClick={handleFit}
+          disabled={scored === 0}
+          title={scored ? '' : 'Run a batch whose games CSV has final scores'}
+          className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 rounded-lg font-semibold text-sm"
+        >
+          Fit From Batch Residuals
+        </button>
+        {table && (
+          <>
+            <button onClick={handleSave} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-semibold text-sm">
+              Save JSON
+            </button>
+            <button onClick={() => onChange(null)} className="px-4 py-2 bg-slate-600 hover:bg-slate-500 rounded-lg font-semibold text-sm">
+              Clear
+            </button>
+          </>
+        )}
+        <label className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg font-semibold text-sm cursor-pointer">
+          Load JSON
+          <input type="file" accept=".json" className="hidden" onChange={handleLoad} />
+        </label>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+
+      {table && (
+        <table className="w-full text-sm mt-4 max-w-lg">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-2">Team</th>
+              <th className="text-center p-2">HFA</th>
+              <th className="text-center p-2">Home / Away Games</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([team, row]) => (
+              <tr key={team} className="border-b border-slate-700">
+                <td className="p-2">{team}</td>
+                <td className="text-center p-2">{row.hfa.toFixed(2)}</td>
+                <td className="text-center p-2 text-slate-400">
+                  {row.homeGames !== undefined ? `${row.homeGames} / ${row.awayGames}` : '-'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default HomeFieldPanel;
@@ -1,7 +1,52 @@
 'use client'
 
-import React, { useState } from "react";
-import { Upload, Play, BarChart3, TrendingUp, Database, AlertCircle } from "lucide-react";
+import React, { useRef, useState } from "react";
+import { Upload, Play, BarChart3, TrendingUp, Database, AlertCircle, XCircle } from "lucide-react";
+import {
+  applyPreset,
+  BUILT_IN_PRESETS,
+  calculateLeagueAverages,
+  DEFAULT_KELLY_FRACTION,
+  DEFAULT_LEAGUE_PARAMS,
+  DEFAULT_PRICES,
+  DEFAULT_STADIUMS,
+  evaluatePeriodResults,
+  evaluateResult,
+  findStadium,
+  formatAmericanOdds,
+  gradeSpreadBet,
+  gradeTotalsBet,
+  deriveSeed,
+  parseCSV,
+  parseGamesCSV,
+  parsePersonnelCSV,
+  PERIOD_MARKETS,
+  PERSONNEL_PRESETS,
+  personnelForGame,
+  priceResultMarkets,
+  resolveSeed,
+  roofIsClosed,
+  runBacktest,
+  stadiumDistanceMiles
+} from "./engine";
+import { runSimulationJobs } from "./workers/simulationPool";
+import AltLineLadder from "./AltLineLadder";
+import BacktestReport from "./BacktestReport";
+import CalibrationPanel from "./CalibrationPanel";
+import HomeFieldPanel from "./HomeFieldPanel";
+import OptimizerPanel from "./OptimizerPanel";
+import ParameterPanel from "./ParameterPanel";
+import PeriodMarketsPanel, { PeriodLineInputs } from "./PeriodMarketsPanel";
+import PersonnelPanel from "./PersonnelPanel";
+import PlayoffBracketPanel from "./PlayoffBracketPanel";
+import PortfolioPanel from "./PortfolioPanel";
+import PowerRatingsPanel from "./PowerRatingsPanel";
+import SameGameParlayPanel from "./SameGameParlayPanel";
+import ScoreDistributionCharts from "./ScoreDistributionCharts";
+import SeasonPanel from "./SeasonPanel";
+import StadiumPanel from "./StadiumPanel";
+import TeaserPanel from "./TeaserPanel";
+import VarianceModelPanel from "./VarianceModelPanel";
 
 /**
  * NFL Monte Carlo Simulator - OPTIMIZED MODEL v2.0
@@ -29,7 +74,8 @@ import { Upload, Play, BarChart3, TrendingUp, Database, AlertCircle } from "luci
  * - Removed complex compound buckets (were based on n=2-7 samples)
  * - Removed blanket FAV death zone (was based on 15 games)
  * - Removed asymmetric OVER/UNDER filtering (OVER was 61% but blocked)
- * - Replaced with simple probability threshold system (>54% = approved)
+ * - Replaced with expected-value thresholds at the offered price (see evaluators.js):
+ *   EV >= 3% = approved (tier 3), >= 8.5% = tier 2, >= 14.5% = tier 1
  * - FAV/DOG and OVER/UNDER tracked for reporting, not filtering
  * 
  * RETAINED FROM PREVIOUS VERSION:
@@ -40,6 +86,46 @@ import { Upload, Play, BarChart3, TrendingUp, Database, AlertCircle } from "luci
  * - Dynamic league averages from CSV
  */
 
+// American price inputs shown in the single-game form
+const PRICE_FIELDS = [
+  ['homeSpread', 'Home Spread'],
+  ['awaySpread', 'Away Spread'],
+  ['over', 'Over'],
+  ['under', 'Under'],
+  ['homeTTOver', 'Home TT Over'],
+  ['homeTTUnder', 'Home TT Under'],
+  ['awayTTOver', 'Away TT Over'],
+  ['awayTTUnder', 'Away TT Under'],
+  ['homeML', 'Home ML'],
+  ['awayML', 'Away ML'],
+];
+
+/**
+ * Itemized expected-point adjustments for the results breakdown: [label, home, away]
+ */
+const adjustmentRows = (r) => {
+  const hf = r.homeField;
+  const rows = hf.source === 'neutral'
+    ? [['Home field (neutral site)', 0, 0]]
+    : [
+      [`Home field (${hf.source})`, hf.base, 0],
+      ['Home field crowd', hf.crowd, 0],
+      ['Home field away travel', hf.travel, 0],
+    ];
+  return [
+    ...rows,
+    ['Weather', r.weatherAdjustment / 2, r.weatherAdjustment / 2],
+    ['Outdoor', r.outdoorPenalty / 2, r.outdoorPenalty / 2],
+    ['Game script (totals only)', r.gameScriptAdj / 2, r.gameScriptAdj / 2],
+    ...r.scheduleAdjustment.items.map(item => [item.label, item.home, item.away]),
+    ...r.venueAdjustment.items.map(item => [item.label, item.home, item.away]),
+    ...r.matchupDetails.personnel.home.map(adj => [`${r.homeTeam}: ${adj.label}`, adj.forPPD * r.homeDrives, adj.againstPPD * r.awayDrives]),
+    ...r.matchupDetails.personnel.away.map(adj => [`${r.awayTeam}: ${adj.label}`, adj.againstPPD * r.homeDrives, adj.forPPD * r.awayDrives]),
+  ].filter(([, home, away], i) => i === 0 || home !== 0 || away !== 0);
+};
+
+const fmtPts = (value) => (value >= 0 ? '+' : '') + value.toFixed(2);
+
 const NFLTotalsSimulator = () => {
   // State management
   const [teams, setTeams] = useState([]);
@@ -55,851 +141,63 @@ const NFLTotalsSimulator = () => {
     spreadLine: -3.0,
     numSimulations: 10000,
     isDome: false,
+    roof: "",
+    neutralSite: false,
+    crowdPct: 100,
+    awayTravelMiles: 0,
+    homeRestDays: 7,
+    awayRestDays: 7,
+    homeOffBye: false,
+    awayOffBye: false,
+    gameDay: "sunday",
+    homeTzShift: 0,
+    awayTzShift: 0,
+    divisional: false,
+    personnel: { home: [], away: [] },
+    periodLines: {},
     windMPH: 0,
     temperature: 70,
-    precipitation: "none"
+    precipitation: "none",
+    seed: "",
+    model: "gaussian",
+    keyNumbers: true,
+    prices: { ...DEFAULT_PRICES },
+    kellyFraction: DEFAULT_KELLY_FRACTION
   });
   const [simulationResults, setSimulationResults] = useState(null);
   const [isSimulating, setIsSimulating] = useState(false);
+  const [simProgress, setSimProgress] = useState(0);
+  const [modelComparison, setModelComparison] = useState(null);
   
   // Batch processing state
   const [batchGames, setBatchGames] = useState([]);
   const [batchResults, setBatchResults] = useState([]);
   const [isBatchSimulating, setIsBatchSimulating] = useState(false);
   const [batchProgress, setBatchProgress] = useState(0);
+  const [batchCompleted, setBatchCompleted] = useState(0);
+  const batchRunRef = useRef(null);
   const [showBatchMode, setShowBatchMode] = useState(false);
+  const [leagueView, setLeagueView] = useState(null); // 'bracket' | 'ratings'
+  const [personnelRows, setPersonnelRows] = useState([]);
+  const [batchSeed, setBatchSeed] = useState("");
+  const [batchRunSeed, setBatchRunSeed] = useState(null);
+  const [batchModel, setBatchModel] = useState("gaussian");
+  const [batchKeyNumbers, setBatchKeyNumbers] = useState(true);
+  const [batchKellyFraction, setBatchKellyFraction] = useState(DEFAULT_KELLY_FRACTION);
+  const [backtestReport, setBacktestReport] = useState(null);
+  const [calibration, setCalibration] = useState(null);
 
   // ============================================
   // LEAGUE PARAMETERS - DYNAMICALLY CALCULATED
   // ============================================
-  const [leagueParams, setLeagueParams] = useState({
-    lg: {
-      // === CORE EFFICIENCY METRICS (Offense) ===
-      PPD: 2.07488,           
-      PPD_sd: 0.42745,
-      EPA: -0.00084,          
-      EPA_sd: 0.09376,
-      SR: 0.43625,            
-      SR_sd: 0.03501,
-      RZTD: 0.57717,          
-      RZTD_sd: 0.08942,
-      TO_pct: 0.10805,        
-      TO_pct_sd: 0.03007,
-      RZDrives: 3.27107,      
-      RZDrives_sd: 0.63882,
-      
-      // === CORE EFFICIENCY METRICS (Defense) ===
-      PPD_def: 2.07108,       
-      PPD_def_sd: 0.32496,
-      EPA_def: -0.00050,      
-      EPA_def_sd: 0.07836,
-      SR_def: 0.43604,        
-      SR_def_sd: 0.03169,
-      RZTD_def: 0.57712,      
-      RZTD_def_sd: 0.06917,
-      TO_pct_def: 0.10805,    
-      TO_pct_def_sd: 0.03007,
-      RZDrives_def: 3.27533,  
-      RZDrives_def_sd: 0.50185,
-      
-      // === PACE METRICS ===
-      Drives: 10.79735,       
-      Drives_sd: 0.61829,
-      SecSnap: 28.51460,      
-      SecSnap_sd: 1.04923,
-      PlaysPerDrive: 5.69904, 
-      PlaysPerDrive_sd: 0.44626,
-      ThreeOut: 0.20567,      
-      ThreeOut_sd: 0.03964,
-      Xpl: 0.08818,           
-      Xpl_sd: 0.01459,
-      NoHuddle: 0.10190,      
-      NoHuddle_sd: 0.11488,
-      Pen: 0.35424,           
-      Pen_sd: 0.06476,
-      PassRate: 0.54922,      
-      PassRate_sd: 0.04747,
-      
-      // === DEFENSIVE PACE ===
-      Drives_def: 10.79616,
-      Drives_def_sd: 0.61571,
-      ThreeOut_def: 0.20558,  
-      ThreeOut_def_sd: 0.04722,
-      Xpl_def: 0.08802,       
-      Xpl_def_sd: 0.01661,
-      PlaysPerDrive_def: 5.69806,
-      PlaysPerDrive_def_sd: 0.36760,
-      SecSnap_def: 28.52732,
-      SecSnap_def_sd: 1.25079,
-      Pen_def: 0.35429,
-      Pen_def_sd: 0.05821,
-      
-      // === OTHER ===
-      StartingFP: 30.50313,   
-      StartingFP_sd: 1.38715,
-    }
-  });
-
-  /**
-   * Calculate mean and standard deviation of an array
-   */
-  const calcStats = (values) => {
-    const validValues = values.filter(v => v !== null && v !== undefined && !isNaN(v));
-    if (validValues.length === 0) return { mean: 0, sd: 1 };
-    const mean = validValues.reduce((a, b) => a + b, 0) / validValues.length;
-    const variance = validValues.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / validValues.length;
-    const sd = Math.sqrt(variance) || 0.001;
-    return { mean, sd };
-  };
-
-  /**
-   * Calculate league averages from uploaded team data
-   */
-  const calculateLeagueAverages = (teamData) => {
-    console.log("=== CALCULATING LEAGUE AVERAGES FROM UPLOADED DATA ===");
-    
-    const extractValues = (possibleNames, isPercent = false) => {
-      return teamData.map(team => {
-        const val = findValue(team, possibleNames);
-        if (val === null || val === undefined || val === '') return null;
-        return isPercent ? parsePercent(val) : parseFloat(val);
-      }).filter(v => v !== null && !isNaN(v));
-    };
-    
-    // Offensive metrics
-    const ppdVals = extractValues(['Offensive Pts/Drive', 'Offensive PPD', 'PPD']);
-    const epaVals = extractValues(['Offensive EPA/Play', 'Offensive EPA/play', 'EPA/play']);
-    const srVals = extractValues(['Offensive Success Rate', 'Offensive Success rate', 'SR'], true);
-    const rztdVals = extractValues(['Offensive Red Zone TD Rate', 'Offensive RZ TD%', 'RZ TD%'], true);
-    const toVals = extractValues(['Offensive TO%', 'TO%', 'Turnover%'], true);
-    const rzDrivesVals = extractValues(['Offensive Red Zone Drives/Game', 'RZ Drives/Game']);
-    
-    // Defensive metrics
-    const ppdDefVals = extractValues(['Defensive Pts/Drive', 'Defensive PPD', 'Def PPD']);
-    const epaDefVals = extractValues(['Defensive EPA/Play', 'Defensive EPA/play', 'Def EPA']);
-    const srDefVals = extractValues(['Defensive Success Rate', 'Defensive Success rate', 'Def SR'], true);
-    const rztdDefVals = extractValues(['Defensive Red Zone TD Rate', 'Defensive RZ TD%', 'Def RZ TD%'], true);
-    const toDefVals = extractValues(['Defensive TO%', 'Def TO%', 'Forced TO%'], true);
-    const rzDrivesDefVals = extractValues(['Defensive Red Zone Drives/Game', 'Def RZ Drives/Game']);
-    
-    // Pace metrics
-    const drivesVals = extractValues(['Offensive Drives/Game', 'Drives/Game', 'Drives']);
-    const secSnapVals = extractValues(['Offensive Seconds/Snap', 'Offensive Sec/snap', 'SecSnap']);
-    const playsPerDriveVals = extractValues(['Offensive Plays/Drive', 'Plays/Drive']);
-    const threeOutVals = extractValues(['Off 3-out Rate', 'Offensive 3-out Rate', '3-out Rate'], true);
-    const xplVals = extractValues(['Offensive Explosive Play Rate', 'Offensive Explosive rate'], true);
-    const noHuddleVals = extractValues(['Offensive No Huddle Rate', 'No Huddle Rate'], true);
-    const penVals = extractValues(['Offensive Penalties/Drive', 'Penalties/Drive']);
-    const passRateVals = extractValues(['Offensive Early Down Pass Rate', 'Early Down Pass Rate'], true);
-    
-    // Defensive pace
-    const drivesDefVals = extractValues(['Defensive Drives/Game', 'Def Drives/Game']);
-    const threeOutDefVals = extractValues(['Defensive 3-out Rate', 'Def 3-out Rate'], true);
-    const xplDefVals = extractValues(['Defensive Explosive Play Rate', 'Def Explosive rate'], true);
-    const playsPerDriveDefVals = extractValues(['Defensive Plays/Drive', 'Def Plays/Drive']);
-    const secSnapDefVals = extractValues(['Defensive Seconds/Snap', 'Def Sec/snap']);
-    const penDefVals = extractValues(['Defensive Penalties/Drive', 'Def Penalties/Drive']);
-    
-    // Calculate stats
-    const ppdStats = calcStats(ppdVals);
-    const epaStats = calcStats(epaVals);
-    const srStats = calcStats(srVals);
-    const rztdStats = calcStats(rztdVals);
-    const toStats = calcStats(toVals);
-    const rzDrivesStats = calcStats(rzDrivesVals);
-    
-    const ppdDefStats = calcStats(ppdDefVals);
-    const epaDefStats = calcStats(epaDefVals);
-    const srDefStats = calcStats(srDefVals);
-    const rztdDefStats = calcStats(rztdDefVals);
-    const toDefStats = calcStats(toDefVals);
-    const rzDrivesDefStats = calcStats(rzDrivesDefVals);
-    
-    const drivesStats = calcStats(drivesVals);
-    const secSnapStats = calcStats(secSnapVals);
-    const playsPerDriveStats = calcStats(playsPerDriveVals);
-    const threeOutStats = calcStats(threeOutVals);
-    const xplStats = calcStats(xplVals);
-    const noHuddleStats = calcStats(noHuddleVals);
-    const penStats = calcStats(penVals);
-    const passRateStats = calcStats(passRateVals);
-    
-    const drivesDefStats = calcStats(drivesDefVals);
-    const threeOutDefStats = calcStats(threeOutDefVals);
-    const xplDefStats = calcStats(xplDefVals);
-    const playsPerDriveDefStats = calcStats(playsPerDriveDefVals);
-    const secSnapDefStats = calcStats(secSnapDefVals);
-    const penDefStats = calcStats(penDefVals);
-    
-    const newParams = {
-      lg: {
-        PPD: ppdStats.mean || 2.07,
-        PPD_sd: ppdStats.sd || 0.43,
-        EPA: epaStats.mean || 0,
-        EPA_sd: epaStats.sd || 0.09,
-        SR: srStats.mean || 0.44,
-        SR_sd: srStats.sd || 0.035,
-        RZTD: rztdStats.mean || 0.58,
-        RZTD_sd: rztdStats.sd || 0.09,
-        TO_pct: toStats.mean || 0.11,
-        TO_pct_sd: toStats.sd || 0.03,
-        RZDrives: rzDrivesStats.mean || 3.27,
-        RZDrives_sd: rzDrivesStats.sd || 0.64,
-        
-        PPD_def: ppdDefStats.mean || 2.07,
-        PPD_def_sd: ppdDefStats.sd || 0.32,
-        EPA_def: epaDefStats.mean || 0,
-        EPA_def_sd: epaDefStats.sd || 0.08,
-        SR_def: srDefStats.mean || 0.44,
-        SR_def_sd: srDefStats.sd || 0.032,
-        RZTD_def: rztdDefStats.mean || 0.58,
-        RZTD_def_sd: rztdDefStats.sd || 0.07,
-        TO_pct_def: toDefStats.mean || 0.11,
-        TO_pct_def_sd: toDefStats.sd || 0.03,
-        RZDrives_def: rzDrivesDefStats.mean || 3.28,
-        RZDrives_def_sd: rzDrivesDefStats.sd || 0.50,
-        
-        Drives: drivesStats.mean || 10.8,
-        Drives_sd: drivesStats.sd || 0.62,
-        SecSnap: secSnapStats.mean || 28.5,
-        SecSnap_sd: secSnapStats.sd || 1.05,
-        PlaysPerDrive: playsPerDriveStats.mean || 5.7,
-        PlaysPerDrive_sd: playsPerDriveStats.sd || 0.45,
-        ThreeOut: threeOutStats.mean || 0.21,
-        ThreeOut_sd: threeOutStats.sd || 0.04,
-        Xpl: xplStats.mean || 0.088,
-        Xpl_sd: xplStats.sd || 0.015,
-        NoHuddle: noHuddleStats.mean || 0.10,
-        NoHuddle_sd: noHuddleStats.sd || 0.11,
-        Pen: penStats.mean || 0.35,
-        Pen_sd: penStats.sd || 0.065,
-        PassRate: passRateStats.mean || 0.55,
-        PassRate_sd: passRateStats.sd || 0.047,
-        
-        Drives_def: drivesDefStats.mean || 10.8,
-        Drives_def_sd: drivesDefStats.sd || 0.62,
-        ThreeOut_def: threeOutDefStats.mean || 0.21,
-        ThreeOut_def_sd: threeOutDefStats.sd || 0.047,
-        Xpl_def: xplDefStats.mean || 0.088,
-        Xpl_def_sd: xplDefStats.sd || 0.017,
-        PlaysPerDrive_def: playsPerDriveDefStats.mean || 5.7,
-        PlaysPerDrive_def_sd: playsPerDriveDefStats.sd || 0.37,
-        SecSnap_def: secSnapDefStats.mean || 28.5,
-        SecSnap_def_sd: secSnapDefStats.sd || 1.25,
-        Pen_def: penDefStats.mean || 0.35,
-        Pen_def_sd: penDefStats.sd || 0.058,
-        
-        StartingFP: 30.5,
-        StartingFP_sd: 1.39,
-      }
-    };
-    
-    console.log("NEW LEAGUE AVERAGES:");
-    console.log(`  PPD: ${newParams.lg.PPD.toFixed(3)} (sd: ${newParams.lg.PPD_sd.toFixed(3)})`);
-    console.log(`  Drives: ${newParams.lg.Drives.toFixed(2)} (sd: ${newParams.lg.Drives_sd.toFixed(2)})`);
-    
-    return newParams;
-  };
-  
-  // ============================================
-  // OPTIMIZED MODEL PARAMETERS
-  // ============================================
-  const params = {
-    lg: leagueParams.lg,
-    
-    // === CER WEIGHTS ===
-    weights: {
-      // Offensive CER weights
-      off_PPD: 0.45,
-      off_EPA: 0.20,
-      off_SR: 0.15,
-      off_RZTD: 0.10,
-      off_RZDrives: 0.07,
-      off_TO: -0.10,          // OPTIMIZED: Was -0.03, now properly penalizes turnovers
-      
-      // Defensive CER weights - v2.2: SYMMETRIC with offense (except TO)
-      def_PPD: 0.45,
-      def_EPA: 0.20,
-      def_SR: 0.15,
-      def_RZTD: 0.10,
-      def_RZDrives: 0.07,
-      def_TO: 0.03,   // Kept low - defensive turnovers are luck-driven
-    },
-    
-    // Pace coefficients
-    pace: {
-      secSnap_coef: -0.08,
-      playsPerDrive_coef: -0.05,
-      threeOut_coef: 0.09,
-      xpl_coef: 0.03,
-      noHuddle_coef: 0.06,
-      pen_coef: -0.03,
-      passRate_coef: 0.015,
-    },
-    
-    // Core parameters
-    LAMBDA: 0.85,
-    HOME_FIELD_ADV: 2.0,       // v2.2: Playoff HFA
-    CER_TO_PPD_SCALE: 0.60,
-    
-    // Weather parameters
-    weather: {
-      dome_bonus: 0.5,
-      wind_per_mph_above_threshold: -0.06,
-      wind_threshold: 10,
-      extreme_cold_threshold: 25,
-      extreme_cold_penalty: -1.5,
-      precip_adjustments: {
-        none: 0,
-        light_rain: -1.0,
-        heavy_rain: -2.0,
-        snow: -2.5,
-      },
-    },
-  };
-
-  const RHO_BASELINE = 0.22;
-  const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
-
-  // ============================================
-  // HELPER FUNCTIONS
-  // ============================================
-  
-  const findValue = (team, possibleNames) => {
-    for (let name of possibleNames) {
-      if (team[name] !== undefined && team[name] !== '') {
-        return team[name];
-      }
-    }
-    return null;
-  };
-
-  function parsePercent(val) {
-    if (val == null || val === "") return null;
-    const originalStr = String(val).trim();
-    const hasPercentSign = originalStr.includes('%');
-    const numStr = originalStr.replace('%', '').trim();
-    const num = parseFloat(numStr);
-    if (isNaN(num)) return null;
-    
-    if (hasPercentSign) {
-      return num / 100;
-    }
-    if (num > 1) return num / 100;
-    return num;
-  }
-
-  function zScore(value, mean, sd) {
-    if (sd === 0) return 0;
-    return (value - mean) / sd;
-  }
-
-  const toAmericanOdds = (prob) => {
-    if (prob <= 0) return Infinity;
-    if (prob >= 1) return -Infinity;
-    return prob >= 0.5 
-      ? -Math.round((prob / (1 - prob)) * 100)
-      : Math.round(((1 - prob) / prob) * 100);
-  };
-
-  // ============================================
-  // OPTIMIZED DECISION LAYER - Simplified Bet Selection
-  // ============================================
-  
-  // Probability threshold for approval (break-even at -110 is ~52.4%)
-  const APPROVAL_THRESHOLD = 54.0;
-  
-  /**
-   * OPTIMIZED: Simplified spread bet evaluation
-   * - Removed complex compound buckets (were based on n=2-7 samples)
-   * - Removed blanket FAV death zone
-   * - Uses simple probability threshold
-   * - Tracks FAV/DOG for reporting, not filtering
-   */
-  const evaluateSpreadBet = (rawHomeCoverPct, rawAwayCoverPct, modelMargin, marketSpread) => {
-    // Determine if home is favorite (negative spread = home favored)
-    const homeIsFavorite = marketSpread < 0;
-    const absSpread = Math.abs(marketSpread);
-    
-    // Determine which side the model likes
-    const modelLikesHome = rawHomeCoverPct > rawAwayCoverPct;
-    const modelLikesFavorite = (modelLikesHome && homeIsFavorite) || (!modelLikesHome && !homeIsFavorite);
-    
-    const relevantProb = modelLikesHome ? rawHomeCoverPct : rawAwayCoverPct;
-    const signal = modelLikesHome ? 'HOME' : 'AWAY';
-    const sideType = modelLikesFavorite ? 'FAV' : 'DOG';
-    
-    // Determine spread size category for reporting
-    let spreadCategory = '';
-    if (absSpread <= 3) spreadCategory = '0-3';
-    else if (absSpread <= 7) spreadCategory = '3-7';
-    else if (absSpread <= 10) spreadCategory = '7-10';
-    else spreadCategory = '10+';
-    
-    // Simple approval logic: approve if probability exceeds threshold
-    const approved = relevantProb >= APPROVAL_THRESHOLD;
-    
-    // Tier based on probability strength
-    let tier = 0;
-    if (relevantProb >= 60) tier = 1;
-    else if (relevantProb >= 57) tier = 2;
-    else if (relevantProb >= APPROVAL_THRESHOLD) tier = 3;
-    
-    // Descriptive bucket for reporting
-    const bucket = approved 
-      ? `✓ ${sideType} ${spreadCategory} @ ${relevantProb.toFixed(1)}%`
-      : `✗ ${sideType} ${spreadCategory} @ ${relevantProb.toFixed(1)}%`;
-    
-    return {
-      signal,
-      rawProb: relevantProb,
-      calibratedProb: relevantProb,
-      modelLikesFavorite,
-      sideType,
-      spreadCategory,
-      absSpread,
-      tier,
-      bucket,
-      approved,
-      modelMargin
-    };
-  };
+  const [leagueParams, setLeagueParams] = useState(DEFAULT_LEAGUE_PARAMS);
 
-  /**
-   * OPTIMIZED: Simplified totals bet evaluation
-   * - Removed asymmetric OVER/UNDER death zones
-   * - Uses simple probability threshold
-   * - Tracks edge and total size for reporting, not filtering
-   */
-  const evaluateTotalsBet = (rawOverPct, rawUnderPct, modelTotal, marketTotal, absSpread, isDome) => {
-    const modelEdge = modelTotal - marketTotal;
-    
-    // Determine signal
-    const signal = rawOverPct > rawUnderPct ? 'OVER' : 'UNDER';
-    const relevantProb = signal === 'OVER' ? rawOverPct : rawUnderPct;
-    
-    // Determine total size category for reporting
-    let totalCategory = '';
-    if (marketTotal < 42) totalCategory = 'Low (<42)';
-    else if (marketTotal <= 46) totalCategory = 'Mid (42-46)';
-    else totalCategory = 'High (>46)';
-    
-    // Determine edge category for reporting
-    let edgeCategory = '';
-    if (modelEdge < -3) edgeCategory = 'Edge <-3';
-    else if (modelEdge < 0) edgeCategory = 'Edge -3 to 0';
-    else if (modelEdge < 3) edgeCategory = 'Edge 0 to 3';
-    else edgeCategory = 'Edge 3+';
-    
-    // Simple approval logic: approve if probability exceeds threshold
-    const approved = relevantProb >= APPROVAL_THRESHOLD;
-    
-    // Tier based on probability strength
-    let tier = 0;
-    if (relevantProb >= 60) tier = 1;
-    else if (relevantProb >= 57) tier = 2;
-    else if (relevantProb >= APPROVAL_THRESHOLD) tier = 3;
-    
-    // Descriptive bucket for reporting
-    const bucket = approved
-      ? `✓ ${signal} ${totalCategory} ${edgeCategory} @ ${relevantProb.toFixed(1)}%`
-      : `✗ ${signal} ${totalCategory} ${edgeCategory} @ ${relevantProb.toFixed(1)}%`;
-    
-    return {
-      signal,
-      rawProb: relevantProb,
-      calibratedProb: relevantProb,
-      modelEdge,
-      totalCategory,
-      edgeCategory,
-      tier,
-      bucket,
-      approved
-    };
-  };
-
-  // ============================================
-  // TIER 1: COMPOSITE EFFICIENCY RATING (CER)
-  // ============================================
-  
-  function calculateOffensiveCER(team) {
-    const getNumeric = (val, fallback) => {
-      const parsed = parseFloat(val);
-      return (val !== null && val !== undefined && val !== '' && !isNaN(parsed)) ? parsed : fallback;
-    };
-    const getPercent = (val, fallback) => {
-      const parsed = parsePercent(val);
-      return parsed !== null ? parsed : fallback;
-    };
-    
-    const ppd = getNumeric(findValue(team, ['Offensive Pts/Drive', 'Offensive PPD', 'PPD']), params.lg.PPD);
-    const epa = getNumeric(findValue(team, ['Offensive EPA/Play', 'Offensive EPA/play', 'EPA/play']), params.lg.EPA);
-    const sr = getPercent(findValue(team, ['Offensive Success Rate', 'Offensive Success rate', 'SR']), params.lg.SR);
-    const rztd = getPercent(findValue(team, ['Offensive Red Zone TD Rate', 'Offensive RZ TD%', 'RZ TD%']), params.lg.RZTD);
-    const to_pct = getPercent(findValue(team, ['Offensive TO%', 'TO%', 'Turnover%']), params.lg.TO_pct);
-    const rzDrives = getNumeric(findValue(team, ['Offensive Red Zone Drives/Game', 'RZ Drives/Game']), params.lg.RZDrives);
-    
-    const z_ppd = zScore(ppd, params.lg.PPD, params.lg.PPD_sd);
-    const z_epa = zScore(epa, params.lg.EPA, params.lg.EPA_sd);
-    const z_sr = zScore(sr, params.lg.SR, params.lg.SR_sd);
-    const z_rztd = zScore(rztd, params.lg.RZTD, params.lg.RZTD_sd);
-    const z_to = zScore(to_pct, params.lg.TO_pct, params.lg.TO_pct_sd);
-    const z_rzDrives = zScore(rzDrives, params.lg.RZDrives, params.lg.RZDrives_sd);
-    
-    const CER = (
-      params.weights.off_PPD * z_ppd +
-      params.weights.off_EPA * z_epa +
-      params.weights.off_SR * z_sr +
-      params.weights.off_RZTD * z_rztd +
-      params.weights.off_TO * z_to +
-      params.weights.off_RZDrives * z_rzDrives
-    );
-    
-    console.log(`  OFF CER ${team.Team}: PPD=${ppd.toFixed(2)} (z=${z_ppd.toFixed(2)}), EPA=${epa.toFixed(3)} (z=${z_epa.toFixed(2)}), SR=${(sr*100).toFixed(1)}% (z=${z_sr.toFixed(2)}), TO=${(to_pct*100).toFixed(1)}% (z=${z_to.toFixed(2)}) → CER=${CER.toFixed(3)}`);
-    
-    return {
-      CER,
-      components: { ppd, epa, sr, rztd, to_pct, rzDrives },
-      zScores: { z_ppd, z_epa, z_sr, z_rztd, z_to, z_rzDrives }
-    };
-  }
-
-  function calculateDefensiveCER(team) {
-    const getNumeric = (val, fallback) => {
-      const parsed = parseFloat(val);
-      return (val !== null && val !== undefined && val !== '' && !isNaN(parsed)) ? parsed : fallback;
-    };
-    const getPercent = (val, fallback) => {
-      const parsed = parsePercent(val);
-      return parsed !== null ? parsed : fallback;
-    };
-    
-    const ppd = getNumeric(findValue(team, ['Defensive Pts/Drive', 'Defensive PPD', 'Def PPD']), params.lg.PPD_def);
-    const epa = getNumeric(findValue(team, ['Defensive EPA/Play', 'Defensive EPA/play', 'Def EPA']), params.lg.EPA_def);
-    const sr = getPercent(findValue(team, ['Defensive Success Rate', 'Defensive Success rate', 'Def SR']), params.lg.SR_def);
-    const rztd = getPercent(findValue(team, ['Defensive Red Zone TD Rate', 'Defensive RZ TD%', 'Def RZ TD%']), params.lg.RZTD_def);
-    const to_forced = getPercent(findValue(team, ['Defensive TO%', 'Def TO%', 'Forced TO%']), params.lg.TO_pct_def);
-    const rzDrives = getNumeric(findValue(team, ['Defensive Red Zone Drives/Game', 'Def RZ Drives/Game']), params.lg.RZDrives_def);
-    
-    const z_ppd = -zScore(ppd, params.lg.PPD_def, params.lg.PPD_def_sd);
-    const z_epa = -zScore(epa, params.lg.EPA_def, params.lg.EPA_def_sd);
-    const z_sr = -zScore(sr, params.lg.SR_def, params.lg.SR_def_sd);
-    const z_rztd = -zScore(rztd, params.lg.RZTD_def, params.lg.RZTD_def_sd);
-    const z_to = zScore(to_forced, params.lg.TO_pct_def, params.lg.TO_pct_def_sd);
-    const z_rzDrives = -zScore(rzDrives, params.lg.RZDrives_def, params.lg.RZDrives_def_sd);
-    
-    const CER = (
-      params.weights.def_PPD * z_ppd +
-      params.weights.def_EPA * z_epa +
-      params.weights.def_SR * z_sr +
-      params.weights.def_RZTD * z_rztd +
-      params.weights.def_TO * z_to +
-      params.weights.def_RZDrives * z_rzDrives
-    );
-    
-    console.log(`  DEF CER ${team.Team}: PPD_allowed=${ppd.toFixed(2)} (z=${z_ppd.toFixed(2)}), EPA=${epa.toFixed(3)} (z=${z_epa.toFixed(2)}) → CER=${CER.toFixed(3)}`);
-    
-    return {
-      CER,
-      components: { ppd, epa, sr, rztd, to_forced, rzDrives },
-      zScores: { z_ppd, z_epa, z_sr, z_rztd, z_to, z_rzDrives }
-    };
-  }
-
-  // ============================================
-  // TIER 2: PACE-BASED DRIVES MODEL
-  // ============================================
-  
-  function calculatePaceAdjustment(team, isOffense = true) {
-    const prefix = isOffense ? 'Offensive' : 'Defensive';
-    
-    const secSnap = parseFloat(findValue(team, [`${prefix} Seconds/Snap`, `${prefix} Sec/snap`, 'SecSnap'])) || 
-                    (isOffense ? params.lg.SecSnap : params.lg.SecSnap_def);
-    const playsPerDrive = parseFloat(findValue(team, [`${prefix} Plays/Drive`, 'Plays/Drive'])) || 
-                          (isOffense ? params.lg.PlaysPerDrive : params.lg.PlaysPerDrive_def);
-    const threeOut = parsePercent(findValue(team, [isOffense ? 'Off 3-out Rate' : 'Defensive 3-out Rate', `${prefix} 3-out Rate`, '3-out Rate'])) || 
-                     (isOffense ? params.lg.ThreeOut : params.lg.ThreeOut_def);
-    const xpl = parsePercent(findValue(team, [`${prefix} Explosive Play Rate`, `${prefix} Explosive rate`])) || 
-                (isOffense ? params.lg.Xpl : params.lg.Xpl_def);
-    const noHuddle = parsePercent(findValue(team, [`${prefix} No Huddle Rate`, 'No Huddle Rate'])) || params.lg.NoHuddle;
-    const pen = parseFloat(findValue(team, [`${prefix} Penalties/Drive`, 'Penalties/Drive'])) || 
-                (isOffense ? params.lg.Pen : params.lg.Pen_def);
-    const passRate = parsePercent(findValue(team, [`${prefix} Early Down Pass Rate`, 'Early Down Pass Rate'])) || params.lg.PassRate;
-    
-    const lg_secSnap = isOffense ? params.lg.SecSnap : params.lg.SecSnap_def;
-    const lg_secSnap_sd = isOffense ? params.lg.SecSnap_sd : params.lg.SecSnap_def_sd;
-    const lg_playsPerDrive = isOffense ? params.lg.PlaysPerDrive : params.lg.PlaysPerDrive_def;
-    const lg_playsPerDrive_sd = isOffense ? params.lg.PlaysPerDrive_sd : params.lg.PlaysPerDrive_def_sd;
-    const lg_threeOut = isOffense ? params.lg.ThreeOut : params.lg.ThreeOut_def;
-    const lg_threeOut_sd = isOffense ? params.lg.ThreeOut_sd : params.lg.ThreeOut_def_sd;
-    const lg_xpl = isOffense ? params.lg.Xpl : params.lg.Xpl_def;
-    const lg_xpl_sd = isOffense ? params.lg.Xpl_sd : params.lg.Xpl_def_sd;
-    const lg_pen = isOffense ? params.lg.Pen : params.lg.Pen_def;
-    const lg_pen_sd = isOffense ? params.lg.Pen_sd : params.lg.Pen_def_sd;
-    
-    const z_secSnap = zScore(secSnap, lg_secSnap, lg_secSnap_sd);
-    const z_playsPerDrive = zScore(playsPerDrive, lg_playsPerDrive, lg_playsPerDrive_sd);
-    const z_threeOut = zScore(threeOut, lg_threeOut, lg_threeOut_sd);
-    const z_xpl = zScore(xpl, lg_xpl, lg_xpl_sd);
-    const z_noHuddle = zScore(noHuddle, params.lg.NoHuddle, params.lg.NoHuddle_sd);
-    const z_pen = zScore(pen, lg_pen, lg_pen_sd);
-    const z_passRate = zScore(passRate, params.lg.PassRate, params.lg.PassRate_sd);
-    
-    const paceAdj = (
-      params.pace.secSnap_coef * z_secSnap +
-      params.pace.playsPerDrive_coef * z_playsPerDrive +
-      params.pace.threeOut_coef * z_threeOut +
-      params.pace.xpl_coef * z_xpl +
-      params.pace.noHuddle_coef * z_noHuddle +
-      params.pace.pen_coef * z_pen +
-      params.pace.passRate_coef * z_passRate
-    );
-    
-    return {
-      paceAdj,
-      components: { secSnap, playsPerDrive, threeOut, xpl, noHuddle, pen, passRate },
-      zScores: { z_secSnap, z_playsPerDrive, z_threeOut, z_xpl, z_noHuddle, z_pen, z_passRate }
-    };
-  }
-
-  function calculateExpectedDrives(homeTeam, awayTeam) {
-    const homePace = calculatePaceAdjustment(homeTeam, true);
-    const awayPace = calculatePaceAdjustment(awayTeam, true);
-    const homeDefPace = calculatePaceAdjustment(homeTeam, false);
-    const awayDefPace = calculatePaceAdjustment(awayTeam, false);
-    
-    const gamePaceAdj = (homePace.paceAdj + awayPace.paceAdj + homeDefPace.paceAdj + awayDefPace.paceAdj) / 4;
-    const totalGameDrives = params.lg.Drives * 2 * (1 + gamePaceAdj);
-    const baseDrivesEach = totalGameDrives / 2;
-    
-    const homeTO = parsePercent(findValue(homeTeam, ['Offensive TO%', 'TO%'])) || params.lg.TO_pct;
-    const awayTO = parsePercent(findValue(awayTeam, ['Offensive TO%', 'TO%'])) || params.lg.TO_pct;
-    
-    const homeExpectedTOs = baseDrivesEach * homeTO;
-    const awayExpectedTOs = baseDrivesEach * awayTO;
-    
-    const turnoverSwing = (awayExpectedTOs - homeExpectedTOs) * 0.8;
-    
-    const paceEdge = (homePace.paceAdj - awayPace.paceAdj) * 0.3;
-    const cappedPaceEdge = clamp(paceEdge, -0.3, 0.3);
-    
-    let homeDrives = baseDrivesEach + (turnoverSwing / 2) + cappedPaceEdge;
-    let awayDrives = baseDrivesEach - (turnoverSwing / 2) - cappedPaceEdge;
-    
-    const differential = homeDrives - awayDrives;
-    if (Math.abs(differential) > 1.0) {
-      const excess = (Math.abs(differential) - 1.0) / 2;
-      if (differential > 0) {
-        homeDrives -= excess;
-        awayDrives += excess;
-      } else {
-        homeDrives += excess;
-        awayDrives -= excess;
-      }
-    }
-    
-    homeDrives = clamp(homeDrives, 9.0, 13.0);
-    awayDrives = clamp(awayDrives, 9.0, 13.0);
-    
-    console.log(`  DRIVES MODEL: Total ${totalGameDrives.toFixed(1)}, Home ${homeDrives.toFixed(2)}, Away ${awayDrives.toFixed(2)}`);
-    
-    return {
-      homeDrives,
-      awayDrives,
-      totalGameDrives,
-      differential: homeDrives - awayDrives,
-      turnoverSwing,
-      gamePaceAdj,
-      homePaceDetails: homePace,
-      awayPaceDetails: awayPace
-    };
-  }
-
-  // ============================================
-  // TIER 3: MATCHUP ADJUSTMENT
-  // ============================================
-  
-  function calculateMatchupPPD(homeTeam, awayTeam) {
-    console.log("\n=== COMPOSITE EFFICIENCY RATINGS ===");
-    
-    const homeOffCER = calculateOffensiveCER(homeTeam);
-    const homeDefCER = calculateDefensiveCER(homeTeam);
-    const awayOffCER = calculateOffensiveCER(awayTeam);
-    const awayDefCER = calculateDefensiveCER(awayTeam);
-    
-    const homeMatchupCER = homeOffCER.CER - awayDefCER.CER;
-    const awayMatchupCER = awayOffCER.CER - homeDefCER.CER;
-    
-    const homePPDAdj = homeMatchupCER * params.CER_TO_PPD_SCALE;
-    const awayPPDAdj = awayMatchupCER * params.CER_TO_PPD_SCALE;
-    
-    const homeRawPPD = params.lg.PPD + homePPDAdj;
-    const awayRawPPD = params.lg.PPD + awayPPDAdj;
-    
-    const homePPD = params.lg.PPD + params.LAMBDA * (homeRawPPD - params.lg.PPD);
-    const awayPPD = params.lg.PPD + params.LAMBDA * (awayRawPPD - params.lg.PPD);
-    
-    // Calculate HFA per drive
-    const hfaPerDrive = params.HOME_FIELD_ADV / params.lg.Drives;
-    
-    // FOR SPREADS: Use asymmetric HFA
-    const homeFinalPPD_forSpread = homePPD + hfaPerDrive;
-    const awayFinalPPD_forSpread = awayPPD;
-    
-    // FOR TOTALS: Use symmetric HFA
-    const homeFinalPPD_forTotal = homePPD + (hfaPerDrive / 2);
-    const awayFinalPPD_forTotal = awayPPD - (hfaPerDrive / 2);
-    
-    console.log(`\n=== MATCHUP PPD (OPTIMIZED HFA=${params.HOME_FIELD_ADV}) ===`);
-    console.log(`  Home matchup CER: ${homeMatchupCER.toFixed(3)}, Away: ${awayMatchupCER.toFixed(3)}`);
-    console.log(`  For Spreads - Home PPD: ${homeFinalPPD_forSpread.toFixed(3)}, Away: ${awayFinalPPD_forSpread.toFixed(3)}`);
-    console.log(`  For Totals  - Home PPD: ${homeFinalPPD_forTotal.toFixed(3)}, Away: ${awayFinalPPD_forTotal.toFixed(3)}`);
-    
-    return {
-      homePPD_spread: clamp(homeFinalPPD_forSpread, 1.2, 3.5),
-      awayPPD_spread: clamp(awayFinalPPD_forSpread, 1.2, 3.5),
-      homePPD_total: clamp(homeFinalPPD_forTotal, 1.2, 3.5),
-      awayPPD_total: clamp(awayFinalPPD_forTotal, 1.2, 3.5),
-      homePPD: clamp(homeFinalPPD_forSpread, 1.2, 3.5),
-      awayPPD: clamp(awayFinalPPD_forSpread, 1.2, 3.5),
-      homeOffCER,
-      homeDefCER,
-      awayOffCER,
-      awayDefCER
-    };
-  }
-
-  // ============================================
-  // CORRELATION CALCULATION
-  // ============================================
-  
-  function calculateAdaptiveCorrelation(homeTeam, awayTeam, spread, isDome, windMPH, precip) {
-    let rho = RHO_BASELINE;
-    
-    const absSpread = Math.abs(spread);
-    if (absSpread <= 3) rho += 0.10;
-    else if (absSpread <= 7) rho += 0.05;
-    else if (absSpread >= 14) rho -= 0.10;
-    
-    const homePassRate = parsePercent(findValue(homeTeam, ['Offensive Early Down Pass Rate', 'PassRate'])) || params.lg.PassRate;
-    const awayPassRate = parsePercent(findValue(awayTeam, ['Offensive Early Down Pass Rate', 'PassRate'])) || params.lg.PassRate;
-    const passRateDiff = Math.abs(homePassRate - awayPassRate);
-    if (passRateDiff < 0.05) rho += 0.08;
-    else if (passRateDiff > 0.15) rho -= 0.05;
-    
-    const homeXpl = parsePercent(findValue(homeTeam, ['Offensive Explosive Play Rate'])) || params.lg.Xpl;
-    const awayXpl = parsePercent(findValue(awayTeam, ['Offensive Explosive Play Rate'])) || params.lg.Xpl;
-    if (homeXpl + awayXpl > 0.19) rho += 0.05;
-    
-    if (isDome) rho += 0.05;
-    if (windMPH > 15) rho -= 0.15;
-    else if (windMPH > 10) rho -= 0.08;
-    
-    if (precip === "heavy_rain" || precip === "snow") rho -= 0.10;
-    else if (precip === "light_rain") rho -= 0.05;
-    
-    const homeSecSnap = parseFloat(findValue(homeTeam, ['Offensive Seconds/Snap'])) || params.lg.SecSnap;
-    const awaySecSnap = parseFloat(findValue(awayTeam, ['Offensive Seconds/Snap'])) || params.lg.SecSnap;
-    const avgPace = (homeSecSnap + awaySecSnap) / 2;
-    if (avgPace < 27.4) rho += 0.05;
-    else if (avgPace > 29.8) rho -= 0.03;
-    
-    return clamp(rho, -0.05, 0.50);
-  }
-
-  // ============================================
-  // WEATHER ADJUSTMENT
-  // ============================================
-  
-  function calculateWeatherAdjustment(settings) {
-    let weatherAdj = 0;
-    
-    if (settings.isDome) {
-      weatherAdj += params.weather.dome_bonus;
-    } else {
-      if (settings.windMPH > params.weather.wind_threshold) {
-        const windEffect = (settings.windMPH - params.weather.wind_threshold) * 
-                          params.weather.wind_per_mph_above_threshold;
-        weatherAdj += windEffect;
-      }
-      
-      if (settings.temperature < params.weather.extreme_cold_threshold) {
-        weatherAdj += params.weather.extreme_cold_penalty;
-      }
-      
-      weatherAdj += params.weather.precip_adjustments[settings.precipitation] || 0;
-    }
-    
-    return weatherAdj;
-  }
-
-  // ============================================
-  // CSV PARSING
-  // ============================================
-  
-  function parseCSV(csvText) {
-    let cleanedText = csvText;
-    if (cleanedText.charCodeAt(0) === 0xFEFF) {
-      cleanedText = cleanedText.slice(1);
-    }
-    
-    const lines = cleanedText.trim().split('\n');
-    if (lines.length < 2) {
-      throw new Error("CSV file appears to be empty or invalid");
-    }
-
-    const headers = parseCSVLine(lines[0]);
-    const teamData = [];
-
-    console.log("CSV Headers found:", headers);
-
-    for (let i = 1; i < lines.length; i++) {
-      const values = parseCSVLine(lines[i]);
-      if (values.length < headers.length - 5) continue;
-
-      const team = {};
-      headers.forEach((header, index) => {
-        if (index < values.length) {
-          const cleanHeader = header.replace(/^\uFEFF/, '');
-          team[cleanHeader] = values[index];
-        }
-      });
-
-      const teamName = team.team || team.Team || team['\ufeffteam'];
-      if (teamName) {
-        team.Team = teamName;
-        teamData.push(team);
-      }
-    }
-
-    if (teamData.length === 0) {
-      throw new Error("No valid team data found. Please check CSV format.");
-    }
-
-    return teamData;
-  }
-
-  function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-    
-    result.push(current.trim());
-    return result;
-  }
+  // Model parameters are rebuilt from the current league averages and the active preset
+  const [modelPreset, setModelPreset] = useState(BUILT_IN_PRESETS[0]);
+  const [varianceModel, setVarianceModel] = useState(null);
+  const [hfaTable, setHfaTable] = useState(null);
+  const [stadiums, setStadiums] = useState(DEFAULT_STADIUMS);
+  const params = { ...applyPreset(leagueParams.lg, modelPreset), varianceModel, hfaTable, stadiums };
 
   const getDisplayValue = (team, possibleNames) => {
     for (let name of possibleNames) {
@@ -952,375 +250,45 @@ const NFLTotalsSimulator = () => {
   // MAIN SIMULATION (OPTIMIZED)
   // ============================================
   
-  const runSimulation = () => {
+  const runSimulation = async () => {
     if (!selectedHomeTeam || !selectedAwayTeam) {
       alert("Please select both home and away teams");
       return;
     }
 
     setIsSimulating(true);
-    
-    setTimeout(() => {
-      try {
-        const results = simulateGame(selectedHomeTeam, selectedAwayTeam, gameSettings);
-        setSimulationResults(results);
-      } catch (error) {
-        alert(`Simulation error: ${error.message}`);
-        console.error(error);
-      } finally {
-        setIsSimulating(false);
-      }
-    }, 100);
-  };
-
-  function simulateGame(homeTeam, awayTeam, settings) {
-    const numSims = settings.numSimulations;
-    
-    console.log("\n========================================");
-    console.log(`OPTIMIZED SIMULATION: ${homeTeam.Team} vs ${awayTeam.Team}`);
-    console.log("========================================");
-    
-    const matchup = calculateMatchupPPD(homeTeam, awayTeam);
-    const drives = calculateExpectedDrives(homeTeam, awayTeam);
-    
-    const rho = calculateAdaptiveCorrelation(
-      homeTeam, awayTeam,
-      settings.spread,
-      settings.isDome,
-      settings.windMPH,
-      settings.precipitation
+    setSimProgress(0);
+    
+    // "compare" runs both scoring models on the same seed
+    const seed = resolveSeed(gameSettings.seed);
+    const models = gameSettings.model === 'compare' ? ['gaussian', 'drive'] : [gameSettings.model];
+    const run = runSimulationJobs(
+      models.map(model => ({
+        homeTeam: selectedHomeTeam,
+        awayTeam: selectedAwayTeam,
+        settings: { ...gameSettings, seed, model },
+        params: { ...params, debug: true }
+      })),
+      { onProgress: ({ fraction }) => setSimProgress(fraction * 100) }
     );
+    const { results, errors } = await run.done;
     
-    const weatherAdj = calculateWeatherAdjustment(settings);
-    const outdoorPenalty = settings.outdoorPenalty || 0;
-    
-    // Game script adjustment for blowouts
-    const absSpread = Math.abs(settings.spread || 0);
-    let gameScriptAdj = 0;
-    if (absSpread >= 14) {
-      gameScriptAdj = -1.5;
-    } else if (absSpread >= 10) {
-      gameScriptAdj = -0.75;
-    }
-    
-    // Calculate expected points for MARGINS
-    const homeExpPts_forMargin = matchup.homePPD_spread * drives.homeDrives + (weatherAdj / 2) + (outdoorPenalty / 2);
-    const awayExpPts_forMargin = matchup.awayPPD_spread * drives.awayDrives + (weatherAdj / 2) + (outdoorPenalty / 2);
-    
-    // Calculate expected points for TOTALS - OPTIMIZED: Now includes outdoor penalty
-    const homeExpPts_forTotal = matchup.homePPD_total * drives.homeDrives + (weatherAdj / 2) + (gameScriptAdj / 2) + (outdoorPenalty / 2);
-    const awayExpPts_forTotal = matchup.awayPPD_total * drives.awayDrives + (weatherAdj / 2) + (gameScriptAdj / 2) + (outdoorPenalty / 2);
-    
-    console.log(`\n=== OPTIMIZED PROJECTIONS ===`);
-    console.log(`  For MARGINS: Home ${homeExpPts_forMargin.toFixed(1)}, Away ${awayExpPts_forMargin.toFixed(1)}, Margin ${(homeExpPts_forMargin - awayExpPts_forMargin).toFixed(1)}`);
-    console.log(`  For TOTALS:  Home ${homeExpPts_forTotal.toFixed(1)}, Away ${awayExpPts_forTotal.toFixed(1)}, Total ${(homeExpPts_forTotal + awayExpPts_forTotal).toFixed(1)}`);
-    console.log(`  Correlation: ${rho.toFixed(3)} | Game Script: ${gameScriptAdj.toFixed(1)} | Outdoor: ${outdoorPenalty.toFixed(2)}`);
-    console.log(`========================================\n`);
-    
-    const results = {
-      homeScores: [],
-      awayScores: [],
-      totals: [],
-      margins: [],
-      correlationUsed: rho,
-      weatherAdjustment: weatherAdj,
-      homeExpectedPts: homeExpPts_forMargin,
-      awayExpectedPts: awayExpPts_forMargin,
-      homeExpectedPts_total: homeExpPts_forTotal,
-      awayExpectedPts_total: awayExpPts_forTotal,
-      homeDrives: drives.homeDrives,
-      awayDrives: drives.awayDrives,
-      totalGameDrives: drives.totalGameDrives,
-      driveDifferential: drives.differential,
-      turnoverSwing: drives.turnoverSwing,
-      gamePaceAdj: drives.gamePaceAdj,
-      matchupDetails: matchup,
-      gameScriptAdj,
-      outdoorPenalty
-    };
-    
-    // OPTIMIZED SIGMA FUNCTIONS: Increased to match empirical NFL variance
-    const sigmaMargin = (expectedPts) => Math.max(9.5, Math.min(13.5, 8.0 + 0.18 * (expectedPts - 20)));
-    const sigmaTotal = (expectedPts) => Math.max(10.5, Math.min(15.5, 8.5 + 0.25 * (expectedPts - 20)));
-    
-    for (let i = 0; i < numSims; i++) {
-      // Generate correlated random values (Box-Muller)
-      const u1 = Math.random();
-      const u2 = Math.random();
-      const z1 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-      const z2 = Math.sqrt(-2 * Math.log(u1)) * Math.sin(2 * Math.PI * u2);
-      
-      // Generate second pair for independent total variance
-      const u3 = Math.random();
-      const u4 = Math.random();
-      const z3 = Math.sqrt(-2 * Math.log(u3)) * Math.cos(2 * Math.PI * u4);
-      const z4 = Math.sqrt(-2 * Math.log(u3)) * Math.sin(2 * Math.PI * u4);
-      
-      const homeRandom = z1;
-      const awayRandom = rho * z1 + Math.sqrt(1 - rho * rho) * z2;
-      
-      // Calculate scores for MARGINS
-      const homeScore_margin = Math.max(0, homeExpPts_forMargin + homeRandom * sigmaMargin(homeExpPts_forMargin));
-      const awayScore_margin = Math.max(0, awayExpPts_forMargin + awayRandom * sigmaMargin(awayExpPts_forMargin));
-      
-      // Calculate scores for TOTALS
-      const homeRandom_total = 0.7 * z1 + 0.3 * z3;
-      const awayRandom_total = 0.7 * (rho * z1 + Math.sqrt(1 - rho * rho) * z2) + 0.3 * z4;
-      const homeScore_total = Math.max(0, homeExpPts_forTotal + homeRandom_total * sigmaTotal(homeExpPts_forTotal));
-      const awayScore_total = Math.max(0, awayExpPts_forTotal + awayRandom_total * sigmaTotal(awayExpPts_forTotal));
-      
-      // Round for final scores
-      const homeScoreRounded = Math.round(homeScore_margin);
-      const awayScoreRounded = Math.round(awayScore_margin);
-      const totalRounded = Math.round(homeScore_total + awayScore_total);
-      
-      results.homeScores.push(homeScoreRounded);
-      results.awayScores.push(awayScoreRounded);
-      results.totals.push(totalRounded);
-      results.margins.push(homeScoreRounded - awayScoreRounded);
+    if (errors.length > 0) {
+      alert(`Simulation error: ${errors[0].message}`);
+      console.error(errors[0]);
+    } else {
+      // Keep the settings (prices, Kelly fraction) next to the numbers they priced
+      const withSettings = results.map(r => ({ ...r, settings: { ...gameSettings, seed, model: r.model } }));
+      setSimulationResults(withSettings[0]);
+      setModelComparison(withSettings.length > 1 ? withSettings : null);
     }
-    
-    return calculateResults(results, settings, homeTeam.Team, awayTeam.Team);
-  }
-
-  function percentile(arr, p) {
-    const sorted = [...arr].sort((a, b) => a - b);
-    const index = (p / 100) * (sorted.length - 1);
-    const lower = Math.floor(index);
-    const upper = Math.ceil(index);
-    const weight = index - lower;
-    return sorted[lower] * (1 - weight) + sorted[upper] * weight;
-  }
-
-  function calculateResults(results, settings, homeTeamName, awayTeamName) {
-    const homeScores = results.homeScores;
-    const awayScores = results.awayScores;
-    const totals = results.totals;
-    const margins = results.margins;
-    const n = settings.numSimulations;
-
-    const totalMean = totals.reduce((a, b) => a + b, 0) / n;
-
-    // Over/Under analysis
-    let overCount = 0, underCount = 0, pushCount = 0;
-    totals.forEach(total => {
-      if (total > settings.overUnderLine) overCount++;
-      else if (total < settings.overUnderLine) underCount++;
-      else pushCount++;
-    });
-
-    // Home team total
-    let homeOverCount = 0, homeUnderCount = 0, homePushCount = 0;
-    homeScores.forEach(score => {
-      if (score > settings.homeTeamTotal) homeOverCount++;
-      else if (score < settings.homeTeamTotal) homeUnderCount++;
-      else homePushCount++;
-    });
-
-    // Away team total
-    let awayOverCount = 0, awayUnderCount = 0, awayPushCount = 0;
-    awayScores.forEach(score => {
-      if (score > settings.awayTeamTotal) awayOverCount++;
-      else if (score < settings.awayTeamTotal) awayUnderCount++;
-      else awayPushCount++;
-    });
-
-    // Moneyline
-    let homeWinCount = 0, awayWinCount = 0;
-    margins.forEach(margin => {
-      if (margin > 0) homeWinCount++;
-      else if (margin < 0) awayWinCount++;
-    });
-
-    // Spread analysis
-    const spreadLine = settings.spreadLine;
-    let homeCoverCount = 0, awayCoverCount = 0, spreadPushCount = 0;
-    margins.forEach(margin => {
-      const threshold = -spreadLine;
-      if (margin > threshold) homeCoverCount++;
-      else if (margin < threshold) awayCoverCount++;
-      else spreadPushCount++;
-    });
-
-    // Alt-lines
-    const altLines = [-14, -10.5, -7, -6.5, -3.5, -3, -2.5, -1.5, 0, +1.5, +2.5, +3, +3.5, +6.5, +7, +10.5, +14];
-    const altLinesAnalysis = altLines.map(line => {
-      let coverCount = 0;
-      margins.forEach(margin => {
-        if (margin > -line) coverCount++;
-      });
-      return { line, coverPct: (coverCount / n) * 100 };
-    });
-
-    return {
-      numSimulations: n,
-      homeTeam: homeTeamName,
-      awayTeam: awayTeamName,
-      correlationUsed: results.correlationUsed,
-      weatherAdjustment: results.weatherAdjustment,
-      homeExpectedPts: results.homeExpectedPts,
-      awayExpectedPts: results.awayExpectedPts,
-      homeDrives: results.homeDrives,
-      awayDrives: results.awayDrives,
-      totalGameDrives: results.totalGameDrives,
-      driveDifferential: results.driveDifferential,
-      turnoverSwing: results.turnoverSwing,
-      gamePaceAdj: results.gamePaceAdj,
-      matchupDetails: results.matchupDetails,
-      gameScriptAdj: results.gameScriptAdj,
-      outdoorPenalty: results.outdoorPenalty,
-      
-      overUnder: {
-        line: settings.overUnderLine,
-        overPct: (overCount / n) * 100,
-        underPct: (underCount / n) * 100,
-        pushPct: (pushCount / n) * 100,
-      },
-      
-      homeTeamOverUnder: {
-        line: settings.homeTeamTotal,
-        overPct: (homeOverCount / n) * 100,
-        underPct: (homeUnderCount / n) * 100,
-        pushPct: (homePushCount / n) * 100,
-      },
-      
-      awayTeamOverUnder: {
-        line: settings.awayTeamTotal,
-        overPct: (awayOverCount / n) * 100,
-        underPct: (awayUnderCount / n) * 100,
-        pushPct: (awayPushCount / n) * 100,
-      },
-      
-      moneyline: {
-        homeWinPct: (homeWinCount / n) * 100,
-        awayWinPct: (awayWinCount / n) * 100,
-        homeFairOdds: toAmericanOdds(homeWinCount / n),
-        awayFairOdds: toAmericanOdds(awayWinCount / n),
-      },
-      
-      spread: {
-        line: spreadLine,
-        homeCoverPct: (homeCoverCount / n) * 100,
-        awayCoverPct: (awayCoverCount / n) * 100,
-        pushPct: (spreadPushCount / n) * 100,
-        altLines: altLinesAnalysis,
-      },
-      
-      homeProjection: {
-        mean: homeScores.reduce((a, b) => a + b, 0) / n,
-        median: percentile(homeScores, 50),
-        p10: percentile(homeScores, 10),
-        p90: percentile(homeScores, 90),
-      },
-      
-      awayProjection: {
-        mean: awayScores.reduce((a, b) => a + b, 0) / n,
-        median: percentile(awayScores, 50),
-        p10: percentile(awayScores, 10),
-        p90: percentile(awayScores, 90),
-      },
-      
-      totalProjection: {
-        mean: totalMean,
-        median: percentile(totals, 50),
-        p10: percentile(totals, 10),
-        p90: percentile(totals, 90),
-      },
-      
-      marginProjection: {
-        mean: margins.reduce((a, b) => a + b, 0) / n,
-        median: percentile(margins, 50),
-        p10: percentile(margins, 10),
-        p90: percentile(margins, 90),
-      },
-    };
-  }
+    setIsSimulating(false);
+  };
 
   // ============================================
   // BATCH PROCESSING
   // ============================================
   
-  function parseGamesCSV(csvText) {
-    let cleanedText = csvText;
-    if (cleanedText.charCodeAt(0) === 0xFEFF) {
-      cleanedText = cleanedText.slice(1);
-    }
-    
-    cleanedText = cleanedText.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-    
-    const lines = cleanedText.trim().split('\n').filter(line => line.trim() !== '');
-    if (lines.length < 2) {
-      throw new Error("Games CSV appears to be empty or invalid");
-    }
-
-    const rawHeaders = parseCSVLine(lines[0]);
-    const headers = rawHeaders.map(h => h.toLowerCase().trim().replace(/[^a-z0-9]/g, ''));
-    
-    console.log("Games CSV Headers:", headers);
-
-    const games = [];
-
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      const values = parseCSVLine(line);
-      if (values.length < 2) continue;
-
-      const row = {};
-      headers.forEach((header, index) => {
-        if (index < values.length) {
-          row[header] = values[index].trim();
-        }
-      });
-
-      const homeTeamName = row.home || row.hometeam || '';
-      const awayTeamName = row.away || row.awayteam || '';
-      
-      if (!homeTeamName || !awayTeamName) continue;
-
-      const homeTeam = teams.find(t => 
-        t.Team.toLowerCase().includes(homeTeamName.toLowerCase()) ||
-        homeTeamName.toLowerCase().includes(t.Team.toLowerCase())
-      );
-      const awayTeam = teams.find(t => 
-        t.Team.toLowerCase().includes(awayTeamName.toLowerCase()) ||
-        awayTeamName.toLowerCase().includes(t.Team.toLowerCase())
-      );
-
-      if (!homeTeam || !awayTeam) {
-        console.warn(`Could not find teams: ${homeTeamName} vs ${awayTeamName}`);
-        continue;
-      }
-
-      const isDome = ['y', 'yes', '1', 'true'].includes((row.dome || '').toLowerCase());
-      const total = parseFloat(row.total || row.ou || row.overunder) || 44.5;
-      const spread = parseFloat(row.spread || row.line) || -3;
-      const homeTotal = parseFloat(row.hometotal || row.homett) || (total / 2 - spread / 2);
-      const awayTotal = parseFloat(row.awaytotal || row.awaytt) || (total / 2 + spread / 2);
-
-      games.push({
-        homeTeam,
-        awayTeam,
-        settings: {
-          overUnderLine: total,
-          homeTeamTotal: homeTotal,
-          awayTeamTotal: awayTotal,
-          spread: spread,
-          spreadLine: spread,
-          numSimulations: 10000,
-          isDome,
-          windMPH: 0,
-          temperature: 70,
-          precipitation: "none",
-          outdoorPenalty: isDome ? 0 : -1.25
-        }
-      });
-    }
-
-    return games;
-  }
-
   const handleBatchUpload = (event) => {
     const file = event.target.files[0];
     if (!file) return;
@@ -1328,7 +296,7 @@ const NFLTotalsSimulator = () => {
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const games = parseGamesCSV(e.target.result);
+        const games = parseGamesCSV(e.target.result, teams);
         setBatchGames(games);
         console.log(`Loaded ${games.length} games for batch processing`);
       } catch (error) {
@@ -1338,6 +306,35 @@ const NFLTotalsSimulator = () => {
     reader.readAsText(file);
   };
 
+  const handlePersonnelUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const rows = parsePersonnelCSV(e.target.result, teams);
+        setPersonnelRows(rows);
+        console.log(`Loaded ${rows.length} personnel adjustments`);
+      } catch (error) {
+        alert(`Error parsing personnel CSV: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const homeStadium = findStadium(stadiums, selectedHomeTeam?.Team);
+  const awayStadium = findStadium(stadiums, selectedAwayTeam?.Team);
+
+  // Personnel rows attach to games by team and week
+  const scheduledGames = batchGames.map(game => ({
+    ...game,
+    settings: {
+      ...game.settings,
+      personnel: personnelForGame(personnelRows, game.homeTeam.Team, game.awayTeam.Team, game.week)
+    }
+  }));
+
   const runBatchSimulation = async () => {
     if (batchGames.length === 0) {
       alert("Please upload a games CSV first");
@@ -1346,29 +343,57 @@ const NFLTotalsSimulator = () => {
 
     setIsBatchSimulating(true);
     setBatchProgress(0);
+    setBatchCompleted(0);
     setBatchResults([]);
-
-    const results = [];
-    
-    for (let i = 0; i < batchGames.length; i++) {
-      const game = batchGames[i];
-      try {
-        const result = simulateGame(game.homeTeam, game.awayTeam, game.settings);
-        results.push({
-          ...result,
-          settings: game.settings
-        });
-      } catch (error) {
-        console.error(`Error simulating ${game.homeTeam.Team} vs ${game.awayTeam.Team}:`, error);
+    setBacktestReport(null);
+
+    // One seed per run; each game gets a seed derived from it and its slate position
+    const runSeed = resolveSeed(batchSeed);
+    setBatchRunSeed(runSeed);
+
+    const jobs = scheduledGames.map((game, i) => ({
+      homeTeam: game.homeTeam,
+      awayTeam: game.awayTeam,
+      settings: { ...game.settings, seed: deriveSeed(runSeed, i), model: batchModel, keyNumbers: batchKeyNumbers },
+      params
+    }));
+
+    const run = runSimulationJobs(jobs, {
+      onProgress: ({ fraction, completed }) => {
+        setBatchProgress(fraction * 100);
+        setBatchCompleted(completed);
       }
-      setBatchProgress(((i + 1) / batchGames.length) * 100);
-      await new Promise(resolve => setTimeout(resolve, 10));
+    });
+    batchRunRef.current = run;
+
+    const { results, errors, cancelled } = await run.done;
+    batchRunRef.current = null;
+
+    errors.forEach(({ id, message }) => {
+      const game = batchGames[id];
+      console.error(`Error simulating ${game.homeTeam.Team} vs ${game.awayTeam.Team}:`, message);
+    });
+    if (cancelled) {
+      console.log(`Batch cancelled after ${results.filter(Boolean).length}/${jobs.length} games`);
     }
 
-    setBatchResults(results);
+    // Finished games keep their slate order; cancelled or failed games are dropped
+    setBatchResults(
+      results
+        .map((result, i) => result && { ...result, settings: jobs[i].settings, final: batchGames[i].final })
+        .filter(Boolean)
+    );
     setIsBatchSimulating(false);
   };
 
+  const runBatchBacktest = () => {
+    setBacktestReport(runBacktest(batchResults, calibration));
+  };
+
+  const cancelBatchSimulation = () => {
+    if (batchRunRef.current) batchRunRef.current.cancel();
+  };
+
   // ============================================
   // UI RENDER
   // ============================================
@@ -1377,38 +402,63 @@ const NFLTotalsSimulator = () => {
   const exportBatchResults = () => {
     if (batchResults.length === 0) return;
 
+    // Period lines (1H/2H/1Q) only get columns when some game in the CSV carried them
+    const periodKeys = PERIOD_MARKETS.map(m => m.key)
+      .filter(key => batchResults.some(r => evaluatePeriodResults(r).some(e => e.key === key)));
+    const periodHeaders = periodKeys.flatMap(key => [
+      `${key} Spread`, `${key} Spread Signal`, `${key} Spread %`, `${key} Spread Price`, `${key} Spread EV`, `${key} Spread Approved`,
+      `${key} Total`, `${key} Total Signal`, `${key} Total %`, `${key} Total Price`, `${key} Total EV`, `${key} Total Approved`
+    ]);
+    const evalCells = (e, line) => (e
+      ? [line, e.signal, e.rawProb.toFixed(1) + '%', formatAmericanOdds(e.price), e.ev.toFixed(3), e.approved ? 'YES' : 'NO']
+      : ['', '', '', '', '', '']);
+
     const headers = [
-      'Home', 'Away', 'Dome',
+      'Home', 'Away', 'Venue', 'Dome', 'Roof', 'Surface', 'Altitude', 'Venue Adj', 'Wind', 'Temp', 'Precip', 'Weather Adj', 'Neutral', 'HFA Applied', 'HFA Source', 'Home Schedule Adj', 'Away Schedule Adj', 'Schedule Items', 'Personnel',
       'Home Proj', 'Away Proj', 'Total Proj', 'Proj Margin',
-      'Market Total', 'Total Edge', 'Total Signal', 'Total %', 'Total Approved', 'Total Bucket', 'Total Tier',
-      'Spread', 'Spread Signal', 'Spread %', 'Side Type', 'Spread Approved', 'Spread Bucket', 'Spread Tier',
-      'Home Win %', 'Away Win %'
+      'Market Total', 'Total Edge', 'Total Signal', 'Total %', 'Total Cal %', 'Total Price', 'Total EV', 'Total Kelly Stake', 'Total Approved', 'Total Bucket', 'Total Tier',
+      'Spread', 'Spread Signal', 'Spread %', 'Spread Cal %', 'Spread Price', 'Spread EV', 'Spread Kelly Stake', 'Side Type', 'Spread Approved', 'Spread Bucket', 'Spread Tier',
+      'Home Win %', 'Away Win %',
+      ...periodHeaders,
+      'Run Seed', 'Game Seed', 'Model', 'Preset', 'Sigma Margin', 'Sigma Total', 'Sigma Source',
+      'Final Home', 'Final Away', 'Spread Result', 'Total Result'
     ];
 
     const rows = batchResults.map(r => {
       const totalProj = r.totalProjection.mean;
       const totalEdge = totalProj - r.overUnder.line;
       
-      const totalsEval = evaluateTotalsBet(
-        r.overUnder.overPct,
-        r.overUnder.underPct,
-        totalProj,
-        r.overUnder.line,
-        Math.abs(r.spread.line),
-        r.settings?.isDome || false
-      );
-      
-      const spreadEval = evaluateSpreadBet(
-        r.spread.homeCoverPct,
-        r.spread.awayCoverPct,
-        r.marginProjection.mean,
-        r.spread.line
-      );
+      const { totalsEval, spreadEval } = evaluateResult(r, calibration, batchKellyFraction);
+      const periodEvals = evaluatePeriodResults(r, batchKellyFraction);
+      const periodCells = periodKeys.flatMap(key => {
+        const e = periodEvals.find(pe => pe.key === key);
+        const period = r.periods.find(pr => pr.key === key);
+        return [
+          ...evalCells(e?.spreadEval, period.spread.line),
+          ...evalCells(e?.totalsEval, period.overUnder.line)
+        ];
+      });
 
       return [
         r.homeTeam,
         r.awayTeam,
-        r.settings?.isDome ? 'Y' : 'N',
+        r.venue.name || '',
+        r.venue.isDome ? 'Y' : 'N',
+        r.venue.roof,
+        r.venue.surface || '',
+        r.venue.altitudeFt,
+        `${fmtPts(r.venueAdjustment.home)}/${fmtPts(r.venueAdjustment.away)}`,
+        r.settings?.windMPH ?? '',
+        r.settings?.temperature ?? '',
+        r.settings?.precipitation || '',
+        r.weatherAdjustment.toFixed(2),
+        r.settings?.neutralSite ? 'Y' : 'N',
+        r.homeField.total.toFixed(2),
+        r.homeField.source,
+        r.scheduleAdjustment.home.toFixed(2),
+        r.scheduleAdjustment.away.toFixed(2),
+        r.scheduleAdjustment.items.map(item => `${item.label} ${fmtPts(item.home)}/${fmtPts(item.away)}`).join('; '),
+        [...r.matchupDetails.personnel.home.map(adj => `${r.homeTeam} ${adj.label}`), ...r.matchupDetails.personnel.away.map(adj => `${r.awayTeam} ${adj.label}`)].join('; '),
         r.homeProjection.mean.toFixed(1),
         r.awayProjection.mean.toFixed(1),
         totalProj.toFixed(1),
@@ -1417,18 +467,38 @@ const NFLTotalsSimulator = () => {
         (totalEdge >= 0 ? '+' : '') + totalEdge.toFixed(1),
         totalsEval.signal,
         totalsEval.rawProb.toFixed(1) + '%',
+        totalsEval.calibratedProb.toFixed(1) + '%',
+        formatAmericanOdds(totalsEval.price),
+        totalsEval.ev.toFixed(3),
+        (totalsEval.stake * 100).toFixed(2) + '%',
         totalsEval.approved ? 'YES' : 'NO',
         totalsEval.bucket,
         totalsEval.tier > 0 ? `Tier ${totalsEval.tier}` : '-',
         (r.spread.line > 0 ? '+' : '') + r.spread.line,
         spreadEval.signal,
         spreadEval.rawProb.toFixed(1) + '%',
+        spreadEval.calibratedProb.toFixed(1) + '%',
+        formatAmericanOdds(spreadEval.price),
+        spreadEval.ev.toFixed(3),
+        (spreadEval.stake * 100).toFixed(2) + '%',
         spreadEval.sideType,
         spreadEval.approved ? 'YES' : 'NO',
         spreadEval.bucket,
         spreadEval.tier > 0 ? `Tier ${spreadEval.tier}` : '-',
         r.moneyline.homeWinPct.toFixed(1) + '%',
-        r.moneyline.awayWinPct.toFixed(1) + '%'
+        r.moneyline.awayWinPct.toFixed(1) + '%',
+        ...periodCells,
+        batchRunSeed,
+        r.seed,
+        r.model,
+        r.preset,
+        r.sigma ? r.sigma.margin.toFixed(2) : '',
+        r.sigma ? r.sigma.total.toFixed(2) : '',
+        r.sigma ? r.sigma.source : '',
+        r.final ? r.final.home : '',
+        r.final ? r.final.away : '',
+        r.final ? gradeSpreadBet(spreadEval.signal, r.spread.line, r.final) : '',
+        r.final ? gradeTotalsBet(totalsEval.signal, r.overUnder.line, r.final) : ''
       ];
     });
 
@@ -1442,6 +512,13 @@ const NFLTotalsSimulator = () => {
     URL.revokeObjectURL(url);
   };
 
+  // EV / Kelly for every priced side of the single-game result
+  const valueSides = simulationResults
+    ? priceResultMarkets(simulationResults, simulationResults.settings?.prices, simulationResults.settings?.kellyFraction)
+    : [];
+  const batchHasPeriodLines = batchResults.some(r => evaluatePeriodResults(r).length > 0);
+  const evLabel = (side) => (side && side.ev > 0 ? `✓ +EV ${(side.ev * 100).toFixed(1)}% @ ${formatAmericanOdds(side.price)}` : '');
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 text-white p-8">
       <div className="max-w-7xl mx-auto">
@@ -1497,7 +574,7 @@ const NFLTotalsSimulator = () => {
           </p>
           <div className="flex justify-center gap-3 text-xs text-slate-300">
             <span className="bg-green-600/30 px-3 py-1 rounded-full border border-green-500">● Sigma: Calibrated</span>
-            <span className="bg-blue-600/30 px-3 py-1 rounded-full border border-blue-500">● HFA: 1.5</span>
+            <span className="bg-blue-600/30 px-3 py-1 rounded-full border border-blue-500">● HFA: {params.HOME_FIELD_ADV}{hfaTable ? ' + team table' : ''}</span>
             <span className="bg-purple-600/30 px-3 py-1 rounded-full border border-purple-500">● Buckets: Simplified</span>
             <span className="bg-yellow-600/30 px-3 py-1 rounded-full border border-yellow-500">● TO Penalty: -0.10</span>
           </div>
@@ -1524,6 +601,7 @@ const NFLTotalsSimulator = () => {
                 <div className="text-blue-400">✓ Offensive Seconds/Snap</div>
                 <div className="text-blue-400">✓ Offensive Plays/Drive</div>
                 <div className="text-purple-400">✓ All Defensive equivalents</div>
+                <div className="text-slate-400">Optional: HFA (team home field pts)</div>
               </div>
             </div>
 
@@ -1557,27 +635,50 @@ const NFLTotalsSimulator = () => {
           </div>
         ) : (
           <>
+            <ParameterPanel preset={modelPreset} onChange={setModelPreset} />
+            <StadiumPanel stadiums={stadiums} onChange={setStadiums} />
+
             {/* Mode Toggle */}
             <div className="flex justify-center gap-4 mb-6">
               <button
-                onClick={() => setShowBatchMode(false)}
+                onClick={() => { setShowBatchMode(false); setLeagueView(null); }}
                 className={`px-6 py-2 rounded-lg font-semibold transition-colors ${
-                  !showBatchMode ? 'bg-orange-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                  !showBatchMode && !leagueView ? 'bg-orange-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
                 }`}
               >
                 Single Game
               </button>
               <button
-                onClick={() => setShowBatchMode(true)}
+                onClick={() => { setShowBatchMode(true); setLeagueView(null); }}
                 className={`px-6 py-2 rounded-lg font-semibold transition-colors ${
-                  showBatchMode ? 'bg-orange-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                  showBatchMode && !leagueView ? 'bg-orange-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
                 }`}
               >
                 Batch Mode
               </button>
+              <button
+                onClick={() => setLeagueView('bracket')}
+                className={`px-6 py-2 rounded-lg font-semibold transition-colors ${
+                  leagueView === 'bracket' ? 'bg-orange-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                }`}
+              >
+                Playoff Bracket
+              </button>
+              <button
+                onClick={() => setLeagueView('ratings')}
+                className={`px-6 py-2 rounded-lg font-semibold transition-colors ${
+                  leagueView === 'ratings' ? 'bg-orange-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                }`}
+              >
+                Power Ratings
+              </button>
             </div>
 
-            {showBatchMode ? (
+            {leagueView === 'bracket' ? (
+              <PlayoffBracketPanel teams={teams} baseParams={params} />
+            ) : leagueView === 'ratings' ? (
+              <PowerRatingsPanel teams={teams} baseParams={params} />
+            ) : showBatchMode ? (
               // Batch Mode UI
               <div className="bg-slate-800 p-6 rounded-lg border border-slate-700">
                 <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
@@ -1594,8 +695,44 @@ const NFLTotalsSimulator = () => {
                     className="block w-full text-sm text-slate-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-orange-600 file:text-white hover:file:bg-orange-700"
                   />
                   <p className="text-xs text-slate-400 mt-1">
-                    Required columns: home, away, spread, total, dome (Y/N)
+                    Required columns: home, away, spread, total. Optional dome (Y/N) sets retractable roofs open/closed and covers teams missing from the stadium registry
+                  </p>
+                  <p className="text-xs text-slate-400">
+                    Optional for backtesting: home_score, away_score, date, week
+                  </p>
+                  <p className="text-xs text-slate-400">
+                    Optional weather: roof (outdoor/dome/retractable closed/retractable open, blank = stadium registry), wind_mph, temp, precip (none/rain/heavy rain/snow)
                   </p>
+                  <p className="text-xs text-slate-400">
+                    Optional home field: neutral (Y/N), crowd_pct (0-100), away_travel_miles
+                  </p>
+                  <p className="text-xs text-slate-400">
+                    Optional schedule spot: home_rest_days, away_rest_days, home_bye, away_bye (Y/N), day (thu/mon/sat),
+                    home_tz_shift, away_tz_shift, divisional (Y/N)
+                  </p>
+                  <p className="text-xs text-slate-400">
+                    Optional American prices (default -110): home_spread_odds, away_spread_odds, over_odds, under_odds,
+                    home_tt_over_odds, home_tt_under_odds, away_tt_over_odds, away_tt_under_odds, home_ml, away_ml
+                  </p>
+                </div>
+
+                <div className="mb-4">
+                  <label className="block text-sm font-medium mb-2">Injuries & Personnel CSV (optional)</label>
+                  <input
+                    type="file"
+                    accept=".csv"
+                    onChange={handlePersonnelUpload}
+                    className="block w-full text-sm text-slate-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-slate-600 file:text-white hover:file:bg-slate-500"
+                  />
+                  <p className="text-xs text-slate-400 mt-1">
+                    Columns: team, week (blank = every game), preset ({PERSONNEL_PRESETS.map(p => p.key).join(', ')}) or side, unit (points/ppd/cer), value; optional note
+                  </p>
+                  {personnelRows.length > 0 && (
+                    <p className="text-green-400 text-sm">
+                      ✓ {personnelRows.length} adjustments loaded
+                      <button onClick={() => setPersonnelRows([])} className="ml-3 text-xs text-slate-300 underline">Clear</button>
+                    </p>
+                  )}
                 </div>
 
                 {batchGames.length > 0 && (
@@ -1604,6 +741,52 @@ const NFLTotalsSimulator = () => {
                   </div>
                 )}
 
+                <div className="grid grid-cols-2 gap-4 mb-4 max-w-md">
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Run Seed (blank = random)</label>
+                    <input
+                      type="number"
+                      value={batchSeed}
+                      onChange={(e) => setBatchSeed(e.target.value)}
+                      className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Scoring Model</label>
+                    <select
+                      value={batchModel}
+                      onChange={(e) => setBatchModel(e.target.value)}
+                      className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                    >
+                      <option value="gaussian">Gaussian</option>
+                      <option value="drive">Drive-by-Drive</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Key-Number Weighting</label>
+                    <select
+                      value={batchKeyNumbers ? 'on' : 'off'}
+                      onChange={(e) => setBatchKeyNumbers(e.target.value === 'on')}
+                      className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                    >
+                      <option value="on">On</option>
+                      <option value="off">Off</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Kelly Fraction</label>
+                    <input
+                      type="number"
+                      step="0.05"
+                      min="0"
+                      max="1"
+                      value={batchKellyFraction}
+                      onChange={(e) => setBatchKellyFraction(parseFloat(e.target.value) || 0)}
+                      className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                    />
+                  </div>
+                </div>
+
                 <div className="flex gap-4">
                   <button
                     onClick={runBatchSimulation}
@@ -1611,8 +794,20 @@ const NFLTotalsSimulator = () => {
                     className="px-6 py-3 bg-green-600 hover:bg-green-700 disabled:bg-slate-600 rounded-lg font-semibold flex items-center gap-2"
                   >
                     <Play className="w-5 h-5" />
-                    {isBatchSimulating ? `Simulating... ${batchProgress.toFixed(0)}%` : 'Run Batch Simulation'}
+                    {isBatchSimulating
+                      ? `Simulating... ${batchProgress.toFixed(0)}% (${batchCompleted}/${batchGames.length} games)`
+                      : 'Run Batch Simulation'}
                   </button>
+
+                  {isBatchSimulating && (
+                    <button
+                      onClick={cancelBatchSimulation}
+                      className="px-6 py-3 bg-red-600 hover:bg-red-700 rounded-lg font-semibold flex items-center gap-2"
+                    >
+                      <XCircle className="w-5 h-5" />
+                      Cancel
+                    </button>
+                  )}
                   
                   {batchResults.length > 0 && (
                     <button
@@ -1622,10 +817,20 @@ const NFLTotalsSimulator = () => {
                       Export CSV
                     </button>
                   )}
+
+                  {!isBatchSimulating && batchResults.some(r => r.final) && (
+                    <button
+                      onClick={runBatchBacktest}
+                      className="px-6 py-3 bg-purple-600 hover:bg-purple-700 rounded-lg font-semibold"
+                    >
+                      Run Backtest
+                    </button>
+                  )}
                 </div>
 
                 {batchResults.length > 0 && (
                   <div className="mt-6 overflow-x-auto">
+                    <p className="text-xs text-slate-400 mb-2">Run seed: {batchRunSeed} | Preset: {batchResults[0].preset}</p>
                     <table className="w-full text-sm">
                       <thead>
                         <tr className="border-b border-slate-600">
@@ -1635,36 +840,48 @@ const NFLTotalsSimulator = () => {
                           <th className="text-center p-2">Total Signal</th>
                           <th className="text-center p-2">Spread</th>
                           <th className="text-center p-2">Spread Signal</th>
+                          <th className="text-center p-2">HFA</th>
+                          <th className="text-center p-2">σ M / T</th>
+                          {batchHasPeriodLines && (
+                            <th className="text-center p-2">Period Lines</th>
+                          )}
                         </tr>
                       </thead>
                       <tbody>
                         {batchResults.map((r, idx) => {
-                          const totalsEval = evaluateTotalsBet(
-                            r.overUnder.overPct,
-                            r.overUnder.underPct,
-                            r.totalProjection.mean,
-                            r.overUnder.line,
-                            Math.abs(r.spread.line),
-                            r.settings?.isDome || false
-                          );
-                          const spreadEval = evaluateSpreadBet(
-                            r.spread.homeCoverPct,
-                            r.spread.awayCoverPct,
-                            r.marginProjection.mean,
-                            r.spread.line
-                          );
+                          const { totalsEval, spreadEval } = evaluateResult(r, calibration, batchKellyFraction);
                           return (
                             <tr key={idx} className="border-b border-slate-700">
                               <td className="p-2">{r.awayTeam} @ {r.homeTeam}</td>
                               <td className="text-center p-2">{r.totalProjection.mean.toFixed(1)}</td>
                               <td className="text-center p-2">{r.overUnder.line}</td>
                               <td className={`text-center p-2 ${totalsEval.approved ? 'text-green-400' : 'text-slate-400'}`}>
-                                {totalsEval.signal} {totalsEval.rawProb.toFixed(0)}%
+                                {totalsEval.signal} {totalsEval.calibratedProb.toFixed(0)}% @ {formatAmericanOdds(totalsEval.price)}
+                                <div className="text-xs">EV {(totalsEval.ev * 100).toFixed(1)}% | Stake {(totalsEval.stake * 100).toFixed(1)}%</div>
                               </td>
                               <td className="text-center p-2">{r.spread.line}</td>
                               <td className={`text-center p-2 ${spreadEval.approved ? 'text-green-400' : 'text-slate-400'}`}>
-                                {spreadEval.signal} ({spreadEval.sideType}) {spreadEval.rawProb.toFixed(0)}%
+                                {spreadEval.signal} ({spreadEval.sideType}) {spreadEval.calibratedProb.toFixed(0)}% @ {formatAmericanOdds(spreadEval.price)}
+                                <div className="text-xs">EV {(spreadEval.ev * 100).toFixed(1)}% | Stake {(spreadEval.stake * 100).toFixed(1)}%</div>
+                              </td>
+                              <td className="text-center p-2 text-slate-400">
+                                {r.homeField.total.toFixed(1)}
+                                <div className="text-xs">{r.homeField.source}</div>
                               </td>
+                              <td className="text-center p-2 text-slate-400">
+                                {r.sigma ? `${r.sigma.margin.toFixed(1)} / ${r.sigma.total.toFixed(1)}` : '-'}
+                              </td>
+                              {batchHasPeriodLines && (
+                                <td className="text-center p-2 text-xs">
+                                  {evaluatePeriodResults(r, batchKellyFraction).flatMap(pe => [pe.spreadEval, pe.totalsEval]
+                                    .filter(Boolean)
+                                    .map(e => (
+                                      <div key={`${pe.key}-${e.signal}`} className={e.approved ? 'text-green-400' : 'text-slate-400'}>
+                                        {pe.key} {e.signal} {e.rawProb.toFixed(0)}% EV {(e.ev * 100).toFixed(1)}%
+                                      </div>
+                                    )))}
+                                </td>
+                              )}
                             </tr>
                           );
                         })}
@@ -1672,6 +889,42 @@ const NFLTotalsSimulator = () => {
                     </table>
                   </div>
                 )}
+
+                {batchResults.length > 0 && !isBatchSimulating && (
+                  <PortfolioPanel results={batchResults} calibration={calibration} runSeed={batchRunSeed} />
+                )}
+
+                {batchResults.length > 1 && !isBatchSimulating && (
+                  <TeaserPanel results={batchResults} />
+                )}
+
+                {backtestReport && <BacktestReport report={backtestReport} />}
+
+                <CalibrationPanel
+                  calibration={calibration}
+                  onChange={setCalibration}
+                  backtestReport={backtestReport}
+                />
+
+                <HomeFieldPanel
+                  table={hfaTable}
+                  onChange={setHfaTable}
+                  results={batchResults}
+                />
+
+                <VarianceModelPanel
+                  model={varianceModel}
+                  onChange={setVarianceModel}
+                  results={batchResults}
+                />
+
+                {batchGames.some(g => g.final) && (
+                  <OptimizerPanel games={scheduledGames} baseParams={params} onApplyPreset={setModelPreset} />
+                )}
+
+                {batchGames.length > 0 && (
+                  <SeasonPanel games={scheduledGames} baseParams={params} />
+                )}
               </div>
             ) : (
               // Single Game UI
@@ -1735,25 +988,298 @@ const NFLTotalsSimulator = () => {
                         />
                       </div>
                       <div>
-                        <label className="block text-sm font-medium mb-2">Dome?</label>
+                        <label className="block text-sm font-medium mb-2">{selectedHomeTeam?.Team || 'Home'} Team Total</label>
+                        <input
+                          type="number"
+                          step="0.5"
+                          value={gameSettings.homeTeamTotal}
+                          onChange={(e) => setGameSettings({...gameSettings, homeTeamTotal: parseFloat(e.target.value)})}
+                          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">{selectedAwayTeam?.Team || 'Away'} Team Total</label>
+                        <input
+                          type="number"
+                          step="0.5"
+                          value={gameSettings.awayTeamTotal}
+                          onChange={(e) => setGameSettings({...gameSettings, awayTeamTotal: parseFloat(e.target.value)})}
+                          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                        />
+                      </div>
+                      <PeriodLineInputs
+                        value={gameSettings.periodLines}
+                        onChange={(periodLines) => setGameSettings({...gameSettings, periodLines})}
+                      />
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Roof</label>
                         <select
-                          value={gameSettings.isDome ? 'yes' : 'no'}
-                          onChange={(e) => setGameSettings({...gameSettings, isDome: e.target.value === 'yes'})}
+                          value={gameSettings.roof}
+                          onChange={(e) => setGameSettings({...gameSettings, roof: e.target.value, isDome: roofIsClosed(e.target.value)})}
+                          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                        >
+                          <option value="">Auto (stadium)</option>
+                          <option value="outdoor">Outdoor</option>
+                          <option value="dome">Dome</option>
+                          <option value="retractable-closed">Retractable (closed)</option>
+                          <option value="retractable-open">Retractable (open)</option>
+                        </select>
+                        {homeStadium && !gameSettings.neutralSite && (
+                          <p className="text-xs text-slate-400 mt-1">
+                            {homeStadium.name}: {homeStadium.roof}, {homeStadium.surface}, {homeStadium.altitudeFt} ft
+                            {homeStadium.roof !== 'retractable' && gameSettings.roof && ' (stadium roof wins)'}
+                          </p>
+                        )}
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Neutral Site?</label>
+                        <select
+                          value={gameSettings.neutralSite ? 'yes' : 'no'}
+                          onChange={(e) => setGameSettings({...gameSettings, neutralSite: e.target.value === 'yes'})}
                           className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
                         >
                           <option value="no">No</option>
                           <option value="yes">Yes</option>
                         </select>
                       </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Crowd (% capacity)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={gameSettings.crowdPct}
+                          onChange={(e) => setGameSettings({...gameSettings, crowdPct: parseFloat(e.target.value) || 0})}
+                          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Away Travel (miles)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={gameSettings.awayTravelMiles}
+                          onChange={(e) => setGameSettings({...gameSettings, awayTravelMiles: parseFloat(e.target.value) || 0})}
+                          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                        />
+                        {homeStadium && awayStadium && !gameSettings.neutralSite && (
+                          <button
+                            onClick={() => setGameSettings({...gameSettings, awayTravelMiles: Math.round(stadiumDistanceMiles(awayStadium, homeStadium))})}
+                            className="text-xs text-blue-300 underline mt-1"
+                          >
+                            Use stadium distance ({Math.round(stadiumDistanceMiles(awayStadium, homeStadium))} mi)
+                          </button>
+                        )}
+                      </div>
                       <div>
                         <label className="block text-sm font-medium mb-2">Wind (MPH)</label>
                         <input
                           type="number"
+                          min="0"
                           value={gameSettings.windMPH}
+                          disabled={gameSettings.isDome}
                           onChange={(e) => setGameSettings({...gameSettings, windMPH: parseInt(e.target.value) || 0})}
+                          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2 disabled:opacity-50"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Temperature (°F)</label>
+                        <input
+                          type="number"
+                          value={gameSettings.temperature}
+                          disabled={gameSettings.isDome}
+                          onChange={(e) => setGameSettings({...gameSettings, temperature: parseFloat(e.target.value) || 0})}
+                          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2 disabled:opacity-50"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Precipitation</label>
+                        <select
+                          value={gameSettings.precipitation}
+                          disabled={gameSettings.isDome}
+                          onChange={(e) => setGameSettings({...gameSettings, precipitation: e.target.value})}
+                          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2 disabled:opacity-50"
+                        >
+                          <option value="none">None</option>
+                          <option value="light_rain">Light rain</option>
+                          <option value="heavy_rain">Heavy rain</option>
+                          <option value="snow">Snow</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Seed (blank = random)</label>
+                        <input
+                          type="number"
+                          value={gameSettings.seed}
+                          onChange={(e) => setGameSettings({...gameSettings, seed: e.target.value})}
                           className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
                         />
                       </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Scoring Model</label>
+                        <select
+                          value={gameSettings.model}
+                          onChange={(e) => setGameSettings({...gameSettings, model: e.target.value})}
+                          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                        >
+                          <option value="gaussian">Gaussian</option>
+                          <option value="drive">Drive-by-Drive</option>
+                          <option value="compare">Compare Both</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Key-Number Weighting</label>
+                        <select
+                          value={gameSettings.keyNumbers ? 'on' : 'off'}
+                          onChange={(e) => setGameSettings({...gameSettings, keyNumbers: e.target.value === 'on'})}
+                          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                        >
+                          <option value="on">On</option>
+                          <option value="off">Off</option>
+                        </select>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+
+                <PersonnelPanel
+                  homeTeam={selectedHomeTeam?.Team}
+                  awayTeam={selectedAwayTeam?.Team}
+                  value={gameSettings.personnel}
+                  onChange={(personnel) => setGameSettings({...gameSettings, personnel})}
+                />
+
+                {/* Schedule Spot */}
+                <div className="bg-slate-800 p-6 rounded-lg border border-slate-700 mb-6">
+                  <h3 className="text-xl font-bold mb-1">Schedule Spot</h3>
+                  <p className="text-xs text-slate-400 mb-4">
+                    Rest, byes, weekday and time-zone shifts per team. Away travel distance is part of home field.
+                  </p>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Home Rest (days)</label>
+                      <input
+                        type="number"
+                        min="3"
+                        value={gameSettings.homeRestDays}
+                        onChange={(e) => setGameSettings({...gameSettings, homeRestDays: parseFloat(e.target.value) || 7})}
+                        className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Away Rest (days)</label>
+                      <input
+                        type="number"
+                        min="3"
+                        value={gameSettings.awayRestDays}
+                        onChange={(e) => setGameSettings({...gameSettings, awayRestDays: parseFloat(e.target.value) || 7})}
+                        className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Home TZ Shift (hrs)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="3"
+                        value={gameSettings.homeTzShift}
+                        onChange={(e) => setGameSettings({...gameSettings, homeTzShift: parseFloat(e.target.value) || 0})}
+                        className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Away TZ Shift (hrs)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="3"
+                        value={gameSettings.awayTzShift}
+                        onChange={(e) => setGameSettings({...gameSettings, awayTzShift: parseFloat(e.target.value) || 0})}
+                        className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Game Day</label>
+                      <select
+                        value={gameSettings.gameDay}
+                        onChange={(e) => setGameSettings({...gameSettings, gameDay: e.target.value})}
+                        className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                      >
+                        <option value="sunday">Sunday</option>
+                        <option value="thursday">Thursday</option>
+                        <option value="monday">Monday</option>
+                        <option value="saturday">Saturday</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Home Off Bye?</label>
+                      <select
+                        value={gameSettings.homeOffBye ? 'yes' : 'no'}
+                        onChange={(e) => setGameSettings({...gameSettings, homeOffBye: e.target.value === 'yes'})}
+                        className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                      >
+                        <option value="no">No</option>
+                        <option value="yes">Yes</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Away Off Bye?</label>
+                      <select
+                        value={gameSettings.awayOffBye ? 'yes' : 'no'}
+                        onChange={(e) => setGameSettings({...gameSettings, awayOffBye: e.target.value === 'yes'})}
+                        className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                      >
+                        <option value="no">No</option>
+                        <option value="yes">Yes</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Divisional?</label>
+                      <select
+                        value={gameSettings.divisional ? 'yes' : 'no'}
+                        onChange={(e) => setGameSettings({...gameSettings, divisional: e.target.value === 'yes'})}
+                        className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                      >
+                        <option value="no">No</option>
+                        <option value="yes">Yes</option>
+                      </select>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Prices & Staking */}
+                <div className="bg-slate-800 p-6 rounded-lg border border-slate-700 mb-6">
+                  <h3 className="text-xl font-bold mb-1">Prices & Staking</h3>
+                  <p className="text-xs text-slate-400 mb-4">
+                    American odds per side (blank moneyline = not priced). Approval is based on expected value at these prices.
+                  </p>
+                  <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+                    {PRICE_FIELDS.map(([key, label]) => (
+                      <div key={key}>
+                        <label className="block text-sm font-medium mb-2">{label}</label>
+                        <input
+                          type="number"
+                          step="5"
+                          value={gameSettings.prices[key] ?? ''}
+                          onChange={(e) => setGameSettings({
+                            ...gameSettings,
+                            prices: { ...gameSettings.prices, [key]: e.target.value === '' ? null : parseFloat(e.target.value) }
+                          })}
+                          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                        />
+                      </div>
+                    ))}
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Kelly Fraction</label>
+                      <input
+                        type="number"
+                        step="0.05"
+                        min="0"
+                        max="1"
+                        value={gameSettings.kellyFraction}
+                        onChange={(e) => setGameSettings({...gameSettings, kellyFraction: parseFloat(e.target.value) || 0})}
+                        className="w-full bg-slate-700 border border-slate-600 rounded-lg p-2"
+                      />
                     </div>
                   </div>
                 </div>
@@ -1766,11 +1292,20 @@ const NFLTotalsSimulator = () => {
                     className="px-8 py-4 bg-gradient-to-r from-orange-600 to-red-600 hover:from-orange-700 hover:to-red-700 disabled:from-slate-600 disabled:to-slate-700 rounded-lg font-bold text-xl shadow-lg flex items-center gap-3 mx-auto"
                   >
                     <Play className="w-6 h-6" />
-                    {isSimulating ? 'SIMULATING...' : 'RUN SIMULATION'}
+                    {isSimulating ? `SIMULATING... ${simProgress.toFixed(0)}%` : 'RUN SIMULATION'}
                   </button>
                 </div>
 
                 {/* Results Display */}
+                {simulationResults && (
+                  <div className="text-center text-xs text-slate-400 mb-2">
+                    Seed: {simulationResults.seed} | Model: {simulationResults.model} | Preset: {simulationResults.preset}
+                    {' '}| Venue: {simulationResults.venue.name || 'unknown'} ({simulationResults.venue.roof}, {simulationResults.venue.roofSource})
+                    {simulationResults.sigma && (
+                      <> | σ margin {simulationResults.sigma.margin.toFixed(2)} | σ total {simulationResults.sigma.total.toFixed(2)} ({simulationResults.sigma.source})</>
+                    )}
+                  </div>
+                )}
                 {simulationResults && (
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                     {/* Over/Under Analysis */}
@@ -1787,7 +1322,7 @@ const NFLTotalsSimulator = () => {
                             {simulationResults.overUnder.overPct.toFixed(1)}%
                           </div>
                           <div className="text-xs text-green-300 mt-1">
-                            {simulationResults.overUnder.overPct > 52.4 ? '✓ +EV vs -110' : ''}
+                            {evLabel(valueSides[2])}
                           </div>
                         </div>
                         <div className="bg-gradient-to-br from-red-600/20 to-red-800/20 p-4 rounded-lg border border-red-600/30">
@@ -1796,7 +1331,7 @@ const NFLTotalsSimulator = () => {
                             {simulationResults.overUnder.underPct.toFixed(1)}%
                           </div>
                           <div className="text-xs text-red-300 mt-1">
-                            {simulationResults.overUnder.underPct > 52.4 ? '✓ +EV vs -110' : ''}
+                            {evLabel(valueSides[3])}
                           </div>
                         </div>
                         <div className="bg-gradient-to-br from-slate-600/20 to-slate-800/20 p-4 rounded-lg border border-slate-600/30">
@@ -1830,7 +1365,7 @@ const NFLTotalsSimulator = () => {
                             {simulationResults.spread.homeCoverPct.toFixed(1)}%
                           </div>
                           <div className="text-xs text-orange-300 mt-1">
-                            {simulationResults.spread.homeCoverPct > 52.4 ? '✓ +EV vs -110' : ''}
+                            {evLabel(valueSides[0])}
                           </div>
                         </div>
                         <div className="bg-gradient-to-br from-purple-600/20 to-purple-800/20 p-4 rounded-lg border border-purple-600/30">
@@ -1841,7 +1376,7 @@ const NFLTotalsSimulator = () => {
                             {simulationResults.spread.awayCoverPct.toFixed(1)}%
                           </div>
                           <div className="text-xs text-purple-300 mt-1">
-                            {simulationResults.spread.awayCoverPct > 52.4 ? '✓ +EV vs -110' : ''}
+                            {evLabel(valueSides[1])}
                           </div>
                         </div>
                         <div className="bg-gradient-to-br from-slate-600/20 to-slate-800/20 p-4 rounded-lg border border-slate-600/30">
@@ -1858,6 +1393,42 @@ const NFLTotalsSimulator = () => {
                       </div>
                     </div>
 
+                    {/* Team Totals */}
+                    {[
+                      { team: simulationResults.homeTeam, ou: simulationResults.homeTeamOverUnder, projection: simulationResults.homeProjection, over: valueSides[4], under: valueSides[5], color: 'text-orange-400' },
+                      { team: simulationResults.awayTeam, ou: simulationResults.awayTeamOverUnder, projection: simulationResults.awayProjection, over: valueSides[6], under: valueSides[7], color: 'text-purple-400' }
+                    ].map(({ team, ou, projection, over, under, color }) => (
+                      <div key={team} className="bg-slate-800 p-6 rounded-lg border border-slate-700">
+                        <h3 className={`text-xl font-bold mb-4 ${color}`}>
+                          {team} Team Total (Line: {ou.line})
+                        </h3>
+                        <div className="grid grid-cols-3 gap-4 mb-4">
+                          <div className="bg-gradient-to-br from-green-600/20 to-green-800/20 p-4 rounded-lg border border-green-600/30">
+                            <div className="text-sm text-green-300 mb-1">Over</div>
+                            <div className="text-2xl font-bold text-green-400">{ou.overPct.toFixed(1)}%</div>
+                            <div className="text-xs text-slate-400 mt-1">Fair: {isFinite(ou.overFairOdds) ? formatAmericanOdds(ou.overFairOdds) : '-'}</div>
+                            <div className="text-xs text-green-300 mt-1">{evLabel(over)}</div>
+                          </div>
+                          <div className="bg-gradient-to-br from-red-600/20 to-red-800/20 p-4 rounded-lg border border-red-600/30">
+                            <div className="text-sm text-red-300 mb-1">Under</div>
+                            <div className="text-2xl font-bold text-red-400">{ou.underPct.toFixed(1)}%</div>
+                            <div className="text-xs text-slate-400 mt-1">Fair: {isFinite(ou.underFairOdds) ? formatAmericanOdds(ou.underFairOdds) : '-'}</div>
+                            <div className="text-xs text-red-300 mt-1">{evLabel(under)}</div>
+                          </div>
+                          <div className="bg-gradient-to-br from-slate-600/20 to-slate-800/20 p-4 rounded-lg border border-slate-600/30">
+                            <div className="text-sm text-slate-300 mb-1">Push</div>
+                            <div className="text-2xl font-bold text-slate-400">{ou.pushPct.toFixed(1)}%</div>
+                          </div>
+                        </div>
+                        <div className="text-center text-slate-400">
+                          Projected: <span className="font-bold text-white">{projection.mean.toFixed(1)}</span>
+                          {' '}| Edge: <span className={projection.mean - ou.line >= 0 ? "text-green-400" : "text-red-400"}>
+                            {projection.mean - ou.line >= 0 ? '+' : ''}{(projection.mean - ou.line).toFixed(1)}
+                          </span>
+                        </div>
+                      </div>
+                    ))}
+
                     {/* Moneyline */}
                     <div className="bg-slate-800 p-6 rounded-lg border border-slate-700">
                       <h3 className="text-xl font-bold mb-4">💰 Moneyline</h3>
@@ -1875,6 +1446,50 @@ const NFLTotalsSimulator = () => {
                       </div>
                     </div>
 
+                    {/* Expected Value & Kelly */}
+                    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700 md:col-span-2">
+                      <h3 className="text-xl font-bold mb-1">📈 Expected Value & Kelly Stakes</h3>
+                      <p className="text-xs text-slate-400 mb-4">
+                        EV per unit risked at the entered price; stake = {simulationResults.settings?.kellyFraction} × full Kelly, as % of bankroll
+                      </p>
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="border-b border-slate-600">
+                            <th className="text-left p-2">Side</th>
+                            <th className="text-center p-2">Win %</th>
+                            <th className="text-center p-2">Push %</th>
+                            <th className="text-center p-2">Price</th>
+                            <th className="text-center p-2">Break-even</th>
+                            <th className="text-center p-2">EV / Unit</th>
+                            <th className="text-center p-2">Stake</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {valueSides.map(side => (
+                            <tr key={side.label} className="border-b border-slate-700">
+                              <td className="p-2">{side.label}</td>
+                              <td className="text-center p-2">{side.winPct.toFixed(1)}%</td>
+                              <td className="text-center p-2">{side.pushPct.toFixed(1)}%</td>
+                              <td className="text-center p-2">{side.price === null ? '-' : formatAmericanOdds(side.price)}</td>
+                              <td className="text-center p-2">{side.breakEven === null ? '-' : `${(side.breakEven * 100).toFixed(1)}%`}</td>
+                              <td className={`text-center p-2 ${side.ev > 0 ? 'text-green-400' : 'text-slate-400'}`}>
+                                {side.ev === null ? '-' : `${side.ev >= 0 ? '+' : ''}${side.ev.toFixed(3)}`}
+                              </td>
+                              <td className="text-center p-2">{side.stake === null ? '-' : `${(side.stake * 100).toFixed(2)}%`}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+
+                    <AltLineLadder results={simulationResults} />
+
+                    <PeriodMarketsPanel results={simulationResults} />
+
+                    <SameGameParlayPanel results={simulationResults} kellyFraction={simulationResults.settings?.kellyFraction} />
+
+                    <ScoreDistributionCharts results={simulationResults} />
+
                     {/* Projected Scores */}
                     <div className="bg-slate-800 p-6 rounded-lg border border-slate-700">
                       <h3 className="text-xl font-bold mb-4">📊 Projected Scores</h3>
@@ -1902,6 +1517,127 @@ const NFLTotalsSimulator = () => {
                         </div>
                       </div>
                     </div>
+
+                    {/* Adjustments Breakdown */}
+                    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700">
+                      <h3 className="text-xl font-bold mb-1">🧾 Adjustments Breakdown</h3>
+                      <p className="text-xs text-slate-400 mb-4">
+                        Points added to each team's expected score before sampling.
+                        HFA applied: {simulationResults.homeField.total.toFixed(2)} ({simulationResults.homeField.source})
+                      </p>
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="border-b border-slate-600">
+                            <th className="text-left p-2">Adjustment</th>
+                            <th className="text-center p-2">{simulationResults.homeTeam}</th>
+                            <th className="text-center p-2">{simulationResults.awayTeam}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {adjustmentRows(simulationResults).map(([label, home, away]) => (
+                            <tr key={label} className="border-b border-slate-700">
+                              <td className="p-2">{label}</td>
+                              <td className="text-center p-2">{fmtPts(home)}</td>
+                              <td className="text-center p-2">{fmtPts(away)}</td>
+                            </tr>
+                          ))}
+                          <tr className="font-semibold">
+                            <td className="p-2">Schedule spot total</td>
+                            <td className="text-center p-2">{fmtPts(simulationResults.scheduleAdjustment.home)}</td>
+                            <td className="text-center p-2">{fmtPts(simulationResults.scheduleAdjustment.away)}</td>
+                          </tr>
+                        </tbody>
+                      </table>
+                    </div>
+
+                    {/* Key Numbers */}
+                    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700 md:col-span-2">
+                      <h3 className="text-xl font-bold mb-1">🔑 Key Numbers</h3>
+                      <p className="text-xs text-slate-400 mb-4">
+                        Chance the game lands exactly on each number = value of the half-point around it
+                        {simulationResults.keyNumberWeighted ? ' (key-number weighted)' : ''}
+                      </p>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="border-b border-slate-600">
+                              <th className="text-left p-2">Margin</th>
+                              <th className="text-center p-2">{simulationResults.homeTeam} by</th>
+                              <th className="text-center p-2">{simulationResults.awayTeam} by</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {simulationResults.keyNumbers.map(k => (
+                              <tr key={k.number} className="border-b border-slate-700">
+                                <td className="p-2">{k.number}</td>
+                                <td className="text-center p-2">{k.homeByPct.toFixed(1)}%</td>
+                                <td className="text-center p-2">{k.awayByPct.toFixed(1)}%</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="border-b border-slate-600">
+                              <th className="text-left p-2">Total</th>
+                              <th className="text-center p-2">Lands Exactly</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {simulationResults.keyTotals.map(k => (
+                              <tr key={k.total} className="border-b border-slate-700">
+                                <td className="p-2">{k.total}</td>
+                                <td className="text-center p-2">{k.pct.toFixed(1)}%</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+
+                    {/* Model Comparison */}
+                    {modelComparison && (
+                      <div className="bg-slate-800 p-6 rounded-lg border border-slate-700 md:col-span-2">
+                        <h3 className="text-xl font-bold mb-4">⚖️ Gaussian vs Drive-by-Drive</h3>
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="border-b border-slate-600">
+                              <th className="text-left p-2">Model</th>
+                              <th className="text-center p-2">Proj Total</th>
+                              <th className="text-center p-2">Proj Margin</th>
+                              <th className="text-center p-2">Over %</th>
+                              <th className="text-center p-2">Total Push %</th>
+                              <th className="text-center p-2">Home Cover %</th>
+                              <th className="text-center p-2">Spread Push %</th>
+                              <th className="text-center p-2">Home Win %</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {modelComparison.map(r => (
+                              <tr key={r.model} className="border-b border-slate-700">
+                                <td className="p-2">{r.model === 'drive' ? 'Drive-by-Drive' : 'Gaussian'}</td>
+                                <td className="text-center p-2">{r.totalProjection.mean.toFixed(1)}</td>
+                                <td className="text-center p-2">{(-r.marginProjection.mean).toFixed(1)}</td>
+                                <td className="text-center p-2">{r.overUnder.overPct.toFixed(1)}%</td>
+                                <td className="text-center p-2">{r.overUnder.pushPct.toFixed(1)}%</td>
+                                <td className="text-center p-2">{r.spread.homeCoverPct.toFixed(1)}%</td>
+                                <td className="text-center p-2">{r.spread.pushPct.toFixed(1)}%</td>
+                                <td className="text-center p-2">{r.moneyline.homeWinPct.toFixed(1)}%</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        {modelComparison[1].driveOutcomes && (
+                          <p className="text-xs text-slate-400 mt-3">
+                            Drive outcomes — {modelComparison[1].homeTeam}: TD {(modelComparison[1].driveOutcomes.home.pTD * 100).toFixed(1)}%,
+                            FG {(modelComparison[1].driveOutcomes.home.pFG * 100).toFixed(1)}%,
+                            TO {(modelComparison[1].driveOutcomes.home.pTO * 100).toFixed(1)}% | {modelComparison[1].awayTeam}: TD {(modelComparison[1].driveOutcomes.away.pTD * 100).toFixed(1)}%,
+                            FG {(modelComparison[1].driveOutcomes.away.pFG * 100).toFixed(1)}%,
+                            TO {(modelComparison[1].driveOutcomes.away.pTO * 100).toFixed(1)}%
+                          </p>
+                        )}
+                      </div>
+                    )}
                   </div>
                 )}
               </>
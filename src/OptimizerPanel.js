@@ -0,0 +1,181 @@
+import React, { useRef, useState } from "react";
+import { candidateToPreset, DEFAULT_OPTIMIZER_OPTIONS, OPTIMIZER_OBJECTIVES, runParameterSearch } from "./engine";
+import { runSimulationJobs } from "./workers/simulationPool";
+
+const fmtScore = (value, objective) => (value === null || value === undefined || isNaN(value)
+  ? '-'
+  : objective === 'roi' ? `${value.toFixed(1)}%` : value.toFixed(4));
+
+/**
+ * Tune HFA, LAMBDA, off_TO and the sigma bounds against the loaded games' final scores
+ */
+const OptimizerPanel = ({ games, baseParams, onApplyPreset }) => {
+  const [options, setOptions] = useState({
+    method: DEFAULT_OPTIMIZER_OPTIONS.method,
+    objective: DEFAULT_OPTIMIZER_OPTIONS.objective,
+    folds: DEFAULT_OPTIMIZER_OPTIONS.folds,
+    maxCandidates: DEFAULT_OPTIMIZER_OPTIONS.maxCandidates,
+    numSimulations: DEFAULT_OPTIMIZER_OPTIONS.numSimulations,
+  });
+  const [report, setReport] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const runRef = useRef(null);
+  const cancelledRef = useRef(false);
+
+  const scoredGames = games.filter(g => g.final).length;
+
+  // Every chunk of candidate × game jobs goes through the worker pool
+  const runGames = async (jobs) => {
+    const run = runSimulationJobs(jobs);
+    runRef.current = run;
+    const { results, errors, cancelled } = await run.done;
+    runRef.current = null;
+    if (cancelled || cancelledRef.current) throw new Error('Optimization cancelled');
+    if (errors.length > 0) throw new Error(errors[0].message);
+    return results;
+  };
+
+  const handleRun = async () => {
+    setError(null);
+    setReport(null);
+    cancelledRef.current = false;
+    setProgress({ evaluated: 0, total: 0 });
+    try {
+      const out = await runParameterSearch(games, baseParams, {
+        ...options,
+        runGames,
+        onProgress: setProgress
+      });
+      setReport(out);
+    } catch (err) {
+      setError(err.message);
+    }
+    setProgress(null);
+  };
+
+  const handleCancel = () => {
+    cancelledRef.current = true;
+    if (runRef.current) runRef.current.cancel();
+  };
+
+  const numberField = (key, label, step = 1) => (
+    <div>
+      <label className="block text-xs font-medium mb-1">{label}</label>
+      <input
+        type="number"
+        step={step}
+        min="1"
+        value={options[key]}
+        onChange={(e) => setOptions({ ...options, [key]: parseInt(e.target.value) || 1 })}
+        className="w-24 bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm"
+      />
+    </div>
+  );
+
+  return (
+    <div className="mt-6 bg-slate-900/60 p-4 rounded-lg border border-slate-700">
+      <h3 className="text-lg font-bold mb-2">Parameter Optimizer</h3>
+      <p className="text-sm text-slate-300 mb-3">
+        Searches HOME_FIELD_ADV, LAMBDA, off_TO and the sigma bounds on {scoredGames} games with final scores.
+        Ranked by time-ordered cross-validation: each fold validates on games played after the ones it trains on.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-xs font-medium mb-1">Search</label>
+          <select
+            value={options.method}
+            onChange={(e) => setOptions({ ...options, method: e.target.value })}
+            className="bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm"
+          >
+            <option value="coordinate">Coordinate</option>
+            <option value="random">Random</option>
+            <option value="grid">Grid</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">Objective</label>
+          <select
+            value={options.objective}
+            onChange={(e) => setOptions({ ...options, objective: e.target.value })}
+            className="bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm"
+          >
+            <option value="logLoss">Minimize log loss</option>
+            <option value="roi">Maximize ROI</option>
+          </select>
+        </div>
+        {numberField('folds', 'CV Folds')}
+        {numberField('maxCandidates', 'Max Candidates')}
+        {numberField('numSimulations', 'Sims / Game', 500)}
+        {progress ? (
+          <button onClick={handleCancel} className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded-lg font-semibold text-sm">
+            Cancel ({progress.evaluated}{progress.total ? `/${progress.total}` : ''} evaluated)
+          </button>
+        ) : (
+          <button
+            onClick={handleRun}
+            disabled={scoredGames === 0}
+            className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 rounded-lg font-semibold text-sm"
+          >
+            Run Optimizer
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+
+      {report && (
+        <div className="mt-4 overflow-x-auto">
+          <p className="text-sm text-slate-300 mb-2">
+            {report.evaluated} parameter sets, {report.folds} folds, {report.games} games.
+            {' '}Baseline {OPTIMIZER_OBJECTIVES[report.objective].label}: {fmtScore(report.baseline?.validScore, report.objective)}
+            {' '}| Walk-forward (choose on train, score next block): {fmtScore(report.walkForwardScore, report.objective)}
+          </p>
+          {report.skipped.length > 0 && (
+            <p className="text-xs text-slate-400 mb-2">
+              Not searched: {report.skipped.map(s => `${s.key} (${s.reason})`).join('; ')}
+            </p>
+          )}
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-600">
+                <th className="text-left p-2">#</th>
+                {report.space.map(dim => <th key={dim.key} className="text-center p-2">{dim.key}</th>)}
+                <th className="text-center p-2">Train</th>
+                <th className="text-center p-2">Validation</th>
+                <th className="text-center p-2">± SD</th>
+                <th className="text-center p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.ranked.slice(0, 20).map(c => (
+                <tr key={c.rank} className={`border-b border-slate-700 ${c.values === report.baseline?.values ? 'text-yellow-300' : ''}`}>
+                  <td className="p-2">{c.rank}</td>
+                  {report.space.map(dim => <td key={dim.key} className="text-center p-2">{c.values[dim.key]}</td>)}
+                  <td className="text-center p-2 text-slate-400">{fmtScore(c.trainScore, report.objective)}</td>
+                  <td className="text-center p-2 font-semibold">{fmtScore(c.validScore, report.objective)}</td>
+                  <td className="text-center p-2 text-slate-400">{fmtScore(c.validSd, report.objective)}</td>
+                  <td className="text-center p-2">
+                    <button
+                      onClick={() => onApplyPreset({
+                        ...candidateToPreset(`Optimizer #${c.rank} (${report.objective}, ${report.method})`, baseParams, c.values),
+                        modified: false
+                      })}
+                      className="px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded text-xs font-semibold"
+                    >
+                      Use
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-slate-400 mt-2">Current parameters highlighted in yellow.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OptimizerPanel;
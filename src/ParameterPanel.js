@@ -0,0 +1,168 @@
+import React, { useEffect, useState } from "react";
+import { Settings } from "lucide-react";
+import { BUILT_IN_PRESETS, createPreset, parsePresetArtifact } from "./engine";
+
+const SECTIONS = [
+  ['Core', ['LAMBDA', 'CER_TO_PPD_SCALE', 'RHO_BASELINE']],
+  ['Home Field', ['HOME_FIELD_ADV', 'homeField']],
+  ['Schedule Spot', ['schedule']],
+  ['Venue', ['venue']],
+  ['CER Weights', ['weights']],
+  ['Pace Coefficients', ['pace']],
+  ['Sigma Bounds', ['sigma']],
+  ['Weather', ['weather']],
+  ['Drive Model', ['drive']],
+  ['Key Numbers', ['keyNumbers']],
+  ['Periods', ['periods']],
+];
+
+/**
+ * [[path, value], ...] for every numeric leaf under a params key
+ */
+const flattenNumeric = (value, path) => {
+  if (typeof value === 'number') return [[path, value]];
+  return Object.entries(value).flatMap(([key, child]) => flattenNumeric(child, [...path, key]));
+};
+
+const setPath = (obj, [key, ...rest], value) => ({
+  ...obj,
+  [key]: rest.length === 0 ? value : setPath(obj[key], rest, value)
+});
+
+/**
+ * Live editor for the model parameters with named presets saved/loaded as JSON
+ */
+const ParameterPanel = ({ preset, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [presets, setPresets] = useState(BUILT_IN_PRESETS);
+  const [name, setName] = useState(preset.name);
+  const [error, setError] = useState(null);
+
+  // Presets applied from elsewhere (e.g. the optimizer) become the save-as name
+  useEffect(() => setName(preset.name), [preset.name]);
+
+  const selectPreset = (preset) => {
+    setName(preset.name);
+    onChange({ ...preset, modified: false });
+  };
+
+  const rememberPreset = (preset) => {
+    setPresets([...presets.filter(p => p.name !== preset.name), preset]);
+  };
+
+  const handleEdit = (path, raw) => {
+    const value = parseFloat(raw);
+    if (isNaN(value)) return;
+    onChange({ ...preset, params: setPath(preset.params, path, value), modified: true });
+  };
+
+  const handleSave = () => {
+    const saved = { ...createPreset(name.trim() || 'Custom', preset.params), modified: false };
+    rememberPreset(saved);
+    onChange(saved);
+    const { modified, ...artifact } = saved;
+    const blob = new Blob([JSON.stringify(artifact, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `gamble-tron-preset-${saved.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleLoad = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setError(null);
+        const loaded = parsePresetArtifact(e.target.result);
+        rememberPreset(loaded);
+        selectPreset(loaded);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="bg-slate-800 p-4 rounded-lg border border-slate-700 mb-6">
+      <div className="flex flex-wrap items-center gap-4">
+        <button
+          onClick={() => setOpen(!open)}
+          className="flex items-center gap-2 font-bold text-lg"
+        >
+          <Settings className="w-5 h-5 text-orange-400" />
+          Model Parameters {open ? '▾' : '▸'}
+        </button>
+        <span className="text-sm text-slate-300">
+          Preset: <span className="font-semibold">{preset.name}</span>
+          {preset.modified && <span className="text-yellow-400"> (modified)</span>}
+        </span>
+      </div>
+
+      {open && (
+        <div className="mt-4">
+          <div className="flex flex-wrap items-end gap-4 mb-4">
+            <div>
+              <label className="block text-xs font-medium mb-1">Preset</label>
+              <select
+                value={presets.some(p => p.name === preset.name) ? preset.name : ''}
+                onChange={(e) => selectPreset(presets.find(p => p.name === e.target.value))}
+                className="bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm"
+              >
+                {!presets.some(p => p.name === preset.name) && <option value="">{preset.name}</option>}
+                {presets.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Save As</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm"
+              />
+            </div>
+            <button onClick={handleSave} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-semibold text-sm">
+              Save JSON
+            </button>
+            <label className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg font-semibold text-sm cursor-pointer">
+              Load JSON
+              <input type="file" accept=".json" className="hidden" onChange={handleLoad} />
+            </label>
+          </div>
+
+          {error && <p className="text-sm text-red-400 mb-2">{error}</p>}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {SECTIONS.map(([title, keys]) => (
+              <div key={title} className="bg-slate-900/60 p-3 rounded-lg border border-slate-700">
+                <h4 className="font-semibold mb-2">{title}</h4>
+                <div className="grid grid-cols-2 gap-2">
+                  {keys.flatMap(key => flattenNumeric(preset.params[key], [key])).map(([path, value]) => (
+                    <label key={path.join('.')} className="text-xs">
+                      <span className="block text-slate-400 mb-1">{path.length > 1 ? path.slice(1).join('.') : path[0]}</span>
+                      <input
+                        type="number"
+                        step="any"
+                        defaultValue={value}
+                        key={`${preset.name}-${value}`}
+                        onBlur={(e) => handleEdit(path, e.target.value)}
+                        className="w-full bg-slate-700 border border-slate-600 rounded p-1 text-sm"
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParameterPanel;
@@ -0,0 +1,116 @@
+import React from "react";
+import { formatAmericanOdds, PERIOD_MARKETS } from "./engine";
+
+const inputClass = "w-full bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm";
+
+const fmtOdds = (odds) => (odds === null || !isFinite(odds) ? '-' : formatAmericanOdds(odds));
+
+/**
+ * 1H / 2H / 1Q line inputs (blank = derived from the full-game lines)
+ */
+export const PeriodLineInputs = ({ value, onChange }) => {
+  const edit = (key, field, raw) => {
+    const parsed = parseFloat(raw);
+    onChange({ ...value, [key]: { ...(value[key] || {}), [field]: isNaN(parsed) ? undefined : parsed } });
+  };
+
+  return (
+    <div className="col-span-2">
+      <label className="block text-sm font-medium mb-2">Period Lines (blank = derived from full game)</label>
+      <div className="grid grid-cols-3 gap-2">
+        {PERIOD_MARKETS.map(({ key }) => (
+          <div key={key} className="grid grid-cols-2 gap-1">
+            <input
+              type="number"
+              step="0.5"
+              placeholder={`${key} spread`}
+              value={value[key]?.spread ?? ''}
+              onChange={(e) => edit(key, 'spread', e.target.value)}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              step="0.5"
+              placeholder={`${key} total`}
+              value={value[key]?.total ?? ''}
+              onChange={(e) => edit(key, 'total', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Period projections with spread, total and moneyline probabilities and fair odds
+ */
+const PeriodMarketsPanel = ({ results }) => {
+  if (!results.periods) return null;
+  const { homeTeam, awayTeam } = results;
+
+  return (
+    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700 md:col-span-2">
+      <h3 className="text-xl font-bold mb-1">⏱️ Period Markets</h3>
+      <p className="text-xs text-slate-400 mb-4">
+        Each simulated score is split into scoring plays and spread across quarters by the Periods profile.
+        Spreads and moneylines split the team scores; totals split the same game total the full-game market uses.
+        Lines marked * were derived from the full-game lines. A tied period pushes the moneyline.
+      </p>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-slate-600">
+            <th className="text-left p-2">Period</th>
+            <th className="text-center p-2">Projection</th>
+            <th className="text-center p-2">{homeTeam} Spread</th>
+            <th className="text-center p-2">{awayTeam} Spread</th>
+            <th className="text-center p-2">Over</th>
+            <th className="text-center p-2">Under</th>
+            <th className="text-center p-2">{homeTeam} ML</th>
+            <th className="text-center p-2">{awayTeam} ML</th>
+            <th className="text-center p-2">Tie</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.periods.map(p => (
+            <tr key={p.key} className="border-b border-slate-700">
+              <td className="p-2 font-semibold">{p.label}</td>
+              <td className="text-center p-2">
+                {p.homeExpectedPts.toFixed(1)} - {p.awayExpectedPts.toFixed(1)}
+                <div className="text-xs text-slate-400">Total {p.expectedTotal.toFixed(1)} | {(p.homeDrives + p.awayDrives).toFixed(1)} drives</div>
+              </td>
+              <td className="text-center p-2">
+                {p.spread.line > 0 ? '+' : ''}{p.spread.line}{p.spread.entered ? '' : '*'}: {p.spread.homeCoverPct.toFixed(1)}%
+                <div className="text-xs text-slate-400">Fair {fmtOdds(p.spread.homeFairOdds)}</div>
+              </td>
+              <td className="text-center p-2">
+                {-p.spread.line > 0 ? '+' : ''}{-p.spread.line}{p.spread.entered ? '' : '*'}: {p.spread.awayCoverPct.toFixed(1)}%
+                <div className="text-xs text-slate-400">Fair {fmtOdds(p.spread.awayFairOdds)}</div>
+              </td>
+              <td className="text-center p-2">
+                {p.overUnder.line}{p.overUnder.entered ? '' : '*'}: {p.overUnder.overPct.toFixed(1)}%
+                <div className="text-xs text-slate-400">Fair {fmtOdds(p.overUnder.overFairOdds)}</div>
+              </td>
+              <td className="text-center p-2">
+                {p.overUnder.underPct.toFixed(1)}%
+                <div className="text-xs text-slate-400">Fair {fmtOdds(p.overUnder.underFairOdds)}</div>
+              </td>
+              <td className="text-center p-2">
+                {p.moneyline.homeWinPct.toFixed(1)}%
+                <div className="text-xs text-slate-400">Fair {fmtOdds(p.moneyline.homeFairOdds)}</div>
+              </td>
+              <td className="text-center p-2">
+                {p.moneyline.awayWinPct.toFixed(1)}%
+                <div className="text-xs text-slate-400">Fair {fmtOdds(p.moneyline.awayFairOdds)}</div>
+              </td>
+              <td className="text-center p-2 text-slate-400">{p.moneyline.tiePct.toFixed(1)}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PeriodMarketsPanel;
@@ -0,0 +1,80 @@
+import React from "react";
+import { XCircle } from "lucide-react";
+import { normalizeAdjustment, PERSONNEL_PRESETS, PERSONNEL_SIDES, PERSONNEL_UNITS } from "./engine";
+
+const inputClass = "bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm";
+
+/**
+ * Single-game injury/personnel adjustments for each team.
+ * `value` is { home: [...], away: [...] } as read by calculateMatchupPPD.
+ */
+const PersonnelPanel = ({ homeTeam, awayTeam, value, onChange }) => {
+  const update = (side, list) => onChange({ ...value, [side]: list });
+
+  const addAdjustment = (side) => update(side, [...value[side], normalizeAdjustment({ preset: PERSONNEL_PRESETS[0].key })]);
+
+  const editAdjustment = (side, index, changes) => update(side, value[side].map((adj, i) => (i === index ? { ...adj, ...changes } : adj)));
+
+  const choosePreset = (side, index, key) => {
+    const preset = PERSONNEL_PRESETS.find(p => p.key === key);
+    editAdjustment(side, index, preset ? normalizeAdjustment({ preset: key }) : { preset: null, label: 'Custom' });
+  };
+
+  const teamRows = (side, teamName) => (
+    <div key={side} className="mb-4">
+      <div className="flex items-center gap-3 mb-2">
+        <span className="font-semibold">{teamName || (side === 'home' ? 'Home' : 'Away')}</span>
+        <button
+          onClick={() => addAdjustment(side)}
+          className="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs font-semibold"
+        >
+          + Add
+        </button>
+      </div>
+      {value[side].map((adj, i) => (
+        <div key={i} className="flex flex-wrap items-center gap-2 mb-2">
+          <select value={adj.preset || ''} onChange={(e) => choosePreset(side, i, e.target.value)} className={inputClass}>
+            {PERSONNEL_PRESETS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+            <option value="">Custom</option>
+          </select>
+          <input
+            type="text"
+            value={adj.label}
+            onChange={(e) => editAdjustment(side, i, { label: e.target.value })}
+            className={`${inputClass} w-40`}
+          />
+          <select value={adj.side} onChange={(e) => editAdjustment(side, i, { side: e.target.value })} className={inputClass}>
+            {PERSONNEL_SIDES.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <select value={adj.unit} onChange={(e) => editAdjustment(side, i, { unit: e.target.value })} className={inputClass}>
+            {PERSONNEL_UNITS.map(u => <option key={u} value={u}>{u}</option>)}
+          </select>
+          <input
+            type="number"
+            step="0.1"
+            value={adj.value}
+            onChange={(e) => editAdjustment(side, i, { value: parseFloat(e.target.value) || 0 })}
+            className={`${inputClass} w-24`}
+          />
+          <button onClick={() => update(side, value[side].filter((_, j) => j !== i))} title="Remove">
+            <XCircle className="w-5 h-5 text-red-400" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700 mb-6">
+      <h3 className="text-xl font-bold mb-1">Injuries & Personnel</h3>
+      <p className="text-xs text-slate-400 mb-4">
+        Negative values weaken the team: its offense scores less or its defense allows more.
+        Points are per game; CER changes are regressed like the team ratings.
+      </p>
+      {teamRows('home', homeTeam)}
+      {teamRows('away', awayTeam)}
+    </div>
+  );
+};
+
+export default PersonnelPanel;
@@ -0,0 +1,176 @@
+import React, { useRef, useState } from "react";
+import { Trophy } from "lucide-react";
+import {
+  DEFAULT_PLAYOFF_OPTIONS,
+  formatAmericanOdds,
+  runPlayoffSimulation,
+  toAmericanOdds
+} from "./engine";
+import { runSimulationJobs } from "./workers/simulationPool";
+
+const CONFERENCES = ['AFC', 'NFC'];
+const SEEDS = 7;
+
+const fmtOdds = (odds) => (odds === null || !isFinite(odds) ? '-' : formatAmericanOdds(odds));
+const inputClass = "bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm";
+
+/**
+ * Playoff bracket: 14 entered seeds, reseeded each round, neutral-site Super Bowl
+ */
+const PlayoffBracketPanel = ({ teams, baseParams }) => {
+  const [seeds, setSeeds] = useState({ AFC: new Array(SEEDS).fill(''), NFC: new Array(SEEDS).fill('') });
+  const [options, setOptions] = useState({
+    brackets: DEFAULT_PLAYOFF_OPTIONS.brackets,
+    numSimulations: DEFAULT_PLAYOFF_OPTIONS.numSimulations,
+    seed: DEFAULT_PLAYOFF_OPTIONS.seed,
+  });
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const runRef = useRef(null);
+  const cancelledRef = useRef(false);
+
+  const runGames = async (jobs) => {
+    const run = runSimulationJobs(jobs);
+    runRef.current = run;
+    const { results, errors, cancelled } = await run.done;
+    runRef.current = null;
+    if (cancelled || cancelledRef.current) throw new Error('Bracket simulation cancelled');
+    if (errors.length > 0) throw new Error(errors[0].message);
+    return results;
+  };
+
+  const setSeed = (conference, index, name) => setSeeds({
+    ...seeds,
+    [conference]: seeds[conference].map((s, i) => (i === index ? name : s))
+  });
+
+  const handleRun = async () => {
+    setError(null);
+    cancelledRef.current = false;
+    setRunning(true);
+    try {
+      const seedTeams = Object.fromEntries(CONFERENCES.map(c => [
+        c,
+        seeds[c].map(name => teams.find(t => t.Team === name) || null)
+      ]));
+      setReport(await runPlayoffSimulation(seedTeams, baseParams, { ...options, runGames }));
+    } catch (err) {
+      setError(err.message);
+    }
+    setRunning(false);
+  };
+
+  const handleCancel = () => {
+    cancelledRef.current = true;
+    if (runRef.current) runRef.current.cancel();
+  };
+
+  const numberField = (key, label, step = 1) => (
+    <div>
+      <label className="block text-xs font-medium mb-1">{label}</label>
+      <input
+        type="number"
+        step={step}
+        min="1"
+        value={options[key]}
+        onChange={(e) => setOptions({ ...options, [key]: parseInt(e.target.value) || 1 })}
+        className={`${inputClass} w-24`}
+      />
+    </div>
+  );
+
+  const used = new Set([...seeds.AFC, ...seeds.NFC].filter(Boolean));
+
+  return (
+    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700">
+      <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+        <Trophy className="w-6 h-6 text-orange-400" />
+        Playoff Bracket
+      </h2>
+      <p className="text-sm text-slate-300 mb-3">
+        The No. 1 seed in each conference has a bye; every round the best remaining seed hosts the worst.
+        Every possible matchup is simulated once (ties go to overtime) and the Super Bowl is played at a neutral site.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        {CONFERENCES.map(conference => (
+          <div key={conference}>
+            <div className="text-sm font-semibold mb-2">{conference}</div>
+            {seeds[conference].map((name, i) => (
+              <div key={i} className="flex items-center gap-2 mb-1">
+                <span className="w-6 text-xs text-slate-400">#{i + 1}</span>
+                <select value={name} onChange={(e) => setSeed(conference, i, e.target.value)} className={`${inputClass} flex-1`}>
+                  <option value="">-- Select --</option>
+                  {teams.map(t => (
+                    <option key={t.Team} value={t.Team} disabled={used.has(t.Team) && t.Team !== name}>{t.Team}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-4">
+        {numberField('brackets', 'Brackets', 1000)}
+        {numberField('numSimulations', 'Sims / Matchup', 500)}
+        {numberField('seed', 'Seed')}
+        {running ? (
+          <button onClick={handleCancel} className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded-lg font-semibold text-sm">
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={handleRun}
+            disabled={used.size < SEEDS * CONFERENCES.length}
+            className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 rounded-lg font-semibold text-sm"
+          >
+            Simulate Bracket
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+
+      {report && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-600">
+                <th className="text-left p-2">Seed</th>
+                <th className="text-left p-2">Team</th>
+                {report.rounds.slice(1).map(round => (
+                  <th key={round.key} className="text-center p-2">{round.label} %</th>
+                ))}
+                <th className="text-center p-2">Fair Title Odds</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.teams.map(team => {
+                const titlePct = team.reachPct[team.reachPct.length - 1];
+                return (
+                  <tr key={team.team} className="border-b border-slate-700">
+                    <td className="p-2 text-slate-400">{team.conference} #{team.seed}</td>
+                    <td className="p-2 font-semibold">{team.team}</td>
+                    {team.reachPct.slice(1).map((p, r) => (
+                      <td key={r} className={`text-center p-2 ${r === 0 && team.bye ? 'text-slate-400' : ''}`}>
+                        {r === 0 && team.bye ? 'bye' : `${p.toFixed(1)}%`}
+                      </td>
+                    ))}
+                    <td className="text-center p-2">{fmtOdds(titlePct > 0 ? toAmericanOdds(titlePct / 100) : null)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-xs text-slate-400 mt-2">
+            Round columns are % of {report.brackets.toLocaleString()} brackets in which the team reaches that round; Champion is the title.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlayoffBracketPanel;
@@ -0,0 +1,116 @@
+import React, { useState } from "react";
+import { DEFAULT_PORTFOLIO_OPTIONS, formatAmericanOdds, optimizeSlateStakes } from "./engine";
+
+const pct = (value, digits = 2) => `${(value * 100).toFixed(digits)}%`;
+
+const OPTION_FIELDS = [
+  ['bankroll', 'Bankroll', 100, 1],
+  ['kellyFraction', 'Kelly Fraction', 0.05, 1],
+  ['maxGameExposure', 'Max Per Game %', 0.5, 100],
+  ['maxSlateExposure', 'Max Slate %', 1, 100],
+];
+
+/**
+ * Size the approved bets of a batch slate together, using joint simulated outcomes
+ */
+const PortfolioPanel = ({ results, calibration, runSeed }) => {
+  const [options, setOptions] = useState(DEFAULT_PORTFOLIO_OPTIONS);
+  const [plan, setPlan] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleOptimize = () => {
+    try {
+      setError(null);
+      setPlan(optimizeSlateStakes(results, calibration, { ...options, seed: runSeed ?? options.seed }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mt-6 bg-slate-900/60 p-4 rounded-lg border border-slate-700">
+      <h3 className="text-lg font-bold mb-2">Slate Staking</h3>
+      <p className="text-sm text-slate-300 mb-3">
+        Joint fractional-Kelly stakes for every approved play. A game's spread and total settle off the same simulation, so same-game correlation is priced in.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4">
+        {OPTION_FIELDS.map(([key, label, step, scale]) => (
+          <div key={key}>
+            <label className="block text-xs font-medium mb-1">{label}</label>
+            <input
+              type="number"
+              step={step}
+              min="0"
+              value={+(options[key] * scale).toFixed(4)}
+              onChange={(e) => setOptions({ ...options, [key]: (parseFloat(e.target.value) || 0) / scale })}
+              className="w-28 bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm"
+            />
+          </div>
+        ))}
+        <button
+          onClick={handleOptimize}
+          className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded-lg font-semibold text-sm"
+        >
+          Optimize Stakes
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+
+      {plan && (
+        plan.bets.length === 0 ? (
+          <p className="text-sm text-slate-400 mt-4">No approved plays on this slate.</p>
+        ) : (
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-600">
+                  <th className="text-left p-2">Game</th>
+                  <th className="text-left p-2">Bet</th>
+                  <th className="text-center p-2">Price</th>
+                  <th className="text-center p-2">Prob</th>
+                  <th className="text-center p-2">EV</th>
+                  <th className="text-center p-2">Single Kelly</th>
+                  <th className="text-center p-2">Slate Stake</th>
+                  <th className="text-center p-2">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.bets.map(b => (
+                  <tr key={`${b.gameIndex}-${b.market}`} className="border-b border-slate-700">
+                    <td className="p-2">{b.game}</td>
+                    <td className="p-2">{b.label}</td>
+                    <td className="text-center p-2">{formatAmericanOdds(b.price)}</td>
+                    <td className="text-center p-2">{b.prob.toFixed(1)}%</td>
+                    <td className="text-center p-2">{pct(b.ev, 1)}</td>
+                    <td className="text-center p-2 text-slate-400">{pct(b.singleStake)}</td>
+                    <td className={`text-center p-2 ${b.stake > 0 ? 'text-green-400' : 'text-slate-400'}`}>{pct(b.stake)}</td>
+                    <td className="text-center p-2">{b.amount.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-4 text-sm">
+              <div>Exposure: <span className="font-bold">{pct(plan.totalExposure)}</span></div>
+              <div className="text-slate-400">Sum of single Kelly: {pct(plan.naiveExposure)}</div>
+              <div>Expected return: <span className="font-bold">{pct(plan.expectedReturn)}</span></div>
+              <div>P(losing slate): {pct(plan.lossProb, 1)}</div>
+              <div>5th pct: {pct(plan.p05Return)}</div>
+            </div>
+
+            {plan.games.some(g => g.correlation !== null) && (
+              <div className="text-xs text-slate-400 mt-3">
+                Same-game correlation (spread vs total): {plan.games.filter(g => g.correlation !== null)
+                  .map(g => `${g.game} ${g.correlation.toFixed(2)}`).join(' | ')}
+              </div>
+            )}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default PortfolioPanel;
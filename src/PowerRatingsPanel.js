@@ -0,0 +1,128 @@
+import React, { useMemo, useState } from "react";
+import { Download, TrendingUp } from "lucide-react";
+import { calculatePowerRatings } from "./engine";
+
+const COLUMNS = [
+  { key: 'team', label: 'Team', csv: r => r.team },
+  { key: 'offCER', label: 'Off CER', csv: r => r.offCER.toFixed(3) },
+  { key: 'defCER', label: 'Def CER', csv: r => r.defCER.toFixed(3) },
+  { key: 'netCER', label: 'Net CER', csv: r => r.netCER.toFixed(3) },
+  { key: 'offPace', label: 'Off Pace', csv: r => (r.offPace * 100).toFixed(1) + '%' },
+  { key: 'defPace', label: 'Def Pace', csv: r => (r.defPace * 100).toFixed(1) + '%' },
+  { key: 'drives', label: 'Drives', csv: r => r.drives.toFixed(2) },
+  { key: 'pointsFor', label: 'Pts For', csv: r => r.pointsFor.toFixed(1) },
+  { key: 'pointsAgainst', label: 'Pts Against', csv: r => r.pointsAgainst.toFixed(1) },
+  { key: 'impliedSpread', label: 'Neutral Spread', csv: r => r.impliedSpread.toFixed(1) },
+];
+
+// Lower is better for these, so they sort ascending by default
+const ASCENDING = ['team', 'pointsAgainst', 'impliedSpread'];
+
+const fmtSigned = (value, digits) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+/**
+ * League power ratings: every uploaded team against a league-average opponent at a neutral site.
+ * Ratings are formulas only (no sampling), so they follow the teams and parameters on every change.
+ */
+const PowerRatingsPanel = ({ teams, baseParams }) => {
+  const ratings = useMemo(() => calculatePowerRatings(teams, baseParams), [teams, baseParams]);
+  const [sort, setSort] = useState({ key: 'netCER', ascending: false });
+
+  const handleSort = (key) => setSort(sort.key === key
+    ? { key, ascending: !sort.ascending }
+    : { key, ascending: ASCENDING.includes(key) });
+
+  const sorted = [...ratings].sort((a, b) => {
+    const order = sort.key === 'team' ? a.team.localeCompare(b.team) : a[sort.key] - b[sort.key];
+    return sort.ascending ? order : -order;
+  });
+
+  const exportCSV = () => {
+    const rows = sorted.map(r => COLUMNS.map(col => col.csv(r)));
+    const csv = [COLUMNS.map(col => col.label), ...rows].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `gamble-tron-power-ratings-${new Date().toISOString().split('T')[0]}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const cell = (r, key) => {
+    switch (key) {
+      case 'team': return r.team;
+      case 'offCER':
+      case 'defCER':
+      case 'netCER': return fmtSigned(r[key], 3);
+      case 'offPace':
+      case 'defPace': return `${fmtSigned(r[key] * 100, 1)}%`;
+      case 'drives': return r.drives.toFixed(2);
+      case 'impliedSpread': return Math.abs(r.impliedSpread) < 0.05 ? 'PK' : fmtSigned(r.impliedSpread, 1);
+      default: return r[key].toFixed(1);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <TrendingUp className="w-6 h-6 text-orange-400" />
+          Power Ratings
+        </h2>
+        <div className="flex gap-2">
+          <button
+            onClick={exportCSV}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded-lg font-semibold text-sm flex items-center gap-2"
+          >
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-slate-300 mb-3">
+        Each team against a league-average opponent at a neutral site, using the current parameters.
+        Defensive CER is higher for better defenses; net = offense + defense. Pace is the drive-count adjustment from the pace model.
+        Neutral spread is from the team's side: negative means favored over an average team.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-2">#</th>
+              {COLUMNS.map(col => (
+                <th
+                  key={col.key}
+                  onClick={() => handleSort(col.key)}
+                  className={`${col.key === 'team' ? 'text-left' : 'text-center'} p-2 cursor-pointer`}
+                >
+                  {col.label}{sort.key === col.key ? (sort.ascending ? ' ▴' : ' ▾') : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((r, i) => (
+              <tr key={r.team} className="border-b border-slate-700">
+                <td className="p-2 text-slate-400">{i + 1}</td>
+                {COLUMNS.map(col => (
+                  <td
+                    key={col.key}
+                    className={`${col.key === 'team' ? 'text-left font-semibold' : 'text-center'} p-2 ${
+                      col.key === 'netCER' ? (r.netCER > 0 ? 'text-green-400' : 'text-red-400') : ''
+                    }`}
+                  >
+                    {cell(r, col.key)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PowerRatingsPanel;
@@ -0,0 +1,140 @@
+import React, { useState } from "react";
+import { XCircle } from "lucide-react";
+import {
+  defaultLegLine,
+  formatAmericanOdds,
+  legLabel,
+  parseAmericanOdds,
+  PARLAY_MARKETS,
+  priceSameGameParlay
+} from "./engine";
+
+const inputClass = "bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm";
+
+const fmtOdds = (odds) => (odds === null || !isFinite(odds) ? '-' : formatAmericanOdds(odds));
+
+/**
+ * Same-game parlay builder priced from the joint simulated outcomes
+ */
+const SameGameParlayPanel = ({ results, kellyFraction }) => {
+  const [legs, setLegs] = useState([]);
+  const [bookPrice, setBookPrice] = useState('');
+  if (!results.samples) return null;
+  const { homeTeam, awayTeam } = results;
+
+  const sideName = (side) => (side === 'home' ? homeTeam : side === 'away' ? awayTeam : side === 'over' ? 'Over' : 'Under');
+
+  const addLeg = () => setLegs([...legs, { market: 'spread', side: 'home', line: defaultLegLine(results, 'spread', 'home') }]);
+
+  const editLeg = (index, changes) => setLegs(legs.map((leg, i) => {
+    if (i !== index) return leg;
+    const next = { ...leg, ...changes };
+    // A new market or side starts from that market's posted line
+    if (changes.market) next.side = PARLAY_MARKETS.find(m => m.key === changes.market).sides[0];
+    if (changes.market || changes.side) next.line = defaultLegLine(results, next.market, next.side);
+    return next;
+  }));
+
+  let priced = null;
+  let error = null;
+  if (legs.length > 0) {
+    try {
+      priced = priceSameGameParlay(results.samples, legs, parseAmericanOdds(bookPrice), kellyFraction);
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  return (
+    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700 md:col-span-2">
+      <h3 className="text-xl font-bold mb-1">🔗 Same-Game Parlay</h3>
+      <p className="text-xs text-slate-400 mb-4">
+        Joint probability counts the simulated games where every leg hits, so correlated legs are priced together.
+        The naive price multiplies the legs as if independent. A ticket with a pushed leg and no losers is graded a push.
+      </p>
+
+      {legs.map((leg, i) => (
+        <div key={i} className="flex flex-wrap items-center gap-2 mb-2">
+          <select value={leg.market} onChange={(e) => editLeg(i, { market: e.target.value })} className={inputClass}>
+            {PARLAY_MARKETS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+          <select value={leg.side} onChange={(e) => editLeg(i, { side: e.target.value })} className={inputClass}>
+            {PARLAY_MARKETS.find(m => m.key === leg.market).sides.map(side => (
+              <option key={side} value={side}>{sideName(side)}</option>
+            ))}
+          </select>
+          {leg.market !== 'moneyline' && (
+            <input
+              type="number"
+              step="0.5"
+              value={leg.line}
+              onChange={(e) => editLeg(i, { line: parseFloat(e.target.value) || 0 })}
+              className={`${inputClass} w-24`}
+            />
+          )}
+          {priced && (
+            <span className="text-sm text-slate-300">
+              {legLabel(leg, homeTeam, awayTeam)}: {(priced.legs[i].winProb * 100).toFixed(1)}%
+            </span>
+          )}
+          <button onClick={() => setLegs(legs.filter((_, j) => j !== i))} title="Remove">
+            <XCircle className="w-5 h-5 text-red-400" />
+          </button>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-end gap-4 mt-3 mb-4">
+        <button onClick={addLeg} className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg font-semibold text-sm">
+          + Add Leg
+        </button>
+        <div>
+          <label className="block text-sm font-medium mb-2">Book Price</label>
+          <input
+            type="text"
+            placeholder="+260"
+            value={bookPrice}
+            onChange={(e) => setBookPrice(e.target.value)}
+            className={`${inputClass} w-24`}
+          />
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-2">{error}</p>}
+
+      {priced && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="bg-slate-900/60 p-3 rounded-lg">
+            <div className="text-xs text-slate-400">Joint (simulated)</div>
+            <div className="text-2xl font-bold">{(priced.winProb * 100).toFixed(2)}%</div>
+            <div className="text-xs text-slate-400">
+              Fair {fmtOdds(priced.fairOdds)}{priced.pushProb > 0 ? ` | push ${(priced.pushProb * 100).toFixed(1)}%` : ''}
+            </div>
+          </div>
+          <div className="bg-slate-900/60 p-3 rounded-lg">
+            <div className="text-xs text-slate-400">Naive (independent)</div>
+            <div className="text-2xl font-bold">{(priced.naiveWinProb * 100).toFixed(2)}%</div>
+            <div className="text-xs text-slate-400">Fair {fmtOdds(priced.naiveFairOdds)}</div>
+          </div>
+          <div className="bg-slate-900/60 p-3 rounded-lg">
+            <div className="text-xs text-slate-400">Correlation Lift</div>
+            <div className={`text-2xl font-bold ${priced.correlationLift > 1 ? 'text-green-400' : 'text-red-400'}`}>
+              {priced.correlationLift === null ? '-' : `${priced.correlationLift.toFixed(2)}×`}
+            </div>
+            <div className="text-xs text-slate-400">joint ÷ naive</div>
+          </div>
+          <div className="bg-slate-900/60 p-3 rounded-lg">
+            <div className="text-xs text-slate-400">Book {priced.price === null ? '(enter a price)' : formatAmericanOdds(priced.price)}</div>
+            <div className={`text-2xl font-bold ${priced.ev > 0 ? 'text-green-400' : 'text-slate-300'}`}>
+              {priced.ev === null ? '-' : `${priced.ev >= 0 ? '+' : ''}${(priced.ev * 100).toFixed(1)}% EV`}
+            </div>
+            <div className="text-xs text-slate-400">
+              {priced.price === null ? '' : `Break-even ${(priced.breakEven * 100).toFixed(2)}% | Stake ${(priced.stake * 100).toFixed(2)}%`}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SameGameParlayPanel;
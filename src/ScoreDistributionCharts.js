@@ -0,0 +1,193 @@
+import React, { useState } from "react";
+import { cumulativeCurve, exactScoreGrid, scoreHistogram, trimHistogram } from "./engine";
+
+const CHART_W = 640;
+const CHART_H = 200;
+const PAD = { left: 36, right: 36, top: 10, bottom: 24 };
+const HEAT_CELL = 10;
+const COLORS = {
+  cover: '#22c55e',
+  push: '#cbd5e1',
+  bar: '#64748b',
+  axis: '#94a3b8',
+  cumulative: '#38bdf8',
+  line: '#facc15'
+};
+
+/**
+ * Histogram with the market line, the winning side's region shaded and the
+ * cumulative curve (right axis) overlaid
+ */
+const HistogramChart = ({ bins, line, isCover, coverLabel, showCumulative }) => {
+  if (bins.length === 0) return null;
+  const plotW = CHART_W - PAD.left - PAD.right;
+  const plotH = CHART_H - PAD.top - PAD.bottom;
+  const minV = bins[0].value - 0.5;
+  const maxV = bins[bins.length - 1].value + 0.5;
+  const maxPct = Math.max(...bins.map(b => b.pct));
+  const x = (v) => PAD.left + ((v - minV) / (maxV - minV)) * plotW;
+  const y = (pct) => PAD.top + plotH - (pct / maxPct) * plotH;
+  const yCum = (pct) => PAD.top + plotH - (pct / 100) * plotH;
+  const barW = plotW / bins.length;
+  const cumulative = cumulativeCurve(bins);
+  const tickEvery = bins.length > 40 ? 10 : 5;
+
+  return (
+    <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="w-full">
+      {bins.map(b => (
+        <rect
+          key={b.value}
+          x={x(b.value - 0.5) + 0.5}
+          y={y(b.pct)}
+          width={Math.max(1, barW - 1)}
+          height={PAD.top + plotH - y(b.pct)}
+          fill={isCover(b.value) ? COLORS.cover : b.value === line ? COLORS.push : COLORS.bar}
+        >
+          <title>{`${b.value}: ${b.pct.toFixed(2)}%`}</title>
+        </rect>
+      ))}
+      {bins.filter(b => b.value % tickEvery === 0).map(b => (
+        <text key={b.value} x={x(b.value)} y={CHART_H - 8} textAnchor="middle" fill={COLORS.axis} fontSize="10">
+          {b.value}
+        </text>
+      ))}
+      <text x={PAD.left - 4} y={PAD.top + 8} textAnchor="end" fill={COLORS.axis} fontSize="10">{maxPct.toFixed(1)}%</text>
+      {showCumulative && (
+        <>
+          <polyline
+            points={cumulative.map(c => `${x(c.value + 0.5)},${yCum(c.pct)}`).join(' ')}
+            fill="none"
+            stroke={COLORS.cumulative}
+            strokeWidth="1.5"
+          />
+          <text x={CHART_W - PAD.right + 4} y={PAD.top + 8} fill={COLORS.cumulative} fontSize="10">100%</text>
+          <text x={CHART_W - PAD.right + 4} y={PAD.top + plotH / 2 + 4} fill={COLORS.cumulative} fontSize="10">50%</text>
+        </>
+      )}
+      {line >= minV && line <= maxV && (
+        <>
+          <line x1={x(line)} x2={x(line)} y1={PAD.top} y2={PAD.top + plotH} stroke={COLORS.line} strokeWidth="2" strokeDasharray="4 3" />
+          <text x={x(line) + 4} y={PAD.top + 10} fill={COLORS.line} fontSize="10">{coverLabel}</text>
+        </>
+      )}
+    </svg>
+  );
+};
+
+/**
+ * Total and margin histograms, cumulative curves and the exact-score heatmap
+ * for the single-game result
+ */
+const ScoreDistributionCharts = ({ results }) => {
+  const [showCumulative, setShowCumulative] = useState(true);
+  const [maxScore, setMaxScore] = useState(45);
+  const samples = results.samples;
+  if (!samples) return null;
+
+  const totalBins = trimHistogram(scoreHistogram(samples.totals, samples.totalWeights));
+  const marginBins = trimHistogram(scoreHistogram(samples.margins, samples.marginWeights));
+  const grid = exactScoreGrid(samples.homeScores, samples.awayScores, samples.marginWeights, maxScore);
+  const totalLine = results.overUnder.line;
+  const marginLine = -results.spread.line;   // home covers when margin > -spread
+  const homeFavored = results.spread.line <= 0;
+  const heatSize = (grid.maxScore + 1) * HEAT_CELL;
+
+  return (
+    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700 md:col-span-2">
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <h3 className="text-xl font-bold">📉 Score Distributions</h3>
+        <label className="flex items-center gap-2 text-sm text-slate-300">
+          <input type="checkbox" checked={showCumulative} onChange={(e) => setShowCumulative(e.target.checked)} />
+          Cumulative curve
+        </label>
+        {results.keyNumberWeighted && <span className="text-xs text-slate-400">Key-number weighted</span>}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <div>
+          <div className="text-sm font-semibold mb-1">
+            Game Total — <span className="text-green-400">Over {totalLine}</span> shaded ({results.overUnder.overPct.toFixed(1)}%)
+          </div>
+          <HistogramChart
+            bins={totalBins}
+            line={totalLine}
+            isCover={(v) => v > totalLine}
+            coverLabel={`O/U ${totalLine}`}
+            showCumulative={showCumulative}
+          />
+        </div>
+        <div>
+          <div className="text-sm font-semibold mb-1">
+            {results.homeTeam} Margin — <span className="text-green-400">
+              {homeFavored ? results.homeTeam : results.awayTeam} {homeFavored ? results.spread.line : -results.spread.line} covers
+            </span> shaded ({(homeFavored ? results.spread.homeCoverPct : results.spread.awayCoverPct).toFixed(1)}%)
+          </div>
+          <HistogramChart
+            bins={marginBins}
+            line={marginLine}
+            isCover={(v) => (homeFavored ? v > marginLine : v < marginLine)}
+            coverLabel={`Spread ${results.spread.line}`}
+            showCumulative={showCumulative}
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mb-2">
+        <div className="text-sm font-semibold">
+          Exact Scores — {results.homeTeam} (rows) vs {results.awayTeam} (columns)
+        </div>
+        <label className="text-xs text-slate-400">
+          Max score
+          <input
+            type="number"
+            min="20"
+            max="70"
+            value={maxScore}
+            onChange={(e) => setMaxScore(Math.min(70, Math.max(20, parseInt(e.target.value) || 45)))}
+            className="ml-2 w-16 bg-slate-700 border border-slate-600 rounded p-1 text-xs"
+          />
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-6">
+        <div className="overflow-x-auto">
+          <svg width={heatSize + 24} height={heatSize + 24}>
+            {grid.cells.map((row, home) => row.map((pct, away) => (pct > 0 && (
+              <rect
+                key={`${home}-${away}`}
+                x={24 + away * HEAT_CELL}
+                y={home * HEAT_CELL}
+                width={HEAT_CELL}
+                height={HEAT_CELL}
+                fill={COLORS.line}
+                fillOpacity={Math.min(1, 0.08 + pct / grid.maxPct)}
+              >
+                <title>{`${results.homeTeam} ${home}${home === grid.maxScore ? '+' : ''} - ${results.awayTeam} ${away}${away === grid.maxScore ? '+' : ''}: ${pct.toFixed(2)}%`}</title>
+              </rect>
+            ))))}
+            {Array.from({ length: Math.floor(grid.maxScore / 10) + 1 }, (_, i) => i * 10).map(v => (
+              <g key={v}>
+                <text x={20} y={v * HEAT_CELL + HEAT_CELL - 1} textAnchor="end" fill={COLORS.axis} fontSize="9">{v}</text>
+                <text x={24 + v * HEAT_CELL + HEAT_CELL / 2} y={heatSize + 14} textAnchor="middle" fill={COLORS.axis} fontSize="9">{v}</text>
+              </g>
+            ))}
+          </svg>
+        </div>
+        <div>
+          <div className="text-sm text-slate-300 mb-2">Most likely final scores</div>
+          <table className="text-sm">
+            <tbody>
+              {grid.top.map(s => (
+                <tr key={`${s.home}-${s.away}`} className="border-b border-slate-700">
+                  <td className="p-1 pr-4">{results.homeTeam} {s.home} - {s.away} {results.awayTeam}</td>
+                  <td className="p-1 text-right">{s.pct.toFixed(2)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScoreDistributionCharts;
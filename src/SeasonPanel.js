@@ -0,0 +1,242 @@
+import React, { useRef, useState } from "react";
+import {
+  DEFAULT_LEAGUE_STRUCTURE,
+  DEFAULT_SEASON_OPTIONS,
+  formatAmericanOdds,
+  parseLeagueStructureCSV,
+  runSeasonSimulation,
+  winTotalPrices
+} from "./engine";
+import { runSimulationJobs } from "./workers/simulationPool";
+
+const fmtOdds = (odds) => (odds === null || !isFinite(odds) ? '-' : formatAmericanOdds(odds));
+const inputClass = "w-24 bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm";
+
+/**
+ * Full-season simulation over the loaded schedule: win totals, division and playoff odds
+ */
+const SeasonPanel = ({ games, baseParams }) => {
+  const [options, setOptions] = useState({
+    seasons: DEFAULT_SEASON_OPTIONS.seasons,
+    numSimulations: DEFAULT_SEASON_OPTIONS.numSimulations,
+    seed: DEFAULT_SEASON_OPTIONS.seed,
+    playoffTeams: DEFAULT_SEASON_OPTIONS.playoffTeams,
+    ratingSd: DEFAULT_SEASON_OPTIONS.ratingSd,
+  });
+  const [structure, setStructure] = useState(null);
+  const [report, setReport] = useState(null);
+  const [lines, setLines] = useState({});
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [sortKey, setSortKey] = useState('meanWins');
+  const runRef = useRef(null);
+  const cancelledRef = useRef(false);
+
+  const playedGames = games.filter(g => g.final).length;
+
+  const runGames = async (jobs) => {
+    const run = runSimulationJobs(jobs);
+    runRef.current = run;
+    const { results, errors, cancelled } = await run.done;
+    runRef.current = null;
+    if (cancelled || cancelledRef.current) throw new Error('Season simulation cancelled');
+    if (errors.length > 0) throw new Error(errors[0].message);
+    return results;
+  };
+
+  const handleStructureUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        setStructure(parseLeagueStructureCSV(event.target.result));
+        setError(null);
+      } catch (err) {
+        setError(`Error parsing league structure CSV: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleRun = async () => {
+    setError(null);
+    cancelledRef.current = false;
+    setRunning(true);
+    try {
+      const out = await runSeasonSimulation(games, baseParams, {
+        ...options,
+        structure: structure || DEFAULT_LEAGUE_STRUCTURE,
+        runGames
+      });
+      setReport(out);
+      setLines({});
+    } catch (err) {
+      setError(err.message);
+    }
+    setRunning(false);
+  };
+
+  const handleCancel = () => {
+    cancelledRef.current = true;
+    if (runRef.current) runRef.current.cancel();
+  };
+
+  const numberField = (key, label, step = 1) => (
+    <div>
+      <label className="block text-xs font-medium mb-1">{label}</label>
+      <input
+        type="number"
+        step={step}
+        min="1"
+        value={options[key]}
+        onChange={(e) => setOptions({ ...options, [key]: parseInt(e.target.value) || 1 })}
+        className={inputClass}
+      />
+    </div>
+  );
+
+  const sortedTeams = report
+    ? [...report.teams].sort((a, b) => (sortKey === 'team' ? a.team.localeCompare(b.team) : b[sortKey] - a[sortKey]))
+    : [];
+
+  const sortHeader = (key, label) => (
+    <th className="text-center p-2 cursor-pointer" onClick={() => setSortKey(key)}>
+      {label}{sortKey === key ? ' ▾' : ''}
+    </th>
+  );
+
+  return (
+    <div className="mt-6 bg-slate-900/60 p-4 rounded-lg border border-slate-700">
+      <h3 className="text-lg font-bold mb-2">Season Simulation</h3>
+      <p className="text-sm text-slate-300 mb-3">
+        Each of the {games.length - playedGames} unplayed games is simulated once for its win probability (ties go to overtime),
+        then the season is replayed {options.seasons.toLocaleString()} times. {playedGames} games with final scores count as played.
+        Each season shifts every team's strength by a random amount (Rating SD, in points) so a team's games move together.
+        Division ties break on head-to-head, division and conference record.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4">
+        {numberField('seasons', 'Seasons', 1000)}
+        {numberField('numSimulations', 'Sims / Game', 500)}
+        {numberField('seed', 'Seed')}
+        {numberField('playoffTeams', 'Playoff Teams / Conf')}
+        <div>
+          <label className="block text-xs font-medium mb-1">Rating SD (pts)</label>
+          <input
+            type="number"
+            step="0.5"
+            min="0"
+            value={options.ratingSd}
+            onChange={(e) => setOptions({ ...options, ratingSd: Math.max(0, parseFloat(e.target.value) || 0) })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">League Structure</label>
+          <input
+            type="file"
+            accept=".csv"
+            onChange={handleStructureUpload}
+            className="text-xs text-slate-300"
+          />
+          <div className="text-xs text-slate-400 mt-1">
+            {structure ? `✓ ${structure.length} divisions loaded` : 'NFL divisions (team, conference, division)'}
+          </div>
+        </div>
+        {running ? (
+          <button onClick={handleCancel} className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded-lg font-semibold text-sm">
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={handleRun}
+            disabled={games.length === 0}
+            className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 rounded-lg font-semibold text-sm"
+          >
+            Simulate Season
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+
+      {report && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-600">
+                <th className="text-left p-2 cursor-pointer" onClick={() => setSortKey('team')}>
+                  Team{sortKey === 'team' ? ' ▾' : ''}
+                </th>
+                <th className="text-left p-2">Division</th>
+                <th className="text-center p-2">GP</th>
+                {sortHeader('meanWins', 'Wins')}
+                {sortHeader('divisionPct', 'Div %')}
+                {sortHeader('playoffPct', 'Playoff %')}
+                {Array.from({ length: report.playoffTeams }, (_, s) => (
+                  <th key={s} className="text-center p-2 text-slate-400">#{s + 1}</th>
+                ))}
+                <th className="text-center p-2">Win Total</th>
+                <th className="text-center p-2">Over</th>
+                <th className="text-center p-2">Under</th>
+                <th className="text-left p-2">Wins (mode)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedTeams.map(team => {
+                const line = lines[team.team] ?? team.defaultLine;
+                const prices = winTotalPrices(team, line);
+                const mode = team.winDistribution.reduce((a, b) => (b.pct > a.pct ? b : a));
+                return (
+                  <tr key={team.team} className="border-b border-slate-700">
+                    <td className="p-2 font-semibold">{team.team}</td>
+                    <td className="p-2 text-slate-400">{team.division}</td>
+                    <td className="text-center p-2">{team.games}</td>
+                    <td className="text-center p-2 font-semibold">{team.meanWins.toFixed(1)}</td>
+                    <td className="text-center p-2">{team.divisionPct.toFixed(1)}%</td>
+                    <td className="text-center p-2">{team.playoffPct.toFixed(1)}%</td>
+                    {team.seedPct.map((p, s) => (
+                      <td key={s} className="text-center p-2 text-slate-400">{p >= 0.05 ? p.toFixed(1) : '-'}</td>
+                    ))}
+                    <td className="text-center p-2">
+                      <input
+                        type="number"
+                        step="0.5"
+                        value={line}
+                        onChange={(e) => setLines({ ...lines, [team.team]: parseFloat(e.target.value) || 0 })}
+                        className="w-16 bg-slate-700 border border-slate-600 rounded p-1 text-sm text-center"
+                      />
+                    </td>
+                    <td className="text-center p-2">
+                      {prices.overPct.toFixed(1)}% <span className="text-slate-400">{fmtOdds(prices.overFairOdds)}</span>
+                    </td>
+                    <td className="text-center p-2">
+                      {prices.underPct.toFixed(1)}% <span className="text-slate-400">{fmtOdds(prices.underFairOdds)}</span>
+                    </td>
+                    <td className="p-2">
+                      <div className="flex items-end gap-px h-6" title={`Most likely: ${mode.wins} wins (${mode.pct.toFixed(1)}%)`}>
+                        {team.winDistribution.map(d => (
+                          <div
+                            key={d.wins}
+                            style={{ height: `${Math.max(1, (d.pct / mode.pct) * 24)}px`, width: '4px', backgroundColor: d.wins > line ? '#4ade80' : '#64748b' }}
+                          />
+                        ))}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-xs text-slate-400 mt-2">
+            Seed columns are % of seasons finishing at that seed. Fair win-total odds exclude pushes on whole-number lines.
+            Green bars are win counts over the line.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SeasonPanel;
@@ -0,0 +1,136 @@
+import React, { useState } from "react";
+import { Database } from "lucide-react";
+import {
+  createStadiumArtifact,
+  DEFAULT_STADIUMS,
+  parseStadiumArtifact,
+  STADIUM_ROOFS,
+  STADIUM_SURFACES
+} from "./engine";
+
+const cellInput = "w-full bg-slate-700 border border-slate-600 rounded p-1 text-xs";
+
+/**
+ * Editable stadium registry (roof, surface, altitude, coordinates) with JSON export/import
+ */
+const StadiumPanel = ({ stadiums, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  const edit = (index, field, value) => onChange(stadiums.map((s, i) => (i === index ? { ...s, [field]: value } : s)));
+
+  const numberField = (index, field, step) => (
+    <input
+      type="number"
+      step={step}
+      value={stadiums[index][field]}
+      onChange={(e) => edit(index, field, parseFloat(e.target.value) || 0)}
+      className={cellInput}
+    />
+  );
+
+  const handleSave = () => {
+    const blob = new Blob([JSON.stringify(createStadiumArtifact(stadiums), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `gamble-tron-stadiums-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleLoad = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setError(null);
+        onChange(parseStadiumArtifact(e.target.result));
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="bg-slate-800 p-4 rounded-lg border border-slate-700 mb-6">
+      <div className="flex flex-wrap items-center gap-4">
+        <button onClick={() => setOpen(!open)} className="flex items-center gap-2 font-bold text-lg">
+          <Database className="w-5 h-5 text-orange-400" />
+          Stadium Registry {open ? '▾' : '▸'}
+        </button>
+        <span className="text-sm text-slate-300">
+          {stadiums.length} venues{stadiums === DEFAULT_STADIUMS ? ' (defaults)' : ''}
+        </span>
+      </div>
+
+      {open && (
+        <div className="mt-4">
+          <p className="text-xs text-slate-400 mb-3">
+            Fixed domes and open-air stadiums set the roof for every home game; retractable roofs default to closed
+            and follow the game's roof setting. Altitude and surface feed the Venue parameters.
+          </p>
+          <div className="flex flex-wrap items-end gap-4 mb-4">
+            <button onClick={handleSave} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-semibold text-sm">
+              Export JSON
+            </button>
+            <label className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg font-semibold text-sm cursor-pointer">
+              Import JSON
+              <input type="file" accept=".json" className="hidden" onChange={handleLoad} />
+            </label>
+            <button onClick={() => onChange(DEFAULT_STADIUMS)} className="px-4 py-2 bg-slate-600 hover:bg-slate-500 rounded-lg font-semibold text-sm">
+              Reset
+            </button>
+          </div>
+
+          {error && <p className="text-sm text-red-400 mb-2">{error}</p>}
+
+          <div className="overflow-x-auto max-h-96">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="border-b border-slate-600">
+                  <th className="text-left p-1">Team</th>
+                  <th className="text-left p-1">Abbr</th>
+                  <th className="text-left p-1">Stadium</th>
+                  <th className="text-left p-1">Roof</th>
+                  <th className="text-left p-1">Surface</th>
+                  <th className="text-left p-1">Altitude (ft)</th>
+                  <th className="text-left p-1">Lat</th>
+                  <th className="text-left p-1">Lon</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stadiums.map((s, i) => (
+                  <tr key={`${s.team}-${i}`} className="border-b border-slate-700">
+                    <td className="p-1 font-semibold">{s.team}</td>
+                    <td className="p-1 w-16">{s.abbr}</td>
+                    <td className="p-1">
+                      <input type="text" value={s.name} onChange={(e) => edit(i, 'name', e.target.value)} className={cellInput} />
+                    </td>
+                    <td className="p-1">
+                      <select value={s.roof} onChange={(e) => edit(i, 'roof', e.target.value)} className={cellInput}>
+                        {STADIUM_ROOFS.map(r => <option key={r} value={r}>{r}</option>)}
+                      </select>
+                    </td>
+                    <td className="p-1">
+                      <select value={s.surface} onChange={(e) => edit(i, 'surface', e.target.value)} className={cellInput}>
+                        {STADIUM_SURFACES.map(v => <option key={v} value={v}>{v}</option>)}
+                      </select>
+                    </td>
+                    <td className="p-1 w-24">{numberField(i, 'altitudeFt', 10)}</td>
+                    <td className="p-1 w-24">{numberField(i, 'lat', 0.0001)}</td>
+                    <td className="p-1 w-24">{numberField(i, 'lon', 0.0001)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StadiumPanel;
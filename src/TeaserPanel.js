@@ -0,0 +1,208 @@
+import React, { useState } from "react";
+import { XCircle } from "lucide-react";
+import {
+  DEFAULT_PRICES,
+  findTeaserCandidates,
+  formatAmericanOdds,
+  priceParlay,
+  priceTeaser,
+  TEASER_POINTS
+} from "./engine";
+
+const pct = (value, digits = 1) => `${(value * 100).toFixed(digits)}%`;
+const fmtOdds = (odds) => (odds === null || !isFinite(odds) ? '-' : formatAmericanOdds(odds));
+const inputClass = "bg-slate-700 border border-slate-600 rounded-lg p-2 text-sm";
+
+const SIDES = { spread: ['home', 'away'], total: ['over', 'under'] };
+
+/**
+ * Leg on a batch result at its posted line and price
+ */
+const postedLeg = (r, gameIndex, market, side) => {
+  const px = { ...DEFAULT_PRICES, ...(r.settings?.prices || {}) };
+  if (market === 'spread') {
+    return { gameIndex, market, side, line: side === 'home' ? r.spread.line : -r.spread.line, price: side === 'home' ? px.homeSpread : px.awaySpread };
+  }
+  return { gameIndex, market, side, line: r.overUnder.line, price: side === 'over' ? px.over : px.under };
+};
+
+/**
+ * Teaser and cross-game parlay calculator over the batch slate
+ */
+const TeaserPanel = ({ results }) => {
+  const [mode, setMode] = useState('teaser');
+  const [points, setPoints] = useState(6);
+  const [legs, setLegs] = useState([]);
+
+  const candidates = findTeaserCandidates(results, points);
+  const hasLeg = (leg) => legs.some(l => l.gameIndex === leg.gameIndex && l.market === leg.market && l.side === leg.side);
+
+  const addLeg = () => {
+    const gameIndex = results.findIndex((r, i) => r && !legs.some(l => l.gameIndex === i));
+    if (gameIndex >= 0) setLegs([...legs, postedLeg(results[gameIndex], gameIndex, 'spread', 'home')]);
+  };
+
+  const editLeg = (index, changes) => setLegs(legs.map((leg, i) => {
+    if (i !== index) return leg;
+    const next = { ...leg, ...changes };
+    if (changes.market) next.side = SIDES[changes.market][0];
+    return postedLeg(results[next.gameIndex], next.gameIndex, next.market, next.side);
+  }));
+
+  let priced = null;
+  let error = null;
+  if (legs.length >= 2) {
+    try {
+      priced = mode === 'teaser' ? priceTeaser(results, legs, points) : priceParlay(results, legs);
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  return (
+    <div className="mt-6 bg-slate-900/60 p-4 rounded-lg border border-slate-700">
+      <h3 className="text-lg font-bold mb-2">Teasers & Parlays</h3>
+      <p className="text-sm text-slate-300 mb-3">
+        Legs from different games, each priced off its own simulation (key-number weighted), so teasing through 3 and 7 is valued game by game.
+        A pushed leg drops the ticket one size.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <div>
+          <label className="block text-xs font-medium mb-1">Ticket</label>
+          <select value={mode} onChange={(e) => setMode(e.target.value)} className={inputClass}>
+            <option value="teaser">Teaser</option>
+            <option value="parlay">Parlay</option>
+          </select>
+        </div>
+        {mode === 'teaser' && (
+          <div>
+            <label className="block text-xs font-medium mb-1">Points</label>
+            <select value={points} onChange={(e) => setPoints(parseFloat(e.target.value))} className={inputClass}>
+              {TEASER_POINTS.map(p => <option key={p} value={p}>{p}</option>)}
+            </select>
+          </div>
+        )}
+        <button onClick={addLeg} className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg font-semibold text-sm">
+          + Add Leg
+        </button>
+        {legs.length > 0 && (
+          <button onClick={() => setLegs([])} className="px-4 py-2 bg-slate-600 hover:bg-slate-500 rounded-lg font-semibold text-sm">
+            Clear
+          </button>
+        )}
+      </div>
+
+      {mode === 'teaser' && candidates.length > 0 && (
+        <div className="mb-4">
+          <div className="text-sm font-semibold mb-1">Through 3 and 7 at {points} points</div>
+          <div className="flex flex-wrap gap-2">
+            {candidates.map(c => (
+              <button
+                key={`${c.gameIndex}-${c.side}`}
+                disabled={hasLeg(c) || legs.some(l => l.gameIndex === c.gameIndex)}
+                onClick={() => setLegs([...legs, postedLeg(results[c.gameIndex], c.gameIndex, 'spread', c.side)])}
+                className="px-3 py-1 bg-green-700/60 hover:bg-green-700 disabled:bg-slate-700 rounded text-xs"
+              >
+                {c.label} → {c.teasedLine > 0 ? '+' : ''}{c.teasedLine}: {pct(c.winProb)}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {legs.map((leg, i) => (
+        <div key={i} className="flex flex-wrap items-center gap-2 mb-2">
+          <select value={leg.gameIndex} onChange={(e) => editLeg(i, { gameIndex: parseInt(e.target.value) })} className={inputClass}>
+            {results.map((r, g) => r && <option key={g} value={g}>{r.awayTeam} @ {r.homeTeam}</option>)}
+          </select>
+          <select value={leg.market} onChange={(e) => editLeg(i, { market: e.target.value })} className={inputClass}>
+            <option value="spread">Spread</option>
+            <option value="total">Total</option>
+          </select>
+          <select value={leg.side} onChange={(e) => editLeg(i, { side: e.target.value })} className={inputClass}>
+            {SIDES[leg.market].map(side => (
+              <option key={side} value={side}>
+                {side === 'home' ? results[leg.gameIndex].homeTeam : side === 'away' ? results[leg.gameIndex].awayTeam : side === 'over' ? 'Over' : 'Under'}
+              </option>
+            ))}
+          </select>
+          <span className="text-sm text-slate-300">
+            {leg.market === 'spread' && leg.line > 0 ? '+' : ''}{leg.line}{mode === 'parlay' ? ` @ ${fmtOdds(leg.price)}` : ''}
+          </span>
+          <button onClick={() => setLegs(legs.filter((_, j) => j !== i))} title="Remove">
+            <XCircle className="w-5 h-5 text-red-400" />
+          </button>
+        </div>
+      ))}
+
+      {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+
+      {priced && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm mb-4">
+            <thead>
+              <tr className="border-b border-slate-600">
+                <th className="text-left p-2">Leg</th>
+                {mode === 'teaser' && <th className="text-center p-2">Base %</th>}
+                {mode === 'teaser' && <th className="text-center p-2">Teased Line</th>}
+                <th className="text-center p-2">Win %</th>
+                <th className="text-center p-2">Push %</th>
+                {mode === 'teaser' && <th className="text-center p-2">3 & 7</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {priced.legs.map(leg => (
+                <tr key={`${leg.gameIndex}-${leg.market}-${leg.side}`} className="border-b border-slate-700">
+                  <td className="p-2">{leg.label}</td>
+                  {mode === 'teaser' && <td className="text-center p-2">{pct(leg.baseWinProb)}</td>}
+                  {mode === 'teaser' && <td className="text-center p-2">{leg.market === 'spread' && leg.teasedLine > 0 ? '+' : ''}{leg.teasedLine}</td>}
+                  <td className="text-center p-2">{pct(leg.winProb)}</td>
+                  <td className="text-center p-2">{pct(leg.pushProb)}</td>
+                  {mode === 'teaser' && <td className="text-center p-2">{leg.wong ? '✓' : ''}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <p className="text-sm mb-2">
+            All legs win: <span className="font-bold">{pct(priced.winProb, 2)}</span>
+            {' '}| Push: {pct(priced.pushProb, 2)} | Fair: <span className="font-bold">{fmtOdds(priced.fairOdds)}</span>
+          </p>
+
+          {mode === 'teaser' ? (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-600">
+                  <th className="text-left p-2">Payout Table</th>
+                  <th className="text-center p-2">{legs.length}-Team Price</th>
+                  <th className="text-center p-2">Break-even / Leg</th>
+                  <th className="text-center p-2">EV</th>
+                </tr>
+              </thead>
+              <tbody>
+                {priced.payouts.map(p => (
+                  <tr key={p.name} className="border-b border-slate-700">
+                    <td className="p-2">{p.name}</td>
+                    <td className="text-center p-2">{fmtOdds(p.price)}</td>
+                    <td className="text-center p-2">{p.breakEven ? pct(p.breakEven) : '-'}</td>
+                    <td className={`text-center p-2 ${p.ev > 0 ? 'text-green-400' : 'text-slate-400'}`}>
+                      {p.ev === null ? 'not offered' : `${p.ev >= 0 ? '+' : ''}${pct(p.ev)}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm">
+              Book price (legs multiplied): <span className="font-bold">{fmtOdds(priced.price)}</span>
+              {' '}| EV: <span className={priced.ev > 0 ? 'text-green-400 font-bold' : 'text-slate-400'}>{priced.ev >= 0 ? '+' : ''}{pct(priced.ev)}</span>
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TeaserPanel;
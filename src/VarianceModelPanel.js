@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import { fitVarianceModel, parseVarianceArtifact, VARIANCE_FEATURES } from "./engine";
+
+/**
+ * Fit, save, load and clear the score variance model that replaces the sigma clamps
+ */
+const VarianceModelPanel = ({ model, onChange, results }) => {
+  const [error, setError] = useState(null);
+  const scored = results.filter(r => r.final).length;
+
+  const handleFit = () => {
+    try {
+      setError(null);
+      onChange(fitVarianceModel(results));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleLoad = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setError(null);
+        onChange(parseVarianceArtifact(e.target.result));
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleSave = () => {
+    const blob = new Blob([JSON.stringify(model, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `gamble-tron-variance-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mt-6 bg-slate-900/60 p-4 rounded-lg border border-slate-700">
+      <h3 className="text-lg font-bold mb-2">Score Variance Model</h3>
+      <p className="text-sm text-slate-300 mb-3">
+        {model
+          ? <>Fitted on {model.margin.n} games: mean σ margin {model.margin.meanSigma.toFixed(2)}, σ total {model.total.meanSigma.toFixed(2)}. Re-run simulations to apply.</>
+          : 'No variance model loaded - Gaussian sims use the clamped sigma bounds'}
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4">
+        <button
+          onClick={handleFit}
+          disabled={scored === 0}
+          title={scored ? '' : 'Run a batch whose games CSV has final scores'}
+          className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 rounded-lg font-semibold text-sm"
+        >
+          Fit From Batch Residuals
+        </button>
+        {model && (
+          <>
+            <button onClick={handleSave} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-semibold text-sm">
+              Save JSON
+            </button>
+            <button onClick={() => onChange(null)} className="px-4 py-2 bg-slate-600 hover:bg-slate-500 rounded-lg font-semibold text-sm">
+              Clear
+            </button>
+          </>
+        )}
+        <label className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg font-semibold text-sm cursor-pointer">
+          Load JSON
+          <input type="file" accept=".json" className="hidden" onChange={handleLoad} />
+        </label>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+
+      {model && (
+        <table className="w-full text-sm mt-4 max-w-lg">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-2">log σ term</th>
+              <th className="text-center p-2">Margin</th>
+              <th className="text-center p-2">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {VARIANCE_FEATURES.map((name, i) => (
+              <tr key={name} className="border-b border-slate-700">
+                <td className="p-2">{name}</td>
+                <td className="text-center p-2">{model.margin.coef[i].toFixed(3)}</td>
+                <td className="text-center p-2">{model.total.coef[i].toFixed(3)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default VarianceModelPanel;
@@ -0,0 +1,230 @@
+import { evaluateSpreadBet, evaluateTotalsBet } from "./evaluators";
+import { americanToNetPayout, DEFAULT_KELLY_FRACTION, DEFAULT_PRICES } from "./odds";
+
+// ============================================
+// BACKTESTING - GRADE SIGNALS AGAINST FINAL SCORES
+// ============================================
+
+// Reliability bins over the signal-side probability (%)
+export const RELIABILITY_BINS = [50, 52.5, 55, 57.5, 60, 65, 100];
+
+/**
+ * Run both evaluators on a simulation result at the prices its settings carry,
+ * optionally through a calibration artifact
+ */
+export const evaluateResult = (r, calibration = null, kellyFraction = DEFAULT_KELLY_FRACTION) => {
+  const px = { ...DEFAULT_PRICES, ...(r.settings?.prices || {}) };
+  return {
+    spreadEval: evaluateSpreadBet(
+      r.spread.homeCoverPct,
+      r.spread.awayCoverPct,
+      r.marginProjection.mean,
+      r.spread.line,
+      calibration?.markets?.spread || null,
+      { home: px.homeSpread, away: px.awaySpread },
+      kellyFraction
+    ),
+    totalsEval: evaluateTotalsBet(
+      r.overUnder.overPct,
+      r.overUnder.underPct,
+      r.totalProjection.mean,
+      r.overUnder.line,
+      Math.abs(r.spread.line),
+      r.settings?.isDome || false,
+      calibration?.markets?.totals || null,
+      { over: px.over, under: px.under },
+      kellyFraction
+    )
+  };
+};
+
+/**
+ * Run the same evaluators on the period lines a game carries (1H/2H/1Q from the
+ * games CSV). Lines the model derived itself are not evaluated, and the
+ * full-game calibration curves are not applied to period probabilities.
+ */
+export const evaluatePeriodResults = (r, kellyFraction = DEFAULT_KELLY_FRACTION) => (r.periods || [])
+  .filter(p => p.spread.entered || p.overUnder.entered)
+  .map(p => {
+    const px = { home: -110, away: -110, over: -110, under: -110, ...(p.prices || {}) };
+    return {
+      key: p.key,
+      spreadEval: p.spread.entered
+        ? evaluateSpreadBet(
+          p.spread.homeCoverPct,
+          p.spread.awayCoverPct,
+          p.homeExpectedPts - p.awayExpectedPts,
+          p.spread.line,
+          null,
+          { home: px.home, away: px.away },
+          kellyFraction
+        )
+        : null,
+      totalsEval: p.overUnder.entered
+        ? evaluateTotalsBet(
+          p.overUnder.overPct,
+          p.overUnder.underPct,
+          p.expectedTotal,
+          p.overUnder.line,
+          Math.abs(p.spread.line),
+          r.settings?.isDome || false,
+          null,
+          { over: px.over, under: px.under },
+          kellyFraction
+        )
+        : null
+    };
+  });
+
+/**
+ * 'W' / 'L' / 'P' for a spread signal given the final score
+ */
+export function gradeSpreadBet(signal, spreadLine, final) {
+  const adjusted = (final.home - final.away) + spreadLine;
+  if (adjusted === 0) return 'P';
+  const homeCovered = adjusted > 0;
+  return (signal === 'HOME') === homeCovered ? 'W' : 'L';
+}
+
+/**
+ * 'W' / 'L' / 'P' for a totals signal given the final score
+ */
+export function gradeTotalsBet(signal, totalLine, final) {
+  const total = final.home + final.away;
+  if (total === totalLine) return 'P';
+  return (signal === 'OVER') === (total > totalLine) ? 'W' : 'L';
+}
+
+/**
+ * Win/loss/push, flat-stake ROI at each bet's price (-110 unless the games CSV
+ * carried one), Brier score and log loss for a list of graded bets.
+ * Probability scores skip pushes.
+ */
+export function summarizeGraded(graded) {
+  const wins = graded.filter(g => g.outcome === 'W').length;
+  const losses = graded.filter(g => g.outcome === 'L').length;
+  const pushes = graded.filter(g => g.outcome === 'P').length;
+  const decided = graded.filter(g => g.outcome !== 'P');
+  
+  const units = graded.reduce((a, g) => {
+    if (g.outcome === 'W') return a + americanToNetPayout(g.evaluation.price ?? -110);
+    if (g.outcome === 'L') return a - 1;
+    return a;
+  }, 0);
+  const risked = wins + losses;
+  
+  let brier = null, logLoss = null;
+  if (decided.length > 0) {
+    brier = decided.reduce((a, g) => {
+      const y = g.outcome === 'W' ? 1 : 0;
+      return a + Math.pow(g.prob - y, 2);
+    }, 0) / decided.length;
+    logLoss = decided.reduce((a, g) => {
+      const y = g.outcome === 'W' ? 1 : 0;
+      const p = Math.min(1 - 1e-6, Math.max(1e-6, g.prob));
+      return a - (y * Math.log(p) + (1 - y) * Math.log(1 - p));
+    }, 0) / decided.length;
+  }
+  
+  return {
+    n: graded.length,
+    wins,
+    losses,
+    pushes,
+    winPct: risked > 0 ? (wins / risked) * 100 : null,
+    units,
+    roi: risked > 0 ? (units / risked) * 100 : null,
+    brier,
+    logLoss
+  };
+}
+
+/**
+ * Predicted vs realized win rate by probability bin
+ */
+export function buildReliabilityTable(graded, bins = RELIABILITY_BINS) {
+  const rows = [];
+  for (let b = 0; b < bins.length - 1; b++) {
+    const lo = bins[b], hi = bins[b + 1];
+    const isLast = b === bins.length - 2;
+    const inBin = graded.filter(g => g.outcome !== 'P' && g.prob * 100 >= lo && (g.prob * 100 < hi || (isLast && g.prob * 100 <= hi)));
+    rows.push({
+      bin: `${lo}-${hi}%`,
+      n: inBin.length,
+      predicted: inBin.length > 0 ? (inBin.reduce((a, g) => a + g.prob, 0) / inBin.length) * 100 : null,
+      actual: inBin.length > 0 ? (inBin.filter(g => g.outcome === 'W').length / inBin.length) * 100 : null
+    });
+  }
+  return rows;
+}
+
+const breakdownBy = (graded, field) => {
+  const groups = {};
+  graded.forEach(g => {
+    const key = String(g.evaluation[field]);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(g);
+  });
+  const out = {};
+  Object.keys(groups).sort().forEach(key => {
+    out[key] = summarizeGraded(groups[key]);
+  });
+  return out;
+};
+
+const buildMarketReport = (graded, fields) => {
+  const breakdowns = {};
+  fields.forEach(field => {
+    breakdowns[field] = breakdownBy(graded, field);
+  });
+  return {
+    all: summarizeGraded(graded),
+    approved: summarizeGraded(graded.filter(g => g.evaluation.approved)),
+    reliability: buildReliabilityTable(graded),
+    breakdowns,
+    graded
+  };
+};
+
+/**
+ * Grade every spread and totals signal in a batch of results that carry
+ * `final: { home, away }` scores. Scores use the calibrated probability;
+ * the raw probability is kept on each graded bet for fitting calibration.
+ */
+export function runBacktest(results, calibration = null) {
+  const withFinals = results.filter(r => r.final);
+  const spreadGraded = [];
+  const totalsGraded = [];
+  
+  withFinals.forEach(r => {
+    const { spreadEval, totalsEval } = evaluateResult(r, calibration);
+    const game = `${r.awayTeam} @ ${r.homeTeam}`;
+    spreadGraded.push({
+      game,
+      market: 'spread',
+      evaluation: spreadEval,
+      prob: spreadEval.calibratedProb / 100,
+      rawProb: spreadEval.rawProb / 100,
+      outcome: gradeSpreadBet(spreadEval.signal, r.spread.line, r.final)
+    });
+    totalsGraded.push({
+      game,
+      market: 'total',
+      evaluation: totalsEval,
+      prob: totalsEval.calibratedProb / 100,
+      rawProb: totalsEval.rawProb / 100,
+      outcome: gradeTotalsBet(totalsEval.signal, r.overUnder.line, r.final)
+    });
+  });
+  
+  return {
+    games: withFinals.length,
+    spread: buildMarketReport(spreadGraded, ['sideType', 'spreadCategory', 'tier']),
+    totals: buildMarketReport(totalsGraded, ['totalCategory', 'edgeCategory', 'tier']),
+    combined: {
+      all: summarizeGraded([...spreadGraded, ...totalsGraded]),
+      approved: summarizeGraded([...spreadGraded, ...totalsGraded].filter(g => g.evaluation.approved)),
+      reliability: buildReliabilityTable([...spreadGraded, ...totalsGraded])
+    }
+  };
+}
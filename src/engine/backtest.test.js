@@ -0,0 +1,88 @@
+import {
+  buildReliabilityTable,
+  gradeSpreadBet,
+  gradeTotalsBet,
+  runBacktest,
+  summarizeGraded
+} from "./backtest";
+
+describe('gradeSpreadBet', () => {
+  test('a whole-number spread pushes on the exact margin', () => {
+    expect(gradeSpreadBet('HOME', -3, { home: 24, away: 21 })).toBe('P');
+    expect(gradeSpreadBet('AWAY', -3, { home: 24, away: 21 })).toBe('P');
+    expect(gradeSpreadBet('HOME', -3, { home: 25, away: 21 })).toBe('W');
+    expect(gradeSpreadBet('AWAY', -3, { home: 25, away: 21 })).toBe('L');
+  });
+
+  test('a half-point spread never pushes', () => {
+    expect(gradeSpreadBet('HOME', -3.5, { home: 24, away: 21 })).toBe('L');
+    expect(gradeSpreadBet('AWAY', -3.5, { home: 24, away: 21 })).toBe('W');
+    expect(gradeSpreadBet('AWAY', 2.5, { home: 20, away: 22 })).toBe('L');
+  });
+});
+
+describe('gradeTotalsBet', () => {
+  test('pushes on the exact total and grades either side of it', () => {
+    expect(gradeTotalsBet('OVER', 44, { home: 24, away: 20 })).toBe('P');
+    expect(gradeTotalsBet('OVER', 44.5, { home: 24, away: 21 })).toBe('W');
+    expect(gradeTotalsBet('UNDER', 44.5, { home: 24, away: 21 })).toBe('L');
+    expect(gradeTotalsBet('UNDER', 44.5, { home: 24, away: 20 })).toBe('W');
+  });
+});
+
+describe('summarizeGraded', () => {
+  const bet = (outcome, prob, price = -110) => ({ outcome, prob, evaluation: { price } });
+
+  test('ROI is at each price and pushes are neither risked nor scored', () => {
+    const s = summarizeGraded([bet('W', 0.6), bet('W', 0.6, 150), bet('L', 0.6), bet('P', 0.6)]);
+    expect([s.n, s.wins, s.losses, s.pushes]).toEqual([4, 2, 1, 1]);
+    expect(s.winPct).toBeCloseTo(200 / 3);
+    expect(s.units).toBeCloseTo(100 / 110 + 1.5 - 1);
+    expect(s.roi).toBeCloseTo((s.units / 3) * 100);
+    expect(s.brier).toBeCloseTo((0.16 * 2 + 0.36) / 3);
+    expect(s.logLoss).toBeCloseTo(-(2 * Math.log(0.6) + Math.log(0.4)) / 3);
+  });
+
+  test('an empty or all-push list has no rates', () => {
+    const s = summarizeGraded([bet('P', 0.55)]);
+    expect(s.winPct).toBeNull();
+    expect(s.roi).toBeNull();
+    expect(s.brier).toBeNull();
+  });
+});
+
+describe('buildReliabilityTable', () => {
+  test('bins decided bets by probability and includes the top edge', () => {
+    const graded = [
+      { outcome: 'W', prob: 0.51 }, { outcome: 'L', prob: 0.52 },
+      { outcome: 'W', prob: 0.70 }, { outcome: 'P', prob: 0.70 }, { outcome: 'W', prob: 1 },
+    ];
+    const rows = buildReliabilityTable(graded);
+    expect(rows[0]).toMatchObject({ bin: '50-52.5%', n: 2, actual: 50 });
+    expect(rows[0].predicted).toBeCloseTo(51.5);
+    expect(rows[rows.length - 1]).toMatchObject({ n: 2, actual: 100 });
+  });
+});
+
+describe('runBacktest', () => {
+  const result = (final) => ({
+    homeTeam: 'Home',
+    awayTeam: 'Away',
+    final,
+    spread: { line: -3, homeCoverPct: 58, awayCoverPct: 34, pushPct: 8 },
+    overUnder: { line: 44, overPct: 40, underPct: 55, pushPct: 5 },
+    marginProjection: { mean: 5 },
+    totalProjection: { mean: 41 },
+    settings: {}
+  });
+
+  test('grades only games with final scores, at their signal sides', () => {
+    const report = runBacktest([result({ home: 27, away: 24 }), result({ home: 17, away: 20 }), result(null)]);
+    expect(report.games).toBe(2);
+    expect(report.spread.graded.map(g => g.evaluation.signal)).toEqual(['HOME', 'HOME']);
+    expect(report.spread.graded.map(g => g.outcome)).toEqual(['P', 'L']);
+    expect(report.totals.graded.map(g => g.outcome)).toEqual(['L', 'W']);
+    expect(report.combined.all).toMatchObject({ n: 4, wins: 1, losses: 2, pushes: 1 });
+    expect(report.spread.graded[0].rawProb).toBeCloseTo(0.58);
+  });
+});
@@ -0,0 +1,172 @@
+// ============================================
+// PROBABILITY CALIBRATION
+// ============================================
+// Maps raw simulated win probabilities to realized hit rates. Curves are fitted
+// per market (spread / totals) from graded backtest signals and saved as a JSON
+// artifact that can be loaded back into the app.
+
+export const CALIBRATION_ARTIFACT_TYPE = 'nflgpt-calibration';
+export const CALIBRATION_METHODS = ['isotonic', 'platt'];
+
+const EPS = 1e-6;
+const clampProb = (p) => Math.min(1 - EPS, Math.max(EPS, p));
+const logit = (p) => Math.log(clampProb(p) / (1 - clampProb(p)));
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+/**
+ * Pool-adjacent-violators fit of a non-decreasing step curve.
+ * points: [{ x: rawProb (0-1), y: 0|1 }]
+ */
+export function fitIsotonic(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x);
+  const blocks = [];
+  sorted.forEach(({ x, y }) => {
+    blocks.push({ sumX: x, sumY: y, n: 1 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sumY / prev.n < last.sumY / last.n) break;
+      blocks.pop();
+      prev.sumX += last.sumX;
+      prev.sumY += last.sumY;
+      prev.n += last.n;
+    }
+  });
+  return {
+    method: 'isotonic',
+    n: points.length,
+    knots: blocks.map(b => ({ x: b.sumX / b.n, y: b.sumY / b.n, n: b.n }))
+  };
+}
+
+/**
+ * Platt scaling: logistic regression of outcome on logit(raw prob), fitted by Newton's method
+ */
+export function fitPlatt(points) {
+  let a = 1, b = 0;
+  const ridge = 1e-3;
+  for (let iter = 0; iter < 50; iter++) {
+    let gA = -ridge * (a - 1), gB = 0;
+    let hAA = ridge, hAB = 0, hBB = ridge;
+    for (let i = 0; i < points.length; i++) {
+      const z = logit(points[i].x);
+      const p = sigmoid(a * z + b);
+      const r = points[i].y - p;
+      const w = p * (1 - p);
+      gA += r * z;
+      gB += r;
+      hAA += w * z * z;
+      hAB += w * z;
+      hBB += w;
+    }
+    const det = hAA * hBB - hAB * hAB;
+    if (Math.abs(det) < 1e-12) break;
+    const dA = (hBB * gA - hAB * gB) / det;
+    const dB = (hAA * gB - hAB * gA) / det;
+    a += dA;
+    b += dB;
+    if (Math.abs(dA) < 1e-8 && Math.abs(dB) < 1e-8) break;
+  }
+  return { method: 'platt', n: points.length, a, b };
+}
+
+/**
+ * Calibrated probability (%) for a raw probability (%) under a fitted curve.
+ * No curve → identity.
+ */
+export function applyCalibration(curve, rawPct) {
+  if (!curve) return rawPct;
+  const x = rawPct / 100;
+  
+  if (curve.method === 'platt') {
+    return sigmoid(curve.a * logit(x) + curve.b) * 100;
+  }
+  
+  const knots = curve.knots;
+  if (!knots || knots.length === 0) return rawPct;
+  if (x <= knots[0].x) return knots[0].y * 100;
+  if (x >= knots[knots.length - 1].x) return knots[knots.length - 1].y * 100;
+  for (let i = 1; i < knots.length; i++) {
+    if (x <= knots[i].x) {
+      const lo = knots[i - 1], hi = knots[i];
+      const t = (x - lo.x) / (hi.x - lo.x);
+      return (lo.y + t * (hi.y - lo.y)) * 100;
+    }
+  }
+  return rawPct;
+}
+
+/**
+ * Calibrated probabilities (%) for both sides of one market. Only the side with
+ * the higher raw probability goes through the curve; the other side gets the
+ * complement net of the push, so the two can never both land above 50%.
+ */
+export function calibrateSides(curve, rawPctA, rawPctB) {
+  if (!curve) return [rawPctA, rawPctB];
+  const pushPct = Math.max(0, 100 - rawPctA - rawPctB);
+  const decided = 100 - pushPct;
+  if (rawPctA >= rawPctB) {
+    const a = Math.min(decided, applyCalibration(curve, rawPctA));
+    return [a, decided - a];
+  }
+  const b = Math.min(decided, applyCalibration(curve, rawPctB));
+  return [decided - b, b];
+}
+
+// Signals are mostly the >50% side, so each graded bet is also added from the
+// other side's point of view; the fitted curve is then symmetric about 50%.
+const fitMarket = (graded, method) => {
+  const points = graded
+    .filter(g => g.outcome !== 'P')
+    .flatMap(g => {
+      const y = g.outcome === 'W' ? 1 : 0;
+      return [{ x: g.rawProb, y }, { x: 1 - g.rawProb, y: 1 - y }];
+    });
+  if (points.length === 0) return null;
+  const curve = method === 'platt' ? fitPlatt(points) : fitIsotonic(points);
+  return { ...curve, n: points.length / 2 };
+};
+
+/**
+ * Fit calibration curves from a backtest report (runBacktest output).
+ * methods: { spread: 'isotonic' | 'platt', totals: 'isotonic' | 'platt' }
+ */
+export function fitCalibration(backtestReport, methods = { spread: 'isotonic', totals: 'platt' }) {
+  return {
+    type: CALIBRATION_ARTIFACT_TYPE,
+    version: 1,
+    createdAt: new Date().toISOString(),
+    markets: {
+      spread: fitMarket(backtestReport.spread.graded, methods.spread),
+      totals: fitMarket(backtestReport.totals.graded, methods.totals)
+    }
+  };
+}
+
+/**
+ * Parse and validate a saved calibration artifact
+ */
+export function parseCalibrationArtifact(jsonText) {
+  let artifact;
+  try {
+    artifact = JSON.parse(jsonText);
+  } catch (error) {
+    throw new Error("Calibration file is not valid JSON");
+  }
+  if (!artifact || artifact.type !== CALIBRATION_ARTIFACT_TYPE || !artifact.markets) {
+    throw new Error("Not a calibration artifact");
+  }
+  Object.entries(artifact.markets).forEach(([market, curve]) => {
+    if (!curve) return;
+    if (!CALIBRATION_METHODS.includes(curve.method)) {
+      throw new Error(`Unknown calibration method for ${market}: ${curve.method}`);
+    }
+    if (curve.method === 'isotonic' && !Array.isArray(curve.knots)) {
+      throw new Error(`Isotonic curve for ${market} has no knots`);
+    }
+    if (curve.method === 'platt' && (typeof curve.a !== 'number' || typeof curve.b !== 'number')) {
+      throw new Error(`Platt curve for ${market} is missing coefficients`);
+    }
+  });
+  return artifact;
+}
@@ -0,0 +1,59 @@
+import { applyCalibration, calibrateSides, fitCalibration, fitIsotonic, fitPlatt } from "./calibration";
+
+// Signal-side graded bets only (raw probabilities above 50%), as a backtest produces them
+const graded = [
+  [0.52, 'L'], [0.53, 'W'], [0.55, 'L'], [0.56, 'W'], [0.57, 'W'], [0.58, 'L'],
+  [0.60, 'W'], [0.61, 'L'], [0.63, 'W'], [0.65, 'W'], [0.68, 'W'], [0.72, 'L'],
+  [0.75, 'W'], [0.78, 'W'], [0.81, 'W'], [0.85, 'W'],
+].map(([rawProb, outcome]) => ({ rawProb, outcome }));
+
+const report = { spread: { graded }, totals: { graded } };
+
+describe('fitIsotonic', () => {
+  test('pools adjacent violators into a non-decreasing curve', () => {
+    const curve = fitIsotonic([
+      { x: 0.1, y: 0 }, { x: 0.2, y: 1 }, { x: 0.3, y: 0 }, { x: 0.4, y: 1 }
+    ]);
+    expect(curve.knots.map(k => k.y)).toEqual([0, 0.5, 1]);
+    expect(curve.knots[1].x).toBeCloseTo(0.25);
+    curve.knots.slice(1).forEach((k, i) => expect(k.y).toBeGreaterThanOrEqual(curve.knots[i].y));
+  });
+});
+
+describe('fitPlatt', () => {
+  test('stays near the identity on well-calibrated points', () => {
+    const points = [];
+    [0.3, 0.5, 0.7].forEach(p => {
+      for (let i = 0; i < 100; i++) points.push({ x: p, y: i < p * 100 ? 1 : 0 });
+    });
+    const curve = fitPlatt(points);
+    expect(curve.a).toBeCloseTo(1, 1);
+    expect(curve.b).toBeCloseTo(0, 1);
+  });
+});
+
+describe('applyCalibration', () => {
+  test.each(['isotonic', 'platt'])('%s curves fitted from signals are symmetric about 50%%', (method) => {
+    const curve = fitCalibration(report, { spread: method, totals: method }).markets.spread;
+    expect(curve.n).toBe(graded.length);
+    [42, 50, 55, 58, 63, 70, 90].forEach(p => {
+      expect(applyCalibration(curve, p) + applyCalibration(curve, 100 - p)).toBeCloseTo(100, 6);
+    });
+  });
+
+  test('no curve is the identity', () => {
+    expect(applyCalibration(null, 57.3)).toBe(57.3);
+  });
+});
+
+describe('calibrateSides', () => {
+  test('the two sides and the push add to 100 and only one side is favored', () => {
+    const curve = { method: 'isotonic', knots: [{ x: 0.55, y: 0.53 }, { x: 0.7, y: 0.6 }] };
+    const [home, away] = calibrateSides(curve, 58, 39);
+    expect(home + away).toBeCloseTo(97);
+    expect(away).toBeLessThan(50);
+    const [under, over] = calibrateSides(curve, 40, 60);
+    expect(under + over).toBeCloseTo(100);
+    expect(over).toBeGreaterThan(under);
+  });
+});
@@ -0,0 +1,283 @@
+import { DEFAULT_PRICES, parseAmericanOdds } from "./odds";
+
+// ============================================
+// CSV PARSING
+// ============================================
+
+export function parseCSV(csvText) {
+  let cleanedText = csvText;
+  if (cleanedText.charCodeAt(0) === 0xFEFF) {
+    cleanedText = cleanedText.slice(1);
+  }
+  
+  const lines = cleanedText.trim().split('\n');
+  if (lines.length < 2) {
+    throw new Error("CSV file appears to be empty or invalid");
+  }
+
+  const headers = parseCSVLine(lines[0]);
+  const teamData = [];
+
+  console.log("CSV Headers found:", headers);
+
+  for (let i = 1; i < lines.length; i++) {
+    const values = parseCSVLine(lines[i]);
+    if (values.length < headers.length - 5) continue;
+
+    const team = {};
+    headers.forEach((header, index) => {
+      if (index < values.length) {
+        const cleanHeader = header.replace(/^\uFEFF/, '');
+        team[cleanHeader] = values[index];
+      }
+    });
+
+    const teamName = team.team || team.Team || team['\ufeffteam'];
+    if (teamName) {
+      team.Team = teamName;
+      teamData.push(team);
+    }
+  }
+
+  if (teamData.length === 0) {
+    throw new Error("No valid team data found. Please check CSV format.");
+  }
+
+  return teamData;
+}
+
+export function parseCSVLine(line) {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      result.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  
+  result.push(current.trim());
+  return result;
+}
+
+// ============================================
+// BATCH GAMES CSV
+// ============================================
+
+export const ROOF_TYPES = ['outdoor', 'dome', 'retractable-closed', 'retractable-open'];
+
+// Outdoor scoring penalty for batch games (points, split across teams)
+export const OUTDOOR_PENALTY = -1.25;
+
+export const PRECIPITATION_TYPES = ['none', 'light_rain', 'heavy_rain', 'snow'];
+
+/**
+ * Weather is shut out under a dome or a closed retractable roof
+ */
+export const roofIsClosed = (roof) => roof === 'dome' || roof === 'retractable-closed';
+
+/**
+ * Roof column text (outdoor/open-air, dome/indoor, retractable open/closed) to a ROOF_TYPES value, or null
+ */
+export function parseRoof(value) {
+  const text = (value || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!text) return null;
+  if (text.startsWith('retractable') || text.startsWith('retr')) {
+    return text.includes('open') ? 'retractable-open' : 'retractable-closed';
+  }
+  if (text === 'closed') return 'retractable-closed';
+  if (text === 'open') return 'retractable-open';
+  if (text === 'dome' || text === 'indoor' || text === 'indoors') return 'dome';
+  return 'outdoor';
+}
+
+/**
+ * Precipitation column text to a weather.precip_adjustments key
+ */
+export function parsePrecipitation(value) {
+  const text = (value || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!text || text === 'none' || text === 'dry' || text === 'clear') return 'none';
+  if (text.includes('snow')) return 'snow';
+  if (text.includes('heavy')) return 'heavy_rain';
+  if (text.includes('rain') || text.includes('drizzle') || text.includes('showers')) return 'light_rain';
+  return 'none';
+}
+
+/**
+ * Parse a slate of games, resolving home/away names against the loaded team rows
+ */
+export function parseGamesCSV(csvText, teams) {
+  let cleanedText = csvText;
+  if (cleanedText.charCodeAt(0) === 0xFEFF) {
+    cleanedText = cleanedText.slice(1);
+  }
+  
+  cleanedText = cleanedText.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+  
+  const lines = cleanedText.trim().split('\n').filter(line => line.trim() !== '');
+  if (lines.length < 2) {
+    throw new Error("Games CSV appears to be empty or invalid");
+  }
+
+  const rawHeaders = parseCSVLine(lines[0]);
+  const headers = rawHeaders.map(h => h.toLowerCase().trim().replace(/[^a-z0-9]/g, ''));
+  
+  console.log("Games CSV Headers:", headers);
+
+  const games = [];
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    
+    const values = parseCSVLine(line);
+    if (values.length < 2) continue;
+
+    const row = {};
+    headers.forEach((header, index) => {
+      if (index < values.length) {
+        row[header] = values[index].trim();
+      }
+    });
+
+    const homeTeamName = row.home || row.hometeam || '';
+    const awayTeamName = row.away || row.awayteam || '';
+    
+    if (!homeTeamName || !awayTeamName) continue;
+
+    const homeTeam = teams.find(t => 
+      t.Team.toLowerCase().includes(homeTeamName.toLowerCase()) ||
+      homeTeamName.toLowerCase().includes(t.Team.toLowerCase())
+    );
+    const awayTeam = teams.find(t => 
+      t.Team.toLowerCase().includes(awayTeamName.toLowerCase()) ||
+      awayTeamName.toLowerCase().includes(t.Team.toLowerCase())
+    );
+
+    if (!homeTeam || !awayTeam) {
+      console.warn(`Could not find teams: ${homeTeamName} vs ${awayTeamName}`);
+      continue;
+    }
+
+    const yes = (value) => ['y', 'yes', '1', 'true'].includes((value || '').toLowerCase());
+    // Roof: an explicit roof column wins over the dome flag; blank leaves it to the stadium registry
+    const roof = parseRoof(row.roof) || (row.dome ? (yes(row.dome) ? 'dome' : 'outdoor') : '');
+    const isDome = roofIsClosed(roof);
+    const windMPH = parseFloat(row.wind || row.windmph);
+    const temperature = parseFloat(row.temp || row.temperature || row.tempf);
+    // Neutral site: a yes/no column, or a site/location column reading "neutral"
+    const neutralSite = yes(row.neutral || row.neutralsite) || (row.site || '').toLowerCase() === 'neutral';
+    const crowdPct = parseFloat(row.crowdpct || row.crowd || row.attendancepct);
+    const awayTravelMiles = parseFloat(
+      row.awaytravelmiles || row.travelmiles || row.awaytravel || row.awaytraveldistance || row.traveldistance
+    ) || 0;
+
+    // Optional schedule spot: rest days, byes, weekday, time-zone shifts, divisional
+    const number = (...names) => {
+      for (const name of names) {
+        const parsed = parseFloat(row[name]);
+        if (!isNaN(parsed)) return parsed;
+      }
+      return undefined;
+    };
+    const day = (row.day || row.gameday || row.weekday || '').toLowerCase();
+    const gameDay = day.startsWith('thu') || day === 'tnf' || yes(row.thursday) || yes(row.tnf) ? 'thursday'
+      : day.startsWith('mon') || day === 'mnf' || yes(row.monday) || yes(row.mnf) ? 'monday'
+      : day.startsWith('sat') ? 'saturday'
+      : 'sunday';
+    const total = parseFloat(row.total || row.ou || row.overunder) || 44.5;
+    const spread = parseFloat(row.spread || row.line) || -3;
+    const homeTotal = parseFloat(row.hometotal || row.homett) || (total / 2 - spread / 2);
+    const awayTotal = parseFloat(row.awaytotal || row.awaytt) || (total / 2 + spread / 2);
+
+    // Optional final scores and date/week (used by backtesting)
+    const homeScore = parseFloat(row.homescore || row.homefinal || row.homepts);
+    const awayScore = parseFloat(row.awayscore || row.awayfinal || row.awaypts);
+    const final = !isNaN(homeScore) && !isNaN(awayScore) ? { home: homeScore, away: awayScore } : null;
+
+    // Optional American prices per side (default -110; moneyline has no default)
+    const price = (fallback, ...names) => {
+      for (const name of names) {
+        const parsed = parseAmericanOdds(row[name]);
+        if (parsed !== null) return parsed;
+      }
+      return fallback;
+    };
+    const prices = {
+      homeSpread: price(DEFAULT_PRICES.homeSpread, 'homespreadodds', 'homespreadprice'),
+      awaySpread: price(DEFAULT_PRICES.awaySpread, 'awayspreadodds', 'awayspreadprice'),
+      over: price(DEFAULT_PRICES.over, 'overodds', 'overprice'),
+      under: price(DEFAULT_PRICES.under, 'underodds', 'underprice'),
+      homeTTOver: price(DEFAULT_PRICES.homeTTOver, 'homettoverodds', 'hometotaloverodds'),
+      homeTTUnder: price(DEFAULT_PRICES.homeTTUnder, 'homettunderodds', 'hometotalunderodds'),
+      awayTTOver: price(DEFAULT_PRICES.awayTTOver, 'awayttoverodds', 'awaytotaloverodds'),
+      awayTTUnder: price(DEFAULT_PRICES.awayTTUnder, 'awayttunderodds', 'awaytotalunderodds'),
+      homeML: price(DEFAULT_PRICES.homeML, 'homeml', 'homemoneyline'),
+      awayML: price(DEFAULT_PRICES.awayML, 'awayml', 'awaymoneyline'),
+    };
+
+    // Optional period lines (1H/2H/1Q), e.g. "1H Spread", "1H Total", "1H Over Odds"; headers
+    // are stripped to [a-z0-9], so "1h spread" and "1hspread" both read as 1hspread
+    const periodLines = {};
+    ['1h', '2h', '1q'].forEach(period => {
+      const periodSpread = number(`${period}spread`, `${period}line`);
+      const periodTotal = number(`${period}total`, `${period}ou`);
+      if (periodSpread === undefined && periodTotal === undefined) return;
+      periodLines[period.toUpperCase()] = {
+        spread: periodSpread,
+        total: periodTotal,
+        prices: {
+          home: price(-110, `${period}homespreadodds`, `${period}homeodds`),
+          away: price(-110, `${period}awayspreadodds`, `${period}awayodds`),
+          over: price(-110, `${period}overodds`),
+          under: price(-110, `${period}underodds`)
+        }
+      };
+    });
+
+    games.push({
+      homeTeam,
+      awayTeam,
+      final,
+      date: row.date || null,
+      week: parseInt(row.week) || null,
+      settings: {
+        overUnderLine: total,
+        homeTeamTotal: homeTotal,
+        awayTeamTotal: awayTotal,
+        spread: spread,
+        spreadLine: spread,
+        numSimulations: 10000,
+        isDome,
+        neutralSite,
+        crowdPct: isNaN(crowdPct) ? 100 : crowdPct,
+        awayTravelMiles,
+        homeRestDays: number('homerestdays', 'homerest'),
+        awayRestDays: number('awayrestdays', 'awayrest'),
+        homeOffBye: yes(row.homebye || row.homeoffbye),
+        awayOffBye: yes(row.awaybye || row.awayoffbye),
+        gameDay,
+        homeTzShift: number('hometzshift', 'hometz') || 0,
+        awayTzShift: number('awaytzshift', 'awaytz', 'tzshift') || 0,
+        divisional: yes(row.divisional || row.division || row.div),
+        roof,
+        windMPH: isNaN(windMPH) ? 0 : windMPH,
+        temperature: isNaN(temperature) ? 70 : temperature,
+        precipitation: parsePrecipitation(row.precip || row.precipitation || row.weather),
+        outdoorPenalty: isDome ? 0 : OUTDOOR_PENALTY,
+        prices,
+        periodLines
+      }
+    });
+  }
+
+  return games;
+}
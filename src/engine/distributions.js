@@ -0,0 +1,88 @@
+// ============================================
+// SCORE DISTRIBUTIONS
+// ============================================
+// Shapes behind the single-game percentages: integer histograms of totals and
+// margins, their cumulative curves, and the home-vs-away exact-score grid, all
+// read off the (optionally key-number weighted) simulated samples.
+
+/**
+ * Weighted frequency of each integer value, as [{ value, pct }] sorted by value
+ * with empty values in between filled with 0
+ */
+export function scoreHistogram(values, weights = null) {
+  if (!values || values.length === 0) return [];
+  const counts = new Map();
+  let totalWeight = 0;
+  values.forEach((v, i) => {
+    const w = weights ? weights[i] : 1;
+    counts.set(v, (counts.get(v) || 0) + w);
+    totalWeight += w;
+  });
+  const keys = [...counts.keys()];
+  const min = Math.min(...keys);
+  const max = Math.max(...keys);
+  const bins = [];
+  for (let value = min; value <= max; value++) {
+    bins.push({ value, pct: ((counts.get(value) || 0) / totalWeight) * 100 });
+  }
+  return bins;
+}
+
+/**
+ * Running P(X <= value) over a histogram
+ */
+export function cumulativeCurve(histogram) {
+  let running = 0;
+  return histogram.map(bin => {
+    running += bin.pct;
+    return { value: bin.value, pct: Math.min(100, running) };
+  });
+}
+
+/**
+ * Trim the thin tails of a histogram so charts focus on the body; the
+ * trimmed mass is folded into the end bins
+ */
+export function trimHistogram(histogram, tailPct = 0.5) {
+  if (histogram.length === 0) return histogram;
+  let lo = 0, hi = histogram.length - 1, below = 0, above = 0;
+  while (lo < hi && below + histogram[lo].pct < tailPct) below += histogram[lo++].pct;
+  while (hi > lo && above + histogram[hi].pct < tailPct) above += histogram[hi--].pct;
+  const bins = histogram.slice(lo, hi + 1).map(bin => ({ ...bin }));
+  bins[0].pct += below;
+  bins[bins.length - 1].pct += above;
+  return bins;
+}
+
+/**
+ * Home-vs-away exact-score grid: cells[home][away] in percent for scores
+ * 0..maxScore, with anything higher folded into the last row/column.
+ * `top` lists the most likely exact scores.
+ */
+export function exactScoreGrid(homeScores, awayScores, weights = null, maxScore = 45, topN = 10) {
+  const size = maxScore + 1;
+  const cells = Array.from({ length: size }, () => new Array(size).fill(0));
+  const exact = new Map();
+  let totalWeight = 0;
+  homeScores.forEach((home, i) => {
+    const w = weights ? weights[i] : 1;
+    const away = awayScores[i];
+    cells[Math.min(maxScore, Math.max(0, home))][Math.min(maxScore, Math.max(0, away))] += w;
+    const key = `${home}:${away}`;
+    exact.set(key, (exact.get(key) || 0) + w);
+    totalWeight += w;
+  });
+  let maxPct = 0;
+  cells.forEach(row => row.forEach((w, j) => {
+    row[j] = (w / totalWeight) * 100;
+    maxPct = Math.max(maxPct, row[j]);
+  }));
+  const top = [...exact.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topN)
+    .map(([key, w]) => {
+      const [home, away] = key.split(':').map(Number);
+      return { home, away, pct: (w / totalWeight) * 100 };
+    });
+  return { maxScore, cells, maxPct, top };
+}
@@ -0,0 +1,95 @@
+import { clamp } from "./utils";
+
+// ============================================
+// DRIVE-BY-DRIVE DISCRETE SCORING MODEL
+// ============================================
+
+/**
+ * Expected value of a touchdown including the try (PAT or 2pt)
+ */
+const touchdownValue = (drive) =>
+  6 + (1 - drive.twoPtAttemptRate) * drive.xpRate + drive.twoPtAttemptRate * drive.twoPtRate * 2;
+
+/**
+ * Per-drive outcome probabilities (TD / FG / turnover / punt) for one offense
+ * against one defense.
+ *
+ * The shape comes from red-zone trips, red-zone TD rate, turnover rate and
+ * three-and-out rate; the scoring probabilities are then scaled so the
+ * expected points per drive match the CER-adjusted target PPD.
+ */
+export function calculateDriveOutcomeProbs(offCER, defCER, offPace, expectedDrives, targetPPD, drive) {
+  const pTO = clamp((offCER.components.to_pct + defCER.components.to_forced) / 2, 0.03, 0.25);
+  const threeOut = clamp(offPace.components.threeOut, 0.08, 0.40);
+  const rzPerGame = (offCER.components.rzDrives + defCER.components.rzDrives) / 2;
+  const rzTripRate = clamp(rzPerGame / expectedDrives, 0.10, 0.60);
+  const rztd = clamp((offCER.components.rztd + defCER.components.rztd) / 2, 0.30, 0.85);
+  const tdPoints = touchdownValue(drive);
+  
+  // Baseline shape: red-zone TDs/FGs plus long-field scores from outside the red zone
+  let pTD = rzTripRate * rztd + drive.outsideRzTdRate;
+  let pFG = rzTripRate * (1 - rztd) * drive.rzFgRate + drive.outsideRzFgRate;
+  
+  // Scale to the target PPD, keeping turnovers and three-and-outs as non-scoring drives
+  const scale = Math.max(0, targetPPD) / (pTD * tdPoints + pFG * 3);
+  pTD *= scale;
+  pFG *= scale;
+  const maxScoring = 1 - pTO - threeOut;
+  if (pTD + pFG > maxScoring) {
+    const shrink = maxScoring / (pTD + pFG);
+    pTD *= shrink;
+    pFG *= shrink;
+  }
+  
+  return {
+    pTD,
+    pFG,
+    pTO,
+    pPunt: 1 - pTD - pFG - pTO,
+    threeOut,
+    rzTripRate,
+    rztd,
+    tdPoints,
+    expectedPPD: pTD * tdPoints + pFG * 3
+  };
+}
+
+/**
+ * Sample a drive count around an expected (fractional) number of drives
+ */
+export const sampleDriveCount = (expected, rng) => {
+  const base = Math.floor(expected);
+  return Math.max(6, base + (rng() < expected - base ? 1 : 0));
+};
+
+/**
+ * Simulate one team's score drive by drive.
+ * `efficiency` scales scoring probabilities for a game-day form shock.
+ */
+export function sampleDriveScore(probs, numDrives, efficiency, rng, drive) {
+  const maxScoring = 1 - probs.pTO;
+  let pTD = probs.pTD * efficiency;
+  let pFG = probs.pFG * efficiency;
+  if (pTD + pFG > maxScoring) {
+    const shrink = maxScoring / (pTD + pFG);
+    pTD *= shrink;
+    pFG *= shrink;
+  }
+  
+  let points = 0;
+  for (let d = 0; d < numDrives; d++) {
+    const u = rng();
+    if (u < pTD) {
+      points += 6;
+      if (rng() < drive.twoPtAttemptRate) {
+        if (rng() < drive.twoPtRate) points += 2;
+      } else if (rng() < drive.xpRate) {
+        points += 1;
+      }
+    } else if (u < pTD + pFG) {
+      points += 3;
+    }
+    // Otherwise punt or turnover: no points
+  }
+  return points;
+}
@@ -0,0 +1,55 @@
+import { calculateDriveOutcomeProbs, sampleDriveScore } from "./driveModel";
+import { buildModelParams } from "./params";
+import { createRng } from "./random";
+import { simulateGame } from "./simulator";
+
+const drive = buildModelParams().drive;
+const offCER = { components: { to_pct: 0.10, rzDrives: 3.4, rztd: 0.58 } };
+const defCER = { components: { to_forced: 0.11, rzDrives: 3.0, rztd: 0.55 } };
+const offPace = { components: { threeOut: 0.22 } };
+
+describe('calculateDriveOutcomeProbs', () => {
+  test('outcomes form a distribution whose points per drive hit the target', () => {
+    const probs = calculateDriveOutcomeProbs(offCER, defCER, offPace, 11, 2.1, drive);
+    [probs.pTD, probs.pFG, probs.pTO, probs.pPunt].forEach(p => expect(p).toBeGreaterThanOrEqual(0));
+    expect(probs.pTD + probs.pFG + probs.pTO + probs.pPunt).toBeCloseTo(1);
+    expect(probs.expectedPPD).toBeCloseTo(2.1);
+    expect(probs.tdPoints).toBeGreaterThan(6.8);
+  });
+});
+
+describe('sampleDriveScore', () => {
+  test('mean points per drive match the expected PPD', () => {
+    const probs = calculateDriveOutcomeProbs(offCER, defCER, offPace, 11, 2.1, drive);
+    const rng = createRng(11);
+    const games = 20000;
+    let points = 0;
+    for (let g = 0; g < games; g++) points += sampleDriveScore(probs, 11, 1, rng, drive);
+    expect(points / (games * 11)).toBeCloseTo(probs.expectedPPD, 1);
+  });
+});
+
+describe('simulateGame with the drive model', () => {
+  const home = { Team: 'Home', 'Offensive Pts/Drive': '2.40', 'Defensive Pts/Drive': '1.85' };
+  const away = { Team: 'Away', 'Offensive Pts/Drive': '1.95', 'Defensive Pts/Drive': '2.15' };
+  const settings = { numSimulations: 3000, spreadLine: -3, overUnderLine: 44.5, seed: 99, model: 'drive' };
+
+  test('a fixed seed reproduces the same drive-model games', () => {
+    const a = simulateGame(home, away, settings);
+    const b = simulateGame(home, away, settings);
+    expect(a.model).toBe('drive');
+    expect(b.samples.margins).toEqual(a.samples.margins);
+    expect(simulateGame(home, away, { ...settings, seed: 100 }).samples.margins).not.toEqual(a.samples.margins);
+  });
+
+  test('scores hit the margin projection the Gaussian model is centred on', () => {
+    const driven = simulateGame(home, away, settings);
+    const gaussian = simulateGame(home, away, { ...settings, model: 'gaussian' });
+    expect(gaussian.model).toBe('gaussian');
+    expect(driven.driveOutcomes.home.pTD).toBeGreaterThan(driven.driveOutcomes.away.pTD);
+    expect(driven.homeProjection.mean).toBeCloseTo(driven.homeExpectedPts + driven.gameScriptAdj / 2, 0);
+    expect(driven.awayProjection.mean).toBeCloseTo(driven.awayExpectedPts + driven.gameScriptAdj / 2, 0);
+    expect(driven.marginProjection.mean).toBeCloseTo(gaussian.marginProjection.mean, 0);
+    expect(driven.samples.homeScores.every(Number.isInteger)).toBe(true);
+  });
+});
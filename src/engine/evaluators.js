@@ -0,0 +1,146 @@
+import { calibrateSides } from "./calibration";
+import { DEFAULT_KELLY_FRACTION, priceSide } from "./odds";
+
+// ============================================
+// OPTIMIZED DECISION LAYER - Simplified Bet Selection
+// ============================================
+
+// Expected value (units per unit staked) needed for approval. At -110 these
+// match the old probability ladder: 54% → +0.03, 57% → +0.085, 60% → +0.145
+export const APPROVAL_MIN_EV = 0.03;
+export const TIER_2_MIN_EV = 0.085;
+export const TIER_1_MIN_EV = 0.145;
+
+const STANDARD_PRICES = { home: -110, away: -110, over: -110, under: -110 };
+
+const tierForEV = (ev) => {
+  if (ev >= TIER_1_MIN_EV) return 1;
+  if (ev >= TIER_2_MIN_EV) return 2;
+  if (ev >= APPROVAL_MIN_EV) return 3;
+  return 0;
+};
+
+/**
+ * OPTIMIZED: Simplified spread bet evaluation
+ * - Removed complex compound buckets (were based on n=2-7 samples)
+ * - Removed blanket FAV death zone
+ * - Tracks FAV/DOG for reporting, not filtering
+ * - Approval and tier use expected value at the offered price (calibrated
+ *   probability when a curve is supplied); the model takes the higher-EV side
+ */
+export const evaluateSpreadBet = (rawHomeCoverPct, rawAwayCoverPct, modelMargin, marketSpread, calibration = null, prices = STANDARD_PRICES, kellyFraction = DEFAULT_KELLY_FRACTION) => {
+  // Determine if home is favorite (negative spread = home favored)
+  const homeIsFavorite = marketSpread < 0;
+  const absSpread = Math.abs(marketSpread);
+  
+  // Price both sides, then take the one with the better expected value
+  const pushPct = Math.max(0, 100 - rawHomeCoverPct - rawAwayCoverPct);
+  const [homeProb, awayProb] = calibrateSides(calibration, rawHomeCoverPct, rawAwayCoverPct);
+  const homeValue = priceSide(homeProb / 100, pushPct / 100, prices.home ?? -110, kellyFraction);
+  const awayValue = priceSide(awayProb / 100, pushPct / 100, prices.away ?? -110, kellyFraction);
+  
+  // Determine which side the model likes
+  const modelLikesHome = homeValue.ev > awayValue.ev ||
+    (homeValue.ev === awayValue.ev && rawHomeCoverPct > rawAwayCoverPct);
+  const modelLikesFavorite = (modelLikesHome && homeIsFavorite) || (!modelLikesHome && !homeIsFavorite);
+  
+  const rawProb = modelLikesHome ? rawHomeCoverPct : rawAwayCoverPct;
+  const relevantProb = modelLikesHome ? homeProb : awayProb;
+  const value = modelLikesHome ? homeValue : awayValue;
+  const signal = modelLikesHome ? 'HOME' : 'AWAY';
+  const sideType = modelLikesFavorite ? 'FAV' : 'DOG';
+  
+  // Determine spread size category for reporting
+  let spreadCategory = '';
+  if (absSpread <= 3) spreadCategory = '0-3';
+  else if (absSpread <= 7) spreadCategory = '3-7';
+  else if (absSpread <= 10) spreadCategory = '7-10';
+  else spreadCategory = '10+';
+  
+  // Approval logic: approve if expected value at the offered price clears the bar
+  const approved = value.ev >= APPROVAL_MIN_EV;
+  
+  // Tier based on EV strength
+  const tier = tierForEV(value.ev);
+  
+  // Descriptive bucket for reporting
+  const bucket = approved 
+    ? `✓ ${sideType} ${spreadCategory} @ ${relevantProb.toFixed(1)}% (${value.price})`
+    : `✗ ${sideType} ${spreadCategory} @ ${relevantProb.toFixed(1)}% (${value.price})`;
+  
+  return {
+    signal,
+    rawProb,
+    calibratedProb: relevantProb,
+    modelLikesFavorite,
+    sideType,
+    spreadCategory,
+    absSpread,
+    tier,
+    bucket,
+    approved,
+    modelMargin,
+    ...value
+  };
+};
+
+/**
+ * OPTIMIZED: Simplified totals bet evaluation
+ * - Removed asymmetric OVER/UNDER death zones
+ * - Tracks edge and total size for reporting, not filtering
+ * - Approval and tier use expected value at the offered price (calibrated
+ *   probability when a curve is supplied); the model takes the higher-EV side
+ */
+export const evaluateTotalsBet = (rawOverPct, rawUnderPct, modelTotal, marketTotal, absSpread, isDome, calibration = null, prices = STANDARD_PRICES, kellyFraction = DEFAULT_KELLY_FRACTION) => {
+  const modelEdge = modelTotal - marketTotal;
+  
+  // Price both sides
+  const pushPct = Math.max(0, 100 - rawOverPct - rawUnderPct);
+  const [overProb, underProb] = calibrateSides(calibration, rawOverPct, rawUnderPct);
+  const overValue = priceSide(overProb / 100, pushPct / 100, prices.over ?? -110, kellyFraction);
+  const underValue = priceSide(underProb / 100, pushPct / 100, prices.under ?? -110, kellyFraction);
+  
+  // Determine signal
+  const signal = overValue.ev > underValue.ev || (overValue.ev === underValue.ev && rawOverPct > rawUnderPct)
+    ? 'OVER' : 'UNDER';
+  const rawProb = signal === 'OVER' ? rawOverPct : rawUnderPct;
+  const relevantProb = signal === 'OVER' ? overProb : underProb;
+  const value = signal === 'OVER' ? overValue : underValue;
+  
+  // Determine total size category for reporting
+  let totalCategory = '';
+  if (marketTotal < 42) totalCategory = 'Low (<42)';
+  else if (marketTotal <= 46) totalCategory = 'Mid (42-46)';
+  else totalCategory = 'High (>46)';
+  
+  // Determine edge category for reporting
+  let edgeCategory = '';
+  if (modelEdge < -3) edgeCategory = 'Edge <-3';
+  else if (modelEdge < 0) edgeCategory = 'Edge -3 to 0';
+  else if (modelEdge < 3) edgeCategory = 'Edge 0 to 3';
+  else edgeCategory = 'Edge 3+';
+  
+  // Approval logic: approve if expected value at the offered price clears the bar
+  const approved = value.ev >= APPROVAL_MIN_EV;
+  
+  // Tier based on EV strength
+  const tier = tierForEV(value.ev);
+  
+  // Descriptive bucket for reporting
+  const bucket = approved
+    ? `✓ ${signal} ${totalCategory} ${edgeCategory} @ ${relevantProb.toFixed(1)}% (${value.price})`
+    : `✗ ${signal} ${totalCategory} ${edgeCategory} @ ${relevantProb.toFixed(1)}% (${value.price})`;
+  
+  return {
+    signal,
+    rawProb,
+    calibratedProb: relevantProb,
+    modelEdge,
+    totalCategory,
+    edgeCategory,
+    tier,
+    bucket,
+    approved,
+    ...value
+  };
+};
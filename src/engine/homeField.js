@@ -0,0 +1,126 @@
+import { findValue } from "./utils";
+
+// ============================================
+// HOME FIELD ADVANTAGE
+// ============================================
+// The league-wide HOME_FIELD_ADV is the fallback. A team CSV column takes
+// precedence, then a fitted per-team table. Neutral sites remove the advantage;
+// the optional crowd and travel terms scale it for attendance and away travel.
+
+export const HFA_ARTIFACT_TYPE = 'nflgpt-hfa-table';
+
+// Team stats CSV columns read as a team's own HFA (points)
+export const HFA_COLUMNS = ['HFA', 'Home Field Advantage', 'Home Field Adv'];
+
+// Games with final scores each team needs home and away to get a fitted value
+const MIN_SPLIT_GAMES = 2;
+// Pseudo-games of shrinkage toward the league HFA
+const DEFAULT_SHRINKAGE = 8;
+
+/**
+ * Team's own HFA from its CSV row, or null when the column is absent/blank
+ */
+export function teamHomeFieldAdvantage(team) {
+  const value = parseFloat(findValue(team, HFA_COLUMNS));
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * HFA applied to one game, itemized: base (by source), crowd and travel terms.
+ * settings.neutralSite zeroes everything; settings.crowdPct (0-100, default 100)
+ * scales the crowd share of the base; settings.awayTravelMiles adds the travel term.
+ */
+export function resolveHomeFieldAdvantage(homeTeam, settings, params) {
+  const hf = params.homeField;
+  if (settings.neutralSite) {
+    return { base: 0, source: 'neutral', crowd: 0, travel: 0, total: 0 };
+  }
+
+  const csvHfa = teamHomeFieldAdvantage(homeTeam);
+  const tableHfa = params.hfaTable?.teams?.[homeTeam.Team]?.hfa;
+  let base = params.HOME_FIELD_ADV;
+  let source = 'league';
+  if (csvHfa !== null) {
+    base = csvHfa;
+    source = 'team CSV';
+  } else if (typeof tableHfa === 'number') {
+    base = tableHfa;
+    source = 'fitted';
+  }
+
+  const crowdPct = settings.crowdPct ?? 100;
+  const crowd = -base * hf.crowd_share * (1 - Math.max(0, Math.min(100, crowdPct)) / 100);
+  const travel = hf.travel_per_1000mi * (settings.awayTravelMiles || 0) / 1000;
+
+  return { base, source, crowd, travel, total: base + crowd + travel };
+}
+
+/**
+ * Fit per-team HFA from simulated results with final scores.
+ *
+ * From each team's side, a home residual is (team-quality error + HFA error) and an
+ * away residual is the team-quality error alone, so the home/away difference isolates
+ * the HFA error. It is shrunk toward zero by `shrinkage` pseudo-games and added to the
+ * HFA each game was simulated with. Neutral-site games are skipped.
+ */
+export function fitHomeFieldTable(results, shrinkage = DEFAULT_SHRINKAGE) {
+  const split = {};
+  const entry = (team) => (split[team] = split[team] || { home: [], away: [], applied: [] });
+  results
+    .filter(r => r.final && r.homeField && r.homeField.source !== 'neutral')
+    .forEach(r => {
+      const residual = (r.final.home - r.final.away) - r.marginProjection.mean;
+      entry(r.homeTeam).home.push(residual);
+      entry(r.homeTeam).applied.push(r.homeField.base);
+      entry(r.awayTeam).away.push(-residual);
+    });
+
+  const mean = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+  const teams = {};
+  Object.entries(split).forEach(([team, s]) => {
+    if (s.home.length < MIN_SPLIT_GAMES || s.away.length < MIN_SPLIT_GAMES) return;
+    const n = 2 / (1 / s.home.length + 1 / s.away.length);
+    const shrink = n / (n + shrinkage);
+    const error = (mean(s.home) - mean(s.away)) * shrink;
+    teams[team] = {
+      hfa: mean(s.applied) + error,
+      homeGames: s.home.length,
+      awayGames: s.away.length
+    };
+  });
+
+  if (Object.keys(teams).length === 0) {
+    throw new Error(`No team has ${MIN_SPLIT_GAMES}+ home and away games with final scores`);
+  }
+  return {
+    type: HFA_ARTIFACT_TYPE,
+    version: 1,
+    createdAt: new Date().toISOString(),
+    shrinkage,
+    teams
+  };
+}
+
+/**
+ * Validate a saved HFA table
+ */
+export function parseHomeFieldArtifact(jsonText) {
+  let artifact;
+  try {
+    artifact = JSON.parse(jsonText);
+  } catch (error) {
+    throw new Error("HFA table file is not valid JSON");
+  }
+  if (!artifact || artifact.type !== HFA_ARTIFACT_TYPE) {
+    throw new Error("Not an HFA table artifact");
+  }
+  if (!artifact.teams || typeof artifact.teams !== 'object') {
+    throw new Error("HFA table has no teams");
+  }
+  Object.entries(artifact.teams).forEach(([team, row]) => {
+    if (typeof row?.hfa !== 'number' || !isFinite(row.hfa)) {
+      throw new Error(`HFA table value for ${team} is not a number`);
+    }
+  });
+  return artifact;
+}
@@ -0,0 +1,26 @@
+import { resolveHomeFieldAdvantage } from "./homeField";
+import { buildModelParams } from "./params";
+
+const params = buildModelParams();
+
+describe('resolveHomeFieldAdvantage', () => {
+  test('a neutral site gives no home field, whatever the team or travel', () => {
+    const home = { Team: 'Home', HFA: '3.1' };
+    const hfa = resolveHomeFieldAdvantage(home, { neutralSite: true, awayTravelMiles: 2500 }, params);
+    expect(hfa).toEqual({ base: 0, source: 'neutral', crowd: 0, travel: 0, total: 0 });
+  });
+
+  test('team CSV beats the fitted table, which beats the league value', () => {
+    const table = { ...params, hfaTable: { teams: { Home: { hfa: 1.2 } } } };
+    expect(resolveHomeFieldAdvantage({ Team: 'Home', HFA: '3.1' }, {}, table)).toMatchObject({ base: 3.1, source: 'team CSV' });
+    expect(resolveHomeFieldAdvantage({ Team: 'Home' }, {}, table)).toMatchObject({ base: 1.2, source: 'fitted' });
+    expect(resolveHomeFieldAdvantage({ Team: 'Other' }, {}, table)).toMatchObject({ base: params.HOME_FIELD_ADV, source: 'league' });
+  });
+
+  test('an empty stadium removes the crowd share and travel adds on top', () => {
+    const hfa = resolveHomeFieldAdvantage({ Team: 'Home' }, { crowdPct: 0, awayTravelMiles: 2000 }, params);
+    expect(hfa.crowd).toBeCloseTo(-params.HOME_FIELD_ADV * params.homeField.crowd_share);
+    expect(hfa.travel).toBeCloseTo(2 * params.homeField.travel_per_1000mi);
+    expect(hfa.total).toBeCloseTo(hfa.base + hfa.crowd + hfa.travel);
+  });
+});
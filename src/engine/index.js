@@ -0,0 +1,27 @@
+export * from "./utils";
+export * from "./params";
+export * from "./presets";
+export * from "./random";
+export * from "./csv";
+export * from "./odds";
+export * from "./calibration";
+export * from "./evaluators";
+export * from "./backtest";
+export * from "./portfolio";
+export * from "./optimizer";
+export * from "./driveModel";
+export * from "./keyNumbers";
+export * from "./variance";
+export * from "./homeField";
+export * from "./schedule";
+export * from "./personnel";
+export * from "./stadiums";
+export * from "./ladder";
+export * from "./distributions";
+export * from "./periods";
+export * from "./parlay";
+export * from "./teaser";
+export * from "./season";
+export * from "./playoffs";
+export * from "./ratings";
+export * from "./simulator";
@@ -0,0 +1,91 @@
+// ============================================
+// KEY-NUMBER REWEIGHTING
+// ============================================
+
+/**
+ * Empirical share (%) of NFL games decided by exactly |k| points.
+ * Margins of 3 and 7 dominate because scoring comes in 3s and 7s.
+ */
+export const KEY_MARGIN_FREQUENCIES = {
+  0: 0.3, 1: 3.9, 2: 3.8, 3: 15.1, 4: 4.9, 5: 3.5, 6: 5.8, 7: 9.4,
+  8: 4.2, 9: 2.5, 10: 5.9, 11: 3.3, 12: 2.3, 13: 2.5, 14: 4.9,
+  15: 2.0, 16: 2.0, 17: 3.3, 18: 1.7, 19: 1.2, 20: 1.6, 21: 2.4,
+};
+
+/**
+ * Relative lift of the most common game totals over a smooth distribution
+ */
+export const KEY_TOTAL_MULTIPLIERS = {
+  30: 1.10, 33: 1.15, 37: 1.30, 40: 1.10, 41: 1.30, 43: 1.15, 44: 1.25,
+  47: 1.25, 48: 1.10, 51: 1.20, 54: 1.10, 55: 1.10, 58: 1.05,
+};
+
+// Key numbers whose half-point value is reported in the results
+export const KEY_NUMBERS = [3, 6, 7, 10, 14];
+
+// Standard normal CDF (Abramowitz-Stegun 7.1.26)
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Margins past the table get no reweighting; the lifts fade out linearly over
+// this range so there is no step at the table's edge
+const TAPER_START = 14;
+const TAPER_END = Math.max(...Object.keys(KEY_MARGIN_FREQUENCIES).map(Number)) + 1;
+
+/**
+ * Per-|margin| multipliers: empirical frequency over the frequency a smooth
+ * rounded normal N(0, marginSd) would give, tapered to 1 toward the end of the
+ * table. `strength` (0-1) blends toward no reweighting.
+ */
+export function buildMarginMultipliers(marginSd, strength = 1) {
+  const multipliers = {};
+  Object.entries(KEY_MARGIN_FREQUENCIES).forEach(([k, freq]) => {
+    const m = Number(k);
+    const smooth = m === 0
+      ? normalCdf(0.5 / marginSd) - normalCdf(-0.5 / marginSd)
+      : 2 * (normalCdf((m + 0.5) / marginSd) - normalCdf((m - 0.5) / marginSd));
+    const taper = Math.min(1, Math.max(0, (TAPER_END - m) / (TAPER_END - TAPER_START)));
+    multipliers[m] = Math.pow((freq / 100) / smooth, strength * taper);
+  });
+  return multipliers;
+}
+
+/**
+ * Exponentially tilt weights so the weighted mean matches the unweighted sample
+ * mean - key-number reshaping should move mass between neighbours, not shift the projection
+ */
+function preserveMean(values, weights) {
+  const target = values.reduce((a, b) => a + b, 0) / values.length;
+  let theta = 0;
+  for (let iter = 0; iter < 8; iter++) {
+    let f = 0, df = 0;
+    for (let i = 0; i < values.length; i++) {
+      const d = values[i] - target;
+      const w = weights[i] * Math.exp(theta * d);
+      f += w * d;
+      df += w * d * d;
+    }
+    if (df === 0 || Math.abs(f) < 1e-9) break;
+    theta -= f / df;
+  }
+  return weights.map((w, i) => w * Math.exp(theta * (values[i] - target)));
+}
+
+const normalize = (weights) => {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  return weights.map(w => (w * weights.length) / sum);
+};
+
+/**
+ * Importance weights (normalized to sum to n) that reshape simulated margins and
+ * totals toward empirical key-number frequencies
+ */
+export function calculateKeyNumberWeights(margins, totals, config) {
+  const marginMultipliers = buildMarginMultipliers(config.marginSd, config.strength);
+  const marginWeights = normalize(preserveMean(margins, margins.map(m => marginMultipliers[Math.abs(m)] || 1)));
+  const totalWeights = normalize(preserveMean(totals, totals.map(t => Math.pow(KEY_TOTAL_MULTIPLIERS[t] || 1, config.strength))));
+  return { marginWeights, totalWeights };
+}
@@ -0,0 +1,41 @@
+import { buildMarginMultipliers } from "./keyNumbers";
+import { buildModelParams } from "./params";
+import { simulateGame } from "./simulator";
+
+describe('buildMarginMultipliers', () => {
+  test('lifts 3 and 7 and fades to no reweighting at the end of the table', () => {
+    const m = buildMarginMultipliers(13.8);
+    expect(m[3]).toBeGreaterThan(2);
+    expect(m[7]).toBeGreaterThan(1.5);
+    expect(Math.abs(m[21] - 1)).toBeLessThan(0.1);
+    expect(m[22]).toBeUndefined();
+  });
+
+  test('the default params keep the lifts inside 14 and fade them past it', () => {
+    const { marginSd, strength } = buildModelParams().keyNumbers;
+    const m = buildMarginMultipliers(marginSd, strength);
+    expect(m[3]).toBeGreaterThan(2);
+    expect(m[14]).toBeGreaterThan(1.2);
+    const tilt = (k) => Math.abs(Math.log(m[k]));
+    expect(tilt(21)).toBeLessThan(tilt(14) / 4);
+    expect(Math.abs(m[21] - 1)).toBeLessThan(0.05);
+  });
+
+  test('strength 0 is no reweighting', () => {
+    Object.values(buildMarginMultipliers(13.8, 0)).forEach(v => expect(v).toBe(1));
+  });
+});
+
+describe('simulateGame with key numbers', () => {
+  const home = { Team: 'Home', 'Offensive Pts/Drive': '2.10', 'Defensive Pts/Drive': '2.00' };
+  const away = { Team: 'Away', 'Offensive Pts/Drive': '2.00', 'Defensive Pts/Drive': '2.05' };
+  const settings = { numSimulations: 4000, spreadLine: -3, overUnderLine: 44, seed: 7 };
+
+  test('lands on 3 more often with the default weighting than without', () => {
+    const plain = simulateGame(home, away, settings);
+    const keyed = simulateGame(home, away, { ...settings, keyNumbers: true });
+    const onThree = (r) => r.keyNumbers.find(k => k.number === 3).homeByPct;
+    expect(onThree(keyed)).toBeGreaterThan(onThree(plain) * 1.5);
+    expect(keyed.spread.pushPct).toBeGreaterThan(plain.spread.pushPct);
+  });
+});
@@ -0,0 +1,93 @@
+import { toAmericanOdds } from "./utils";
+
+// ============================================
+// ALT-LINE LADDERS
+// ============================================
+// Cover, push and fair prices for a range of alternate spreads and totals, read
+// off the simulated samples (with key-number weights when present) so the
+// range can change without re-simulating.
+
+export const DEFAULT_LADDER_OPTIONS = {
+  spreadRange: 14,   // points either side of the market spread
+  totalRange: 10,    // points either side of the market total
+  step: 0.5,
+};
+
+/**
+ * Fair American odds for a side that wins with winProb and pushes with pushProb
+ * (pushes return the stake, so the fair price only depends on win vs loss)
+ */
+export const fairOddsWithPush = (winProb, pushProb) => {
+  const decided = 1 - pushProb;
+  return decided > 0 ? toAmericanOdds(winProb / decided) : null;
+};
+
+/**
+ * Lines from center - range to center + range in steps, snapped to the step grid
+ */
+export function ladderLines(center, range, step) {
+  const start = Math.ceil((center - range) / step) * step;
+  const lines = [];
+  for (let line = start; line <= center + range + 1e-9; line += step) {
+    lines.push(Math.round(line / step) * step);
+  }
+  return lines;
+}
+
+/**
+ * Weighted share of values above, equal to and below each threshold
+ */
+function thresholdShares(values, weights, thresholds) {
+  const w = weights ? (i) => weights[i] : () => 1;
+  const totalWeight = weights ? weights.reduce((a, b) => a + b, 0) : values.length;
+  const counts = new Map();
+  values.forEach((v, i) => counts.set(v, (counts.get(v) || 0) + w(i)));
+  const sorted = [...counts.entries()].sort((a, b) => a[0] - b[0]);
+  return thresholds.map(t => {
+    let below = 0, equal = 0;
+    for (const [v, c] of sorted) {
+      if (v < t) below += c;
+      else if (v === t) equal += c;
+      else break;
+    }
+    return { above: (totalWeight - below - equal) / totalWeight, equal: equal / totalWeight, below: below / totalWeight };
+  });
+}
+
+/**
+ * Home-spread ladder: home line L covers when margin > -L
+ */
+export function buildSpreadLadder(samples, spreadLine, options = DEFAULT_LADDER_OPTIONS) {
+  const lines = ladderLines(spreadLine, options.spreadRange, options.step);
+  const shares = thresholdShares(samples.margins, samples.marginWeights, lines.map(line => -line));
+  return lines.map((line, i) => {
+    const { above, equal, below } = shares[i];
+    return {
+      line,
+      homeCoverPct: above * 100,
+      pushPct: equal * 100,
+      awayCoverPct: below * 100,
+      homeFairOdds: fairOddsWithPush(above, equal),
+      awayFairOdds: fairOddsWithPush(below, equal)
+    };
+  });
+}
+
+/**
+ * Total ladder over any score series (game totals or one team's points)
+ */
+export function buildTotalLadder(values, weights, totalLine, options = DEFAULT_LADDER_OPTIONS) {
+  const lines = ladderLines(totalLine, options.totalRange, options.step);
+  const shares = thresholdShares(values, weights, lines);
+  return lines.map((line, i) => {
+    const { above, equal, below } = shares[i];
+    return {
+      line,
+      overPct: above * 100,
+      pushPct: equal * 100,
+      underPct: below * 100,
+      overFairOdds: fairOddsWithPush(above, equal),
+      underFairOdds: fairOddsWithPush(below, equal)
+    };
+  });
+}
@@ -0,0 +1,47 @@
+import { buildSpreadLadder, buildTotalLadder, fairOddsWithPush, ladderLines } from "./ladder";
+import { simulateGame } from "./simulator";
+
+const home = { Team: 'Home', 'Offensive Pts/Drive': '2.30', 'Defensive Pts/Drive': '1.95' };
+const away = { Team: 'Away', 'Offensive Pts/Drive': '2.05', 'Defensive Pts/Drive': '2.10' };
+const { samples } = simulateGame(home, away, { numSimulations: 3000, spreadLine: -3, overUnderLine: 44.5, seed: 12, keyNumbers: true });
+const options = { spreadRange: 10, totalRange: 10, step: 0.5 };
+
+// Weighted shares are sums of floats, so equal neighbours can differ in the last bits
+const nonIncreasing = (xs) => xs.slice(1).every((x, i) => x <= xs[i] + 1e-9);
+const nonDecreasing = (xs) => xs.slice(1).every((x, i) => x >= xs[i] - 1e-9);
+
+describe('ladderLines', () => {
+  test('snaps the range to the step grid', () => {
+    expect(ladderLines(-3, 1, 0.5)).toEqual([-4, -3.5, -3, -2.5, -2]);
+    expect(ladderLines(44.25, 0.5, 0.5)).toEqual([44, 44.5]);
+  });
+});
+
+describe('buildSpreadLadder', () => {
+  test('more points for home never lowers its cover chance or raises its fair price', () => {
+    const ladder = buildSpreadLadder(samples, -3, options);
+    expect(nonDecreasing(ladder.map(row => row.homeCoverPct))).toBe(true);
+    expect(nonIncreasing(ladder.map(row => row.awayCoverPct))).toBe(true);
+    expect(nonIncreasing(ladder.map(row => row.homeFairOdds))).toBe(true);
+    expect(nonDecreasing(ladder.map(row => row.awayFairOdds))).toBe(true);
+    ladder.forEach(row => expect(row.homeCoverPct + row.pushPct + row.awayCoverPct).toBeCloseTo(100));
+    // Half-point lines never push
+    ladder.filter(row => row.line % 1 !== 0).forEach(row => expect(row.pushPct).toBe(0));
+  });
+});
+
+describe('buildTotalLadder', () => {
+  test('a higher total never raises the over chance or lowers its fair price', () => {
+    const ladder = buildTotalLadder(samples.totals, samples.totalWeights, 44.5, options);
+    expect(nonIncreasing(ladder.map(row => row.overPct))).toBe(true);
+    expect(nonDecreasing(ladder.map(row => row.overFairOdds))).toBe(true);
+    expect(nonIncreasing(ladder.map(row => row.underFairOdds))).toBe(true);
+  });
+});
+
+describe('fairOddsWithPush', () => {
+  test('prices only the decided outcomes', () => {
+    expect(fairOddsWithPush(0.45, 0.1)).toBe(-100);
+    expect(fairOddsWithPush(0, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+// ============================================
+// ODDS, EXPECTED VALUE & KELLY STAKING
+// ============================================
+
+// Default American prices when a line is entered without one
+export const DEFAULT_PRICES = {
+  homeSpread: -110,
+  awaySpread: -110,
+  over: -110,
+  under: -110,
+  homeTTOver: -110,
+  homeTTUnder: -110,
+  awayTTOver: -110,
+  awayTTUnder: -110,
+  homeML: null,
+  awayML: null,
+};
+
+export const DEFAULT_KELLY_FRACTION = 0.25;
+
+/**
+ * Net units won per unit staked at an American price (-110 → 0.909, +150 → 1.5)
+ */
+export const americanToNetPayout = (american) => (american < 0 ? 100 / -american : american / 100);
+
+export const americanToDecimal = (american) => 1 + americanToNetPayout(american);
+
+export const formatAmericanOdds = (american) => (american > 0 ? `+${american}` : `${american}`);
+
+/**
+ * Win probability needed to break even at a price, ignoring pushes
+ */
+export const breakEvenProb = (american) => 1 / americanToDecimal(american);
+
+/**
+ * Parse an American price from user/CSV input; returns null when absent or invalid
+ */
+export const parseAmericanOdds = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseFloat(String(value).replace('+', ''));
+  if (isNaN(parsed) || Math.abs(parsed) < 100) return null;
+  return parsed;
+};
+
+/**
+ * Expected value, break-even and fractional-Kelly stake for one side of a market.
+ * winProb / pushProb are 0-1; a push returns the stake. Kelly with pushes:
+ * f* = (b·p - q) / (b·(p + q)).
+ */
+export function priceSide(winProb, pushProb, american, kellyFraction = DEFAULT_KELLY_FRACTION) {
+  // No price (or a half-typed one like -1) means the side isn't offered
+  if (!(Math.abs(american) >= 100)) {
+    return { price: null, breakEven: null, ev: null, kelly: null, stake: null };
+  }
+  const b = americanToNetPayout(american);
+  const p = winProb;
+  const q = Math.max(0, 1 - winProb - pushProb);
+  const ev = p * b - q;
+  const kelly = p + q > 0 ? Math.max(0, (b * p - q) / (b * (p + q))) : 0;
+  return {
+    price: american,
+    breakEven: breakEvenProb(american),
+    ev,
+    kelly,
+    stake: kelly * kellyFraction
+  };
+}
+
+/**
+ * Home win probability from a simulated result, with regulation ties sent to
+ * overtime in proportion to each side's regulation wins (moneylines settle in OT)
+ */
+export const homeWinProbability = (r) => {
+  const decided = r.moneyline.homeWinPct + r.moneyline.awayWinPct;
+  return decided > 0 ? r.moneyline.homeWinPct / decided : 0.5;
+};
+
+/**
+ * Price every side the results object covers: spread, total, both team totals and moneyline.
+ * Uses the raw simulated percentages.
+ */
+export function priceResultMarkets(r, prices = DEFAULT_PRICES, kellyFraction = DEFAULT_KELLY_FRACTION) {
+  const px = { ...DEFAULT_PRICES, ...prices };
+  const side = (label, winPct, pushPct, price) => ({
+    label,
+    winPct,
+    pushPct,
+    ...priceSide(winPct / 100, pushPct / 100, price, kellyFraction)
+  });
+  const homeMLPct = homeWinProbability(r) * 100;
+  const fmtLine = (line) => `${line > 0 ? '+' : ''}${line}`;
+  
+  return [
+    side(`${r.homeTeam} ${fmtLine(r.spread.line)}`, r.spread.homeCoverPct, r.spread.pushPct, px.homeSpread),
+    side(`${r.awayTeam} ${fmtLine(-r.spread.line)}`, r.spread.awayCoverPct, r.spread.pushPct, px.awaySpread),
+    side(`Over ${r.overUnder.line}`, r.overUnder.overPct, r.overUnder.pushPct, px.over),
+    side(`Under ${r.overUnder.line}`, r.overUnder.underPct, r.overUnder.pushPct, px.under),
+    side(`${r.homeTeam} TT Over ${r.homeTeamOverUnder.line}`, r.homeTeamOverUnder.overPct, r.homeTeamOverUnder.pushPct, px.homeTTOver),
+    side(`${r.homeTeam} TT Under ${r.homeTeamOverUnder.line}`, r.homeTeamOverUnder.underPct, r.homeTeamOverUnder.pushPct, px.homeTTUnder),
+    side(`${r.awayTeam} TT Over ${r.awayTeamOverUnder.line}`, r.awayTeamOverUnder.overPct, r.awayTeamOverUnder.pushPct, px.awayTTOver),
+    side(`${r.awayTeam} TT Under ${r.awayTeamOverUnder.line}`, r.awayTeamOverUnder.underPct, r.awayTeamOverUnder.pushPct, px.awayTTUnder),
+    // Moneylines include overtime, so regulation ties are split rather than pushed
+    side(`${r.homeTeam} ML`, homeMLPct, 0, px.homeML),
+    side(`${r.awayTeam} ML`, 100 - homeMLPct, 0, px.awayML),
+  ];
+}
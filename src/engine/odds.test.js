@@ -0,0 +1,57 @@
+import { breakEvenProb, homeWinProbability, priceResultMarkets, priceSide } from "./odds";
+
+describe('priceSide', () => {
+  test('prices a -110 side at its break-even as zero EV and no stake', () => {
+    const p = breakEvenProb(-110);
+    expect(p).toBeCloseTo(110 / 210);
+    const side = priceSide(p, 0, -110);
+    expect(side.ev).toBeCloseTo(0);
+    expect(side.kelly).toBeCloseTo(0);
+  });
+
+  test('EV and full Kelly on a plus price', () => {
+    const side = priceSide(0.5, 0, 150, 0.25);
+    expect(side.ev).toBeCloseTo(0.25);
+    // Kelly = (b p - q) / b = (1.5 * 0.5 - 0.5) / 1.5
+    expect(side.kelly).toBeCloseTo(1 / 6);
+    expect(side.stake).toBeCloseTo(1 / 24);
+  });
+
+  test('a push returns the stake, so it shrinks the loss side only', () => {
+    const side = priceSide(0.5, 0.1, -110);
+    expect(side.ev).toBeCloseTo(0.5 * (100 / 110) - 0.4);
+    expect(side.kelly).toBeGreaterThan(0);
+  });
+
+  test('a negative-EV side gets no stake', () => {
+    expect(priceSide(0.45, 0, -110).kelly).toBe(0);
+  });
+
+  test('a missing or half-typed price is not offered', () => {
+    [null, -1, 50].forEach(price => {
+      expect(priceSide(0.6, 0, price)).toEqual({ price: null, breakEven: null, ev: null, kelly: null, stake: null });
+    });
+  });
+});
+
+describe('priceResultMarkets', () => {
+  const result = {
+    homeTeam: 'Home',
+    awayTeam: 'Away',
+    spread: { line: -3, homeCoverPct: 50, awayCoverPct: 42, pushPct: 8 },
+    overUnder: { line: 44.5, overPct: 50, underPct: 50, pushPct: 0 },
+    homeTeamOverUnder: { line: 23.5, overPct: 50, underPct: 50, pushPct: 0 },
+    awayTeamOverUnder: { line: 20.5, overPct: 50, underPct: 50, pushPct: 0 },
+    moneyline: { homeWinPct: 57, awayWinPct: 38 },
+  };
+
+  test('moneylines send regulation ties to overtime instead of pushing them', () => {
+    expect(homeWinProbability(result)).toBeCloseTo(0.6);
+    const [home, away] = priceResultMarkets(result, { homeML: -150, awayML: 130 }).slice(-2);
+    expect(home.winPct).toBeCloseTo(60);
+    expect(away.winPct).toBeCloseTo(40);
+    expect(home.pushPct + away.pushPct).toBe(0);
+    expect(home.ev).toBeCloseTo(0.6 / 1.5 - 0.4);
+    expect(away.ev).toBeCloseTo(0.4 * 1.3 - 0.6);
+  });
+});
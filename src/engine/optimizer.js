@@ -0,0 +1,291 @@
+import { evaluateResult, gradeSpreadBet, gradeTotalsBet, summarizeGraded } from "./backtest";
+import { resolveHomeFieldAdvantage } from "./homeField";
+import { createPreset } from "./presets";
+import { createRng, deriveSeed } from "./random";
+import { simulateGame } from "./simulator";
+
+// ============================================
+// PARAMETER OPTIMIZER - SEARCH WITH TIME-ORDERED CROSS-VALIDATION
+// ============================================
+
+// Parameters the header says were tuned by hand, with the values each search may try
+export const DEFAULT_SEARCH_SPACE = [
+  { key: 'HOME_FIELD_ADV', path: ['HOME_FIELD_ADV'], values: [0.5, 1.0, 1.5, 2.0, 2.5, 3.0] },
+  { key: 'LAMBDA', path: ['LAMBDA'], values: [0.65, 0.75, 0.85, 0.95, 1.0] },
+  { key: 'off_TO', path: ['weights', 'off_TO'], values: [-0.15, -0.10, -0.06, -0.03, 0] },
+  { key: 'sigmaMarginMin', path: ['sigma', 'margin', 'min'], values: [8.5, 9.5, 10.5, 11.5] },
+  { key: 'sigmaMarginMax', path: ['sigma', 'margin', 'max'], values: [12.5, 13.5, 14.5] },
+  { key: 'sigmaTotalMin', path: ['sigma', 'total', 'min'], values: [9.5, 10.5, 11.5, 12.5] },
+  { key: 'sigmaTotalMax', path: ['sigma', 'total', 'max'], values: [14.5, 15.5, 16.5] },
+];
+
+export const OPTIMIZER_OBJECTIVES = {
+  // Log loss of every spread and total signal (lower is better)
+  logLoss: { label: 'Log loss', better: (a, b) => a < b, score: (graded) => summarizeGraded(graded).logLoss },
+  // Flat-stake ROI on approved plays (higher is better); no plays scores 0
+  roi: { label: 'ROI %', better: (a, b) => a > b, score: (graded) => summarizeGraded(graded.filter(g => g.evaluation.approved)).roi ?? 0 },
+};
+
+export const DEFAULT_OPTIMIZER_OPTIONS = {
+  method: 'coordinate',     // 'grid' | 'random' | 'coordinate'
+  objective: 'logLoss',
+  folds: 4,
+  maxCandidates: 60,        // cap for grid (sampled down) and random search
+  passes: 2,                // coordinate-search sweeps over the parameters
+  numSimulations: 2000,
+  seed: 1,
+  chunkSize: 4,             // candidates simulated per runner call
+};
+
+const getPath = (obj, path) => path.reduce((o, key) => o[key], obj);
+
+const setPath = (obj, [key, ...rest], value) => ({
+  ...obj,
+  [key]: rest.length === 0 ? value : setPath(obj[key], rest, value)
+});
+
+const candidateKey = (values) => JSON.stringify(values);
+
+/**
+ * Params for one candidate: the base params with every searched value applied
+ * (dimensions the candidate doesn't carry keep their base value)
+ */
+export const applyCandidate = (baseParams, space, values) =>
+  space.reduce((p, dim) => (dim.key in values ? setPath(p, dim.path, values[dim.key]) : p), baseParams);
+
+const isValidCandidate = (values) =>
+  !(values.sigmaMarginMin > values.sigmaMarginMax) && !(values.sigmaTotalMin > values.sigmaTotalMax);
+
+const SIGMA_KEYS = ['sigmaMarginMin', 'sigmaMarginMax', 'sigmaTotalMin', 'sigmaTotalMax'];
+
+/**
+ * Search dimensions an override makes dead for these games: the league HFA when
+ * every home side is neutral or takes its HFA from the team CSV or a fitted
+ * table (see resolveHomeFieldAdvantage), and the sigma bounds when a fitted
+ * variance model is loaded. Searching them only re-scores the same candidate.
+ */
+export function inactiveSearchDimensions(games, baseParams, space = DEFAULT_SEARCH_SPACE) {
+  const inactive = [];
+  const leagueHfaUsed = games.some(g =>
+    resolveHomeFieldAdvantage(g.homeTeam, g.settings || {}, baseParams).source === 'league');
+  space.forEach(dim => {
+    if (dim.key === 'HOME_FIELD_ADV' && !leagueHfaUsed) {
+      inactive.push({ key: dim.key, reason: 'every game is neutral or uses a team/fitted HFA' });
+    } else if (SIGMA_KEYS.includes(dim.key) && baseParams.varianceModel) {
+      inactive.push({ key: dim.key, reason: 'the fitted variance model sets sigma' });
+    }
+  });
+  return inactive;
+}
+
+/**
+ * Order games by date, then week, then file order, and cut them into folds + 1
+ * contiguous blocks. Fold k trains on blocks 0..k-1 and validates on block k,
+ * so validation games always come after the games they are judged against.
+ */
+export function buildTimeOrderedFolds(games, folds) {
+  const order = games
+    .map((g, i) => ({ i, date: g.date ? Date.parse(g.date) : NaN, week: g.week }))
+    .sort((a, b) => {
+      if (!isNaN(a.date) && !isNaN(b.date) && a.date !== b.date) return a.date - b.date;
+      if (a.week && b.week && a.week !== b.week) return a.week - b.week;
+      return a.i - b.i;
+    })
+    .map(o => o.i);
+  const blocks = folds + 1;
+  if (order.length < blocks) {
+    throw new Error(`Need at least ${blocks} games with final scores for ${folds} folds`);
+  }
+  const blockOf = (pos) => Math.floor((pos * blocks) / order.length);
+  const blockGames = Array.from({ length: blocks }, () => []);
+  order.forEach((gameIndex, pos) => blockGames[blockOf(pos)].push(gameIndex));
+  return Array.from({ length: folds }, (_, k) => ({
+    train: blockGames.slice(0, k + 1).flat(),
+    valid: blockGames[k + 1]
+  }));
+}
+
+/**
+ * Grade one simulated result against its final score (raw probabilities, no calibration)
+ */
+const gradeGame = (r, final) => {
+  const { spreadEval, totalsEval } = evaluateResult(r);
+  return [
+    { evaluation: spreadEval, prob: spreadEval.rawProb / 100, outcome: gradeSpreadBet(spreadEval.signal, r.spread.line, final) },
+    { evaluation: totalsEval, prob: totalsEval.rawProb / 100, outcome: gradeTotalsBet(totalsEval.signal, r.overUnder.line, final) }
+  ];
+};
+
+/**
+ * Candidates that vary one dimension of `values` across its search values
+ */
+const lineThrough = (values, dim) => dim.values.map(v => ({ ...values, [dim.key]: v }));
+
+const pickBest = (candidates, incumbent, objective) =>
+  candidates.reduce((a, b) => (objective.better(b.validScore, a.validScore) ? b : a), incumbent);
+
+const mean = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+
+/**
+ * Run every game synchronously on the calling thread
+ */
+const runGamesInline = async (jobs) =>
+  jobs.map(job => simulateGame(job.homeTeam, job.awayTeam, job.settings, job.params));
+
+/**
+ * Search model parameters against historical games with final scores.
+ *
+ * Every candidate simulates every game with the same per-game seeds (common random
+ * numbers), so candidates differ only by their parameters. Candidates are ranked by
+ * mean validation score over time-ordered folds. The walk-forward estimate picks the
+ * best candidate on each fold's training block and scores it on the following block,
+ * which is the honest out-of-sample number for the search itself.
+ *
+ * `runGames(jobs)` may be swapped for a worker-pool runner; it must resolve to one
+ * result per job. `onProgress({ evaluated, total })` fires after each chunk.
+ */
+export async function runParameterSearch(games, baseParams, options = {}) {
+  const opts = { ...DEFAULT_OPTIMIZER_OPTIONS, ...options };
+  const objective = OPTIMIZER_OBJECTIVES[opts.objective];
+  if (!objective) throw new Error(`Unknown objective: ${opts.objective}`);
+  const runGames = opts.runGames || runGamesInline;
+
+  const scored = games.filter(g => g.final);
+  const folds = buildTimeOrderedFolds(scored, opts.folds);
+  const fullSpace = opts.space || DEFAULT_SEARCH_SPACE;
+  const skipped = inactiveSearchDimensions(scored, baseParams, fullSpace);
+  const space = fullSpace.filter(dim => !skipped.some(s => s.key === dim.key));
+  if (space.length === 0) {
+    throw new Error(`Nothing to search: ${skipped.map(s => `${s.key} (${s.reason})`).join(', ')}`);
+  }
+  const rng = createRng(opts.seed);
+  const cache = new Map();
+  let evaluated = 0;
+
+  const scoreCandidate = (values, perGame) => {
+    const gradedOf = (indices) => indices.flatMap(i => perGame[i]);
+    const foldScores = folds.map(f => ({
+      train: objective.score(gradedOf(f.train)),
+      valid: objective.score(gradedOf(f.valid))
+    }));
+    const validScores = foldScores.map(f => f.valid);
+    const validScore = mean(validScores);
+    return {
+      values,
+      foldScores,
+      trainScore: mean(foldScores.map(f => f.train)),
+      validScore,
+      validSd: Math.sqrt(mean(validScores.map(v => (v - validScore) ** 2))),
+      overall: objective.score(perGame.flat())
+    };
+  };
+
+  const evaluate = async (candidates, totalHint) => {
+    const fresh = candidates.filter(v => isValidCandidate(v) && !cache.has(candidateKey(v)));
+    for (let c = 0; c < fresh.length; c += opts.chunkSize) {
+      const chunk = fresh.slice(c, c + opts.chunkSize);
+      const jobs = chunk.flatMap(values => {
+        const params = applyCandidate(baseParams, space, values);
+        return scored.map((g, i) => ({
+          homeTeam: g.homeTeam,
+          awayTeam: g.awayTeam,
+          settings: {
+            ...g.settings,
+            numSimulations: opts.numSimulations,
+            seed: deriveSeed(opts.seed, i),
+            keepSamples: false,
+            periodMarkets: false
+          },
+          params
+        }));
+      });
+      const results = await runGames(jobs);
+      chunk.forEach((values, k) => {
+        const perGame = scored.map((g, i) => gradeGame(results[k * scored.length + i], g.final));
+        cache.set(candidateKey(values), scoreCandidate(values, perGame));
+      });
+      evaluated += chunk.length;
+      if (opts.onProgress) opts.onProgress({ evaluated, total: totalHint || evaluated });
+    }
+    return candidates.filter(isValidCandidate).map(v => cache.get(candidateKey(v)));
+  };
+
+  const baseValues = Object.fromEntries(space.map(dim => [dim.key, getPath(baseParams, dim.path)]));
+  const randomCandidate = () => Object.fromEntries(space.map(dim => [dim.key, dim.values[Math.floor(rng() * dim.values.length)]]));
+
+  if (opts.method === 'grid') {
+    let grid = [{}];
+    space.forEach(dim => {
+      grid = grid.flatMap(partial => dim.values.map(v => ({ ...partial, [dim.key]: v })));
+    });
+    grid = grid.filter(isValidCandidate);
+    // Too many combinations: take a seeded sample of the grid (base point always included)
+    if (grid.length > opts.maxCandidates) {
+      for (let i = grid.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [grid[i], grid[j]] = [grid[j], grid[i]];
+      }
+      grid = grid.slice(0, opts.maxCandidates - 1);
+    }
+    await evaluate([baseValues, ...grid], grid.length + 1);
+  } else if (opts.method === 'random') {
+    const candidates = [baseValues];
+    const seen = new Set([candidateKey(baseValues)]);
+    for (let tries = 0; candidates.length < opts.maxCandidates && tries < opts.maxCandidates * 20; tries++) {
+      const values = randomCandidate();
+      if (isValidCandidate(values) && !seen.has(candidateKey(values))) {
+        seen.add(candidateKey(values));
+        candidates.push(values);
+      }
+    }
+    await evaluate(candidates, candidates.length);
+  } else if (opts.method === 'coordinate') {
+    // Move one parameter at a time to its best value, holding the others fixed
+    if (!isValidCandidate(baseValues)) {
+      throw new Error('Coordinate search starts from the current parameters, but a sigma min is above its max; fix them in the parameter panel');
+    }
+    let [best] = await evaluate([baseValues]);
+    for (let pass = 0; pass < opts.passes; pass++) {
+      const start = best;
+      for (const dim of space) {
+        const line = await evaluate(lineThrough(best.values, dim));
+        best = pickBest(line, best, objective);
+      }
+      if (best === start) break;
+    }
+  } else {
+    throw new Error(`Unknown search method: ${opts.method}`);
+  }
+
+  const all = [...cache.values()];
+  const ranked = [...all]
+    .sort((a, b) => (objective.better(a.validScore, b.validScore) ? -1 : objective.better(b.validScore, a.validScore) ? 1 : 0))
+    .map((c, i) => ({ rank: i + 1, ...c, gap: c.validScore - c.trainScore }));
+
+  // Walk-forward: choose on training blocks only, score on the next block
+  const walkForward = folds.map((f, k) => {
+    const chosen = all.reduce((a, b) => (objective.better(b.foldScores[k].train, a.foldScores[k].train) ? b : a));
+    return { fold: k + 1, trainGames: f.train.length, validGames: f.valid.length, values: chosen.values, validScore: chosen.foldScores[k].valid };
+  });
+
+  return {
+    method: opts.method,
+    objective: opts.objective,
+    objectiveLabel: objective.label,
+    games: scored.length,
+    folds: folds.length,
+    evaluated: all.length,
+    space: space.map(({ key, values }) => ({ key, values })),
+    skipped,
+    baseline: cache.get(candidateKey(baseValues)) || null,
+    ranked,
+    walkForward,
+    walkForwardScore: mean(walkForward.map(w => w.validScore))
+  };
+}
+
+/**
+ * Turn a ranked candidate into a saveable parameter preset
+ */
+export const candidateToPreset = (name, baseParams, values, space = DEFAULT_SEARCH_SPACE) =>
+  createPreset(name, applyCandidate(baseParams, space, values));
@@ -0,0 +1,97 @@
+import { buildTimeOrderedFolds, inactiveSearchDimensions, runParameterSearch } from "./optimizer";
+import { buildModelParams } from "./params";
+
+describe('buildTimeOrderedFolds', () => {
+  const dates = ['2023-10-08', '2023-09-10', '2023-11-12', '2023-09-17', '2023-10-22', '2023-12-03', '2023-09-24', '2023-11-26'];
+  const games = dates.map(date => ({ date }));
+  const latest = (indices) => Math.max(...indices.map(i => Date.parse(dates[i])));
+  const earliest = (indices) => Math.min(...indices.map(i => Date.parse(dates[i])));
+
+  test('validation games always come after every game they are trained on', () => {
+    const folds = buildTimeOrderedFolds(games, 3);
+    expect(folds).toHaveLength(3);
+    folds.forEach(f => {
+      expect(f.valid.length).toBeGreaterThan(0);
+      expect(f.train.filter(i => f.valid.includes(i))).toEqual([]);
+      expect(earliest(f.valid)).toBeGreaterThan(latest(f.train));
+    });
+    // Walk-forward: each fold trains on everything the previous fold saw
+    folds.slice(1).forEach((f, k) => {
+      expect(f.train).toEqual([...folds[k].train, ...folds[k].valid]);
+    });
+    expect(folds[2].train.length + folds[2].valid.length).toBe(games.length);
+  });
+
+  test('falls back to week, then file order, when there are no dates', () => {
+    const byWeek = [{ week: 3 }, { week: 1 }, { week: 2 }, { week: 1 }];
+    expect(buildTimeOrderedFolds(byWeek, 3).map(f => f.valid)).toEqual([[3], [2], [0]]);
+  });
+
+  test('needs a block of games per fold plus one', () => {
+    expect(() => buildTimeOrderedFolds(games.slice(0, 3), 3)).toThrow('Need at least 4 games');
+  });
+});
+
+const team = (name, off, def) => ({ Team: name, 'Offensive Pts/Drive': String(off), 'Defensive Pts/Drive': String(def) });
+const history = [
+  [team('A', 2.4, 1.8), team('B', 1.9, 2.2), 27, 17],
+  [team('C', 2.0, 2.0), team('D', 2.1, 1.9), 20, 23],
+  [team('B', 1.9, 2.2), team('C', 2.0, 2.0), 24, 21],
+  [team('D', 2.1, 1.9), team('A', 2.4, 1.8), 17, 31],
+  [team('A', 2.4, 1.8), team('C', 2.0, 2.0), 30, 20],
+  [team('B', 1.9, 2.2), team('D', 2.1, 1.9), 13, 16],
+].map(([homeTeam, awayTeam, home, away], i) => ({
+  homeTeam,
+  awayTeam,
+  week: i + 1,
+  settings: { spreadLine: -3, overUnderLine: 44.5 },
+  final: { home, away }
+}));
+
+describe('inactiveSearchDimensions', () => {
+  test('flags HFA when no game uses the league value and sigma under a variance model', () => {
+    const params = { ...buildModelParams(), varianceModel: {} };
+    const neutral = history.map(g => ({ ...g, settings: { ...g.settings, neutralSite: true } }));
+    expect(inactiveSearchDimensions(neutral, params).map(d => d.key))
+      .toEqual(['HOME_FIELD_ADV', 'sigmaMarginMin', 'sigmaMarginMax', 'sigmaTotalMin', 'sigmaTotalMax']);
+    expect(inactiveSearchDimensions(history, buildModelParams())).toEqual([]);
+  });
+});
+
+describe('runParameterSearch', () => {
+  const options = { folds: 2, numSimulations: 300, passes: 1 };
+  const space = [
+    { key: 'HOME_FIELD_ADV', path: ['HOME_FIELD_ADV'], values: [1.0, 2.0] },
+    { key: 'LAMBDA', path: ['LAMBDA'], values: [0.75, 0.85] },
+  ];
+
+  test('a small coordinate search ranks candidates reproducibly', async () => {
+    const a = await runParameterSearch(history, buildModelParams(), { ...options, space });
+    const b = await runParameterSearch(history, buildModelParams(), { ...options, space });
+    expect(a.games).toBe(6);
+    expect(a.folds).toBe(2);
+    expect(a.baseline.values).toEqual({ HOME_FIELD_ADV: 2.0, LAMBDA: 0.85 });
+    expect(a.ranked.map(c => c.validScore)).toEqual(b.ranked.map(c => c.validScore));
+    a.ranked.slice(1).forEach((c, i) => expect(c.validScore).toBeGreaterThanOrEqual(a.ranked[i].validScore));
+    expect(a.skipped).toEqual([]);
+  });
+
+  test('drops dimensions an override has made dead', async () => {
+    const neutral = history.map(g => ({ ...g, settings: { ...g.settings, neutralSite: true } }));
+    const out = await runParameterSearch(neutral, buildModelParams(), { ...options, space });
+    expect(out.space.map(d => d.key)).toEqual(['LAMBDA']);
+    expect(out.skipped.map(d => d.key)).toEqual(['HOME_FIELD_ADV']);
+    expect(out.evaluated).toBe(2);
+  });
+
+  test('refuses to start a coordinate search from invalid sigma bounds', async () => {
+    const base = buildModelParams();
+    const params = { ...base, sigma: { ...base.sigma, margin: { ...base.sigma.margin, min: 15, max: 12 } } };
+    const sigmaSpace = [
+      { key: 'sigmaMarginMin', path: ['sigma', 'margin', 'min'], values: [9] },
+      { key: 'sigmaMarginMax', path: ['sigma', 'margin', 'max'], values: [13] },
+    ];
+    await expect(runParameterSearch(history, params, { ...options, space: sigmaSpace }))
+      .rejects.toThrow('a sigma min is above its max');
+  });
+});
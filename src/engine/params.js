@@ -0,0 +1,353 @@
+import { calcStats, findValue, parsePercent } from "./utils";
+import { DEFAULT_STADIUMS } from "./stadiums";
+
+// ============================================
+// LEAGUE PARAMETERS - DEFAULTS (replaced by CSV-derived averages on upload)
+// ============================================
+export const DEFAULT_LEAGUE_PARAMS = {
+  lg: {
+    // === CORE EFFICIENCY METRICS (Offense) ===
+    PPD: 2.07488,           
+    PPD_sd: 0.42745,
+    EPA: -0.00084,          
+    EPA_sd: 0.09376,
+    SR: 0.43625,            
+    SR_sd: 0.03501,
+    RZTD: 0.57717,          
+    RZTD_sd: 0.08942,
+    TO_pct: 0.10805,        
+    TO_pct_sd: 0.03007,
+    RZDrives: 3.27107,      
+    RZDrives_sd: 0.63882,
+    
+    // === CORE EFFICIENCY METRICS (Defense) ===
+    PPD_def: 2.07108,       
+    PPD_def_sd: 0.32496,
+    EPA_def: -0.00050,      
+    EPA_def_sd: 0.07836,
+    SR_def: 0.43604,        
+    SR_def_sd: 0.03169,
+    RZTD_def: 0.57712,      
+    RZTD_def_sd: 0.06917,
+    TO_pct_def: 0.10805,    
+    TO_pct_def_sd: 0.03007,
+    RZDrives_def: 3.27533,  
+    RZDrives_def_sd: 0.50185,
+    
+    // === PACE METRICS ===
+    Drives: 10.79735,       
+    Drives_sd: 0.61829,
+    SecSnap: 28.51460,      
+    SecSnap_sd: 1.04923,
+    PlaysPerDrive: 5.69904, 
+    PlaysPerDrive_sd: 0.44626,
+    ThreeOut: 0.20567,      
+    ThreeOut_sd: 0.03964,
+    Xpl: 0.08818,           
+    Xpl_sd: 0.01459,
+    NoHuddle: 0.10190,      
+    NoHuddle_sd: 0.11488,
+    Pen: 0.35424,           
+    Pen_sd: 0.06476,
+    PassRate: 0.54922,      
+    PassRate_sd: 0.04747,
+    
+    // === DEFENSIVE PACE ===
+    Drives_def: 10.79616,
+    Drives_def_sd: 0.61571,
+    ThreeOut_def: 0.20558,  
+    ThreeOut_def_sd: 0.04722,
+    Xpl_def: 0.08802,       
+    Xpl_def_sd: 0.01661,
+    PlaysPerDrive_def: 5.69806,
+    PlaysPerDrive_def_sd: 0.36760,
+    SecSnap_def: 28.52732,
+    SecSnap_def_sd: 1.25079,
+    Pen_def: 0.35429,
+    Pen_def_sd: 0.05821,
+    
+    // === OTHER ===
+    StartingFP: 30.50313,   
+    StartingFP_sd: 1.38715,
+  }
+};
+
+/**
+ * Calculate league averages from uploaded team data
+ */
+export const calculateLeagueAverages = (teamData) => {
+  console.log("=== CALCULATING LEAGUE AVERAGES FROM UPLOADED DATA ===");
+  
+  const extractValues = (possibleNames, isPercent = false) => {
+    return teamData.map(team => {
+      const val = findValue(team, possibleNames);
+      if (val === null || val === undefined || val === '') return null;
+      return isPercent ? parsePercent(val) : parseFloat(val);
+    }).filter(v => v !== null && !isNaN(v));
+  };
+  
+  // Offensive metrics
+  const ppdVals = extractValues(['Offensive Pts/Drive', 'Offensive PPD', 'PPD']);
+  const epaVals = extractValues(['Offensive EPA/Play', 'Offensive EPA/play', 'EPA/play']);
+  const srVals = extractValues(['Offensive Success Rate', 'Offensive Success rate', 'SR'], true);
+  const rztdVals = extractValues(['Offensive Red Zone TD Rate', 'Offensive RZ TD%', 'RZ TD%'], true);
+  const toVals = extractValues(['Offensive TO%', 'TO%', 'Turnover%'], true);
+  const rzDrivesVals = extractValues(['Offensive Red Zone Drives/Game', 'RZ Drives/Game']);
+  
+  // Defensive metrics
+  const ppdDefVals = extractValues(['Defensive Pts/Drive', 'Defensive PPD', 'Def PPD']);
+  const epaDefVals = extractValues(['Defensive EPA/Play', 'Defensive EPA/play', 'Def EPA']);
+  const srDefVals = extractValues(['Defensive Success Rate', 'Defensive Success rate', 'Def SR'], true);
+  const rztdDefVals = extractValues(['Defensive Red Zone TD Rate', 'Defensive RZ TD%', 'Def RZ TD%'], true);
+  const toDefVals = extractValues(['Defensive TO%', 'Def TO%', 'Forced TO%'], true);
+  const rzDrivesDefVals = extractValues(['Defensive Red Zone Drives/Game', 'Def RZ Drives/Game']);
+  
+  // Pace metrics
+  const drivesVals = extractValues(['Offensive Drives/Game', 'Drives/Game', 'Drives']);
+  const secSnapVals = extractValues(['Offensive Seconds/Snap', 'Offensive Sec/snap', 'SecSnap']);
+  const playsPerDriveVals = extractValues(['Offensive Plays/Drive', 'Plays/Drive']);
+  const threeOutVals = extractValues(['Off 3-out Rate', 'Offensive 3-out Rate', '3-out Rate'], true);
+  const xplVals = extractValues(['Offensive Explosive Play Rate', 'Offensive Explosive rate'], true);
+  const noHuddleVals = extractValues(['Offensive No Huddle Rate', 'No Huddle Rate'], true);
+  const penVals = extractValues(['Offensive Penalties/Drive', 'Penalties/Drive']);
+  const passRateVals = extractValues(['Offensive Early Down Pass Rate', 'Early Down Pass Rate'], true);
+  
+  // Defensive pace
+  const drivesDefVals = extractValues(['Defensive Drives/Game', 'Def Drives/Game']);
+  const threeOutDefVals = extractValues(['Defensive 3-out Rate', 'Def 3-out Rate'], true);
+  const xplDefVals = extractValues(['Defensive Explosive Play Rate', 'Def Explosive rate'], true);
+  const playsPerDriveDefVals = extractValues(['Defensive Plays/Drive', 'Def Plays/Drive']);
+  const secSnapDefVals = extractValues(['Defensive Seconds/Snap', 'Def Sec/snap']);
+  const penDefVals = extractValues(['Defensive Penalties/Drive', 'Def Penalties/Drive']);
+  
+  // Calculate stats
+  const ppdStats = calcStats(ppdVals);
+  const epaStats = calcStats(epaVals);
+  const srStats = calcStats(srVals);
+  const rztdStats = calcStats(rztdVals);
+  const toStats = calcStats(toVals);
+  const rzDrivesStats = calcStats(rzDrivesVals);
+  
+  const ppdDefStats = calcStats(ppdDefVals);
+  const epaDefStats = calcStats(epaDefVals);
+  const srDefStats = calcStats(srDefVals);
+  const rztdDefStats = calcStats(rztdDefVals);
+  const toDefStats = calcStats(toDefVals);
+  const rzDrivesDefStats = calcStats(rzDrivesDefVals);
+  
+  const drivesStats = calcStats(drivesVals);
+  const secSnapStats = calcStats(secSnapVals);
+  const playsPerDriveStats = calcStats(playsPerDriveVals);
+  const threeOutStats = calcStats(threeOutVals);
+  const xplStats = calcStats(xplVals);
+  const noHuddleStats = calcStats(noHuddleVals);
+  const penStats = calcStats(penVals);
+  const passRateStats = calcStats(passRateVals);
+  
+  const drivesDefStats = calcStats(drivesDefVals);
+  const threeOutDefStats = calcStats(threeOutDefVals);
+  const xplDefStats = calcStats(xplDefVals);
+  const playsPerDriveDefStats = calcStats(playsPerDriveDefVals);
+  const secSnapDefStats = calcStats(secSnapDefVals);
+  const penDefStats = calcStats(penDefVals);
+  
+  const newParams = {
+    lg: {
+      PPD: ppdStats.mean || 2.07,
+      PPD_sd: ppdStats.sd || 0.43,
+      EPA: epaStats.mean || 0,
+      EPA_sd: epaStats.sd || 0.09,
+      SR: srStats.mean || 0.44,
+      SR_sd: srStats.sd || 0.035,
+      RZTD: rztdStats.mean || 0.58,
+      RZTD_sd: rztdStats.sd || 0.09,
+      TO_pct: toStats.mean || 0.11,
+      TO_pct_sd: toStats.sd || 0.03,
+      RZDrives: rzDrivesStats.mean || 3.27,
+      RZDrives_sd: rzDrivesStats.sd || 0.64,
+      
+      PPD_def: ppdDefStats.mean || 2.07,
+      PPD_def_sd: ppdDefStats.sd || 0.32,
+      EPA_def: epaDefStats.mean || 0,
+      EPA_def_sd: epaDefStats.sd || 0.08,
+      SR_def: srDefStats.mean || 0.44,
+      SR_def_sd: srDefStats.sd || 0.032,
+      RZTD_def: rztdDefStats.mean || 0.58,
+      RZTD_def_sd: rztdDefStats.sd || 0.07,
+      TO_pct_def: toDefStats.mean || 0.11,
+      TO_pct_def_sd: toDefStats.sd || 0.03,
+      RZDrives_def: rzDrivesDefStats.mean || 3.28,
+      RZDrives_def_sd: rzDrivesDefStats.sd || 0.50,
+      
+      Drives: drivesStats.mean || 10.8,
+      Drives_sd: drivesStats.sd || 0.62,
+      SecSnap: secSnapStats.mean || 28.5,
+      SecSnap_sd: secSnapStats.sd || 1.05,
+      PlaysPerDrive: playsPerDriveStats.mean || 5.7,
+      PlaysPerDrive_sd: playsPerDriveStats.sd || 0.45,
+      ThreeOut: threeOutStats.mean || 0.21,
+      ThreeOut_sd: threeOutStats.sd || 0.04,
+      Xpl: xplStats.mean || 0.088,
+      Xpl_sd: xplStats.sd || 0.015,
+      NoHuddle: noHuddleStats.mean || 0.10,
+      NoHuddle_sd: noHuddleStats.sd || 0.11,
+      Pen: penStats.mean || 0.35,
+      Pen_sd: penStats.sd || 0.065,
+      PassRate: passRateStats.mean || 0.55,
+      PassRate_sd: passRateStats.sd || 0.047,
+      
+      Drives_def: drivesDefStats.mean || 10.8,
+      Drives_def_sd: drivesDefStats.sd || 0.62,
+      ThreeOut_def: threeOutDefStats.mean || 0.21,
+      ThreeOut_def_sd: threeOutDefStats.sd || 0.047,
+      Xpl_def: xplDefStats.mean || 0.088,
+      Xpl_def_sd: xplDefStats.sd || 0.017,
+      PlaysPerDrive_def: playsPerDriveDefStats.mean || 5.7,
+      PlaysPerDrive_def_sd: playsPerDriveDefStats.sd || 0.37,
+      SecSnap_def: secSnapDefStats.mean || 28.5,
+      SecSnap_def_sd: secSnapDefStats.sd || 1.25,
+      Pen_def: penDefStats.mean || 0.35,
+      Pen_def_sd: penDefStats.sd || 0.058,
+      
+      StartingFP: 30.5,
+      StartingFP_sd: 1.39,
+    }
+  };
+  
+  console.log("NEW LEAGUE AVERAGES:");
+  console.log(`  PPD: ${newParams.lg.PPD.toFixed(3)} (sd: ${newParams.lg.PPD_sd.toFixed(3)})`);
+  console.log(`  Drives: ${newParams.lg.Drives.toFixed(2)} (sd: ${newParams.lg.Drives_sd.toFixed(2)})`);
+  
+  return newParams;
+};
+
+// ============================================
+// OPTIMIZED MODEL PARAMETERS
+// ============================================
+export const RHO_BASELINE = 0.22;
+
+/**
+ * Build the full model parameter set around a league-average block
+ */
+export const buildModelParams = (lg = DEFAULT_LEAGUE_PARAMS.lg) => ({
+  lg,
+  preset: 'Default',
+  debug: false,             // print the per-tier trace for every simulated game
+  
+  // === CER WEIGHTS ===
+  weights: {
+    // Offensive CER weights
+    off_PPD: 0.45,
+    off_EPA: 0.20,
+    off_SR: 0.15,
+    off_RZTD: 0.10,
+    off_RZDrives: 0.07,
+    off_TO: -0.10,          // OPTIMIZED: Was -0.03, now properly penalizes turnovers
+    
+    // Defensive CER weights - v2.2: SYMMETRIC with offense (except TO)
+    def_PPD: 0.45,
+    def_EPA: 0.20,
+    def_SR: 0.15,
+    def_RZTD: 0.10,
+    def_RZDrives: 0.07,
+    def_TO: 0.03,   // Kept low - defensive turnovers are luck-driven
+  },
+  
+  // Pace coefficients
+  pace: {
+    secSnap_coef: -0.08,
+    playsPerDrive_coef: -0.05,
+    threeOut_coef: 0.09,
+    xpl_coef: 0.03,
+    noHuddle_coef: 0.06,
+    pen_coef: -0.03,
+    passRate_coef: 0.015,
+  },
+  
+  // Core parameters
+  LAMBDA: 0.85,
+  HOME_FIELD_ADV: 2.0,       // v2.2: Playoff HFA (league fallback, see homeField.js)
+  CER_TO_PPD_SCALE: 0.60,
+  RHO_BASELINE,
+  
+  // Score standard deviation per team: base + slope × (expected pts - 20), clamped to [min, max]
+  sigma: {
+    margin: { base: 8.0, slope: 0.18, min: 9.5, max: 13.5 },
+    total: { base: 8.5, slope: 0.25, min: 10.5, max: 15.5 },
+  },
+  
+  // Fitted variance model (see variance.js); replaces the sigma bounds when set
+  varianceModel: null,
+  
+  // Home field context: share of HFA that is crowd (scaled by crowd %), away travel cost
+  homeField: {
+    crowd_share: 0.5,
+    travel_per_1000mi: 0.3,
+  },
+  
+  // Schedule spot (see schedule.js): points per team unless noted
+  schedule: {
+    rest_per_day: 0.12,            // per day of rest above/below 7
+    rest_cap_days: 4,
+    bye_bonus: 0.6,
+    thursday_pts: -0.5,
+    monday_pts: -0.2,
+    tz_per_hour: -0.3,             // per time zone crossed
+    divisional_margin_shrink: 0.10, // share of projected margin removed
+  },
+  
+  // Venue (see stadiums.js): visitors lose points above the altitude threshold; turf adds to the total
+  venue: {
+    altitude_threshold_ft: 3000,
+    altitude_visitor_per_1000ft: -0.25,
+    turf_total_pts: 0.4,
+  },
+  
+  // Stadium registry keyed by home team
+  stadiums: DEFAULT_STADIUMS,
+  
+  // Fitted per-team HFA table (see homeField.js); team CSV HFA columns still win
+  hfaTable: null,
+  
+  // Weather parameters
+  weather: {
+    dome_bonus: 0.5,
+    wind_per_mph_above_threshold: -0.06,
+    wind_threshold: 10,
+    extreme_cold_threshold: 25,
+    extreme_cold_penalty: -1.5,
+    precip_adjustments: {
+      none: 0,
+      light_rain: -1.0,
+      heavy_rain: -2.0,
+      snow: -2.5,
+    },
+  },
+  
+  // Drive-by-drive scoring model
+  drive: {
+    xpRate: 0.94,
+    twoPtAttemptRate: 0.08,
+    twoPtRate: 0.48,
+    rzFgRate: 0.85,           // Share of failed red-zone trips that end in a FG
+    outsideRzTdRate: 0.05,    // Long TDs from outside the red zone
+    outsideRzFgRate: 0.06,    // Long FGs on stalled drives
+    driveCountSd: 0.8,        // Shared game-level possession shock
+    efficiencySd: 0.15,       // Per-team game-day form shock
+  },
+  
+  // Key-number reweighting of simulated margins/totals
+  keyNumbers: {
+    marginSd: 13.8,           // Smooth reference the empirical frequencies are divided by
+    strength: 1.0,            // 0 = no reweighting, 1 = full empirical shape
+  },
+  
+  // Share of each team's points scored per quarter (see periods.js); Q2 and Q4
+  // carry the two-minute drills. Normalized, so they need not sum to exactly 1.
+  periods: {
+    q1_share: 0.19,
+    q2_share: 0.31,
+    q3_share: 0.20,
+    q4_share: 0.30,
+  },
+});
@@ -0,0 +1,107 @@
+import { fairOddsWithPush } from "./ladder";
+import { DEFAULT_KELLY_FRACTION, priceSide } from "./odds";
+
+// ============================================
+// SAME-GAME PARLAYS
+// ============================================
+// Joint hit probability of several legs on one game, read off the simulated
+// outcomes so the correlation between them (home cover and the over, a team
+// total and its moneyline) is priced in. A ticket where no leg loses but some
+// leg pushes is graded as a push (stake returned).
+
+export const PARLAY_MARKETS = [
+  { key: 'spread', label: 'Spread', sides: ['home', 'away'] },
+  { key: 'total', label: 'Total', sides: ['over', 'under'] },
+  { key: 'homeTotal', label: 'Home Team Total', sides: ['over', 'under'] },
+  { key: 'awayTotal', label: 'Away Team Total', sides: ['over', 'under'] },
+  { key: 'moneyline', label: 'Moneyline', sides: ['home', 'away'] },
+];
+
+/**
+ * Market line for a new leg: spreads from the side's perspective, totals as posted
+ */
+export function defaultLegLine(results, market, side) {
+  if (market === 'spread') return side === 'home' ? results.spread.line : -results.spread.line;
+  if (market === 'total') return results.overUnder.line;
+  if (market === 'homeTotal') return results.homeTeamOverUnder.line;
+  if (market === 'awayTotal') return results.awayTeamOverUnder.line;
+  return 0;
+}
+
+/**
+ * Display label for a leg
+ */
+export function legLabel(leg, homeTeam, awayTeam) {
+  const team = leg.side === 'home' ? homeTeam : awayTeam;
+  const ou = leg.side === 'over' ? 'Over' : 'Under';
+  if (leg.market === 'spread') return `${team} ${leg.line > 0 ? '+' : ''}${leg.line}`;
+  if (leg.market === 'moneyline') return `${team} ML`;
+  if (leg.market === 'total') return `${ou} ${leg.line}`;
+  return `${leg.market === 'homeTotal' ? homeTeam : awayTeam} TT ${ou} ${leg.line}`;
+}
+
+/**
+ * Points by which a leg beats its line in one simulated game (> 0 win, 0 push, < 0 loss)
+ */
+export function legMargin(leg, margin, total, homeScore, awayScore) {
+  const sign = leg.side === 'home' || leg.side === 'over' ? 1 : -1;
+  switch (leg.market) {
+    case 'spread': return sign * margin + leg.line;
+    case 'moneyline': return sign * margin;
+    case 'total': return sign * (total - leg.line);
+    case 'homeTotal': return sign * (homeScore - leg.line);
+    case 'awayTotal': return sign * (awayScore - leg.line);
+    default: throw new Error(`Unknown parlay market: ${leg.market}`);
+  }
+}
+
+/**
+ * Joint vs independent pricing of a same-game parlay. bookPrice (American) is
+ * optional; without it only the probabilities and fair odds are returned.
+ * Key-number weights are applied as margin × total, as in portfolio sampling.
+ */
+export function priceSameGameParlay(samples, legs, bookPrice = null, kellyFraction = DEFAULT_KELLY_FRACTION) {
+  if (!samples) throw new Error("Same-game parlays need the simulated samples (run a single game)");
+  if (legs.length === 0) throw new Error("Add at least one leg");
+  const { margins, totals, homeScores, awayScores, marginWeights, totalWeights } = samples;
+  const n = margins.length;
+  const legWins = legs.map(() => 0);
+  const legPushes = legs.map(() => 0);
+  let totalWeight = 0, jointWin = 0, jointPush = 0;
+
+  for (let i = 0; i < n; i++) {
+    const w = (marginWeights ? marginWeights[i] : 1) * (totalWeights ? totalWeights[i] : 1);
+    totalWeight += w;
+    let lost = false, pushed = false;
+    legs.forEach((leg, j) => {
+      const diff = legMargin(leg, margins[i], totals[i], homeScores[i], awayScores[i]);
+      if (diff > 0) legWins[j] += w;
+      else if (diff === 0) { legPushes[j] += w; pushed = true; }
+      else lost = true;
+    });
+    if (!lost) {
+      if (pushed) jointPush += w;
+      else jointWin += w;
+    }
+  }
+
+  const legResults = legs.map((leg, j) => ({
+    ...leg,
+    winProb: legWins[j] / totalWeight,
+    pushProb: legPushes[j] / totalWeight
+  }));
+  const winProb = jointWin / totalWeight;
+  const pushProb = jointPush / totalWeight;
+  const naiveWinProb = legResults.reduce((a, leg) => a * leg.winProb, 1);
+
+  return {
+    legs: legResults,
+    winProb,
+    pushProb,
+    naiveWinProb,
+    correlationLift: naiveWinProb > 0 ? winProb / naiveWinProb : null,
+    fairOdds: fairOddsWithPush(winProb, pushProb),
+    naiveFairOdds: fairOddsWithPush(naiveWinProb, 0),
+    ...priceSide(winProb, pushProb, bookPrice, kellyFraction)
+  };
+}
@@ -0,0 +1,47 @@
+import { priceSameGameParlay } from "./parlay";
+import { simulateGame } from "./simulator";
+
+const leg = (market, side, line = 0) => ({ market, side, line });
+
+describe('priceSameGameParlay', () => {
+  // Home wins exactly when it scores 21+, so the two legs always land together
+  const homeScores = [27, 17, 30, 14];
+  const awayScores = [20, 20, 20, 21];
+  const samples = {
+    homeScores,
+    awayScores,
+    margins: homeScores.map((h, i) => h - awayScores[i]),
+    totals: homeScores.map((h, i) => h + awayScores[i])
+  };
+
+  test('prices correlated legs off the joint outcomes, not the product', () => {
+    const out = priceSameGameParlay(samples, [leg('moneyline', 'home'), leg('homeTotal', 'over', 20.5)]);
+    expect(out.legs.map(l => l.winProb)).toEqual([0.5, 0.5]);
+    expect(out.winProb).toBe(0.5);
+    expect(out.naiveWinProb).toBe(0.25);
+    expect(out.correlationLift).toBe(2);
+    expect(out.fairOdds).toBe(-100);
+  });
+
+  test('a ticket with no loser but a push is a push', () => {
+    const out = priceSameGameParlay(samples, [leg('moneyline', 'home'), leg('total', 'over', 47)]);
+    expect(out.winProb).toBe(0.25);
+    expect(out.pushProb).toBe(0.25);
+  });
+
+  test('needs samples and at least one leg', () => {
+    expect(() => priceSameGameParlay(null, [leg('moneyline', 'home')])).toThrow('need the simulated samples');
+    expect(() => priceSameGameParlay(samples, [])).toThrow('at least one leg');
+  });
+
+  test('a favourite and its team total over are positively correlated in simulated games', () => {
+    const home = { Team: 'Home', 'Offensive Pts/Drive': '2.40', 'Defensive Pts/Drive': '1.85' };
+    const away = { Team: 'Away', 'Offensive Pts/Drive': '1.95', 'Defensive Pts/Drive': '2.15' };
+    const r = simulateGame(home, away, { numSimulations: 4000, spreadLine: -6.5, overUnderLine: 44.5, seed: 31 });
+    const same = priceSameGameParlay(r.samples, [leg('moneyline', 'home'), leg('homeTotal', 'over', 24.5)], 250);
+    const opposed = priceSameGameParlay(r.samples, [leg('moneyline', 'away'), leg('homeTotal', 'over', 24.5)]);
+    expect(same.winProb).toBeGreaterThan(same.naiveWinProb);
+    expect(opposed.winProb).toBeLessThan(opposed.naiveWinProb);
+    expect(same.ev).toBeCloseTo(same.winProb * 2.5 - (1 - same.winProb - same.pushProb));
+  });
+});
@@ -0,0 +1,187 @@
+import { createRng, deriveSeed } from "./random";
+import { fairOddsWithPush } from "./ladder";
+
+// ============================================
+// PERIOD MARKETS (1H / 2H / 1Q)
+// ============================================
+// Each simulated full-game score is broken into scoring plays (TDs, FGs and
+// the odd safety/missed extra point) and every play is dropped into a quarter
+// by the params.periods scoring profile. Period scores therefore always add
+// back to the full-game score, and halves inherit the full game's shape.
+// Splits use their own seeded stream so full-game results are unchanged.
+//
+// Like the full game, period spreads and moneylines come from the team scores
+// and period totals from the game total the full-game total market settles on.
+// The Gaussian model draws that total separately, so it is split on its own;
+// 1H + 2H then equals the full-game total in every simulated game. When the
+// total is the two team scores (drive model), the teams' own splits are summed.
+
+export const PERIOD_MARKETS = [
+  { key: '1H', label: '1st Half', quarters: [0, 1] },
+  { key: '2H', label: '2nd Half', quarters: [2, 3] },
+  { key: '1Q', label: '1st Quarter', quarters: [0] },
+];
+
+// Offset mixed into the game seed for the period stream
+const PERIOD_SEED_OFFSET = 0x5045;
+
+/**
+ * Normalized quarter shares from params.periods
+ */
+export const quarterShares = (periods) => {
+  const raw = [periods.q1_share, periods.q2_share, periods.q3_share, periods.q4_share].map(v => Math.max(0, v));
+  const sum = raw.reduce((a, b) => a + b, 0) || 1;
+  return raw.map(v => v / sum);
+};
+
+/**
+ * Share of full-game points expected in a period
+ */
+export const periodShare = (periods, periodKey) => {
+  const shares = quarterShares(periods);
+  return PERIOD_MARKETS.find(m => m.key === periodKey).quarters.reduce((a, q) => a + shares[q], 0);
+};
+
+/**
+ * Break a team score into scoring plays: as many 7s as possible with the rest in
+ * 3s, allowing one 6/8/2 (missed XP, two-point try, safety) when needed
+ */
+export function decomposeScore(score) {
+  if (score <= 0) return [];
+  for (const extra of [[], [6], [8], [2], [2, 2], [6, 6]]) {
+    const rest = score - extra.reduce((a, b) => a + b, 0);
+    if (rest < 0) continue;
+    for (let tds = Math.floor(rest / 7); tds >= 0; tds--) {
+      if ((rest - tds * 7) % 3 === 0) {
+        return [...extra, ...new Array(tds).fill(7), ...new Array((rest - tds * 7) / 3).fill(3)];
+      }
+    }
+  }
+  return [score];
+}
+
+/**
+ * Quarter-by-quarter points for one team score
+ */
+function splitIntoQuarters(score, cumulativeShares, rng) {
+  const quarters = [0, 0, 0, 0];
+  decomposeScore(score).forEach(points => {
+    const u = rng();
+    const q = cumulativeShares.findIndex(c => u < c);
+    quarters[q === -1 ? 3 : q] += points;
+  });
+  return quarters;
+}
+
+/**
+ * Period lines from the settings, or derived from the full-game lines by the
+ * scoring profile (rounded to the half point) when none were entered
+ */
+export function resolvePeriodLines(settings, periods) {
+  const half = (v) => Math.round(v * 2) / 2;
+  const entered = settings.periodLines || {};
+  return Object.fromEntries(PERIOD_MARKETS.map(({ key }) => {
+    const share = periodShare(periods, key);
+    const line = entered[key] || {};
+    const hasSpread = typeof line.spread === 'number' && !isNaN(line.spread);
+    const hasTotal = typeof line.total === 'number' && !isNaN(line.total);
+    return [key, {
+      spread: hasSpread ? line.spread : half(settings.spreadLine * share),
+      total: hasTotal ? line.total : half(settings.overUnderLine * share),
+      spreadEntered: hasSpread,
+      totalEntered: hasTotal,
+      prices: line.prices || null
+    }];
+  }));
+}
+
+/**
+ * Split every simulated game into periods and price 1H/2H/1Q spread, total and
+ * moneyline. Ties in a period push the moneyline (two-way market). Key-number
+ * weights apply as in the full game: margin weights to spreads and moneylines,
+ * total weights to totals.
+ */
+export function calculatePeriodResults(results, settings, params, marginWeights = null, totalWeights = null) {
+  const shares = quarterShares(params.periods);
+  const cumulativeShares = shares.map((_, i) => shares.slice(0, i + 1).reduce((a, b) => a + b, 0));
+  const rng = createRng(deriveSeed(results.seed >>> 0, PERIOD_SEED_OFFSET));
+  const n = results.homeScores.length;
+  const homeQuarters = results.homeScores.map(score => splitIntoQuarters(score, cumulativeShares, rng));
+  const awayQuarters = results.awayScores.map(score => splitIntoQuarters(score, cumulativeShares, rng));
+  const totalQuarters = results.totals.map((total, i) => (total === results.homeScores[i] + results.awayScores[i]
+    ? homeQuarters[i].map((points, q) => points + awayQuarters[i][q])
+    : splitIntoQuarters(total, cumulativeShares, rng)));
+  const mw = (i) => (marginWeights ? marginWeights[i] : 1);
+  const tw = (i) => (totalWeights ? totalWeights[i] : 1);
+  const marginWeight = marginWeights ? marginWeights.reduce((a, b) => a + b, 0) : n;
+  const totalWeight = totalWeights ? totalWeights.reduce((a, b) => a + b, 0) : n;
+  const lines = resolvePeriodLines(settings, params.periods);
+
+  return PERIOD_MARKETS.map(({ key, label, quarters }) => {
+    const { spread, total, spreadEntered, totalEntered, prices } = lines[key];
+    const sumQuarters = (qs) => quarters.reduce((a, q) => a + qs[q], 0);
+    let homePts = 0, awayPts = 0, totalPts = 0;
+    let homeCover = 0, awayCover = 0, spreadPush = 0;
+    let over = 0, under = 0, totalPush = 0;
+    let homeWin = 0, awayWin = 0, tie = 0;
+    for (let i = 0; i < n; i++) {
+      const home = sumQuarters(homeQuarters[i]);
+      const away = sumQuarters(awayQuarters[i]);
+      const periodTotal = sumQuarters(totalQuarters[i]);
+      const wi = mw(i);
+      homePts += home * wi;
+      awayPts += away * wi;
+      const adjusted = home - away + spread;
+      if (adjusted > 0) homeCover += wi;
+      else if (adjusted < 0) awayCover += wi;
+      else spreadPush += wi;
+      if (home > away) homeWin += wi;
+      else if (home < away) awayWin += wi;
+      else tie += wi;
+      const ti = tw(i);
+      totalPts += periodTotal * ti;
+      if (periodTotal > total) over += ti;
+      else if (periodTotal < total) under += ti;
+      else totalPush += ti;
+    }
+    const p = (count) => count / marginWeight;
+    const pt = (count) => count / totalWeight;
+    const share = quarters.reduce((a, q) => a + shares[q], 0);
+    return {
+      key,
+      label,
+      prices,
+      homeExpectedPts: homePts / marginWeight,
+      awayExpectedPts: awayPts / marginWeight,
+      expectedTotal: totalPts / totalWeight,
+      homeDrives: results.homeDrives * quarters.length / 4,
+      awayDrives: results.awayDrives * quarters.length / 4,
+      pointShare: share,
+      spread: {
+        line: spread,
+        entered: spreadEntered,
+        homeCoverPct: p(homeCover) * 100,
+        awayCoverPct: p(awayCover) * 100,
+        pushPct: p(spreadPush) * 100,
+        homeFairOdds: fairOddsWithPush(p(homeCover), p(spreadPush)),
+        awayFairOdds: fairOddsWithPush(p(awayCover), p(spreadPush))
+      },
+      overUnder: {
+        line: total,
+        entered: totalEntered,
+        overPct: pt(over) * 100,
+        underPct: pt(under) * 100,
+        pushPct: pt(totalPush) * 100,
+        overFairOdds: fairOddsWithPush(pt(over), pt(totalPush)),
+        underFairOdds: fairOddsWithPush(pt(under), pt(totalPush))
+      },
+      moneyline: {
+        homeWinPct: p(homeWin) * 100,
+        awayWinPct: p(awayWin) * 100,
+        tiePct: p(tie) * 100,
+        homeFairOdds: fairOddsWithPush(p(homeWin), p(tie)),
+        awayFairOdds: fairOddsWithPush(p(awayWin), p(tie))
+      }
+    };
+  });
+}
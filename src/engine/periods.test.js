@@ -0,0 +1,87 @@
+import { evaluatePeriodResults } from "./backtest";
+import { parseGamesCSV } from "./csv";
+import { buildModelParams } from "./params";
+import { calculatePeriodResults, decomposeScore, periodShare, resolvePeriodLines } from "./periods";
+import { simulateGame } from "./simulator";
+
+const params = buildModelParams();
+const byKey = (periods) => Object.fromEntries(periods.map(p => [p.key, p]));
+
+describe('decomposeScore', () => {
+  test('breaks a score into plays that add back to it', () => {
+    expect(decomposeScore(0)).toEqual([]);
+    expect(decomposeScore(17)).toEqual([7, 7, 3]);
+    [1, 2, 5, 8, 11, 23, 38, 51].forEach(score => {
+      expect(decomposeScore(score).reduce((a, b) => a + b, 0)).toBe(score);
+    });
+  });
+});
+
+describe('resolvePeriodLines', () => {
+  test('keeps entered lines and derives the rest by scoring share to the half point', () => {
+    const settings = { spreadLine: -7, overUnderLine: 47, periodLines: { '1H': { spread: -3, prices: { home: -105 } } } };
+    const lines = resolvePeriodLines(settings, params.periods);
+    expect(lines['1H']).toMatchObject({ spread: -3, spreadEntered: true, totalEntered: false, prices: { home: -105 } });
+    expect(lines['1H'].total).toBe(Math.round(47 * periodShare(params.periods, '1H') * 2) / 2);
+    expect(lines['1Q'].spread).toBe(Math.round(-7 * periodShare(params.periods, '1Q') * 2) / 2);
+    expect(lines['2H'].spreadEntered).toBe(false);
+  });
+});
+
+describe('calculatePeriodResults', () => {
+  const settings = { spreadLine: -3, overUnderLine: 44.5 };
+
+  test('period totals split the game-total draws, not the team scores', () => {
+    // Team scores of 0-0 with a 44-point total draw, as the Gaussian model can produce
+    const results = { seed: 7, homeScores: [0, 0, 0], awayScores: [0, 0, 0], totals: [44, 44, 44], homeDrives: 11, awayDrives: 11 };
+    const periods = byKey(calculatePeriodResults(results, settings, params));
+    expect(periods['1H'].expectedTotal + periods['2H'].expectedTotal).toBe(44);
+    expect(periods['1H'].homeExpectedPts + periods['1H'].awayExpectedPts).toBe(0);
+    expect(periods['1H'].moneyline.tiePct).toBe(100);
+  });
+
+  test('halves add back to the full game in simulated games', () => {
+    const home = { Team: 'Home', 'Offensive Pts/Drive': '2.30', 'Defensive Pts/Drive': '1.90' };
+    const away = { Team: 'Away', 'Offensive Pts/Drive': '2.00', 'Defensive Pts/Drive': '2.10' };
+    const r = simulateGame(home, away, { numSimulations: 2000, spreadLine: -3, overUnderLine: 44.5, seed: 21 });
+    const periods = byKey(r.periods);
+    const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+    expect(periods['1H'].expectedTotal + periods['2H'].expectedTotal).toBeCloseTo(mean(r.samples.totals), 6);
+    expect(periods['1H'].homeExpectedPts + periods['2H'].homeExpectedPts).toBeCloseTo(mean(r.samples.homeScores), 6);
+    expect(periods['1Q'].expectedTotal).toBeLessThan(periods['1H'].expectedTotal);
+  });
+});
+
+describe('parseGamesCSV period lines', () => {
+  const teams = [{ Team: 'Chiefs' }, { Team: 'Bills' }];
+
+  test('reads 1H spread, total and prices and leaves other periods unset', () => {
+    const csv = [
+      'Home,Away,Spread,Total,1H Spread,1H Total,1H Over Odds,1H Home Spread Odds',
+      'Chiefs,Bills,-3,47.5,-1.5,24,+100,-115'
+    ].join('\n');
+    const [game] = parseGamesCSV(csv, teams);
+    expect(game.settings.periodLines).toEqual({
+      '1H': { spread: -1.5, total: 24, prices: { home: -115, away: -110, over: 100, under: -110 } }
+    });
+  });
+});
+
+describe('evaluatePeriodResults', () => {
+  const period = (key, entered) => ({
+    key,
+    prices: null,
+    homeExpectedPts: 14,
+    awayExpectedPts: 9,
+    expectedTotal: 23,
+    spread: { line: -1.5, entered, homeCoverPct: 62, awayCoverPct: 38 },
+    overUnder: { line: 20.5, entered: false, overPct: 50, underPct: 50 }
+  });
+
+  test('evaluates only entered lines and approves an edge at the offered price', () => {
+    const evals = evaluatePeriodResults({ periods: [period('1H', true), period('1Q', false)] });
+    expect(evals.map(e => e.key)).toEqual(['1H']);
+    expect(evals[0].spreadEval).toMatchObject({ signal: 'HOME', approved: true });
+    expect(evals[0].totalsEval).toBeNull();
+  });
+});
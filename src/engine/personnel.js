@@ -0,0 +1,130 @@
+import { parseCSVLine } from "./csv";
+
+// ============================================
+// INJURY & PERSONNEL ADJUSTMENTS
+// ============================================
+// Per-game changes layered on the season-level CER. Each adjustment hits one
+// team's offense or defense in one of three units:
+//   'cer'    - added to the offensive/defensive CER (regressed by LAMBDA like the rating)
+//   'ppd'    - points per drive, applied after regression
+//   'points' - points per game, converted to PPD over league drives
+// Negative values always mean the team is weaker: an offense scores less, a
+// defense allows more.
+
+export const PERSONNEL_UNITS = ['points', 'ppd', 'cer'];
+export const PERSONNEL_SIDES = ['offense', 'defense'];
+
+export const PERSONNEL_PRESETS = [
+  { key: 'backupQB', label: 'Backup QB', side: 'offense', unit: 'points', value: -4.0 },
+  { key: 'eliteQBOut', label: 'Elite QB out', side: 'offense', unit: 'points', value: -6.5 },
+  { key: 'wr1Out', label: 'WR1 out', side: 'offense', unit: 'points', value: -1.0 },
+  { key: 'olStartersOut', label: '2+ OL starters out', side: 'offense', unit: 'points', value: -1.2 },
+  { key: 'rb1Out', label: 'RB1 out', side: 'offense', unit: 'points', value: -0.4 },
+  { key: 'edgeOut', label: 'Top edge rusher out', side: 'defense', unit: 'points', value: -0.8 },
+  { key: 'cb1Out', label: 'CB1 out', side: 'defense', unit: 'points', value: -0.7 },
+  { key: 'secondaryDepleted', label: 'Secondary depleted', side: 'defense', unit: 'points', value: -1.5 },
+];
+
+/**
+ * Fill an adjustment from its preset and validate side/unit/value
+ */
+export function normalizeAdjustment(adjustment) {
+  const preset = PERSONNEL_PRESETS.find(p => p.key === adjustment.preset);
+  const merged = { ...(preset || {}), ...adjustment };
+  const value = parseFloat(merged.value);
+  if (!PERSONNEL_SIDES.includes(merged.side)) throw new Error(`Unknown personnel side: ${merged.side}`);
+  if (!PERSONNEL_UNITS.includes(merged.unit)) throw new Error(`Unknown personnel unit: ${merged.unit}`);
+  if (isNaN(value)) throw new Error(`Personnel adjustment "${merged.label || merged.preset}" has no value`);
+  return {
+    label: merged.label || preset?.label || `${merged.side} ${merged.unit}`,
+    preset: preset ? preset.key : null,
+    side: merged.side,
+    unit: merged.unit,
+    value
+  };
+}
+
+/**
+ * Resolve one team's adjustments against the model: CER deltas (before
+ * regression) and the PPD change each one makes for the team and for its
+ * opponent (after regression).
+ */
+export function resolvePersonnel(adjustments = [], params) {
+  const out = { offCER: 0, defCER: 0, forPPD: 0, againstPPD: 0, items: [] };
+  adjustments.map(normalizeAdjustment).forEach(adj => {
+    const ppd = adj.unit === 'cer'
+      ? adj.value * params.CER_TO_PPD_SCALE * params.LAMBDA
+      : adj.unit === 'points' ? adj.value / params.lg.Drives : adj.value;
+    const item = { ...adj, forPPD: 0, againstPPD: 0 };
+    if (adj.side === 'offense') {
+      item.forPPD = ppd;
+      if (adj.unit === 'cer') out.offCER += adj.value;
+      else out.forPPD += ppd;
+    } else {
+      item.againstPPD = -ppd;
+      if (adj.unit === 'cer') out.defCER += adj.value;
+      else out.againstPPD -= ppd;
+    }
+    out.items.push(item);
+  });
+  return out;
+}
+
+/**
+ * Adjustments that apply to one game: rows for either team whose week matches
+ * the game's week, or that have no week (apply to every game).
+ */
+export function personnelForGame(adjustments, homeTeamName, awayTeamName, week = null) {
+  const applies = (row, team) => row.team === team && (row.week === null || row.week === week);
+  return {
+    home: adjustments.filter(row => applies(row, homeTeamName)),
+    away: adjustments.filter(row => applies(row, awayTeamName))
+  };
+}
+
+/**
+ * Parse a personnel CSV: team, week (optional), and either a preset key/label or
+ * side + unit + value. An optional note/player column becomes the label.
+ */
+export function parsePersonnelCSV(csvText, teams) {
+  let cleanedText = csvText;
+  if (cleanedText.charCodeAt(0) === 0xFEFF) {
+    cleanedText = cleanedText.slice(1);
+  }
+  const lines = cleanedText.replace(/\r\n?/g, '\n').trim().split('\n').filter(line => line.trim() !== '');
+  if (lines.length < 2) {
+    throw new Error("Personnel CSV appears to be empty or invalid");
+  }
+  const headers = parseCSVLine(lines[0]).map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    const values = parseCSVLine(lines[i]);
+    const row = {};
+    headers.forEach((header, index) => { row[header] = (values[index] || '').trim(); });
+    const name = (row.team || '').toLowerCase();
+    if (!name) continue;
+    const team = teams.find(t => t.Team.toLowerCase().includes(name) || name.includes(t.Team.toLowerCase()));
+    if (!team) {
+      console.warn(`Personnel CSV: unknown team ${row.team}`);
+      continue;
+    }
+    const presetName = (row.preset || '').toLowerCase();
+    const preset = PERSONNEL_PRESETS.find(p => p.key.toLowerCase() === presetName || p.label.toLowerCase() === presetName);
+    const note = row.note || row.player || row.label;
+    let adjustment;
+    try {
+      adjustment = normalizeAdjustment({
+        ...(preset ? { preset: preset.key } : {}),
+        ...(row.side ? { side: row.side.toLowerCase().startsWith('def') ? 'defense' : 'offense' } : {}),
+        ...(row.unit ? { unit: row.unit.toLowerCase() } : {}),
+        ...(row.value ? { value: row.value } : {}),
+        ...(note ? { label: preset ? `${preset.label}: ${note}` : note } : {})
+      });
+    } catch (error) {
+      throw new Error(`Personnel CSV line ${i + 1}: ${error.message}`);
+    }
+    const week = parseInt(row.week);
+    rows.push({ team: team.Team, week: isNaN(week) ? null : week, ...adjustment });
+  }
+  return rows;
+}
@@ -0,0 +1,39 @@
+import { buildModelParams } from "./params";
+import { normalizeAdjustment, resolvePersonnel } from "./personnel";
+import { simulateGame } from "./simulator";
+
+const params = buildModelParams();
+
+describe('resolvePersonnel', () => {
+  test('converts each unit to points per drive, weaker always negative for the team', () => {
+    const out = resolvePersonnel([
+      { preset: 'backupQB' },
+      { side: 'defense', unit: 'ppd', value: -0.1 },
+      { side: 'offense', unit: 'cer', value: -0.5 }
+    ], params);
+    expect(out.forPPD).toBeCloseTo(-4.0 / params.lg.Drives);
+    expect(out.againstPPD).toBeCloseTo(0.1);
+    expect(out.offCER).toBe(-0.5);
+    expect(out.items[2].forPPD).toBeCloseTo(-0.5 * params.CER_TO_PPD_SCALE * params.LAMBDA);
+  });
+
+  test('rejects adjustments without a side, unit or value', () => {
+    expect(() => normalizeAdjustment({ side: 'special', unit: 'ppd', value: 1 })).toThrow('Unknown personnel side');
+    expect(() => normalizeAdjustment({ side: 'offense', unit: 'ppd' })).toThrow('has no value');
+  });
+});
+
+describe('simulateGame with personnel', () => {
+  const home = { Team: 'Home', 'Offensive Pts/Drive': '2.20', 'Defensive Pts/Drive': '2.00' };
+  const away = { Team: 'Away', 'Offensive Pts/Drive': '2.10', 'Defensive Pts/Drive': '2.05' };
+  const settings = { numSimulations: 500, spreadLine: -3, overUnderLine: 44.5, seed: 4 };
+
+  test('a backup QB takes its points per drive off the offense it hits', () => {
+    const base = simulateGame(home, away, settings);
+    const hurt = simulateGame(home, away, { ...settings, personnel: { home: [{ preset: 'backupQB' }], away: [] } });
+    expect(hurt.matchupDetails.personnel.home.map(item => item.label)).toEqual(['Backup QB']);
+    expect(hurt.matchupDetails.homePPD - base.matchupDetails.homePPD).toBeCloseTo(-4.0 / params.lg.Drives);
+    expect(hurt.matchupDetails.awayPPD).toBeCloseTo(base.matchupDetails.awayPPD);
+    expect(hurt.homeExpectedPts).toBeLessThan(base.homeExpectedPts);
+  });
+});
@@ -0,0 +1,172 @@
+import { homeWinProbability } from "./odds";
+import { createRng, deriveSeed } from "./random";
+import { simulateGame } from "./simulator";
+
+// ============================================
+// PLAYOFF BRACKET
+// ============================================
+// Seeds per conference play a reseeded single-elimination bracket: the top
+// seeds take byes so the next round is a power of two, and every round pairs
+// the best remaining seed with the worst, the better seed at home. The two
+// conference champions meet at a neutral site. Each possible matchup is
+// simulated once; regulation ties go to overtime (see homeWinProbability).
+
+export const DEFAULT_PLAYOFF_OPTIONS = {
+  brackets: 20000,
+  numSimulations: 5000,   // per possible matchup
+  seed: 1
+};
+
+// Stage a team has reached; index 0 is making the field. Five to eight seeds
+// per conference give three in-conference rounds, as in the NFL.
+export const PLAYOFF_ROUNDS = [
+  { key: 'wildCard', label: 'Wild Card' },
+  { key: 'divisional', label: 'Divisional' },
+  { key: 'conference', label: 'Conference' },
+  { key: 'superBowl', label: 'Super Bowl' },
+  { key: 'champion', label: 'Champion' },
+];
+
+const matchupKey = (home, away) => `${home}|${away}`;
+
+/**
+ * Top seeds sitting out the first round so the rest pair into a power of two
+ */
+export const playoffByes = (seedCount) => Math.pow(2, Math.ceil(Math.log2(seedCount))) - seedCount;
+
+/**
+ * Check an entered bracket: two conferences, equal seed counts, no repeated team
+ * seeds: { AFC: [name, ...], NFC: [name, ...] } best seed first
+ */
+export function validateBracket(seeds) {
+  const conferences = Object.keys(seeds);
+  if (conferences.length !== 2) throw new Error("A bracket needs exactly two conferences");
+  const counts = conferences.map(c => seeds[c].length);
+  if (counts[0] !== counts[1] || counts[0] < 5 || counts[0] > 8) {
+    throw new Error("Each conference needs the same number of seeds (5 to 8)");
+  }
+  const names = conferences.flatMap(c => seeds[c]);
+  if (names.some(name => !name)) throw new Error("Fill in every seed");
+  const repeated = names.find((name, i) => names.indexOf(name) !== i);
+  if (repeated) throw new Error(`${repeated} is seeded twice`);
+  return conferences;
+}
+
+/**
+ * Every game the bracket can produce: each in-conference pair with the better
+ * seed at home, and each cross-conference pair at a neutral site
+ */
+export function playoffMatchups(seeds) {
+  const [first, second] = validateBracket(seeds);
+  const matchups = [];
+  [first, second].forEach(conference => {
+    const teams = seeds[conference];
+    teams.forEach((home, i) => {
+      teams.slice(i + 1).forEach(away => matchups.push({ home, away, neutralSite: false }));
+    });
+  });
+  seeds[first].forEach(home => {
+    seeds[second].forEach(away => matchups.push({ home, away, neutralSite: true }));
+  });
+  return matchups;
+}
+
+/**
+ * Play out brackets from matchup home win probabilities ([{ home, away, homeWinProb }])
+ */
+export function simulateBracket(seeds, matchups, options = {}) {
+  const opts = { ...DEFAULT_PLAYOFF_OPTIONS, ...options };
+  const conferences = validateBracket(seeds);
+  const rng = createRng(opts.seed);
+  const probs = new Map(matchups.map(m => [matchupKey(m.home, m.away), m.homeWinProb]));
+  const seedCount = seeds[conferences[0]].length;
+  const byes = playoffByes(seedCount);
+  const roundsToFinal = PLAYOFF_ROUNDS.length - 2;
+
+  const names = conferences.flatMap(c => seeds[c]);
+  const reached = Object.fromEntries(names.map(name => [name, new Array(PLAYOFF_ROUNDS.length).fill(0)]));
+
+  const play = (home, away) => {
+    const p = probs.get(matchupKey(home, away));
+    if (p === undefined) throw new Error(`No simulation for ${away} @ ${home}`);
+    return rng() < p ? home : away;
+  };
+
+  for (let b = 0; b < opts.brackets; b++) {
+    const champions = conferences.map(conference => {
+      const teams = seeds[conference];
+      teams.forEach(name => { reached[name][0]++; });
+      // Surviving seed numbers, best first; byes skip the first round
+      let alive = teams.map((_, i) => i);
+      for (let round = 1; round <= roundsToFinal; round++) {
+        const playing = round === 1 ? alive.slice(byes) : alive;
+        const next = round === 1 ? alive.slice(0, byes) : [];
+        for (let i = 0; i < playing.length / 2; i++) {
+          const home = playing[i];
+          const away = playing[playing.length - 1 - i];
+          next.push(teams.indexOf(play(teams[home], teams[away])));
+        }
+        alive = next.sort((x, y) => x - y);
+        alive.forEach(i => { reached[teams[i]][round]++; });
+      }
+      return teams[alive[0]];
+    });
+    reached[play(champions[0], champions[1])][roundsToFinal + 1]++;
+  }
+
+  const share = (count) => (count / opts.brackets) * 100;
+  return {
+    brackets: opts.brackets,
+    conferences,
+    byes,
+    rounds: PLAYOFF_ROUNDS,
+    teams: conferences.flatMap(conference => seeds[conference].map((name, i) => ({
+      team: name,
+      conference,
+      seed: i + 1,
+      bye: i < byes,
+      reachPct: reached[name].map(share)
+    })))
+  };
+}
+
+/**
+ * Simulate every possible matchup, then the brackets. Teams are team rows
+ * (as loaded from the teams CSV) keyed by conference, best seed first.
+ * `runGames(jobs)` may be a worker-pool runner, as in the season simulation.
+ */
+export async function runPlayoffSimulation(seedTeams, params, options = {}) {
+  const opts = { ...DEFAULT_PLAYOFF_OPTIONS, ...options };
+  const runGames = opts.runGames || (async (jobs) => jobs.map(job => simulateGame(job.homeTeam, job.awayTeam, job.settings, job.params)));
+  const rows = {};
+  const seeds = Object.fromEntries(Object.entries(seedTeams).map(([conference, teams]) => [
+    conference,
+    teams.map(team => {
+      if (!team) return null;
+      rows[team.Team] = team;
+      return team.Team;
+    })
+  ]));
+
+  const matchups = playoffMatchups(seeds);
+  const results = await runGames(matchups.map((m, i) => ({
+    homeTeam: rows[m.home],
+    awayTeam: rows[m.away],
+    settings: {
+      ...(opts.settings || {}),
+      numSimulations: opts.numSimulations,
+      seed: deriveSeed(opts.seed, i),
+      neutralSite: m.neutralSite,
+      keepSamples: false,
+      periodMarkets: false
+    },
+    params
+  })));
+  const missing = results.findIndex(r => !r);
+  if (missing >= 0) {
+    throw new Error(`Game ${matchups[missing].away} @ ${matchups[missing].home} did not simulate`);
+  }
+
+  const priced = matchups.map((m, i) => ({ ...m, homeWinProb: homeWinProbability(results[i]) }));
+  return { ...simulateBracket(seeds, priced, opts), matchups: priced };
+}
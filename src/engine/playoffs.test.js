@@ -0,0 +1,61 @@
+import { playoffByes, playoffMatchups, simulateBracket } from "./playoffs";
+
+const seeds = {
+  AFC: ['A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7'],
+  NFC: ['N1', 'N2', 'N3', 'N4', 'N5', 'N6', 'N7'],
+};
+
+// Every team wins at home with `homeWinProb` unless listed in `always`, which always wins
+const matchupsWhere = (homeWinProb, always = []) => playoffMatchups(seeds).map(m => ({
+  ...m,
+  homeWinProb: always.includes(m.home) ? 1 : always.includes(m.away) ? 0 : homeWinProb
+}));
+
+const reach = (report, team) => report.teams.find(t => t.team === team).reachPct;
+
+describe('playoffByes', () => {
+  test('seven seeds give one bye, six give two, eight give none', () => {
+    expect(playoffByes(7)).toBe(1);
+    expect(playoffByes(6)).toBe(2);
+    expect(playoffByes(8)).toBe(0);
+  });
+});
+
+describe('simulateBracket', () => {
+  test('the better seed always winning at home sends the top seeds through', () => {
+    const report = simulateBracket(seeds, matchupsWhere(1), { brackets: 50 });
+    expect(reach(report, 'A1')).toEqual([100, 100, 100, 100, 100]);
+    expect(reach(report, 'A2')).toEqual([100, 100, 100, 0, 0]);
+    expect(reach(report, 'A7')).toEqual([100, 0, 0, 0, 0]);
+    expect(reach(report, 'N1').slice(0, 4)).toEqual([100, 100, 100, 100]);
+  });
+
+  test('reseeding sends the lowest surviving seed to the No. 1 seed', () => {
+    // The 7 seed wins its wild card game; everyone else follows the seeding
+    const report = simulateBracket(seeds, matchupsWhere(1, ['A7']), { brackets: 50 });
+    expect(reach(report, 'A7')).toEqual([100, 100, 100, 100, 100]);
+    expect(reach(report, 'A2')).toEqual([100, 0, 0, 0, 0]);
+    // The 1 seed hosts the 7 in the divisional round and goes out; 3 beats 4 there
+    expect(reach(report, 'A1')).toEqual([100, 100, 0, 0, 0]);
+    expect(reach(report, 'A3')).toEqual([100, 100, 100, 0, 0]);
+    expect(reach(report, 'A4')[2]).toBe(0);
+  });
+
+  test('round shares add up to the teams left in each round', () => {
+    const report = simulateBracket(seeds, matchupsWhere(0.6), { brackets: 2000, seed: 7 });
+    const totals = [0, 1, 2, 3, 4].map(r => report.teams.reduce((sum, t) => sum + t.reachPct[r], 0));
+    [1400, 800, 400, 200, 100].forEach((expected, r) => expect(totals[r]).toBeCloseTo(expected, 6));
+  });
+
+  test('the Super Bowl is the only neutral-site matchup', () => {
+    const matchups = playoffMatchups(seeds);
+    expect(matchups.filter(m => m.neutralSite)).toHaveLength(49);
+    matchups.filter(m => m.neutralSite).forEach(m => {
+      expect(seeds.AFC.includes(m.home) && seeds.NFC.includes(m.away)).toBe(true);
+    });
+  });
+
+  test('rejects a team seeded twice', () => {
+    expect(() => simulateBracket({ ...seeds, NFC: [...seeds.NFC.slice(0, 6), 'A1'] }, [])).toThrow('seeded twice');
+  });
+});
@@ -0,0 +1,295 @@
+import { evaluateResult } from "./backtest";
+import { americanToNetPayout, DEFAULT_KELLY_FRACTION } from "./odds";
+import { createRng } from "./random";
+import { weightedPercentile } from "./utils";
+
+// ============================================
+// SLATE PORTFOLIO STAKING - JOINT KELLY WITH EXPOSURE CAPS
+// ============================================
+
+export const DEFAULT_PORTFOLIO_OPTIONS = {
+  bankroll: 1000,
+  kellyFraction: DEFAULT_KELLY_FRACTION,
+  maxGameExposure: 0.05,  // fraction of bankroll across all bets on one game
+  maxSlateExposure: 0.20, // fraction of bankroll across the whole slate
+  scenarios: 5000,
+  seed: 1
+};
+
+// Full-Kelly stakes never risk the whole bankroll, so log wealth stays finite
+const MAX_FULL_KELLY_EXPOSURE = 0.99;
+const MAX_ITERATIONS = 500;
+const TOLERANCE = 1e-7;
+const REWEIGHT_ROUNDS = 50;
+
+/**
+ * Approved spread and total signals from a batch run, one candidate bet per market
+ */
+export function collectApprovedBets(results, calibration = null, kellyFraction = DEFAULT_KELLY_FRACTION) {
+  const bets = [];
+  results.forEach((r, gameIndex) => {
+    const { spreadEval, totalsEval } = evaluateResult(r, calibration, kellyFraction);
+    const game = `${r.awayTeam} @ ${r.homeTeam}`;
+    if (spreadEval.approved) {
+      const line = spreadEval.signal === 'HOME' ? r.spread.line : -r.spread.line;
+      bets.push({
+        gameIndex, game, market: 'spread', signal: spreadEval.signal, line: r.spread.line,
+        label: `${spreadEval.signal === 'HOME' ? r.homeTeam : r.awayTeam} ${line > 0 ? '+' : ''}${line}`,
+        price: spreadEval.price, prob: spreadEval.calibratedProb, ev: spreadEval.ev, singleStake: spreadEval.stake
+      });
+    }
+    if (totalsEval.approved) {
+      bets.push({
+        gameIndex, game, market: 'total', signal: totalsEval.signal, line: r.overUnder.line,
+        label: `${totalsEval.signal === 'OVER' ? 'Over' : 'Under'} ${r.overUnder.line}`,
+        price: totalsEval.price, prob: totalsEval.calibratedProb, ev: totalsEval.ev, singleStake: totalsEval.stake
+      });
+    }
+  });
+  return bets;
+}
+
+/**
+ * Net units returned per unit staked on a bet given one simulated margin (home - away) and total
+ */
+export function betReturn(bet, margin, total) {
+  let diff;
+  if (bet.market === 'spread') {
+    diff = bet.signal === 'HOME' ? margin + bet.line : -(margin + bet.line);
+  } else {
+    diff = bet.signal === 'OVER' ? total - bet.line : bet.line - total;
+  }
+  if (diff > 0) return americanToNetPayout(bet.price);
+  if (diff < 0) return -1;
+  return 0;
+}
+
+/**
+ * Draw simulation indices for one game. Key-number weights (margin × total) are
+ * honoured by sampling proportionally to them.
+ */
+function createScenarioSampler(samples, rng) {
+  const n = samples.margins.length;
+  if (!samples.marginWeights && !samples.totalWeights) {
+    return () => Math.floor(rng() * n);
+  }
+  const cumulative = new Array(n);
+  let running = 0;
+  for (let i = 0; i < n; i++) {
+    running += (samples.marginWeights ? samples.marginWeights[i] : 1) * (samples.totalWeights ? samples.totalWeights[i] : 1);
+    cumulative[i] = running;
+  }
+  return () => {
+    const u = rng() * running;
+    let lo = 0, hi = n - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] < u) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+}
+
+const dot = (a, b) => a.reduce((acc, x, j) => acc + x * b[j], 0);
+const subtract = (a, b) => a.map((x, j) => x - b[j]);
+const addScaled = (a, b, scale) => a.map((x, j) => x + scale * b[j]);
+
+/**
+ * Mean log wealth (Kelly growth rate) of a stake vector over the weighted scenario returns
+ */
+const meanLogWealth = (returns, weights, stakes) =>
+  returns.reduce((acc, row, s) => acc + weights[s] * Math.log(1 + dot(row, stakes)), 0);
+
+function logWealthGradient(returns, weights, stakes) {
+  const grad = stakes.map(() => 0);
+  returns.forEach((row, s) => {
+    const wealth = 1 + dot(row, stakes);
+    row.forEach((r, j) => { grad[j] += weights[s] * r / wealth; });
+  });
+  return grad;
+}
+
+/**
+ * Scenario weights (summing to 1) under which each bet wins at its calibrated
+ * probability. Bets are selected on calibratedProb, so they are sized on it too:
+ * each bet's win and loss scenarios are rescaled in turn (iterative proportional
+ * fitting), keeping its push share, until every bet matches. Scenarios are only
+ * reweighted, so a spread and total on the same game stay jointly drawn.
+ */
+function calibrateScenarioWeights(returns, bets) {
+  const S = returns.length;
+  const weights = new Array(S).fill(1 / S);
+  for (let round = 0; round < REWEIGHT_ROUNDS; round++) {
+    let worst = 0;
+    bets.forEach((bet, j) => {
+      let win = 0, loss = 0;
+      returns.forEach((row, s) => {
+        if (row[j] > 0) win += weights[s];
+        else if (row[j] < 0) loss += weights[s];
+      });
+      const target = bet.prob / 100;
+      const targetLoss = win + loss - target;
+      if (win <= 0 || loss <= 0 || targetLoss <= 0) return;
+      worst = Math.max(worst, Math.abs(win - target));
+      const winScale = target / win;
+      const lossScale = targetLoss / loss;
+      returns.forEach((row, s) => {
+        if (row[j] > 0) weights[s] *= winScale;
+        else if (row[j] < 0) weights[s] *= lossScale;
+      });
+    });
+    if (worst < TOLERANCE) break;
+  }
+  return weights;
+}
+
+/**
+ * Euclidean projection of v onto { x >= 0, sum(x) <= cap }
+ */
+function projectCapped(v, cap) {
+  const positive = v.map(x => Math.max(0, x));
+  if (positive.reduce((a, b) => a + b, 0) <= cap) return positive;
+  // Project onto the simplex sum(x) = cap
+  const sorted = [...v].sort((a, b) => b - a);
+  let running = 0, tau = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    running += sorted[i];
+    const t = (running - cap) / (i + 1);
+    if (sorted[i] - t > 0) tau = t;
+  }
+  return v.map(x => Math.max(0, x - tau));
+}
+
+/**
+ * Projection onto the stake constraints: per-game caps inside a slate cap.
+ * The slate cap is enforced through a common shift found by bisection.
+ */
+function projectStakes(y, groups, gameCap, slateCap) {
+  const project = (shift) => {
+    const x = new Array(y.length).fill(0);
+    groups.forEach(idx => {
+      const px = projectCapped(idx.map(j => y[j] - shift), gameCap);
+      idx.forEach((j, k) => { x[j] = px[k]; });
+    });
+    return x;
+  };
+  const sum = (x) => x.reduce((a, b) => a + b, 0);
+  let x = project(0);
+  if (sum(x) <= slateCap) return x;
+  let lo = 0, hi = Math.max(...y);
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    x = project(mid);
+    if (sum(x) > slateCap) lo = mid;
+    else hi = mid;
+  }
+  return project(hi);
+}
+
+/**
+ * Allocate stakes across the approved bets of a slate.
+ *
+ * Each scenario draws one simulation per game, so a spread and a total on the
+ * same game settle off the same simulated outcome (their correlation comes straight from
+ * simulateGame); different games are drawn independently. Scenarios are then
+ * weighted so every bet wins at the calibrated probability it was approved on
+ * (see calibrateScenarioWeights). Projected gradient ascent maximizes mean log
+ * wealth (full Kelly) with every stake kept inside the per-game and per-slate
+ * caps divided by the Kelly fraction; the result is then
+ * scaled by the Kelly fraction so the caps hold on the stakes actually placed.
+ */
+export function optimizeSlateStakes(results, calibration = null, options = {}) {
+  const opts = { ...DEFAULT_PORTFOLIO_OPTIONS, ...options };
+  const bets = collectApprovedBets(results, calibration, opts.kellyFraction);
+  const fraction = opts.kellyFraction > 0 ? opts.kellyFraction : 1;
+  const gameCap = Math.min(opts.maxGameExposure / fraction, MAX_FULL_KELLY_EXPOSURE);
+  const slateCap = Math.min(opts.maxSlateExposure / fraction, MAX_FULL_KELLY_EXPOSURE);
+  const missing = bets.find(b => !results[b.gameIndex].samples);
+  if (missing) {
+    throw new Error(`No simulated outcomes kept for ${missing.game}; re-run the batch`);
+  }
+
+  // Scenario returns matrix: returns[s][j] = net units for bet j in scenario s
+  const rng = createRng(opts.seed);
+  const gameIndices = [...new Set(bets.map(b => b.gameIndex))];
+  const samplers = {};
+  gameIndices.forEach(g => { samplers[g] = createScenarioSampler(results[g].samples, rng); });
+  const S = opts.scenarios;
+  const returns = [];
+  for (let s = 0; s < S; s++) {
+    const draw = {};
+    for (const g of gameIndices) draw[g] = samplers[g]();
+    returns.push(bets.map(b => {
+      const samples = results[b.gameIndex].samples;
+      return betReturn(b, samples.margins[draw[b.gameIndex]], samples.totals[draw[b.gameIndex]]);
+    }));
+  }
+  const weights = calibrateScenarioWeights(returns, bets);
+
+  // Projected gradient ascent on full-Kelly stakes
+  const groups = gameIndices.map(g => bets.map((b, j) => (b.gameIndex === g ? j : -1)).filter(j => j >= 0));
+  let stakes = bets.map(() => 0);
+  let value = meanLogWealth(returns, weights, stakes);
+  let step = 1;
+  for (let iter = 0; iter < MAX_ITERATIONS && bets.length > 0; iter++) {
+    const grad = logWealthGradient(returns, weights, stakes);
+    
+    // Backtracking (Armijo) line search along the projected direction
+    let next = null, nextValue = value;
+    for (let k = 0; k < 40; k++) {
+      const trial = projectStakes(addScaled(stakes, grad, step), groups, gameCap, slateCap);
+      const trialValue = meanLogWealth(returns, weights, trial);
+      if (trialValue >= value + 1e-4 * dot(grad, subtract(trial, stakes))) {
+        next = trial;
+        nextValue = trialValue;
+        break;
+      }
+      step /= 2;
+    }
+    if (!next) break;
+    const maxChange = Math.max(...subtract(next, stakes).map(Math.abs));
+    stakes = next;
+    value = nextValue;
+    step *= 2;
+    if (maxChange < TOLERANCE) break;
+  }
+
+  // Report at the fractional stakes actually placed
+  const placed = stakes.map(s => s * fraction);
+  const slateReturns = returns.map(row => row.reduce((a, r, j) => a + r * placed[j], 0));
+  const weightedMean = (values) => values.reduce((a, x, s) => a + weights[s] * x, 0);
+  const correlation = (a, b) => {
+    const ma = weightedMean(returns.map(row => row[a]));
+    const mb = weightedMean(returns.map(row => row[b]));
+    let cov = 0, va = 0, vb = 0;
+    returns.forEach((row, s) => {
+      cov += weights[s] * (row[a] - ma) * (row[b] - mb);
+      va += weights[s] * (row[a] - ma) ** 2;
+      vb += weights[s] * (row[b] - mb) ** 2;
+    });
+    return va > 0 && vb > 0 ? cov / Math.sqrt(va * vb) : 0;
+  };
+
+  const games = gameIndices.map((g, gi) => {
+    const idx = groups[gi];
+    return {
+      gameIndex: g,
+      game: bets[idx[0]].game,
+      exposure: idx.reduce((a, j) => a + placed[j], 0),
+      correlation: idx.length > 1 ? correlation(idx[0], idx[1]) : null
+    };
+  });
+
+  return {
+    options: opts,
+    bets: bets.map((b, j) => ({ ...b, stake: placed[j], amount: placed[j] * opts.bankroll })),
+    games,
+    totalExposure: placed.reduce((a, b) => a + b, 0),
+    naiveExposure: bets.reduce((a, b) => a + b.singleStake, 0),
+    expectedReturn: weightedMean(slateReturns),
+    expectedGrowth: weightedMean(slateReturns.map(x => Math.log(1 + x))),
+    lossProb: weightedMean(slateReturns.map(x => (x < 0 ? 1 : 0))),
+    p05Return: S > 0 ? weightedPercentile(slateReturns, weights, 5) : 0
+  };
+}
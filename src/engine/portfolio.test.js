@@ -0,0 +1,85 @@
+import { betReturn, collectApprovedBets, optimizeSlateStakes } from "./portfolio";
+import { createRng } from "./random";
+
+// A batch result whose market percentages come from its own kept samples
+const makeResult = (name, marginMean, totalMean, seed, { spreadLine = -3, totalLine = 44.5 } = {}) => {
+  const rng = createRng(seed);
+  const normal = () => Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+  const margins = [], totals = [];
+  for (let i = 0; i < 4000; i++) {
+    margins.push(Math.round(marginMean + 13 * normal()));
+    totals.push(Math.round(totalMean + 10 * normal()));
+  }
+  const pct = (count) => (count / margins.length) * 100;
+  return {
+    homeTeam: `${name} Home`,
+    awayTeam: `${name} Away`,
+    spread: {
+      line: spreadLine,
+      homeCoverPct: pct(margins.filter(m => m + spreadLine > 0).length),
+      awayCoverPct: pct(margins.filter(m => m + spreadLine < 0).length),
+    },
+    overUnder: {
+      line: totalLine,
+      overPct: pct(totals.filter(t => t > totalLine).length),
+      underPct: pct(totals.filter(t => t < totalLine).length),
+    },
+    marginProjection: { mean: marginMean },
+    totalProjection: { mean: totalMean },
+    settings: {},
+    samples: { margins, totals }
+  };
+};
+
+const wide = { maxGameExposure: 1, maxSlateExposure: 1, scenarios: 4000 };
+
+describe('betReturn', () => {
+  test('settles spreads and totals with pushes returning the stake', () => {
+    const home = { market: 'spread', signal: 'HOME', line: -3, price: -110 };
+    const away = { ...home, signal: 'AWAY' };
+    expect(betReturn(home, 4, 40)).toBeCloseTo(100 / 110);
+    expect(betReturn(away, 4, 40)).toBe(-1);
+    expect(betReturn(home, 3, 40)).toBe(0);
+    const under = { market: 'total', signal: 'UNDER', line: 44.5, price: 120 };
+    expect(betReturn(under, 0, 44)).toBeCloseTo(1.2);
+    expect(betReturn(under, 0, 45)).toBe(-1);
+  });
+});
+
+describe('optimizeSlateStakes', () => {
+  test('a lone bet is staked at its own fractional Kelly', () => {
+    const results = [makeResult('A', 8, 44, 1)];
+    const plan = optimizeSlateStakes(results, null, wide);
+    expect(plan.bets).toHaveLength(1);
+    expect(plan.bets[0].market).toBe('spread');
+    expect(plan.bets[0].stake).toBeCloseTo(plan.bets[0].singleStake, 3);
+  });
+
+  test('bets are sized on the calibrated probability they were approved on', () => {
+    const results = [makeResult('A', 8, 44, 1)];
+    const calibration = { markets: { spread: { method: 'isotonic', knots: [{ x: 0.5, y: 0.5 }, { x: 0.7, y: 0.6 }] } } };
+    const raw = optimizeSlateStakes(results, null, wide).bets[0];
+    const calibrated = optimizeSlateStakes(results, calibration, wide).bets[0];
+    expect(calibrated.prob).toBeLessThan(raw.prob);
+    expect(calibrated.stake).toBeCloseTo(calibrated.singleStake, 3);
+    expect(calibrated.stake).toBeLessThan(raw.stake * 0.8);
+  });
+
+  test('games without a positive edge get no stake', () => {
+    const results = [makeResult('A', 8, 44, 1), makeResult('B', 3, 44.5, 2)];
+    expect(collectApprovedBets(results).map(b => b.gameIndex)).toEqual([0]);
+    const plan = optimizeSlateStakes([results[1]], null, wide);
+    expect(plan.bets).toEqual([]);
+    expect(plan.totalExposure).toBe(0);
+  });
+
+  test('per-game and slate caps hold on the placed stakes', () => {
+    const results = [1, 2, 3, 4, 5, 6].map(i => makeResult(`G${i}`, 9, 52, i));
+    const plan = optimizeSlateStakes(results, null, { maxGameExposure: 0.03, maxSlateExposure: 0.1, scenarios: 2000 });
+    expect(plan.bets.filter(b => b.market === 'total')).toHaveLength(6);
+    plan.games.forEach(g => expect(g.exposure).toBeLessThanOrEqual(0.03 + 1e-9));
+    expect(plan.totalExposure).toBeLessThanOrEqual(0.1 + 1e-9);
+    expect(plan.totalExposure).toBeGreaterThan(0.099);
+    expect(plan.totalExposure).toBeLessThan(plan.naiveExposure);
+  });
+});
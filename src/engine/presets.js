@@ -0,0 +1,90 @@
+import { buildModelParams } from "./params";
+
+// ============================================
+// MODEL PARAMETER PRESETS
+// ============================================
+
+export const PRESET_ARTIFACT_TYPE = 'nflgpt-param-preset';
+
+// Everything in the model params except the CSV-derived league averages
+export const TUNABLE_PARAM_KEYS = [
+  'weights', 'pace', 'LAMBDA', 'HOME_FIELD_ADV', 'CER_TO_PPD_SCALE', 'RHO_BASELINE',
+  'homeField', 'schedule', 'venue', 'sigma', 'weather', 'drive', 'keyNumbers', 'periods'
+];
+
+/**
+ * Copy the tunable part of a params object (no league averages)
+ */
+export const extractTunableParams = (params) =>
+  JSON.parse(JSON.stringify(Object.fromEntries(TUNABLE_PARAM_KEYS.map(key => [key, params[key]]))));
+
+/**
+ * Overlay numeric values from `override` onto `base`. Only keys that exist in
+ * `base` with the same shape are taken, so stale or hand-edited files can't
+ * inject unknown fields.
+ */
+export function mergeNumericParams(base, override) {
+  if (!override || typeof override !== 'object') return base;
+  const merged = Array.isArray(base) ? [...base] : { ...base };
+  Object.keys(base).forEach(key => {
+    const value = override[key];
+    if (base[key] !== null && typeof base[key] === 'object') {
+      merged[key] = mergeNumericParams(base[key], value);
+    } else if (typeof base[key] === 'number' && typeof value === 'number' && isFinite(value)) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Package a params object as a named, saveable preset
+ */
+export const createPreset = (name, params = buildModelParams(), createdAt = new Date().toISOString()) => ({
+  type: PRESET_ARTIFACT_TYPE,
+  version: 1,
+  name,
+  createdAt,
+  params: extractTunableParams(params)
+});
+
+// The first preset is the one every run starts with; the playoff HFA is an explicit choice
+export const BUILT_IN_PRESETS = [
+  createPreset('Regular season', { ...buildModelParams(), HOME_FIELD_ADV: 1.5 }, null),
+  createPreset('Playoffs HFA 2.0', buildModelParams(), null),
+];
+
+/**
+ * Display name recorded on results; edits that haven't been saved are marked
+ */
+export const presetLabel = (preset) => (preset.modified ? `${preset.name} (modified)` : preset.name);
+
+/**
+ * Full model params for a league-average block with a preset applied
+ */
+export const applyPreset = (lg, preset) => ({
+  ...mergeNumericParams(buildModelParams(lg), preset?.params),
+  lg,
+  preset: preset ? presetLabel(preset) : 'Default'
+});
+
+/**
+ * Validate a preset JSON file
+ */
+export function parsePresetArtifact(text) {
+  const artifact = JSON.parse(text);
+  if (artifact.type !== PRESET_ARTIFACT_TYPE) {
+    throw new Error(`Not a parameter preset file (type: ${artifact.type})`);
+  }
+  if (typeof artifact.name !== 'string' || !artifact.name.trim()) {
+    throw new Error('Preset has no name');
+  }
+  if (!artifact.params || typeof artifact.params !== 'object') {
+    throw new Error('Preset has no params');
+  }
+  return {
+    ...artifact,
+    params: extractTunableParams(mergeNumericParams(buildModelParams(), artifact.params)),
+    modified: false
+  };
+}
@@ -0,0 +1,23 @@
+import { buildModelParams } from "./params";
+import { applyPreset, BUILT_IN_PRESETS, createPreset, parsePresetArtifact } from "./presets";
+
+describe('BUILT_IN_PRESETS', () => {
+  test('runs start on the regular-season preset; the playoff one is a choice', () => {
+    const [first, ...rest] = BUILT_IN_PRESETS;
+    expect(first.name).toBe('Regular season');
+    const params = applyPreset(buildModelParams().lg, first);
+    expect(params.preset).toBe('Regular season');
+    expect(params.HOME_FIELD_ADV).toBe(1.5);
+    expect(rest.map(p => p.name)).toContain('Playoffs HFA 2.0');
+  });
+});
+
+describe('parsePresetArtifact', () => {
+  test('round-trips a saved preset and drops unknown fields', () => {
+    const saved = createPreset('Wide sigma', { ...buildModelParams(), LAMBDA: 0.4 });
+    const loaded = parsePresetArtifact(JSON.stringify({ ...saved, params: { ...saved.params, bogus: 1 } }));
+    expect(loaded.params.LAMBDA).toBe(0.4);
+    expect(loaded.params.bogus).toBeUndefined();
+    expect(() => parsePresetArtifact(JSON.stringify({ type: 'other' }))).toThrow('Not a parameter preset file');
+  });
+});
@@ -0,0 +1,42 @@
+// ============================================
+// SEEDED RANDOM NUMBER GENERATION
+// ============================================
+
+/**
+ * Mulberry32 PRNG - returns a function producing uniforms in [0, 1).
+ * Same seed → same sequence, so simulations can be reproduced exactly.
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fresh 32-bit seed for runs where the user did not supply one
+ */
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+/**
+ * Deterministic per-game seed derived from a batch run seed and the game index
+ */
+export const deriveSeed = (runSeed, index) => {
+  let h = (runSeed ^ Math.imul(index + 1, 0x9E3779B1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+/**
+ * Normalize a user-entered seed ("" / null → new random seed)
+ */
+export const resolveSeed = (seed) => {
+  if (seed === '' || seed === null || seed === undefined) return randomSeed();
+  const parsed = parseInt(seed, 10);
+  return isNaN(parsed) ? randomSeed() : parsed >>> 0;
+};
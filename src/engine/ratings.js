@@ -0,0 +1,43 @@
+import { buildModelParams } from "./params";
+import { createSimulator } from "./simulator";
+
+// ============================================
+// LEAGUE POWER RATINGS
+// ============================================
+// Every uploaded team run through the model's first three tiers against a
+// league-average opponent (a row with no stats, so every input falls back to
+// the league mean) at a neutral site. Defensive CER is signed so that higher
+// is better, which makes net rating offense + defense.
+
+export const LEAGUE_AVERAGE_TEAM = { Team: 'League Average' };
+
+/**
+ * Offensive, defensive and net CER, pace and neutral-field projection per team.
+ * impliedSpread is from the team's side (negative = favored over an average team).
+ */
+export function calculatePowerRatings(teams, params = buildModelParams()) {
+  const sim = createSimulator(params);
+  return teams.map(team => {
+    const offense = sim.calculateOffensiveCER(team);
+    const defense = sim.calculateDefensiveCER(team);
+    const offPace = sim.calculatePaceAdjustment(team, true);
+    const defPace = sim.calculatePaceAdjustment(team, false);
+    const drives = sim.calculateExpectedDrives(team, LEAGUE_AVERAGE_TEAM);
+    const matchup = sim.calculateMatchupPPD(team, LEAGUE_AVERAGE_TEAM, { neutralSite: true });
+    const pointsFor = matchup.homePPD * drives.homeDrives;
+    const pointsAgainst = matchup.awayPPD * drives.awayDrives;
+    return {
+      team: team.Team,
+      offCER: offense.CER,
+      defCER: defense.CER,
+      netCER: offense.CER + defense.CER,
+      offPace: offPace.paceAdj,
+      defPace: defPace.paceAdj,
+      drives: drives.homeDrives,
+      gameDrives: drives.totalGameDrives,
+      pointsFor,
+      pointsAgainst,
+      impliedSpread: pointsAgainst - pointsFor
+    };
+  });
+}
@@ -0,0 +1,30 @@
+import { buildModelParams } from "./params";
+import { calculatePowerRatings, LEAGUE_AVERAGE_TEAM } from "./ratings";
+
+describe('calculatePowerRatings', () => {
+  const params = buildModelParams();
+  const strong = { Team: 'Strong', 'Offensive Pts/Drive': '2.60', 'Defensive Pts/Drive': '1.70' };
+  const weak = { Team: 'Weak', 'Offensive Pts/Drive': '1.70', 'Defensive Pts/Drive': '2.50' };
+
+  test('an average team projects a zero spread against the league average', () => {
+    const [average] = calculatePowerRatings([{ ...LEAGUE_AVERAGE_TEAM, Team: 'Average' }], params);
+    expect(average.netCER).toBeCloseTo(0, 6);
+    expect(average.impliedSpread).toBeCloseTo(0, 6);
+    expect(average.pointsFor).toBeCloseTo(average.pointsAgainst, 6);
+  });
+
+  test('better offense and defense rate higher and lay points', () => {
+    const [s, w] = calculatePowerRatings([strong, weak], params);
+    expect(s.netCER).toBeGreaterThan(0);
+    expect(w.netCER).toBeLessThan(0);
+    expect(s.impliedSpread).toBeLessThan(0);
+    expect(w.impliedSpread).toBeGreaterThan(0);
+    expect(s.impliedSpread).toBeCloseTo(s.pointsAgainst - s.pointsFor);
+  });
+
+  test('ignores home field, since ratings are at a neutral site', () => {
+    const [base] = calculatePowerRatings([strong], params);
+    const [moreHfa] = calculatePowerRatings([strong], { ...params, HOME_FIELD_ADV: 4 });
+    expect(moreHfa.impliedSpread).toBeCloseTo(base.impliedSpread);
+  });
+});
@@ -0,0 +1,62 @@
+// ============================================
+// SCHEDULE SPOT ADJUSTMENT
+// ============================================
+// Rest, bye weeks, Thursday/Monday games, time-zone shifts and divisional
+// familiarity as itemized points added to each team's expected points before
+// sampling. Away travel distance stays in the home field term (homeField.js).
+
+export const GAME_DAYS = ['sunday', 'thursday', 'monday', 'saturday'];
+
+export const STANDARD_REST_DAYS = 7;
+
+/**
+ * Schedule settings with defaults: a standard Sunday game after a normal week
+ */
+export const normalizeScheduleSettings = (settings) => ({
+  homeRestDays: settings.homeRestDays ?? STANDARD_REST_DAYS,
+  awayRestDays: settings.awayRestDays ?? STANDARD_REST_DAYS,
+  homeOffBye: !!settings.homeOffBye,
+  awayOffBye: !!settings.awayOffBye,
+  gameDay: GAME_DAYS.includes(settings.gameDay) ? settings.gameDay : 'sunday',
+  homeTzShift: Math.abs(settings.homeTzShift || 0),
+  awayTzShift: Math.abs(settings.awayTzShift || 0),
+  divisional: !!settings.divisional
+});
+
+/**
+ * Itemized schedule adjustment in points per team.
+ * `projectedMargin` (home - away, before this adjustment) sizes the divisional
+ * term, which pulls both teams toward each other.
+ */
+export function calculateScheduleAdjustment(settings, params, projectedMargin = 0) {
+  const s = params.schedule;
+  const spot = normalizeScheduleSettings(settings);
+  const items = [];
+  const add = (key, label, home, away) => {
+    if (home !== 0 || away !== 0) items.push({ key, label, home, away });
+  };
+
+  const restPts = (days) => {
+    const extra = Math.max(-s.rest_cap_days, Math.min(s.rest_cap_days, days - STANDARD_REST_DAYS));
+    return extra * s.rest_per_day;
+  };
+  add('rest', `Rest (${spot.homeRestDays}d / ${spot.awayRestDays}d)`, restPts(spot.homeRestDays), restPts(spot.awayRestDays));
+  add('bye', 'Off bye', spot.homeOffBye ? s.bye_bonus : 0, spot.awayOffBye ? s.bye_bonus : 0);
+
+  if (spot.gameDay === 'thursday') add('thursday', 'Thursday game', s.thursday_pts, s.thursday_pts);
+  if (spot.gameDay === 'monday') add('monday', 'Monday game', s.monday_pts, s.monday_pts);
+
+  add('timezone', 'Time-zone shift', spot.homeTzShift * s.tz_per_hour, spot.awayTzShift * s.tz_per_hour);
+
+  if (spot.divisional) {
+    const pull = projectedMargin * s.divisional_margin_shrink / 2;
+    add('divisional', 'Divisional game', -pull, pull);
+  }
+
+  return {
+    spot,
+    items,
+    home: items.reduce((a, item) => a + item.home, 0),
+    away: items.reduce((a, item) => a + item.away, 0)
+  };
+}
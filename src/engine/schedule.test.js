@@ -0,0 +1,28 @@
+import { buildModelParams } from "./params";
+import { calculateScheduleAdjustment } from "./schedule";
+
+const params = buildModelParams();
+const s = params.schedule;
+
+describe('calculateScheduleAdjustment', () => {
+  test('a standard Sunday after a normal week has no items', () => {
+    expect(calculateScheduleAdjustment({}, params)).toMatchObject({ items: [], home: 0, away: 0 });
+  });
+
+  test('rest, bye and time-zone items sum into each team', () => {
+    const adj = calculateScheduleAdjustment({ homeRestDays: 14, homeOffBye: true, awayRestDays: 6, awayTzShift: -3 }, params);
+    expect(adj.items.map(item => item.key)).toEqual(['rest', 'bye', 'timezone']);
+    // Rest is capped at rest_cap_days either side of a normal week
+    expect(adj.items[0].home).toBeCloseTo(s.rest_cap_days * s.rest_per_day);
+    expect(adj.items[0].away).toBeCloseTo(-s.rest_per_day);
+    expect(adj.home).toBeCloseTo(s.rest_cap_days * s.rest_per_day + s.bye_bonus);
+    expect(adj.away).toBeCloseTo(-s.rest_per_day + 3 * s.tz_per_hour);
+  });
+
+  test('a divisional game pulls the teams toward each other by the projected margin', () => {
+    const adj = calculateScheduleAdjustment({ divisional: true, gameDay: 'thursday' }, params, 10);
+    const pull = 10 * s.divisional_margin_shrink / 2;
+    expect(adj.home).toBeCloseTo(s.thursday_pts - pull);
+    expect(adj.away).toBeCloseTo(s.thursday_pts + pull);
+  });
+});
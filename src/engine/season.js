@@ -0,0 +1,337 @@
+import { parseCSVLine } from "./csv";
+import { fairOddsWithPush } from "./ladder";
+import { homeWinProbability } from "./odds";
+import { createRng, deriveSeed } from "./random";
+import { simulateGame } from "./simulator";
+
+// ============================================
+// FULL-SEASON SIMULATION
+// ============================================
+// Every unplayed game on a schedule is simulated once to get its win
+// probability, then thousands of seasons are drawn from those probabilities
+// (games with final scores count as played). Standings use a simplified NFL
+// tiebreak: win percentage, head-to-head among the tied teams, division record
+// (inside a division), conference record, then a coin flip. Regulation ties in
+// a simulated game go to overtime in proportion to each side's win chance.
+// A single fixed probability per game would treat every season's games as
+// independent coin flips, so each season also draws a strength shock per team
+// (in points) that moves all of that team's games together.
+
+export const DEFAULT_SEASON_OPTIONS = {
+  seasons: 10000,
+  numSimulations: 2000,   // per-game simulations for each win probability
+  seed: 1,
+  playoffTeams: 7,        // per conference
+  ratingSd: 2.5,          // per-season team-strength uncertainty (points); 0 = fixed ratings
+  marginSd: 13.5,         // game margin SD that converts points into win probability
+  keepSeedings: true      // per-season seeds, used by the playoff bracket
+};
+
+const division = (conference, name, teams) => ({ conference, division: `${conference} ${name}`, teams });
+
+export const DEFAULT_LEAGUE_STRUCTURE = [
+  division('AFC', 'East', ['Bills', 'Dolphins', 'Patriots', 'Jets']),
+  division('AFC', 'North', ['Ravens', 'Bengals', 'Browns', 'Steelers']),
+  division('AFC', 'South', ['Texans', 'Colts', 'Jaguars', 'Titans']),
+  division('AFC', 'West', ['Broncos', 'Chiefs', 'Raiders', 'Chargers']),
+  division('NFC', 'East', ['Cowboys', 'Giants', 'Eagles', 'Commanders']),
+  division('NFC', 'North', ['Bears', 'Lions', 'Packers', 'Vikings']),
+  division('NFC', 'South', ['Falcons', 'Panthers', 'Saints', 'Buccaneers']),
+  division('NFC', 'West', ['Cardinals', 'Rams', '49ers', 'Seahawks']),
+];
+
+/**
+ * Parse a league structure CSV with team, conference and division columns
+ */
+export function parseLeagueStructureCSV(csvText) {
+  let cleanedText = csvText;
+  if (cleanedText.charCodeAt(0) === 0xFEFF) {
+    cleanedText = cleanedText.slice(1);
+  }
+  const lines = cleanedText.replace(/\r\n?/g, '\n').trim().split('\n').filter(line => line.trim() !== '');
+  if (lines.length < 2) {
+    throw new Error("League structure CSV appears to be empty or invalid");
+  }
+  const headers = parseCSVLine(lines[0]).map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const byDivision = new Map();
+  for (let i = 1; i < lines.length; i++) {
+    const values = parseCSVLine(lines[i]);
+    const row = {};
+    headers.forEach((header, index) => { row[header] = (values[index] || '').trim(); });
+    const team = row.team;
+    const conference = row.conference || row.conf;
+    const divisionName = row.division || row.div;
+    if (!team) continue;
+    if (!conference || !divisionName) {
+      throw new Error(`League structure line ${i + 1}: ${team} needs a conference and a division`);
+    }
+    const key = `${conference}|${divisionName}`;
+    if (!byDivision.has(key)) byDivision.set(key, { conference, division: divisionName, teams: [] });
+    byDivision.get(key).teams.push(team);
+  }
+  return [...byDivision.values()];
+}
+
+const nameMatches = (a, b) => {
+  const x = a.toLowerCase();
+  const y = b.toLowerCase();
+  return x === y || x.includes(y) || y.includes(x);
+};
+
+/**
+ * Conference and division for each scheduled team; every team must be placed
+ */
+export function resolveLeague(structure, teamNames) {
+  const league = {};
+  const missing = [];
+  teamNames.forEach(name => {
+    const entry = structure.find(d => d.teams.some(t => nameMatches(t, name)));
+    if (entry) league[name] = { conference: entry.conference, division: entry.division };
+    else missing.push(name);
+  });
+  if (missing.length > 0) {
+    throw new Error(`No conference/division for: ${missing.join(', ')}`);
+  }
+  return league;
+}
+
+/**
+ * Over/under/push chances and fair prices for a season win-total line
+ */
+export function winTotalPrices(team, line) {
+  let over = 0, under = 0, push = 0;
+  team.winDistribution.forEach(({ wins, pct }) => {
+    if (wins > line) over += pct;
+    else if (wins < line) under += pct;
+    else push += pct;
+  });
+  return {
+    line,
+    overPct: over,
+    underPct: under,
+    pushPct: push,
+    overFairOdds: fairOddsWithPush(over / 100, push / 100),
+    underFairOdds: fairOddsWithPush(under / 100, push / 100)
+  };
+}
+
+// Logistic scale matching a normal margin distribution with the given SD
+const logisticScale = (marginSd) => (marginSd * Math.sqrt(3)) / Math.PI;
+const logit = (p) => {
+  const q = Math.min(1 - 1e-6, Math.max(1e-6, p));
+  return Math.log(q / (1 - q));
+};
+
+/**
+ * Draw seasons from per-game home win probabilities.
+ * games: [{ home, away, homeWinProb }] or [{ home, away, final: { home, away } }]
+ */
+export function simulateSeasons(games, league, options = {}) {
+  const opts = { ...DEFAULT_SEASON_OPTIONS, ...options };
+  const names = Object.keys(league);
+  const index = Object.fromEntries(names.map((name, i) => [name, i]));
+  const n = names.length;
+  const rng = createRng(opts.seed);
+  const conferences = [...new Set(names.map(name => league[name].conference))];
+  const divisions = [...new Set(names.map(name => league[name].division))];
+  const divisionTeams = divisions.map(d => names.map((name, i) => (league[name].division === d ? i : -1)).filter(i => i >= 0));
+  const conferenceOf = names.map(name => conferences.indexOf(league[name].conference));
+  const divisionOf = names.map(name => divisions.indexOf(league[name].division));
+
+  const schedule = games.map(g => ({
+    home: index[g.home],
+    away: index[g.away],
+    homeWinProb: g.homeWinProb,
+    homeLogit: g.final ? 0 : logit(g.homeWinProb),
+    final: g.final || null,
+    sameDivision: divisionOf[index[g.home]] === divisionOf[index[g.away]],
+    sameConference: conferenceOf[index[g.home]] === conferenceOf[index[g.away]]
+  }));
+  const gamesPlayed = new Array(n).fill(0);
+  const divisionGames = new Array(n).fill(0);
+  const conferenceGames = new Array(n).fill(0);
+  schedule.forEach(g => {
+    [g.home, g.away].forEach(t => {
+      gamesPlayed[t]++;
+      if (g.sameDivision) divisionGames[t]++;
+      if (g.sameConference) conferenceGames[t]++;
+    });
+  });
+
+  // Tallies (wins kept in half-win steps so played ties count)
+  const winCounts = names.map((_, t) => new Array(gamesPlayed[t] * 2 + 1).fill(0));
+  const winSums = new Array(n).fill(0);
+  const divisionTitles = new Array(n).fill(0);
+  const playoffBerths = new Array(n).fill(0);
+  const seedCounts = names.map(() => new Array(opts.playoffTeams).fill(0));
+  const seedings = [];
+
+  const wins = new Array(n);
+  const divWins = new Array(n);
+  const confWins = new Array(n);
+  const coin = new Array(n);
+  // Team shocks are drawn in logit units: points over the logistic scale
+  const shock = new Array(n).fill(0);
+  const shockScale = opts.ratingSd / logisticScale(opts.marginSd);
+  const h2h = names.map(() => new Array(n).fill(0));
+  const h2hGames = names.map(() => new Array(n).fill(0));
+
+  const pct = (w, g) => (g > 0 ? w / g : 0);
+  const groupH2H = (t, group) => {
+    let w = 0, g = 0;
+    group.forEach(o => { if (o !== t) { w += h2h[t][o]; g += h2hGames[t][o]; } });
+    return pct(w, g);
+  };
+
+  // Best first; ties broken within each group of equal win percentage
+  const rank = (teams) => {
+    const sorted = [...teams].sort((a, b) => pct(wins[b], gamesPlayed[b]) - pct(wins[a], gamesPlayed[a]));
+    const out = [];
+    for (let i = 0; i < sorted.length;) {
+      let j = i + 1;
+      const level = pct(wins[sorted[i]], gamesPlayed[sorted[i]]);
+      while (j < sorted.length && pct(wins[sorted[j]], gamesPlayed[sorted[j]]) === level) j++;
+      const group = sorted.slice(i, j);
+      if (group.length > 1) {
+        const sameDivision = group.every(t => divisionOf[t] === divisionOf[group[0]]);
+        const keys = new Map(group.map(t => [t, [
+          groupH2H(t, group),
+          sameDivision ? pct(divWins[t], divisionGames[t]) : 0,
+          pct(confWins[t], conferenceGames[t]),
+          coin[t]
+        ]]));
+        group.sort((a, b) => {
+          const ka = keys.get(a), kb = keys.get(b);
+          for (let k = 0; k < ka.length; k++) {
+            if (ka[k] !== kb[k]) return kb[k] - ka[k];
+          }
+          return 0;
+        });
+      }
+      out.push(...group);
+      i = j;
+    }
+    return out;
+  };
+
+  const credit = (winner, loser, g, share) => {
+    wins[winner] += share;
+    h2h[winner][loser] += share;
+    if (g.sameDivision) divWins[winner] += share;
+    if (g.sameConference) confWins[winner] += share;
+  };
+
+  for (let s = 0; s < opts.seasons; s++) {
+    wins.fill(0);
+    divWins.fill(0);
+    confWins.fill(0);
+    h2h.forEach(row => row.fill(0));
+    h2hGames.forEach(row => row.fill(0));
+    for (let t = 0; t < n; t++) coin[t] = rng();
+    for (let t = 0; t < n; t += 2) {
+      // Box-Muller: two standard normals per pair of uniforms
+      const radius = Math.sqrt(-2 * Math.log(1 - rng())) * shockScale;
+      const angle = 2 * Math.PI * rng();
+      shock[t] = radius * Math.cos(angle);
+      if (t + 1 < n) shock[t + 1] = radius * Math.sin(angle);
+    }
+
+    schedule.forEach(g => {
+      h2hGames[g.home][g.away]++;
+      h2hGames[g.away][g.home]++;
+      if (g.final) {
+        if (g.final.home > g.final.away) credit(g.home, g.away, g, 1);
+        else if (g.final.home < g.final.away) credit(g.away, g.home, g, 1);
+        else {
+          credit(g.home, g.away, g, 0.5);
+          credit(g.away, g.home, g, 0.5);
+        }
+      } else if (rng() < 1 / (1 + Math.exp(-(g.homeLogit + shock[g.home] - shock[g.away])))) {
+        credit(g.home, g.away, g, 1);
+      } else {
+        credit(g.away, g.home, g, 1);
+      }
+    });
+
+    for (let t = 0; t < n; t++) {
+      winCounts[t][Math.round(wins[t] * 2)]++;
+      winSums[t] += wins[t];
+    }
+
+    const winners = divisionTeams.map(teams => rank(teams)[0]);
+    winners.forEach(t => { divisionTitles[t]++; });
+    const seeding = {};
+    conferences.forEach((conference, c) => {
+      const confWinners = rank(winners.filter(t => conferenceOf[t] === c));
+      const rest = rank(names.map((_, t) => t).filter(t => conferenceOf[t] === c && !confWinners.includes(t)));
+      const seeds = [...confWinners, ...rest].slice(0, opts.playoffTeams);
+      seeds.forEach((t, k) => {
+        playoffBerths[t]++;
+        seedCounts[t][k]++;
+      });
+      seeding[conference] = seeds;
+    });
+    if (opts.keepSeedings) seedings.push(seeding);
+  }
+
+  const share = (count) => (count / opts.seasons) * 100;
+  const teams = names.map((name, t) => {
+    const meanWins = winSums[t] / opts.seasons;
+    return {
+      team: name,
+      conference: league[name].conference,
+      division: league[name].division,
+      games: gamesPlayed[t],
+      meanWins,
+      winDistribution: winCounts[t]
+        .map((count, k) => ({ wins: k / 2, pct: share(count) }))
+        .filter(bin => bin.pct > 0),
+      divisionPct: share(divisionTitles[t]),
+      playoffPct: share(playoffBerths[t]),
+      seedPct: seedCounts[t].map(share),
+      // Books hang half-point win totals; the default line sits just above the mean's whole number
+      defaultLine: Math.floor(meanWins) + 0.5
+    };
+  });
+
+  return { seasons: opts.seasons, playoffTeams: opts.playoffTeams, teamNames: names, conferences, teams, seedings };
+}
+
+/**
+ * Simulate every unplayed game once for its win probability, then run the seasons.
+ * `runGames(jobs)` may be a worker-pool runner, as in the optimizer.
+ */
+export async function runSeasonSimulation(games, params, options = {}) {
+  const opts = { ...DEFAULT_SEASON_OPTIONS, ...options };
+  const runGames = opts.runGames || (async (jobs) => jobs.map(job => simulateGame(job.homeTeam, job.awayTeam, job.settings, job.params)));
+  const teamNames = [...new Set(games.flatMap(g => [g.homeTeam.Team, g.awayTeam.Team]))];
+  const league = resolveLeague(opts.structure || DEFAULT_LEAGUE_STRUCTURE, teamNames);
+
+  const unplayed = games.filter(g => !g.final);
+  const results = await runGames(unplayed.map((g, i) => ({
+    homeTeam: g.homeTeam,
+    awayTeam: g.awayTeam,
+    settings: {
+      ...g.settings,
+      numSimulations: opts.numSimulations,
+      seed: deriveSeed(opts.seed, i),
+      keepSamples: false,
+      periodMarkets: false
+    },
+    params
+  })));
+  const missing = results.findIndex(r => !r);
+  if (missing >= 0) {
+    throw new Error(`Game ${unplayed[missing].awayTeam.Team} @ ${unplayed[missing].homeTeam.Team} did not simulate`);
+  }
+
+  let next = 0;
+  const seasonGames = games.map(g => (g.final
+    ? { home: g.homeTeam.Team, away: g.awayTeam.Team, final: g.final }
+    : { home: g.homeTeam.Team, away: g.awayTeam.Team, homeWinProb: homeWinProbability(results[next++]) }));
+
+  return {
+    ...simulateSeasons(seasonGames, league, opts),
+    gameProbabilities: seasonGames.map((g, i) => ({ ...g, week: games[i].week }))
+  };
+}
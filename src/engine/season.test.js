@@ -0,0 +1,43 @@
+import { resolveLeague, simulateSeasons, winTotalPrices } from "./season";
+
+const structure = [
+  { conference: 'AFC', division: 'AFC East', teams: ['A1', 'A2', 'A3', 'A4'] },
+  { conference: 'NFC', division: 'NFC East', teams: ['N1', 'N2', 'N3', 'N4'] },
+];
+const names = structure.flatMap(d => d.teams);
+const league = resolveLeague(structure, names);
+const games = names.flatMap(home => names.filter(away => away !== home).map(away => ({ home, away, homeWinProb: 0.5 })));
+
+const winVariance = (team) => {
+  const mean = team.winDistribution.reduce((a, d) => a + d.wins * d.pct / 100, 0);
+  return team.winDistribution.reduce((a, d) => a + (d.wins - mean) ** 2 * d.pct / 100, 0);
+};
+
+describe('simulateSeasons', () => {
+  test('shares add up: one division winner each, playoffTeams per conference', () => {
+    const report = simulateSeasons(games, league, { seasons: 2000, playoffTeams: 2 });
+    const sum = (key) => report.teams.reduce((a, t) => a + t[key], 0);
+    expect(sum('divisionPct')).toBeCloseTo(200, 6);
+    expect(sum('playoffPct')).toBeCloseTo(400, 6);
+    report.teams.forEach(t => {
+      expect(t.winDistribution.reduce((a, d) => a + d.pct, 0)).toBeCloseTo(100, 6);
+    });
+  });
+
+  test('per-season rating shocks widen the win distribution', () => {
+    const fixed = simulateSeasons(games, league, { seasons: 4000, ratingSd: 0 });
+    const shocked = simulateSeasons(games, league, { seasons: 4000, ratingSd: 4 });
+    const avg = (report) => report.teams.reduce((a, t) => a + winVariance(t), 0) / report.teams.length;
+    // 14 fair coin flips: variance 3.5
+    expect(avg(fixed)).toBeCloseTo(3.5, 0);
+    expect(avg(shocked)).toBeGreaterThan(avg(fixed) * 1.2);
+  });
+
+  test('final scores count as played', () => {
+    const played = games.map(g => (g.home === 'A1' ? { ...g, final: { home: 24, away: 10 } } : g));
+    const report = simulateSeasons(played, league, { seasons: 200 });
+    const a1 = report.teams.find(t => t.team === 'A1');
+    expect(Math.min(...a1.winDistribution.map(d => d.wins))).toBeGreaterThanOrEqual(7);
+    expect(winTotalPrices(a1, 6.5).overPct).toBeCloseTo(100, 6);
+  });
+});
@@ -0,0 +1,837 @@
+import { clamp, findValue, parsePercent, percentile, toAmericanOdds, weightedPercentile, zScore } from "./utils";
+import { buildModelParams } from "./params";
+import { createRng, resolveSeed } from "./random";
+import { calculateDriveOutcomeProbs, sampleDriveCount, sampleDriveScore } from "./driveModel";
+import { resolveHomeFieldAdvantage } from "./homeField";
+import { calculateKeyNumberWeights, KEY_NUMBERS } from "./keyNumbers";
+import { fairOddsWithPush } from "./ladder";
+import { calculatePeriodResults } from "./periods";
+import { resolvePersonnel } from "./personnel";
+import { calculateScheduleAdjustment } from "./schedule";
+import { applyStadium, calculateVenueAdjustment } from "./stadiums";
+import {
+  gameMarginSigma,
+  gameTotalSigma,
+  predictGameSigma,
+  teamSigmaForMargin,
+  teamSigmaForTotal,
+  TOTAL_OWN_WEIGHT,
+  TOTAL_SHARED_WEIGHT
+} from "./variance";
+
+/**
+ * Headless simulation engine.
+ *
+ * Every tier of the model reads from an explicit `params` object (see
+ * buildModelParams) instead of component state, so the same engine can be
+ * driven from the GAMBLE-TRON UI, scripts or tests.
+ *
+ * The per-tier trace is only printed when `params.debug` is set (the single-game
+ * UI does); bulk runs such as batches, seasons and the optimizer stay quiet.
+ */
+export function createSimulator(params = buildModelParams()) {
+  const debugLog = params.debug ? (...args) => console.log(...args) : () => {};
+
+  // ============================================
+  // TIER 1: COMPOSITE EFFICIENCY RATING (CER)
+  // ============================================
+  
+  function calculateOffensiveCER(team) {
+    const getNumeric = (val, fallback) => {
+      const parsed = parseFloat(val);
+      return (val !== null && val !== undefined && val !== '' && !isNaN(parsed)) ? parsed : fallback;
+    };
+    const getPercent = (val, fallback) => {
+      const parsed = parsePercent(val);
+      return parsed !== null ? parsed : fallback;
+    };
+    
+    const ppd = getNumeric(findValue(team, ['Offensive Pts/Drive', 'Offensive PPD', 'PPD']), params.lg.PPD);
+    const epa = getNumeric(findValue(team, ['Offensive EPA/Play', 'Offensive EPA/play', 'EPA/play']), params.lg.EPA);
+    const sr = getPercent(findValue(team, ['Offensive Success Rate', 'Offensive Success rate', 'SR']), params.lg.SR);
+    const rztd = getPercent(findValue(team, ['Offensive Red Zone TD Rate', 'Offensive RZ TD%', 'RZ TD%']), params.lg.RZTD);
+    const to_pct = getPercent(findValue(team, ['Offensive TO%', 'TO%', 'Turnover%']), params.lg.TO_pct);
+    const rzDrives = getNumeric(findValue(team, ['Offensive Red Zone Drives/Game', 'RZ Drives/Game']), params.lg.RZDrives);
+    
+    const z_ppd = zScore(ppd, params.lg.PPD, params.lg.PPD_sd);
+    const z_epa = zScore(epa, params.lg.EPA, params.lg.EPA_sd);
+    const z_sr = zScore(sr, params.lg.SR, params.lg.SR_sd);
+    const z_rztd = zScore(rztd, params.lg.RZTD, params.lg.RZTD_sd);
+    const z_to = zScore(to_pct, params.lg.TO_pct, params.lg.TO_pct_sd);
+    const z_rzDrives = zScore(rzDrives, params.lg.RZDrives, params.lg.RZDrives_sd);
+    
+    const CER = (
+      params.weights.off_PPD * z_ppd +
+      params.weights.off_EPA * z_epa +
+      params.weights.off_SR * z_sr +
+      params.weights.off_RZTD * z_rztd +
+      params.weights.off_TO * z_to +
+      params.weights.off_RZDrives * z_rzDrives
+    );
+    
+    debugLog(`  OFF CER ${team.Team}: PPD=${ppd.toFixed(2)} (z=${z_ppd.toFixed(2)}), EPA=${epa.toFixed(3)} (z=${z_epa.toFixed(2)}), SR=${(sr*100).toFixed(1)}% (z=${z_sr.toFixed(2)}), TO=${(to_pct*100).toFixed(1)}% (z=${z_to.toFixed(2)}) → CER=${CER.toFixed(3)}`);
+    
+    return {
+      CER,
+      components: { ppd, epa, sr, rztd, to_pct, rzDrives },
+      zScores: { z_ppd, z_epa, z_sr, z_rztd, z_to, z_rzDrives }
+    };
+  }
+
+  function calculateDefensiveCER(team) {
+    const getNumeric = (val, fallback) => {
+      const parsed = parseFloat(val);
+      return (val !== null && val !== undefined && val !== '' && !isNaN(parsed)) ? parsed : fallback;
+    };
+    const getPercent = (val, fallback) => {
+      const parsed = parsePercent(val);
+      return parsed !== null ? parsed : fallback;
+    };
+    
+    const ppd = getNumeric(findValue(team, ['Defensive Pts/Drive', 'Defensive PPD', 'Def PPD']), params.lg.PPD_def);
+    const epa = getNumeric(findValue(team, ['Defensive EPA/Play', 'Defensive EPA/play', 'Def EPA']), params.lg.EPA_def);
+    const sr = getPercent(findValue(team, ['Defensive Success Rate', 'Defensive Success rate', 'Def SR']), params.lg.SR_def);
+    const rztd = getPercent(findValue(team, ['Defensive Red Zone TD Rate', 'Defensive RZ TD%', 'Def RZ TD%']), params.lg.RZTD_def);
+    const to_forced = getPercent(findValue(team, ['Defensive TO%', 'Def TO%', 'Forced TO%']), params.lg.TO_pct_def);
+    const rzDrives = getNumeric(findValue(team, ['Defensive Red Zone Drives/Game', 'Def RZ Drives/Game']), params.lg.RZDrives_def);
+    
+    const z_ppd = -zScore(ppd, params.lg.PPD_def, params.lg.PPD_def_sd);
+    const z_epa = -zScore(epa, params.lg.EPA_def, params.lg.EPA_def_sd);
+    const z_sr = -zScore(sr, params.lg.SR_def, params.lg.SR_def_sd);
+    const z_rztd = -zScore(rztd, params.lg.RZTD_def, params.lg.RZTD_def_sd);
+    const z_to = zScore(to_forced, params.lg.TO_pct_def, params.lg.TO_pct_def_sd);
+    const z_rzDrives = -zScore(rzDrives, params.lg.RZDrives_def, params.lg.RZDrives_def_sd);
+    
+    const CER = (
+      params.weights.def_PPD * z_ppd +
+      params.weights.def_EPA * z_epa +
+      params.weights.def_SR * z_sr +
+      params.weights.def_RZTD * z_rztd +
+      params.weights.def_TO * z_to +
+      params.weights.def_RZDrives * z_rzDrives
+    );
+    
+    debugLog(`  DEF CER ${team.Team}: PPD_allowed=${ppd.toFixed(2)} (z=${z_ppd.toFixed(2)}), EPA=${epa.toFixed(3)} (z=${z_epa.toFixed(2)}) → CER=${CER.toFixed(3)}`);
+    
+    return {
+      CER,
+      components: { ppd, epa, sr, rztd, to_forced, rzDrives },
+      zScores: { z_ppd, z_epa, z_sr, z_rztd, z_to, z_rzDrives }
+    };
+  }
+
+  // ============================================
+  // TIER 2: PACE-BASED DRIVES MODEL
+  // ============================================
+  
+  function calculatePaceAdjustment(team, isOffense = true) {
+    const prefix = isOffense ? 'Offensive' : 'Defensive';
+    
+    const secSnap = parseFloat(findValue(team, [`${prefix} Seconds/Snap`, `${prefix} Sec/snap`, 'SecSnap'])) || 
+                    (isOffense ? params.lg.SecSnap : params.lg.SecSnap_def);
+    const playsPerDrive = parseFloat(findValue(team, [`${prefix} Plays/Drive`, 'Plays/Drive'])) || 
+                          (isOffense ? params.lg.PlaysPerDrive : params.lg.PlaysPerDrive_def);
+    const threeOut = parsePercent(findValue(team, [isOffense ? 'Off 3-out Rate' : 'Defensive 3-out Rate', `${prefix} 3-out Rate`, '3-out Rate'])) || 
+                     (isOffense ? params.lg.ThreeOut : params.lg.ThreeOut_def);
+    const xpl = parsePercent(findValue(team, [`${prefix} Explosive Play Rate`, `${prefix} Explosive rate`])) || 
+                (isOffense ? params.lg.Xpl : params.lg.Xpl_def);
+    const noHuddle = parsePercent(findValue(team, [`${prefix} No Huddle Rate`, 'No Huddle Rate'])) || params.lg.NoHuddle;
+    const pen = parseFloat(findValue(team, [`${prefix} Penalties/Drive`, 'Penalties/Drive'])) || 
+                (isOffense ? params.lg.Pen : params.lg.Pen_def);
+    const passRate = parsePercent(findValue(team, [`${prefix} Early Down Pass Rate`, 'Early Down Pass Rate'])) || params.lg.PassRate;
+    
+    const lg_secSnap = isOffense ? params.lg.SecSnap : params.lg.SecSnap_def;
+    const lg_secSnap_sd = isOffense ? params.lg.SecSnap_sd : params.lg.SecSnap_def_sd;
+    const lg_playsPerDrive = isOffense ? params.lg.PlaysPerDrive : params.lg.PlaysPerDrive_def;
+    const lg_playsPerDrive_sd = isOffense ? params.lg.PlaysPerDrive_sd : params.lg.PlaysPerDrive_def_sd;
+    const lg_threeOut = isOffense ? params.lg.ThreeOut : params.lg.ThreeOut_def;
+    const lg_threeOut_sd = isOffense ? params.lg.ThreeOut_sd : params.lg.ThreeOut_def_sd;
+    const lg_xpl = isOffense ? params.lg.Xpl : params.lg.Xpl_def;
+    const lg_xpl_sd = isOffense ? params.lg.Xpl_sd : params.lg.Xpl_def_sd;
+    const lg_pen = isOffense ? params.lg.Pen : params.lg.Pen_def;
+    const lg_pen_sd = isOffense ? params.lg.Pen_sd : params.lg.Pen_def_sd;
+    
+    const z_secSnap = zScore(secSnap, lg_secSnap, lg_secSnap_sd);
+    const z_playsPerDrive = zScore(playsPerDrive, lg_playsPerDrive, lg_playsPerDrive_sd);
+    const z_threeOut = zScore(threeOut, lg_threeOut, lg_threeOut_sd);
+    const z_xpl = zScore(xpl, lg_xpl, lg_xpl_sd);
+    const z_noHuddle = zScore(noHuddle, params.lg.NoHuddle, params.lg.NoHuddle_sd);
+    const z_pen = zScore(pen, lg_pen, lg_pen_sd);
+    const z_passRate = zScore(passRate, params.lg.PassRate, params.lg.PassRate_sd);
+    
+    const paceAdj = (
+      params.pace.secSnap_coef * z_secSnap +
+      params.pace.playsPerDrive_coef * z_playsPerDrive +
+      params.pace.threeOut_coef * z_threeOut +
+      params.pace.xpl_coef * z_xpl +
+      params.pace.noHuddle_coef * z_noHuddle +
+      params.pace.pen_coef * z_pen +
+      params.pace.passRate_coef * z_passRate
+    );
+    
+    return {
+      paceAdj,
+      components: { secSnap, playsPerDrive, threeOut, xpl, noHuddle, pen, passRate },
+      zScores: { z_secSnap, z_playsPerDrive, z_threeOut, z_xpl, z_noHuddle, z_pen, z_passRate }
+    };
+  }
+
+  function calculateExpectedDrives(homeTeam, awayTeam) {
+    const homePace = calculatePaceAdjustment(homeTeam, true);
+    const awayPace = calculatePaceAdjustment(awayTeam, true);
+    const homeDefPace = calculatePaceAdjustment(homeTeam, false);
+    const awayDefPace = calculatePaceAdjustment(awayTeam, false);
+    
+    const gamePaceAdj = (homePace.paceAdj + awayPace.paceAdj + homeDefPace.paceAdj + awayDefPace.paceAdj) / 4;
+    const totalGameDrives = params.lg.Drives * 2 * (1 + gamePaceAdj);
+    const baseDrivesEach = totalGameDrives / 2;
+    
+    const homeTO = parsePercent(findValue(homeTeam, ['Offensive TO%', 'TO%'])) || params.lg.TO_pct;
+    const awayTO = parsePercent(findValue(awayTeam, ['Offensive TO%', 'TO%'])) || params.lg.TO_pct;
+    
+    const homeExpectedTOs = baseDrivesEach * homeTO;
+    const awayExpectedTOs = baseDrivesEach * awayTO;
+    
+    const turnoverSwing = (awayExpectedTOs - homeExpectedTOs) * 0.8;
+    
+    const paceEdge = (homePace.paceAdj - awayPace.paceAdj) * 0.3;
+    const cappedPaceEdge = clamp(paceEdge, -0.3, 0.3);
+    
+    let homeDrives = baseDrivesEach + (turnoverSwing / 2) + cappedPaceEdge;
+    let awayDrives = baseDrivesEach - (turnoverSwing / 2) - cappedPaceEdge;
+    
+    const differential = homeDrives - awayDrives;
+    if (Math.abs(differential) > 1.0) {
+      const excess = (Math.abs(differential) - 1.0) / 2;
+      if (differential > 0) {
+        homeDrives -= excess;
+        awayDrives += excess;
+      } else {
+        homeDrives += excess;
+        awayDrives -= excess;
+      }
+    }
+    
+    homeDrives = clamp(homeDrives, 9.0, 13.0);
+    awayDrives = clamp(awayDrives, 9.0, 13.0);
+    
+    debugLog(`  DRIVES MODEL: Total ${totalGameDrives.toFixed(1)}, Home ${homeDrives.toFixed(2)}, Away ${awayDrives.toFixed(2)}`);
+    
+    return {
+      homeDrives,
+      awayDrives,
+      totalGameDrives,
+      differential: homeDrives - awayDrives,
+      turnoverSwing,
+      gamePaceAdj,
+      homePaceDetails: homePace,
+      awayPaceDetails: awayPace
+    };
+  }
+
+  // ============================================
+  // TIER 3: MATCHUP ADJUSTMENT
+  // ============================================
+  
+  function calculateMatchupPPD(homeTeam, awayTeam, settings = {}) {
+    debugLog("\n=== COMPOSITE EFFICIENCY RATINGS ===");
+    
+    const homeOffCER = calculateOffensiveCER(homeTeam);
+    const homeDefCER = calculateDefensiveCER(homeTeam);
+    const awayOffCER = calculateOffensiveCER(awayTeam);
+    const awayDefCER = calculateDefensiveCER(awayTeam);
+    
+    // Injury/personnel layer: CER deltas regress with the ratings, PPD/points don't
+    const homePersonnel = resolvePersonnel(settings.personnel?.home, params);
+    const awayPersonnel = resolvePersonnel(settings.personnel?.away, params);
+    
+    const homeMatchupCER = (homeOffCER.CER + homePersonnel.offCER) - (awayDefCER.CER + awayPersonnel.defCER);
+    const awayMatchupCER = (awayOffCER.CER + awayPersonnel.offCER) - (homeDefCER.CER + homePersonnel.defCER);
+    
+    const homePPDAdj = homeMatchupCER * params.CER_TO_PPD_SCALE;
+    const awayPPDAdj = awayMatchupCER * params.CER_TO_PPD_SCALE;
+    
+    const homeRawPPD = params.lg.PPD + homePPDAdj;
+    const awayRawPPD = params.lg.PPD + awayPPDAdj;
+    
+    const homePPD = params.lg.PPD + params.LAMBDA * (homeRawPPD - params.lg.PPD) + homePersonnel.forPPD + awayPersonnel.againstPPD;
+    const awayPPD = params.lg.PPD + params.LAMBDA * (awayRawPPD - params.lg.PPD) + awayPersonnel.forPPD + homePersonnel.againstPPD;
+    if (homePersonnel.items.length || awayPersonnel.items.length) {
+      debugLog(`  Personnel: home ${homePersonnel.items.map(a => a.label).join(', ') || '-'} | away ${awayPersonnel.items.map(a => a.label).join(', ') || '-'}`);
+    }
+    
+    // Calculate HFA per drive (team/context-specific, zero at neutral sites)
+    const homeField = resolveHomeFieldAdvantage(homeTeam, settings, params);
+    const hfaPerDrive = homeField.total / params.lg.Drives;
+    
+    // FOR SPREADS: Use asymmetric HFA
+    const homeFinalPPD_forSpread = homePPD + hfaPerDrive;
+    const awayFinalPPD_forSpread = awayPPD;
+    
+    // FOR TOTALS: Use symmetric HFA
+    const homeFinalPPD_forTotal = homePPD + (hfaPerDrive / 2);
+    const awayFinalPPD_forTotal = awayPPD - (hfaPerDrive / 2);
+    
+    debugLog(`\n=== MATCHUP PPD (OPTIMIZED HFA=${homeField.total.toFixed(2)}, ${homeField.source}) ===`);
+    debugLog(`  Home matchup CER: ${homeMatchupCER.toFixed(3)}, Away: ${awayMatchupCER.toFixed(3)}`);
+    debugLog(`  For Spreads - Home PPD: ${homeFinalPPD_forSpread.toFixed(3)}, Away: ${awayFinalPPD_forSpread.toFixed(3)}`);
+    debugLog(`  For Totals  - Home PPD: ${homeFinalPPD_forTotal.toFixed(3)}, Away: ${awayFinalPPD_forTotal.toFixed(3)}`);
+    
+    return {
+      homePPD_spread: clamp(homeFinalPPD_forSpread, 1.2, 3.5),
+      awayPPD_spread: clamp(awayFinalPPD_forSpread, 1.2, 3.5),
+      homePPD_total: clamp(homeFinalPPD_forTotal, 1.2, 3.5),
+      awayPPD_total: clamp(awayFinalPPD_forTotal, 1.2, 3.5),
+      homePPD: clamp(homeFinalPPD_forSpread, 1.2, 3.5),
+      awayPPD: clamp(awayFinalPPD_forSpread, 1.2, 3.5),
+      homeField,
+      personnel: { home: homePersonnel.items, away: awayPersonnel.items },
+      homeOffCER,
+      homeDefCER,
+      awayOffCER,
+      awayDefCER
+    };
+  }
+
+  // ============================================
+  // CORRELATION CALCULATION
+  // ============================================
+  
+  function calculateAdaptiveCorrelation(homeTeam, awayTeam, spread, isDome, windMPH, precip) {
+    let rho = params.RHO_BASELINE;
+    
+    const absSpread = Math.abs(spread);
+    if (absSpread <= 3) rho += 0.10;
+    else if (absSpread <= 7) rho += 0.05;
+    else if (absSpread >= 14) rho -= 0.10;
+    
+    const homePassRate = parsePercent(findValue(homeTeam, ['Offensive Early Down Pass Rate', 'PassRate'])) || params.lg.PassRate;
+    const awayPassRate = parsePercent(findValue(awayTeam, ['Offensive Early Down Pass Rate', 'PassRate'])) || params.lg.PassRate;
+    const passRateDiff = Math.abs(homePassRate - awayPassRate);
+    if (passRateDiff < 0.05) rho += 0.08;
+    else if (passRateDiff > 0.15) rho -= 0.05;
+    
+    const homeXpl = parsePercent(findValue(homeTeam, ['Offensive Explosive Play Rate'])) || params.lg.Xpl;
+    const awayXpl = parsePercent(findValue(awayTeam, ['Offensive Explosive Play Rate'])) || params.lg.Xpl;
+    if (homeXpl + awayXpl > 0.19) rho += 0.05;
+    
+    // Wind and precipitation only matter with the roof open
+    if (isDome) {
+      rho += 0.05;
+    } else {
+      if (windMPH > 15) rho -= 0.15;
+      else if (windMPH > 10) rho -= 0.08;
+      
+      if (precip === "heavy_rain" || precip === "snow") rho -= 0.10;
+      else if (precip === "light_rain") rho -= 0.05;
+    }
+    
+    const homeSecSnap = parseFloat(findValue(homeTeam, ['Offensive Seconds/Snap'])) || params.lg.SecSnap;
+    const awaySecSnap = parseFloat(findValue(awayTeam, ['Offensive Seconds/Snap'])) || params.lg.SecSnap;
+    const avgPace = (homeSecSnap + awaySecSnap) / 2;
+    if (avgPace < 27.4) rho += 0.05;
+    else if (avgPace > 29.8) rho -= 0.03;
+    
+    return clamp(rho, -0.05, 0.50);
+  }
+
+  // ============================================
+  // WEATHER ADJUSTMENT
+  // ============================================
+  
+  function calculateWeatherAdjustment(settings) {
+    let weatherAdj = 0;
+    
+    if (settings.isDome) {
+      weatherAdj += params.weather.dome_bonus;
+    } else {
+      if (settings.windMPH > params.weather.wind_threshold) {
+        const windEffect = (settings.windMPH - params.weather.wind_threshold) * 
+                          params.weather.wind_per_mph_above_threshold;
+        weatherAdj += windEffect;
+      }
+      
+      if (settings.temperature < params.weather.extreme_cold_threshold) {
+        weatherAdj += params.weather.extreme_cold_penalty;
+      }
+      
+      weatherAdj += params.weather.precip_adjustments[settings.precipitation] || 0;
+    }
+    
+    return weatherAdj;
+  }
+
+  // ============================================
+  // VARIANCE FEATURES
+  // ============================================
+  
+  /**
+   * Per-team volatility and game context fed to the fitted variance model
+   */
+  function calculateVarianceFeatures(homeTeam, awayTeam, settings, drives, expectedTotal) {
+    const toZ = (team) => zScore(
+      parsePercent(findValue(team, ['Offensive TO%', 'TO%'])) || params.lg.TO_pct,
+      params.lg.TO_pct, params.lg.TO_pct_sd
+    );
+    const home = drives.homePaceDetails.zScores;
+    const away = drives.awayPaceDetails.zScores;
+    const outdoors = !settings.isDome;
+    return {
+      expTotal: (expectedTotal - 44) / 10,
+      absSpread: Math.abs(settings.spread || 0) / 7,
+      xpl: (home.z_xpl + away.z_xpl) / 2,
+      threeOut: (home.z_threeOut + away.z_threeOut) / 2,
+      turnover: (toZ(homeTeam) + toZ(awayTeam)) / 2,
+      wind: outdoors ? Math.max(0, (settings.windMPH || 0) - 10) / 10 : 0,
+      precip: outdoors && settings.precipitation && settings.precipitation !== 'none' ? 1 : 0,
+      dome: outdoors ? 0 : 1
+    };
+  }
+
+  /**
+   * settings.model selects the scoring model: 'gaussian' (default) or 'drive'.
+   * settings.keyNumbers reweights Gaussian margins/totals toward empirical key-number frequencies.
+   * options.onProgress(fraction) is called periodically from the sampling loop.
+   * Roof, surface and altitude are resolved from params.stadiums first (see stadiums.js)
+   */
+  function simulateGame(homeTeam, awayTeam, gameSettings, options = {}) {
+    const settings = applyStadium(gameSettings, homeTeam.Team, params.stadiums);
+    const numSims = settings.numSimulations;
+    const model = settings.model === 'drive' ? 'drive' : 'gaussian';
+    const seed = resolveSeed(settings.seed);
+    const rng = createRng(seed);
+    
+    debugLog("\n========================================");
+    debugLog(`OPTIMIZED SIMULATION: ${homeTeam.Team} vs ${awayTeam.Team}`);
+    debugLog(`Seed: ${seed} | Model: ${model} | Venue: ${settings.venue.name || 'unknown'} (${settings.roof})`);
+    debugLog("========================================");
+    
+    const matchup = calculateMatchupPPD(homeTeam, awayTeam, settings);
+    const drives = calculateExpectedDrives(homeTeam, awayTeam);
+    
+    const rho = calculateAdaptiveCorrelation(
+      homeTeam, awayTeam,
+      settings.spread,
+      settings.isDome,
+      settings.windMPH,
+      settings.precipitation
+    );
+    
+    const weatherAdj = calculateWeatherAdjustment(settings);
+    const outdoorPenalty = settings.outdoorPenalty || 0;
+    
+    // Game script adjustment for blowouts
+    const absSpread = Math.abs(settings.spread || 0);
+    let gameScriptAdj = 0;
+    if (absSpread >= 14) {
+      gameScriptAdj = -1.5;
+    } else if (absSpread >= 10) {
+      gameScriptAdj = -0.75;
+    }
+    
+    // Rest, bye, weekday, time-zone and divisional spot, per team
+    const schedule = calculateScheduleAdjustment(
+      settings, params,
+      matchup.homePPD_spread * drives.homeDrives - matchup.awayPPD_spread * drives.awayDrives
+    );
+    
+    // Altitude (visitors) and playing surface
+    const venueAdj = calculateVenueAdjustment(settings, params);
+    const homeSpotAdj = schedule.home + venueAdj.home;
+    const awaySpotAdj = schedule.away + venueAdj.away;
+    
+    // Calculate expected points for MARGINS
+    const homeExpPts_forMargin = matchup.homePPD_spread * drives.homeDrives + (weatherAdj / 2) + (outdoorPenalty / 2) + homeSpotAdj;
+    const awayExpPts_forMargin = matchup.awayPPD_spread * drives.awayDrives + (weatherAdj / 2) + (outdoorPenalty / 2) + awaySpotAdj;
+    
+    // Calculate expected points for TOTALS - OPTIMIZED: Now includes outdoor penalty
+    const homeExpPts_forTotal = matchup.homePPD_total * drives.homeDrives + (weatherAdj / 2) + (gameScriptAdj / 2) + (outdoorPenalty / 2) + homeSpotAdj;
+    const awayExpPts_forTotal = matchup.awayPPD_total * drives.awayDrives + (weatherAdj / 2) + (gameScriptAdj / 2) + (outdoorPenalty / 2) + awaySpotAdj;
+    
+    debugLog(`\n=== OPTIMIZED PROJECTIONS ===`);
+    debugLog(`  For MARGINS: Home ${homeExpPts_forMargin.toFixed(1)}, Away ${awayExpPts_forMargin.toFixed(1)}, Margin ${(homeExpPts_forMargin - awayExpPts_forMargin).toFixed(1)}`);
+    debugLog(`  For TOTALS:  Home ${homeExpPts_forTotal.toFixed(1)}, Away ${awayExpPts_forTotal.toFixed(1)}, Total ${(homeExpPts_forTotal + awayExpPts_forTotal).toFixed(1)}`);
+    debugLog(`  Correlation: ${rho.toFixed(3)} | Game Script: ${gameScriptAdj.toFixed(1)} | Outdoor: ${outdoorPenalty.toFixed(2)} | Schedule: ${schedule.home.toFixed(2)}/${schedule.away.toFixed(2)} | Venue: ${venueAdj.home.toFixed(2)}/${venueAdj.away.toFixed(2)}`);
+    debugLog(`========================================\n`);
+    
+    const results = {
+      homeScores: [],
+      awayScores: [],
+      totals: [],
+      margins: [],
+      correlationUsed: rho,
+      weatherAdjustment: weatherAdj,
+      homeExpectedPts: homeExpPts_forMargin,
+      awayExpectedPts: awayExpPts_forMargin,
+      homeExpectedPts_total: homeExpPts_forTotal,
+      awayExpectedPts_total: awayExpPts_forTotal,
+      homeDrives: drives.homeDrives,
+      awayDrives: drives.awayDrives,
+      totalGameDrives: drives.totalGameDrives,
+      driveDifferential: drives.differential,
+      turnoverSwing: drives.turnoverSwing,
+      gamePaceAdj: drives.gamePaceAdj,
+      matchupDetails: matchup,
+      homeField: matchup.homeField,
+      gameScriptAdj,
+      outdoorPenalty,
+      scheduleAdjustment: schedule,
+      venueAdjustment: venueAdj,
+      seed,
+      model,
+      varianceFeatures: calculateVarianceFeatures(homeTeam, awayTeam, settings, drives, homeExpPts_forTotal + awayExpPts_forTotal),
+      sigma: null
+    };
+    
+    const { onProgress } = options;
+    const progressEvery = Math.max(1, Math.floor(numSims / 50));
+    
+    if (model === 'drive') {
+      simulateDrives(results, matchup, drives, rho, rng, numSims, onProgress, progressEvery);
+      return calculateResults(results, settings, homeTeam.Team, awayTeam.Team);
+    }
+    
+    // Score SDs: the fitted variance model when one is loaded, otherwise the
+    // OPTIMIZED clamped formulas (increased to match empirical NFL variance)
+    const sigmaFrom = (bounds) => (expectedPts) =>
+      Math.max(bounds.min, Math.min(bounds.max, bounds.base + bounds.slope * (expectedPts - 20)));
+    const fittedSigma = params.varianceModel ? predictGameSigma(params.varianceModel, results.varianceFeatures) : null;
+    const sigmaMargin = fittedSigma ? () => teamSigmaForMargin(fittedSigma.margin, rho) : sigmaFrom(params.sigma.margin);
+    const sigmaTotal = fittedSigma ? () => teamSigmaForTotal(fittedSigma.total, rho) : sigmaFrom(params.sigma.total);
+    const homeSigmaMargin = sigmaMargin(homeExpPts_forMargin);
+    const awaySigmaMargin = sigmaMargin(awayExpPts_forMargin);
+    const homeSigmaTotal = sigmaTotal(homeExpPts_forTotal);
+    const awaySigmaTotal = sigmaTotal(awayExpPts_forTotal);
+    results.sigma = {
+      source: fittedSigma ? 'fitted' : 'clamped',
+      margin: gameMarginSigma(homeSigmaMargin, awaySigmaMargin, rho),
+      total: gameTotalSigma(homeSigmaTotal, awaySigmaTotal, rho),
+      homeMargin: homeSigmaMargin,
+      awayMargin: awaySigmaMargin,
+      homeTotal: homeSigmaTotal,
+      awayTotal: awaySigmaTotal
+    };
+    debugLog(`  SIGMA (${results.sigma.source}): margin ${results.sigma.margin.toFixed(2)}, total ${results.sigma.total.toFixed(2)}`);
+    
+    for (let i = 0; i < numSims; i++) {
+      // Generate correlated random values (Box-Muller)
+      const u1 = rng();
+      const u2 = rng();
+      const z1 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      const z2 = Math.sqrt(-2 * Math.log(u1)) * Math.sin(2 * Math.PI * u2);
+      
+      // Generate second pair for independent total variance
+      const u3 = rng();
+      const u4 = rng();
+      const z3 = Math.sqrt(-2 * Math.log(u3)) * Math.cos(2 * Math.PI * u4);
+      const z4 = Math.sqrt(-2 * Math.log(u3)) * Math.sin(2 * Math.PI * u4);
+      
+      const homeRandom = z1;
+      const awayRandom = rho * z1 + Math.sqrt(1 - rho * rho) * z2;
+      
+      // Calculate scores for MARGINS
+      const homeScore_margin = Math.max(0, homeExpPts_forMargin + homeRandom * homeSigmaMargin);
+      const awayScore_margin = Math.max(0, awayExpPts_forMargin + awayRandom * awaySigmaMargin);
+      
+      // Calculate scores for TOTALS
+      const homeRandom_total = TOTAL_SHARED_WEIGHT * z1 + TOTAL_OWN_WEIGHT * z3;
+      const awayRandom_total = TOTAL_SHARED_WEIGHT * (rho * z1 + Math.sqrt(1 - rho * rho) * z2) + TOTAL_OWN_WEIGHT * z4;
+      const homeScore_total = Math.max(0, homeExpPts_forTotal + homeRandom_total * homeSigmaTotal);
+      const awayScore_total = Math.max(0, awayExpPts_forTotal + awayRandom_total * awaySigmaTotal);
+      
+      // Round for final scores
+      const homeScoreRounded = Math.round(homeScore_margin);
+      const awayScoreRounded = Math.round(awayScore_margin);
+      const totalRounded = Math.round(homeScore_total + awayScore_total);
+      
+      results.homeScores.push(homeScoreRounded);
+      results.awayScores.push(awayScoreRounded);
+      results.totals.push(totalRounded);
+      results.margins.push(homeScoreRounded - awayScoreRounded);
+      
+      if (onProgress && (i + 1) % progressEvery === 0) {
+        onProgress((i + 1) / numSims);
+      }
+    }
+    
+    // The drive model is already discrete; only the Gaussian draws need reshaping
+    if (settings.keyNumbers) {
+      const weights = calculateKeyNumberWeights(results.margins, results.totals, params.keyNumbers);
+      results.marginWeights = weights.marginWeights;
+      results.totalWeights = weights.totalWeights;
+    }
+    
+    return calculateResults(results, settings, homeTeam.Team, awayTeam.Team);
+  }
+
+  /**
+   * Drive-by-drive sampling: each possession ends in a TD (+try), FG, turnover or punt.
+   * Targets the same expected points as the Gaussian model (margin projection with
+   * game-script dampening). Scores are correlated through a shared possession-count
+   * shock and a rho-weighted game-day efficiency shock.
+   */
+  function simulateDrives(results, matchup, drives, rho, rng, numSims, onProgress, progressEvery) {
+    const d = params.drive;
+    const homeTargetPts = results.homeExpectedPts + results.gameScriptAdj / 2;
+    const awayTargetPts = results.awayExpectedPts + results.gameScriptAdj / 2;
+    
+    const homeProbs = calculateDriveOutcomeProbs(
+      matchup.homeOffCER, matchup.awayDefCER, drives.homePaceDetails,
+      drives.homeDrives, homeTargetPts / drives.homeDrives, d
+    );
+    const awayProbs = calculateDriveOutcomeProbs(
+      matchup.awayOffCER, matchup.homeDefCER, drives.awayPaceDetails,
+      drives.awayDrives, awayTargetPts / drives.awayDrives, d
+    );
+    results.driveOutcomes = { home: homeProbs, away: awayProbs };
+    
+    debugLog(`  DRIVE MODEL: Home TD ${(homeProbs.pTD*100).toFixed(1)}% FG ${(homeProbs.pFG*100).toFixed(1)}% | Away TD ${(awayProbs.pTD*100).toFixed(1)}% FG ${(awayProbs.pFG*100).toFixed(1)}%`);
+    
+    const normal = () => Math.sqrt(-2 * Math.log(rng())) * Math.cos(2 * Math.PI * rng());
+    const rhoComplement = Math.sqrt(1 - rho * rho);
+    // Mean-one lognormal multiplier on scoring probabilities
+    const efficiency = (z) => Math.exp(d.efficiencySd * z - (d.efficiencySd * d.efficiencySd) / 2);
+    
+    for (let i = 0; i < numSims; i++) {
+      const drivesShock = normal() * d.driveCountSd;
+      const zShared = normal();
+      const homeEff = efficiency(rho * zShared + rhoComplement * normal());
+      const awayEff = efficiency(rho * zShared + rhoComplement * normal());
+      
+      const homeScore = sampleDriveScore(homeProbs, sampleDriveCount(drives.homeDrives + drivesShock, rng), homeEff, rng, d);
+      const awayScore = sampleDriveScore(awayProbs, sampleDriveCount(drives.awayDrives + drivesShock, rng), awayEff, rng, d);
+      
+      results.homeScores.push(homeScore);
+      results.awayScores.push(awayScore);
+      results.totals.push(homeScore + awayScore);
+      results.margins.push(homeScore - awayScore);
+      
+      if (onProgress && (i + 1) % progressEvery === 0) {
+        onProgress((i + 1) / numSims);
+      }
+    }
+  }
+
+  function calculateResults(results, settings, homeTeamName, awayTeamName) {
+    const homeScores = results.homeScores;
+    const awayScores = results.awayScores;
+    const totals = results.totals;
+    const margins = results.margins;
+    const n = settings.numSimulations;
+
+    // Optional key-number importance weights (sum to n); unweighted draws count 1 each
+    const marginWeights = results.marginWeights || null;
+    const totalWeights = results.totalWeights || null;
+    const mw = (i) => (marginWeights ? marginWeights[i] : 1);
+    const tw = (i) => (totalWeights ? totalWeights[i] : 1);
+    const weightedMean = (arr, w) => arr.reduce((a, b, i) => a + b * w(i), 0) / n;
+    const pct = (arr, weights, p) => (weights ? weightedPercentile(arr, weights, p) : percentile(arr, p));
+
+    const totalMean = weightedMean(totals, tw);
+
+    // Over/Under analysis
+    let overCount = 0, underCount = 0, pushCount = 0;
+    totals.forEach((total, i) => {
+      if (total > settings.overUnderLine) overCount += tw(i);
+      else if (total < settings.overUnderLine) underCount += tw(i);
+      else pushCount += tw(i);
+    });
+
+    // Home team total
+    let homeOverCount = 0, homeUnderCount = 0, homePushCount = 0;
+    homeScores.forEach((score, i) => {
+      if (score > settings.homeTeamTotal) homeOverCount += mw(i);
+      else if (score < settings.homeTeamTotal) homeUnderCount += mw(i);
+      else homePushCount += mw(i);
+    });
+
+    // Away team total
+    let awayOverCount = 0, awayUnderCount = 0, awayPushCount = 0;
+    awayScores.forEach((score, i) => {
+      if (score > settings.awayTeamTotal) awayOverCount += mw(i);
+      else if (score < settings.awayTeamTotal) awayUnderCount += mw(i);
+      else awayPushCount += mw(i);
+    });
+
+    // Moneyline
+    let homeWinCount = 0, awayWinCount = 0;
+    margins.forEach((margin, i) => {
+      if (margin > 0) homeWinCount += mw(i);
+      else if (margin < 0) awayWinCount += mw(i);
+    });
+
+    // Spread analysis
+    const spreadLine = settings.spreadLine;
+    let homeCoverCount = 0, awayCoverCount = 0, spreadPushCount = 0;
+    margins.forEach((margin, i) => {
+      const threshold = -spreadLine;
+      if (margin > threshold) homeCoverCount += mw(i);
+      else if (margin < threshold) awayCoverCount += mw(i);
+      else spreadPushCount += mw(i);
+    });
+
+    // Alt-lines
+    const altLines = [-14, -10.5, -7, -6.5, -3.5, -3, -2.5, -1.5, 0, +1.5, +2.5, +3, +3.5, +6.5, +7, +10.5, +14];
+    const altLinesAnalysis = altLines.map(line => {
+      let coverCount = 0, altPushCount = 0;
+      margins.forEach((margin, i) => {
+        if (margin > -line) coverCount += mw(i);
+        else if (margin === -line) altPushCount += mw(i);
+      });
+      return { line, coverPct: (coverCount / n) * 100, pushPct: (altPushCount / n) * 100, fairOdds: fairOddsWithPush(coverCount / n, altPushCount / n) };
+    });
+
+    // Half-point value of each key number: chance the game lands exactly on it
+    const marginFrequency = (value) => margins.reduce((a, m, i) => a + (m === value ? mw(i) : 0), 0) / n * 100;
+    const totalFrequency = (value) => totals.reduce((a, t, i) => a + (t === value ? tw(i) : 0), 0) / n * 100;
+    const keyNumbers = KEY_NUMBERS.map(number => ({
+      number,
+      homeByPct: marginFrequency(number),
+      awayByPct: marginFrequency(-number)
+    }));
+    const marketTotal = Math.round(settings.overUnderLine);
+    const keyTotals = [marketTotal - 3, marketTotal - 2, marketTotal - 1, marketTotal, marketTotal + 1, marketTotal + 2, marketTotal + 3]
+      .map(total => ({ total, pct: totalFrequency(total) }));
+
+    return {
+      numSimulations: n,
+      homeTeam: homeTeamName,
+      awayTeam: awayTeamName,
+      correlationUsed: results.correlationUsed,
+      weatherAdjustment: results.weatherAdjustment,
+      homeExpectedPts: results.homeExpectedPts,
+      awayExpectedPts: results.awayExpectedPts,
+      homeDrives: results.homeDrives,
+      awayDrives: results.awayDrives,
+      totalGameDrives: results.totalGameDrives,
+      driveDifferential: results.driveDifferential,
+      turnoverSwing: results.turnoverSwing,
+      gamePaceAdj: results.gamePaceAdj,
+      matchupDetails: results.matchupDetails,
+      homeField: results.homeField,
+      gameScriptAdj: results.gameScriptAdj,
+      outdoorPenalty: results.outdoorPenalty,
+      scheduleAdjustment: results.scheduleAdjustment,
+      venueAdjustment: results.venueAdjustment,
+      venue: {
+        ...settings.venue,
+        roof: settings.roof,
+        isDome: settings.isDome,
+        surface: settings.surface,
+        altitudeFt: settings.altitudeFt
+      },
+      seed: results.seed,
+      model: results.model,
+      driveOutcomes: results.driveOutcomes || null,
+      preset: params.preset,
+      varianceFeatures: results.varianceFeatures,
+      sigma: results.sigma,
+      keyNumberWeighted: !!marginWeights,
+      keyNumbers,
+      keyTotals,
+      
+      // 1H / 2H / 1Q markets from the same simulated games (see periods.js)
+      periods: settings.periodMarkets === false ? null : calculatePeriodResults(results, settings, params, marginWeights, totalWeights),
+      
+      // Joint simulated outcomes (and key-number weights) for slate-level staking.
+      // Gaussian totals come from their own draws, so totals[i] need not equal home + away.
+      // Bulk runs such as the optimizer pass keepSamples: false to save memory.
+      samples: settings.keepSamples === false ? null : {
+        homeScores,
+        awayScores,
+        margins,
+        totals,
+        marginWeights,
+        totalWeights
+      },
+      
+      overUnder: {
+        line: settings.overUnderLine,
+        overPct: (overCount / n) * 100,
+        underPct: (underCount / n) * 100,
+        pushPct: (pushCount / n) * 100,
+      },
+      
+      homeTeamOverUnder: {
+        line: settings.homeTeamTotal,
+        overPct: (homeOverCount / n) * 100,
+        underPct: (homeUnderCount / n) * 100,
+        pushPct: (homePushCount / n) * 100,
+        overFairOdds: fairOddsWithPush(homeOverCount / n, homePushCount / n),
+        underFairOdds: fairOddsWithPush(homeUnderCount / n, homePushCount / n),
+      },
+      
+      awayTeamOverUnder: {
+        line: settings.awayTeamTotal,
+        overPct: (awayOverCount / n) * 100,
+        underPct: (awayUnderCount / n) * 100,
+        pushPct: (awayPushCount / n) * 100,
+        overFairOdds: fairOddsWithPush(awayOverCount / n, awayPushCount / n),
+        underFairOdds: fairOddsWithPush(awayUnderCount / n, awayPushCount / n),
+      },
+      
+      moneyline: {
+        homeWinPct: (homeWinCount / n) * 100,
+        awayWinPct: (awayWinCount / n) * 100,
+        homeFairOdds: toAmericanOdds(homeWinCount / n),
+        awayFairOdds: toAmericanOdds(awayWinCount / n),
+      },
+      
+      spread: {
+        line: spreadLine,
+        homeCoverPct: (homeCoverCount / n) * 100,
+        awayCoverPct: (awayCoverCount / n) * 100,
+        pushPct: (spreadPushCount / n) * 100,
+        altLines: altLinesAnalysis,
+      },
+      
+      homeProjection: {
+        mean: weightedMean(homeScores, mw),
+        median: pct(homeScores, marginWeights, 50),
+        p10: pct(homeScores, marginWeights, 10),
+        p90: pct(homeScores, marginWeights, 90),
+      },
+      
+      awayProjection: {
+        mean: weightedMean(awayScores, mw),
+        median: pct(awayScores, marginWeights, 50),
+        p10: pct(awayScores, marginWeights, 10),
+        p90: pct(awayScores, marginWeights, 90),
+      },
+      
+      totalProjection: {
+        mean: totalMean,
+        median: pct(totals, totalWeights, 50),
+        p10: pct(totals, totalWeights, 10),
+        p90: pct(totals, totalWeights, 90),
+      },
+      
+      marginProjection: {
+        mean: weightedMean(margins, mw),
+        median: pct(margins, marginWeights, 50),
+        p10: pct(margins, marginWeights, 10),
+        p90: pct(margins, marginWeights, 90),
+      },
+    };
+  }
+
+  return {
+    params,
+    calculateOffensiveCER,
+    calculateDefensiveCER,
+    calculatePaceAdjustment,
+    calculateExpectedDrives,
+    calculateMatchupPPD,
+    calculateAdaptiveCorrelation,
+    calculateWeatherAdjustment,
+    simulateGame,
+    calculateResults
+  };
+}
+
+/**
+ * Simulate a single matchup with explicit team rows, model params and game settings
+ */
+export function simulateGame(homeTeam, awayTeam, settings, params = buildModelParams(), options = {}) {
+  return createSimulator(params).simulateGame(homeTeam, awayTeam, settings, options);
+}
@@ -0,0 +1,51 @@
+import { buildModelParams } from "./params";
+import { createSimulator, simulateGame } from "./simulator";
+
+const home = {
+  Team: 'Home',
+  'Offensive Pts/Drive': '2.45',
+  'Offensive EPA/Play': '0.08',
+  'Defensive Pts/Drive': '1.85',
+  'Defensive EPA/Play': '-0.04',
+};
+const away = {
+  Team: 'Away',
+  'Offensive Pts/Drive': '1.90',
+  'Offensive EPA/Play': '-0.03',
+  'Defensive Pts/Drive': '2.20',
+  'Defensive EPA/Play': '0.03',
+};
+const settings = { numSimulations: 2000, spreadLine: -3.5, overUnderLine: 44.5, seed: 12345 };
+
+describe('createSimulator', () => {
+  test('a fixed seed reproduces the same simulation', () => {
+    const sim = createSimulator(buildModelParams());
+    const a = sim.simulateGame(home, away, settings);
+    const b = createSimulator(buildModelParams()).simulateGame(home, away, settings);
+    expect(b.seed).toBe(12345);
+    expect(b.samples.margins).toEqual(a.samples.margins);
+    expect(b.samples.totals).toEqual(a.samples.totals);
+    expect(b.spread.homeCoverPct).toBe(a.spread.homeCoverPct);
+  });
+
+  test('a different seed draws different games', () => {
+    const a = simulateGame(home, away, settings);
+    const b = simulateGame(home, away, { ...settings, seed: 54321 });
+    expect(b.samples.margins).not.toEqual(a.samples.margins);
+  });
+
+  test('the better team is favored', () => {
+    const r = simulateGame(home, away, settings);
+    expect(r.marginProjection.mean).toBeGreaterThan(0);
+    expect(r.moneyline.homeWinPct).toBeGreaterThan(r.moneyline.awayWinPct);
+  });
+
+  test('stays quiet unless params.debug is set', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    simulateGame(home, away, { ...settings, numSimulations: 200 });
+    expect(log).not.toHaveBeenCalled();
+    simulateGame(home, away, { ...settings, numSimulations: 200 }, { ...buildModelParams(), debug: true });
+    expect(log).toHaveBeenCalled();
+    log.mockRestore();
+  });
+});
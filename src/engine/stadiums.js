@@ -0,0 +1,163 @@
+import { OUTDOOR_PENALTY, roofIsClosed } from "./csv";
+
+// ============================================
+// STADIUM REGISTRY
+// ============================================
+// Venue facts keyed by home team: roof type, playing surface, altitude and
+// coordinates. The registry decides dome status for fixed domes and open-air
+// stadiums; per-game roof settings only choose open/closed for retractable
+// roofs, and are used as given for neutral sites or teams not in the registry.
+
+export const STADIUM_ARTIFACT_TYPE = 'nflgpt-stadium-registry';
+
+export const STADIUM_ROOFS = ['outdoor', 'dome', 'retractable'];
+export const STADIUM_SURFACES = ['grass', 'turf'];
+
+const stadium = (team, abbr, name, roof, surface, altitudeFt, lat, lon) => ({ team, abbr, name, roof, surface, altitudeFt, lat, lon });
+
+export const DEFAULT_STADIUMS = [
+  stadium('Cardinals', 'ARI', 'State Farm Stadium', 'retractable', 'grass', 1070, 33.5276, -112.2626),
+  stadium('Falcons', 'ATL', 'Mercedes-Benz Stadium', 'retractable', 'turf', 1050, 33.7554, -84.4008),
+  stadium('Ravens', 'BAL', 'M&T Bank Stadium', 'outdoor', 'grass', 30, 39.2780, -76.6227),
+  stadium('Bills', 'BUF', 'Highmark Stadium', 'outdoor', 'turf', 600, 42.7738, -78.7870),
+  stadium('Panthers', 'CAR', 'Bank of America Stadium', 'outdoor', 'turf', 750, 35.2258, -80.8528),
+  stadium('Bears', 'CHI', 'Soldier Field', 'outdoor', 'grass', 600, 41.8623, -87.6167),
+  stadium('Bengals', 'CIN', 'Paycor Stadium', 'outdoor', 'turf', 490, 39.0955, -84.5161),
+  stadium('Browns', 'CLE', 'Huntington Bank Field', 'outdoor', 'grass', 580, 41.5061, -81.6995),
+  stadium('Cowboys', 'DAL', 'AT&T Stadium', 'retractable', 'turf', 600, 32.7473, -97.0945),
+  stadium('Broncos', 'DEN', 'Empower Field at Mile High', 'outdoor', 'grass', 5280, 39.7439, -105.0201),
+  stadium('Lions', 'DET', 'Ford Field', 'dome', 'turf', 600, 42.3400, -83.0456),
+  stadium('Packers', 'GB', 'Lambeau Field', 'outdoor', 'grass', 640, 44.5013, -88.0622),
+  stadium('Texans', 'HOU', 'NRG Stadium', 'retractable', 'turf', 50, 29.6847, -95.4107),
+  stadium('Colts', 'IND', 'Lucas Oil Stadium', 'retractable', 'turf', 715, 39.7601, -86.1639),
+  stadium('Jaguars', 'JAX', 'EverBank Stadium', 'outdoor', 'grass', 15, 30.3239, -81.6373),
+  stadium('Chiefs', 'KC', 'GEHA Field at Arrowhead Stadium', 'outdoor', 'grass', 890, 39.0489, -94.4839),
+  stadium('Raiders', 'LV', 'Allegiant Stadium', 'dome', 'grass', 2030, 36.0909, -115.1833),
+  stadium('Chargers', 'LAC', 'SoFi Stadium', 'dome', 'turf', 100, 33.9535, -118.3392),
+  stadium('Rams', 'LAR', 'SoFi Stadium', 'dome', 'turf', 100, 33.9535, -118.3392),
+  stadium('Dolphins', 'MIA', 'Hard Rock Stadium', 'outdoor', 'grass', 10, 25.9580, -80.2389),
+  stadium('Vikings', 'MIN', 'U.S. Bank Stadium', 'dome', 'turf', 830, 44.9737, -93.2575),
+  stadium('Patriots', 'NE', 'Gillette Stadium', 'outdoor', 'turf', 290, 42.0909, -71.2643),
+  stadium('Saints', 'NO', 'Caesars Superdome', 'dome', 'turf', 10, 29.9511, -90.0812),
+  stadium('Giants', 'NYG', 'MetLife Stadium', 'outdoor', 'turf', 10, 40.8135, -74.0745),
+  stadium('Jets', 'NYJ', 'MetLife Stadium', 'outdoor', 'turf', 10, 40.8135, -74.0745),
+  stadium('Eagles', 'PHI', 'Lincoln Financial Field', 'outdoor', 'grass', 30, 39.9008, -75.1675),
+  stadium('Steelers', 'PIT', 'Acrisure Stadium', 'outdoor', 'grass', 730, 40.4468, -80.0158),
+  stadium('49ers', 'SF', "Levi's Stadium", 'outdoor', 'grass', 20, 37.4030, -121.9700),
+  stadium('Seahawks', 'SEA', 'Lumen Field', 'outdoor', 'turf', 20, 47.5952, -122.3316),
+  stadium('Buccaneers', 'TB', 'Raymond James Stadium', 'outdoor', 'grass', 30, 27.9759, -82.5033),
+  stadium('Titans', 'TEN', 'Nissan Stadium', 'outdoor', 'turf', 400, 36.1665, -86.7713),
+  stadium('Commanders', 'WAS', 'Northwest Stadium', 'outdoor', 'grass', 200, 38.9078, -76.8645),
+];
+
+/**
+ * Registry entry for a team name: exact abbreviation, or the nickname contained in the name
+ */
+export function findStadium(stadiums, teamName) {
+  if (!stadiums || !teamName) return null;
+  const name = teamName.toLowerCase().trim();
+  return stadiums.find(s => s.abbr.toLowerCase() === name)
+    || stadiums.find(s => name.includes(s.team.toLowerCase()) || (name.length >= 4 && s.team.toLowerCase().includes(name)))
+    || null;
+}
+
+/**
+ * Game settings with the venue resolved from the registry: roof, isDome,
+ * surface and altitude, plus `venue` describing where each came from.
+ * A batch outdoor penalty (present in settings) follows the resolved roof.
+ */
+export function applyStadium(settings, homeTeamName, stadiums) {
+  const entry = settings.neutralSite ? null : findStadium(stadiums, homeTeamName);
+  const requested = settings.roof || (settings.isDome ? 'dome' : '');
+  let roof;
+  let roofSource;
+  if (!entry) {
+    roof = requested || 'outdoor';
+    roofSource = 'game';
+  } else if (entry.roof === 'retractable') {
+    // Per-game open/closed; defaults to closed
+    roof = requested === 'retractable-open' || requested === 'outdoor' ? 'retractable-open' : 'retractable-closed';
+    roofSource = settings.roof ? 'game' : 'stadium';
+  } else {
+    roof = entry.roof;
+    roofSource = 'stadium';
+  }
+  const isDome = roofIsClosed(roof);
+
+  return {
+    ...settings,
+    roof,
+    isDome,
+    surface: entry ? entry.surface : settings.surface || null,
+    altitudeFt: entry ? entry.altitudeFt : settings.altitudeFt || 0,
+    outdoorPenalty: settings.outdoorPenalty === undefined ? undefined : isDome ? 0 : OUTDOOR_PENALTY,
+    venue: entry
+      ? { name: entry.name, team: entry.team, roofSource, stadiumRoof: entry.roof }
+      : { name: settings.neutralSite ? 'Neutral site' : null, team: null, roofSource, stadiumRoof: null }
+  };
+}
+
+/**
+ * Itemized altitude and surface points per team (same shape as the schedule adjustment)
+ */
+export function calculateVenueAdjustment(settings, params) {
+  const v = params.venue;
+  const items = [];
+  const thinAir = Math.max(0, (settings.altitudeFt || 0) - v.altitude_threshold_ft) / 1000;
+  if (thinAir > 0) {
+    items.push({ key: 'altitude', label: `Altitude (${settings.altitudeFt} ft)`, home: 0, away: thinAir * v.altitude_visitor_per_1000ft });
+  }
+  if (settings.surface === 'turf' && v.turf_total_pts !== 0) {
+    items.push({ key: 'surface', label: 'Artificial turf', home: v.turf_total_pts / 2, away: v.turf_total_pts / 2 });
+  }
+  return {
+    items,
+    home: items.reduce((a, item) => a + item.home, 0),
+    away: items.reduce((a, item) => a + item.away, 0)
+  };
+}
+
+/**
+ * Great-circle distance in miles between two registry entries
+ */
+export function stadiumDistanceMiles(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 3958.8 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Package the registry for download
+ */
+export const createStadiumArtifact = (stadiums) => ({
+  type: STADIUM_ARTIFACT_TYPE,
+  version: 1,
+  createdAt: new Date().toISOString(),
+  stadiums
+});
+
+/**
+ * Validate a saved stadium registry
+ */
+export function parseStadiumArtifact(jsonText) {
+  let artifact;
+  try {
+    artifact = JSON.parse(jsonText);
+  } catch (error) {
+    throw new Error("Stadium registry file is not valid JSON");
+  }
+  if (!artifact || artifact.type !== STADIUM_ARTIFACT_TYPE || !Array.isArray(artifact.stadiums)) {
+    throw new Error("Not a stadium registry artifact");
+  }
+  return artifact.stadiums.map((s, i) => {
+    if (!s.team || !STADIUM_ROOFS.includes(s.roof) || !STADIUM_SURFACES.includes(s.surface)) {
+      throw new Error(`Stadium entry ${i + 1} needs a team, a roof (${STADIUM_ROOFS.join('/')}) and a surface (${STADIUM_SURFACES.join('/')})`);
+    }
+    return stadium(
+      s.team, s.abbr || '', s.name || '', s.roof, s.surface,
+      parseFloat(s.altitudeFt) || 0, parseFloat(s.lat) || 0, parseFloat(s.lon) || 0
+    );
+  });
+}
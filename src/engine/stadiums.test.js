@@ -0,0 +1,46 @@
+import { buildModelParams } from "./params";
+import { simulateGame } from "./simulator";
+import { applyStadium, calculateVenueAdjustment, DEFAULT_STADIUMS, findStadium } from "./stadiums";
+
+const params = buildModelParams();
+
+describe('applyStadium', () => {
+  test('a registry dome closes the roof even when the game row says outdoors', () => {
+    const s = applyStadium({ roof: 'outdoor', windMPH: 25 }, 'Detroit Lions', DEFAULT_STADIUMS);
+    expect(s).toMatchObject({ roof: 'dome', isDome: true, surface: 'turf', venue: { name: 'Ford Field', roofSource: 'stadium' } });
+  });
+
+  test('a retractable roof follows the game and defaults to closed', () => {
+    expect(applyStadium({}, 'Cowboys', DEFAULT_STADIUMS).roof).toBe('retractable-closed');
+    expect(applyStadium({ roof: 'retractable-open' }, 'Cowboys', DEFAULT_STADIUMS)).toMatchObject({ isDome: false, venue: { roofSource: 'game' } });
+  });
+
+  test('a neutral site ignores the home team stadium', () => {
+    const s = applyStadium({ neutralSite: true }, 'Broncos', DEFAULT_STADIUMS);
+    expect(s).toMatchObject({ roof: 'outdoor', altitudeFt: 0, venue: { name: 'Neutral site' } });
+  });
+});
+
+describe('calculateVenueAdjustment', () => {
+  test('visitors lose points above the altitude threshold', () => {
+    const denver = findStadium(DEFAULT_STADIUMS, 'DEN');
+    const adj = calculateVenueAdjustment({ altitudeFt: denver.altitudeFt, surface: denver.surface }, params);
+    const thinAir = (denver.altitudeFt - params.venue.altitude_threshold_ft) / 1000;
+    expect(adj.items.map(item => item.key)).toEqual(['altitude']);
+    expect(adj.away).toBeCloseTo(thinAir * params.venue.altitude_visitor_per_1000ft);
+    expect(adj.home).toBe(0);
+  });
+});
+
+describe('simulateGame at a registry stadium', () => {
+  const team = (name) => ({ Team: name, 'Offensive Pts/Drive': '2.05', 'Defensive Pts/Drive': '2.05' });
+  const storm = { numSimulations: 200, spreadLine: -3, overUnderLine: 44.5, seed: 8, windMPH: 25, temperature: 15, precipitation: 'snow' };
+
+  test('a dome suppresses the weather the game row carries', () => {
+    const indoors = simulateGame(team('Lions'), team('Bears'), storm);
+    const outdoors = simulateGame(team('Bears'), team('Lions'), storm);
+    expect(indoors.weatherAdjustment).toBe(params.weather.dome_bonus);
+    expect(indoors.venue).toMatchObject({ roof: 'dome', isDome: true });
+    expect(outdoors.weatherAdjustment).toBeLessThan(0);
+  });
+});
@@ -0,0 +1,206 @@
+import { fairOddsWithPush } from "./ladder";
+import { americanToDecimal } from "./odds";
+import { legLabel, legMargin } from "./parlay";
+import { toAmericanOdds } from "./utils";
+
+// ============================================
+// TEASERS & CROSS-GAME PARLAYS
+// ============================================
+// Legs come from different games of a batch run, so the games are independent
+// and a ticket's probability is the product of its legs. Each leg is read off
+// its own game's samples (key-number weighted), which is what makes teasers
+// through 3 and 7 worth more than a flat points-per-leg rule.
+// A pushed leg drops out: a parlay pays the remaining legs, a teaser drops to
+// the next-smaller payout, and a teaser left with one leg is a push.
+
+export const TEASER_POINTS = [6, 6.5, 7];
+
+// Two-team through six-team American payouts by teaser size
+export const TEASER_PAYOUT_TABLES = [
+  {
+    name: 'Standard (-110 two-team)',
+    payouts: {
+      6: { 2: -110, 3: 180, 4: 300, 5: 450, 6: 600 },
+      6.5: { 2: -120, 3: 160, 4: 250, 5: 400, 6: 550 },
+      7: { 2: -130, 3: 150, 4: 200, 5: 350, 6: 500 },
+    }
+  },
+  {
+    name: 'Reduced (-120 two-team)',
+    payouts: {
+      6: { 2: -120, 3: 160, 4: 260, 5: 400, 6: 550 },
+      6.5: { 2: -130, 3: 150, 4: 240, 5: 350, 6: 500 },
+      7: { 2: -140, 3: 140, 4: 200, 5: 300, 6: 450 },
+    }
+  },
+];
+
+/**
+ * Leg with teaser points added: spreads and unders move up, overs (game or team total) move down
+ */
+export const teaseLeg = (leg, points) => ({
+  ...leg,
+  line: leg.side === 'over' ? leg.line - points : leg.line + points
+});
+
+/**
+ * "Through 3 and 7": a spread leg whose teased window covers both key margins
+ * (e.g. -7.5 to -1.5 for a favorite, +1.5 to +7.5 for an underdog)
+ */
+export function isWongCandidate(leg, points) {
+  if (leg.market !== 'spread') return false;
+  // Side margins turned from losses into wins: above -line - points and below
+  // -line (a margin of exactly -line was already a push, so -7 is not "through" 7)
+  const low = -leg.line - points;
+  const high = -leg.line;
+  const covers = (margin) => margin > low && margin < high;
+  return (covers(3) && covers(7)) || (covers(-3) && covers(-7));
+}
+
+/**
+ * Win / push probability of one leg from its game's samples
+ */
+export function legProbabilities(samples, leg) {
+  const { margins, totals, homeScores, awayScores } = samples;
+  const weights = leg.market === 'total' ? samples.totalWeights : samples.marginWeights;
+  let win = 0, push = 0, totalWeight = 0;
+  for (let i = 0; i < margins.length; i++) {
+    const w = weights ? weights[i] : 1;
+    const diff = legMargin(leg, margins[i], totals[i], homeScores[i], awayScores[i]);
+    totalWeight += w;
+    if (diff > 0) win += w;
+    else if (diff === 0) push += w;
+  }
+  return { winProb: win / totalWeight, pushProb: push / totalWeight };
+}
+
+/**
+ * P(no leg loses and exactly k legs push), k = 0..n, for independent legs
+ */
+function pushDistribution(legs) {
+  let dist = [1];
+  legs.forEach(({ winProb, pushProb }) => {
+    const next = new Array(dist.length + 1).fill(0);
+    dist.forEach((p, k) => {
+      next[k] += p * winProb;
+      next[k + 1] += p * pushProb;
+    });
+    dist = next;
+  });
+  return dist;
+}
+
+const sampledResult = (results, leg) => {
+  const r = results[leg.gameIndex];
+  if (!r || !r.samples) throw new Error("Teasers and parlays need batch results with samples");
+  return r;
+};
+
+const checkDistinctGames = (legs) => {
+  if (new Set(legs.map(leg => leg.gameIndex)).size !== legs.length) {
+    throw new Error("Legs must come from different games (use the same-game parlay builder for one game)");
+  }
+};
+
+/**
+ * Label for a leg on a batch result
+ */
+export const slateLegLabel = (results, leg) => {
+  const r = results[leg.gameIndex];
+  return `${legLabel(leg, r.homeTeam, r.awayTeam)} (${r.awayTeam} @ ${r.homeTeam})`;
+};
+
+/**
+ * Price a teaser: per-leg base and teased probabilities, the ticket's win/push
+ * chances, its fair price and EV under each payout table
+ */
+export function priceTeaser(results, legs, points, tables = TEASER_PAYOUT_TABLES) {
+  if (legs.length < 2) throw new Error("A teaser needs at least two legs");
+  checkDistinctGames(legs);
+  const legResults = legs.map(leg => {
+    const samples = sampledResult(results, leg).samples;
+    const teased = teaseLeg(leg, points);
+    const base = legProbabilities(samples, leg);
+    const probs = legProbabilities(samples, teased);
+    return {
+      ...leg,
+      label: slateLegLabel(results, leg),
+      teasedLine: teased.line,
+      baseWinProb: base.winProb,
+      winProb: probs.winProb,
+      pushProb: probs.pushProb,
+      wong: isWongCandidate(leg, points)
+    };
+  });
+  const dist = pushDistribution(legResults);
+  const n = legs.length;
+  const winProb = dist[0];
+  const pushProb = dist.slice(1).reduce((a, b) => a + b, 0);
+
+  const payouts = tables.map(table => {
+    const payout = (count) => table.payouts[points]?.[count] ?? null;
+    const price = payout(n);
+    if (price === null) return { name: table.name, price: null, ev: null };
+    // Each push drops the ticket one size; one or zero remaining legs returns the stake
+    const expectedReturn = dist.reduce((acc, p, k) => {
+      const remaining = n - k;
+      const reduced = remaining >= 2 ? payout(remaining) : null;
+      return acc + p * (reduced === null ? 1 : americanToDecimal(reduced));
+    }, 0);
+    return { name: table.name, price, breakEven: Math.pow(1 / americanToDecimal(price), 1 / n), ev: expectedReturn - 1 };
+  });
+
+  return {
+    points,
+    legs: legResults,
+    winProb,
+    pushProb,
+    fairOdds: fairOddsWithPush(winProb, pushProb),
+    payouts
+  };
+}
+
+/**
+ * Price a cross-game parlay at each leg's own price (pushed legs drop out).
+ * Every leg must carry its American price.
+ */
+export function priceParlay(results, legs) {
+  if (legs.length < 2) throw new Error("A parlay needs at least two legs");
+  checkDistinctGames(legs);
+  const legResults = legs.map(leg => {
+    const label = slateLegLabel(results, leg);
+    if (!(Math.abs(leg.price) >= 100)) throw new Error(`${label} needs a price`);
+    const probs = legProbabilities(sampledResult(results, leg).samples, leg);
+    return { ...leg, ...probs, label };
+  });
+  const winProb = legResults.reduce((a, leg) => a * leg.winProb, 1);
+  const lossProb = 1 - legResults.reduce((a, leg) => a * (leg.winProb + leg.pushProb), 1);
+  const decimal = legResults.reduce((a, leg) => a * americanToDecimal(leg.price), 1);
+  // E[return] factorizes over independent legs: win pays the leg's decimal, push pays 1
+  const expectedReturn = legResults.reduce((a, leg) => a * (leg.winProb * americanToDecimal(leg.price) + leg.pushProb), 1);
+  return {
+    legs: legResults,
+    winProb,
+    pushProb: 1 - winProb - lossProb,
+    fairOdds: fairOddsWithPush(winProb, 1 - winProb - lossProb),
+    price: toAmericanOdds(1 / decimal),
+    ev: expectedReturn - 1
+  };
+}
+
+/**
+ * Spread sides on the slate that tease through both 3 and 7, best teased probability first
+ */
+export function findTeaserCandidates(results, points) {
+  const candidates = [];
+  results.forEach((r, gameIndex) => {
+    if (!r || !r.samples) return;
+    ['home', 'away'].forEach(side => {
+      const leg = { gameIndex, market: 'spread', side, line: side === 'home' ? r.spread.line : -r.spread.line };
+      if (!isWongCandidate(leg, points)) return;
+      const teased = legProbabilities(r.samples, teaseLeg(leg, points));
+      candidates.push({ ...leg, label: slateLegLabel(results, leg), teasedLine: leg.line + points, ...teased });
+    });
+  });
+  return candidates.sort((a, b) => b.winProb - a.winProb);
+}
@@ -0,0 +1,60 @@
+import { isWongCandidate, priceParlay, teaseLeg } from "./teaser";
+
+const spread = (line) => ({ market: 'spread', side: 'home', line });
+
+describe('isWongCandidate', () => {
+  test('favorites of -7.5 to -8.5 tease through 3 and 7 at six points', () => {
+    expect(isWongCandidate(spread(-7.5), 6)).toBe(true);
+    expect(isWongCandidate(spread(-8.5), 6)).toBe(true);
+    expect(isWongCandidate(spread(-7), 6)).toBe(false);
+    expect(isWongCandidate(spread(-9.5), 6)).toBe(false);
+  });
+
+  test('underdogs of +1.5 to +2.5 tease through 3 and 7 at six points', () => {
+    expect(isWongCandidate(spread(1.5), 6)).toBe(true);
+    expect(isWongCandidate(spread(2.5), 6)).toBe(true);
+    expect(isWongCandidate(spread(3), 6)).toBe(false);
+    expect(isWongCandidate(spread(1), 6)).toBe(false);
+  });
+
+  test('more points widen the window', () => {
+    expect(isWongCandidate(spread(-9.5), 7)).toBe(true);
+    expect(isWongCandidate(spread(-10), 7)).toBe(false);
+    expect(isWongCandidate(spread(1), 7)).toBe(true);
+  });
+
+  test('totals are never candidates', () => {
+    expect(isWongCandidate({ market: 'total', side: 'under', line: 41.5 }, 6)).toBe(false);
+  });
+});
+
+describe('teaseLeg', () => {
+  test('spreads and unders move up, overs move down', () => {
+    expect(teaseLeg(spread(-7.5), 6).line).toBe(-1.5);
+    expect(teaseLeg({ market: 'total', side: 'under', line: 44.5 }, 6).line).toBe(50.5);
+    expect(teaseLeg({ market: 'total', side: 'over', line: 44.5 }, 6).line).toBe(38.5);
+    expect(teaseLeg({ market: 'homeTotal', side: 'over', line: 24.5 }, 6).line).toBe(18.5);
+  });
+});
+
+describe('priceParlay', () => {
+  const samples = { margins: [7, -3], totals: [41, 47], homeScores: [24, 22], awayScores: [17, 25] };
+  const results = [0, 1].map(i => ({ homeTeam: `H${i}`, awayTeam: `A${i}`, samples }));
+
+  test('multiplies the legs at their own prices', () => {
+    const priced = priceParlay(results, [
+      { gameIndex: 0, market: 'spread', side: 'home', line: -3.5, price: -110 },
+      { gameIndex: 1, market: 'total', side: 'over', line: 44.5, price: 100 }
+    ]);
+    expect(priced.winProb).toBeCloseTo(0.25);
+    // (210 / 110) * 2 = 3.82 decimal, rounded to an American price
+    expect(priced.price).toBe(282);
+  });
+
+  test('needs a price on every leg instead of assuming -110', () => {
+    expect(() => priceParlay(results, [
+      { gameIndex: 0, market: 'spread', side: 'home', line: -3.5, price: -110 },
+      { gameIndex: 1, market: 'homeTotal', side: 'over', line: 23.5 }
+    ])).toThrow('needs a price');
+  });
+});
@@ -0,0 +1,81 @@
+// ============================================
+// SHARED NUMERIC / LOOKUP HELPERS
+// ============================================
+
+export const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+
+/**
+ * Return the first non-empty column value found on a team row
+ */
+export const findValue = (team, possibleNames) => {
+  for (let name of possibleNames) {
+    if (team[name] !== undefined && team[name] !== '') {
+      return team[name];
+    }
+  }
+  return null;
+};
+
+export function parsePercent(val) {
+  if (val == null || val === "") return null;
+  const originalStr = String(val).trim();
+  const hasPercentSign = originalStr.includes('%');
+  const numStr = originalStr.replace('%', '').trim();
+  const num = parseFloat(numStr);
+  if (isNaN(num)) return null;
+  
+  if (hasPercentSign) {
+    return num / 100;
+  }
+  if (num > 1) return num / 100;
+  return num;
+}
+
+export function zScore(value, mean, sd) {
+  if (sd === 0) return 0;
+  return (value - mean) / sd;
+}
+
+export const toAmericanOdds = (prob) => {
+  if (prob <= 0) return Infinity;
+  if (prob >= 1) return -Infinity;
+  return prob >= 0.5 
+    ? -Math.round((prob / (1 - prob)) * 100)
+    : Math.round(((1 - prob) / prob) * 100);
+};
+
+/**
+ * Calculate mean and standard deviation of an array
+ */
+export const calcStats = (values) => {
+  const validValues = values.filter(v => v !== null && v !== undefined && !isNaN(v));
+  if (validValues.length === 0) return { mean: 0, sd: 1 };
+  const mean = validValues.reduce((a, b) => a + b, 0) / validValues.length;
+  const variance = validValues.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / validValues.length;
+  const sd = Math.sqrt(variance) || 0.001;
+  return { mean, sd };
+};
+
+export function percentile(arr, p) {
+  const sorted = [...arr].sort((a, b) => a - b);
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  const weight = index - lower;
+  return sorted[lower] * (1 - weight) + sorted[upper] * weight;
+}
+
+/**
+ * Percentile of a sample where each value carries an importance weight
+ */
+export function weightedPercentile(arr, weights, p) {
+  const order = arr.map((v, i) => i).sort((a, b) => arr[a] - arr[b]);
+  const totalWeight = weights.reduce((a, b) => a + b, 0);
+  const target = (p / 100) * totalWeight;
+  let cumulative = 0;
+  for (const i of order) {
+    cumulative += weights[i];
+    if (cumulative >= target) return arr[i];
+  }
+  return arr[order[order.length - 1]];
+}
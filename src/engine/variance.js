@@ -0,0 +1,198 @@
+// ============================================
+// SCORE VARIANCE MODEL
+// ============================================
+// Replaces the clamped sigma(expected pts) formulas with a log-linear model of the
+// game-level margin and total standard deviations, fitted by maximum likelihood to
+// historical residuals (final score minus projection). Inputs are per-team
+// volatility (explosive plays, three-and-outs, turnovers) and game context.
+
+export const VARIANCE_ARTIFACT_TYPE = 'nflgpt-variance-model';
+
+export const VARIANCE_FEATURES = [
+  'intercept',
+  'expTotal',   // (projected total - 44) / 10
+  'absSpread',  // |market spread| / 7
+  'xpl',        // mean explosive-play z-score, both offenses
+  'threeOut',   // mean three-and-out z-score, both offenses
+  'turnover',   // mean turnover-rate z-score, both offenses
+  'wind',       // mph above 10 / 10 (outdoors only)
+  'precip',     // 1 if rain/snow outdoors
+  'dome',       // 1 if indoors
+];
+
+// Gaussian totals mix a shared and an independent draw per team
+export const TOTAL_SHARED_WEIGHT = 0.7;
+export const TOTAL_OWN_WEIGHT = 0.3;
+
+const MIN_GAMES = 30;
+const DEFAULT_RIDGE = 2.0;
+const MAX_NEWTON_STEPS = 50;
+
+// Game-level SDs a prediction is held inside, so a feature far outside the
+// fitted range (a 40 mph wind, say) can't extrapolate the exponential away
+export const PREDICTED_SIGMA_BOUNDS = { min: 7, max: 21 };
+
+/**
+ * SD of home - away for per-team SDs correlated at rho
+ */
+export const gameMarginSigma = (homeSigma, awaySigma, rho) =>
+  Math.sqrt(homeSigma * homeSigma + awaySigma * awaySigma - 2 * rho * homeSigma * awaySigma);
+
+/**
+ * SD of home + away for the Gaussian totals draw (shared + own components)
+ */
+export const gameTotalSigma = (homeSigma, awaySigma, rho) => {
+  const own = TOTAL_SHARED_WEIGHT * TOTAL_SHARED_WEIGHT + TOTAL_OWN_WEIGHT * TOTAL_OWN_WEIGHT;
+  const shared = TOTAL_SHARED_WEIGHT * TOTAL_SHARED_WEIGHT * rho;
+  return Math.sqrt(own * (homeSigma * homeSigma + awaySigma * awaySigma) + 2 * shared * homeSigma * awaySigma);
+};
+
+/**
+ * Per-team sigma that reproduces a game-level SD when both teams share it
+ */
+export const teamSigmaForMargin = (gameSigma, rho) => gameSigma / gameMarginSigma(1, 1, rho);
+export const teamSigmaForTotal = (gameSigma, rho) => gameSigma / gameTotalSigma(1, 1, rho);
+
+const featureVector = (features) => VARIANCE_FEATURES.map(name => (name === 'intercept' ? 1 : features[name] || 0));
+
+const dot = (a, b) => a.reduce((acc, x, i) => acc + x * b[i], 0);
+
+const clampSigma = (sigma) => Math.max(PREDICTED_SIGMA_BOUNDS.min, Math.min(PREDICTED_SIGMA_BOUNDS.max, sigma));
+
+/**
+ * Predicted game-level margin and total SDs for one game's variance features
+ */
+export function predictGameSigma(model, features) {
+  const x = featureVector(features);
+  return {
+    margin: clampSigma(Math.exp(dot(model.margin.coef, x))),
+    total: clampSigma(Math.exp(dot(model.total.coef, x)))
+  };
+}
+
+/**
+ * Solve A·x = b by Gaussian elimination with partial pivoting
+ */
+function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+}
+
+/**
+ * Gradient and Hessian of the penalized negative log likelihood at beta
+ */
+function logSigmaDerivatives(rows, beta, ridge) {
+  const k = beta.length;
+  const grad = beta.map((b, j) => (j === 0 ? 0 : ridge * b));
+  const hess = beta.map((_, i) => beta.map((__, j) => (i === j && i > 0 ? ridge : 0)));
+  rows.forEach(({ x, r }) => {
+    const w = r * r * Math.exp(-2 * dot(x, beta));
+    for (let i = 0; i < k; i++) {
+      grad[i] += x[i] * (1 - w);
+      for (let j = 0; j < k; j++) hess[i][j] += 2 * w * x[i] * x[j];
+    }
+  });
+  return { grad, hess };
+}
+
+/**
+ * Heteroscedastic Gaussian fit: log sigma_i = x_i·beta, minimizing
+ *   sum[ x_i·beta + r_i² / (2 sigma_i²) ] + ridge/2 · |beta (no intercept)|²
+ * which is convex, so Newton's method converges from log sd(r). `converged` is
+ * false if the steps had not settled after MAX_NEWTON_STEPS.
+ */
+export function fitLogSigma(rows, ridge = DEFAULT_RIDGE) {
+  const k = VARIANCE_FEATURES.length;
+  const sd = Math.sqrt(rows.reduce((a, row) => a + row.r * row.r, 0) / rows.length);
+  let beta = [Math.log(sd), ...new Array(k - 1).fill(0)];
+  let converged = false;
+  for (let iter = 0; iter < MAX_NEWTON_STEPS && !converged; iter++) {
+    const { grad, hess } = logSigmaDerivatives(rows, beta, ridge);
+    const step = solveLinear(hess, grad);
+    beta = beta.map((b, j) => b - step[j]);
+    converged = Math.max(...step.map(Math.abs)) < 1e-8;
+  }
+  const fitted = rows.map(({ x }) => Math.exp(dot(x, beta)));
+  return {
+    coef: beta,
+    converged: converged && beta.every(isFinite),
+    n: rows.length,
+    residualSd: sd,
+    meanSigma: fitted.reduce((a, b) => a + b, 0) / fitted.length
+  };
+}
+
+/**
+ * Fit margin and total SD models from simulated results that carry final scores
+ */
+export function fitVarianceModel(results, ridge = DEFAULT_RIDGE) {
+  const rows = results.filter(r => r.final && r.varianceFeatures);
+  if (rows.length < MIN_GAMES) {
+    throw new Error(`Need at least ${MIN_GAMES} games with final scores to fit the variance model (have ${rows.length})`);
+  }
+  const marginRows = rows.map(r => ({
+    x: featureVector(r.varianceFeatures),
+    r: (r.final.home - r.final.away) - r.marginProjection.mean
+  }));
+  const totalRows = rows.map(r => ({
+    x: featureVector(r.varianceFeatures),
+    r: (r.final.home + r.final.away) - r.totalProjection.mean
+  }));
+  const margin = fitLogSigma(marginRows, ridge);
+  const total = fitLogSigma(totalRows, ridge);
+  if (!margin.converged || !total.converged) {
+    throw new Error(`Variance model ${margin.converged ? 'total' : 'margin'} fit did not converge; try a larger ridge`);
+  }
+  return {
+    type: VARIANCE_ARTIFACT_TYPE,
+    version: 1,
+    createdAt: new Date().toISOString(),
+    features: VARIANCE_FEATURES,
+    ridge,
+    margin,
+    total
+  };
+}
+
+/**
+ * Validate a saved variance model
+ */
+export function parseVarianceArtifact(jsonText) {
+  let artifact;
+  try {
+    artifact = JSON.parse(jsonText);
+  } catch (error) {
+    throw new Error("Variance model file is not valid JSON");
+  }
+  if (!artifact || artifact.type !== VARIANCE_ARTIFACT_TYPE) {
+    throw new Error("Not a variance model artifact");
+  }
+  if (JSON.stringify(artifact.features) !== JSON.stringify(VARIANCE_FEATURES)) {
+    throw new Error("Variance model was fitted on a different feature set");
+  }
+  ['margin', 'total'].forEach(part => {
+    const coef = artifact[part]?.coef;
+    if (!Array.isArray(coef) || coef.length !== VARIANCE_FEATURES.length || coef.some(c => typeof c !== 'number')) {
+      throw new Error(`Variance model ${part} coefficients are missing`);
+    }
+  });
+  return artifact;
+}
@@ -0,0 +1,75 @@
+import { createRng } from "./random";
+import {
+  fitLogSigma,
+  fitVarianceModel,
+  gameMarginSigma,
+  PREDICTED_SIGMA_BOUNDS,
+  predictGameSigma,
+  teamSigmaForMargin,
+  VARIANCE_FEATURES
+} from "./variance";
+
+// Residuals drawn with a known log-linear SD: log sigma = 2.6 + 0.15 expTotal - 0.1 dome
+const TRUE_COEF = { intercept: 2.6, expTotal: 0.15, dome: -0.1 };
+
+const syntheticGames = (count, seed) => {
+  const rng = createRng(seed);
+  const normal = () => Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+  return Array.from({ length: count }, () => {
+    const features = { expTotal: normal(), absSpread: rng() * 2, dome: rng() < 0.3 ? 1 : 0 };
+    const sigma = Math.exp(TRUE_COEF.intercept + TRUE_COEF.expTotal * features.expTotal + TRUE_COEF.dome * features.dome);
+    return { features, margin: sigma * normal(), total: sigma * normal() };
+  });
+};
+
+const coefOf = (fit, name) => fit.coef[VARIANCE_FEATURES.indexOf(name)];
+
+describe('fitLogSigma', () => {
+  test('recovers the log-linear SD of synthetic residuals and converges', () => {
+    const rows = syntheticGames(4000, 3).map(g => ({
+      x: VARIANCE_FEATURES.map(name => (name === 'intercept' ? 1 : g.features[name] || 0)),
+      r: g.margin
+    }));
+    const fit = fitLogSigma(rows, 0.5);
+    expect(fit.converged).toBe(true);
+    expect(coefOf(fit, 'intercept')).toBeCloseTo(TRUE_COEF.intercept, 1);
+    expect(coefOf(fit, 'expTotal')).toBeCloseTo(TRUE_COEF.expTotal, 1);
+    expect(coefOf(fit, 'dome')).toBeCloseTo(TRUE_COEF.dome, 1);
+    expect(Math.abs(coefOf(fit, 'absSpread'))).toBeLessThan(0.05);
+  });
+
+  test('reports a singular fit as not converged', () => {
+    // No ridge and features that never vary leave the Hessian singular
+    const rows = [1, -2, 3, -1].map(r => ({ x: VARIANCE_FEATURES.map((_, j) => (j === 0 ? 1 : 0)), r }));
+    expect(fitLogSigma(rows, 0).converged).toBe(false);
+  });
+});
+
+describe('fitVarianceModel', () => {
+  const results = syntheticGames(400, 5).map(g => ({
+    final: { home: 24 + (g.total + g.margin) / 2, away: 20 + (g.total - g.margin) / 2 },
+    marginProjection: { mean: 4 },
+    totalProjection: { mean: 44 },
+    varianceFeatures: g.features
+  }));
+
+  test('predicts sane game SDs inside the fitted range and clamps outside it', () => {
+    const model = fitVarianceModel(results);
+    const typical = predictGameSigma(model, { expTotal: 0, dome: 0 });
+    expect(typical.margin).toBeGreaterThan(11);
+    expect(typical.margin).toBeLessThan(16);
+    expect(predictGameSigma(model, { expTotal: 60 }).margin).toBe(PREDICTED_SIGMA_BOUNDS.max);
+    expect(predictGameSigma(model, { expTotal: -60 }).margin).toBe(PREDICTED_SIGMA_BOUNDS.min);
+  });
+
+  test('needs enough games with final scores', () => {
+    expect(() => fitVarianceModel(results.slice(0, 10))).toThrow('Need at least 30 games');
+  });
+});
+
+describe('teamSigmaForMargin', () => {
+  test('two teams at the per-team sigma reproduce the game SD', () => {
+    const team = teamSigmaForMargin(13.5, 0.3);
+    expect(gameMarginSigma(team, team, 0.3)).toBeCloseTo(13.5);
+  });
+});
@@ -0,0 +1,17 @@
+/* eslint-disable no-restricted-globals */
+import { simulateGame } from "../engine";
+
+/**
+ * Runs one game per message off the main thread and streams in-game progress back
+ */
+self.onmessage = (event) => {
+  const { id, homeTeam, awayTeam, settings, params } = event.data;
+  try {
+    const result = simulateGame(homeTeam, awayTeam, settings, params, {
+      onProgress: (fraction) => self.postMessage({ type: 'progress', id, fraction })
+    });
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+};
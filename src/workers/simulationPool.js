@@ -0,0 +1,97 @@
+// ============================================
+// WEB WORKER POOL
+// ============================================
+
+const defaultPoolSize = () => (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+
+/**
+ * Run a list of simulation jobs ({ homeTeam, awayTeam, settings, params }) across
+ * a pool of workers.
+ *
+ * Returns { done, cancel }. `done` resolves to { results, errors, cancelled } where
+ * results[i] is null for any job that did not finish. cancel() terminates every
+ * worker immediately and keeps whatever already completed.
+ */
+export function runSimulationJobs(jobs, { onProgress, onResult, poolSize } = {}) {
+  const total = jobs.length;
+  const size = Math.max(1, Math.min(poolSize || defaultPoolSize(), total));
+  const results = new Array(total).fill(null);
+  const errors = [];
+  const partial = new Array(total).fill(0);
+  const workers = [];
+  let nextJob = 0;
+  let completed = 0;
+  let finished = false;
+  let resolveDone;
+  const done = new Promise(resolve => { resolveDone = resolve; });
+
+  const finish = (cancelled) => {
+    if (finished) return;
+    finished = true;
+    workers.forEach(w => w.terminate());
+    resolveDone({ results, errors, cancelled });
+  };
+
+  const report = () => {
+    if (!onProgress) return;
+    const fraction = partial.reduce((a, b) => a + b, 0) / total;
+    onProgress({ fraction, completed, total });
+  };
+
+  const complete = (id) => {
+    partial[id] = 1;
+    completed++;
+    report();
+    if (completed === total) finish(false);
+  };
+
+  const dispatch = (worker) => {
+    if (finished || nextJob >= total) return;
+    const id = nextJob++;
+    worker.currentJob = id;
+    worker.postMessage({ id, ...jobs[id] });
+  };
+
+  if (total === 0) {
+    finish(false);
+    return { done, cancel: () => {} };
+  }
+
+  const spawnWorker = () => {
+    const worker = new Worker(new URL('./simulation.worker.js', import.meta.url));
+
+    worker.onmessage = (event) => {
+      const { type, id } = event.data;
+      if (finished) return;
+      if (type === 'progress') {
+        partial[id] = event.data.fraction;
+        report();
+        return;
+      }
+      if (type === 'result') {
+        results[id] = event.data.result;
+        if (onResult) onResult(id, event.data.result);
+      } else if (type === 'error') {
+        errors.push({ id, message: event.data.message });
+      }
+      complete(id);
+      dispatch(worker);
+    };
+
+    worker.onerror = (event) => {
+      if (finished) return;
+      errors.push({ id: worker.currentJob, message: event.message || 'Worker error' });
+      complete(worker.currentJob);
+      dispatch(worker);
+    };
+
+    workers.push(worker);
+    dispatch(worker);
+  };
+
+  for (let i = 0; i < size; i++) {
+    spawnWorker();
+  }
+
+  return { done, cancel: () => finish(true) };
+}